@@ -0,0 +1,165 @@
+/**
+ * =====================================================
+ * فترات الشموع (OHLC)
+ * Candle Intervals
+ * =====================================================
+ * الملف: backend/config/candles.js
+ * الغرض: تعريف فترات تجميع الأسعار وحدود نطاق الطلب
+ * =====================================================
+ */
+
+// =====================================================
+// الفترات المدعومة
+// Supported intervals (truncate/step are PostgreSQL units)
+// =====================================================
+const CANDLE_INTERVALS = {
+    '1h': {
+        code: '1h',
+        nameAr: 'ساعة',
+        nameEn: 'Hour',
+        truncate: 'hour',
+        step: '1 hour',
+        ms: 60 * 60 * 1000,
+        defaultBuckets: 48
+    },
+    '1d': {
+        code: '1d',
+        nameAr: 'يوم',
+        nameEn: 'Day',
+        truncate: 'day',
+        step: '1 day',
+        ms: 24 * 60 * 60 * 1000,
+        defaultBuckets: 30
+    },
+    '1w': {
+        code: '1w',
+        nameAr: 'أسبوع',
+        nameEn: 'Week',
+        truncate: 'week',
+        step: '1 week',
+        ms: 7 * 24 * 60 * 60 * 1000,
+        defaultBuckets: 26
+    },
+    '1M': {
+        code: '1M',
+        nameAr: 'شهر',
+        nameEn: 'Month',
+        truncate: 'month',
+        step: '1 month',
+        ms: 31 * 24 * 60 * 60 * 1000,
+        defaultBuckets: 24
+    }
+};
+
+const DEFAULT_INTERVAL = '1d';
+
+// الحد الأقصى لعدد الشموع في الطلب الواحد
+const MAX_BUCKETS = 1000;
+
+// جانب السعر المطلوب
+const CANDLE_SIDES = ['buy', 'sell'];
+
+// أسماء بديلة مقبولة في الطلبات
+const INTERVAL_ALIASES = {
+    hour: '1h',
+    day: '1d',
+    week: '1w',
+    month: '1M'
+};
+
+// =====================================================
+// فئة فترات الشموع
+// Candle Intervals Class
+// =====================================================
+class CandleIntervals {
+    /**
+     * تحديد الفترة من المدخلات
+     * Resolve an interval code (or alias); returns null if unknown
+     */
+    static resolve(interval) {
+        if (interval === undefined || interval === null || interval === '') {
+            return CANDLE_INTERVALS[DEFAULT_INTERVAL];
+        }
+
+        const key = String(interval).trim();
+        const code = CANDLE_INTERVALS[key] ? key : INTERVAL_ALIASES[key.toLowerCase()];
+
+        return code ? CANDLE_INTERVALS[code] : null;
+    }
+
+    /**
+     * تحديد نطاق الطلب
+     * Resolve the requested range; defaults to the interval's default span
+     * ending now. Returns { from, to } or { error }
+     */
+    static range(interval, from, to) {
+        const end = to ? new Date(to) : new Date();
+        const start = from
+            ? new Date(from)
+            : new Date(end.getTime() - interval.ms * interval.defaultBuckets);
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return { error: 'from and to must be valid ISO 8601 dates' };
+        }
+
+        if (start >= end) {
+            return { error: 'from must be before to' };
+        }
+
+        if ((end - start) / interval.ms > MAX_BUCKETS) {
+            return { error: `Range too large: at most ${MAX_BUCKETS} ${interval.code} candles per request` };
+        }
+
+        return { from: start, to: end };
+    }
+
+    /**
+     * تحليل معاملات طلب الشموع
+     * Parse candle query parameters (interval, side, from, to);
+     * returns { interval, side, from, to } or { error, code }
+     */
+    static parseQuery({ interval, side, from, to } = {}) {
+        const resolved = CandleIntervals.resolve(interval);
+        if (!resolved) {
+            return {
+                error: `Unsupported interval: ${interval}`,
+                code: 'INVALID_INTERVAL'
+            };
+        }
+
+        const priceSide = side ? String(side).toLowerCase() : 'sell';
+        if (!CANDLE_SIDES.includes(priceSide)) {
+            return {
+                error: `side must be one of: ${CANDLE_SIDES.join(', ')}`,
+                code: 'INVALID_SIDE'
+            };
+        }
+
+        const range = CandleIntervals.range(resolved, from, to);
+        if (range.error) {
+            return { error: range.error, code: 'INVALID_RANGE' };
+        }
+
+        return { interval: resolved, side: priceSide, from: range.from, to: range.to };
+    }
+
+    /**
+     * قائمة الفترات
+     * List supported intervals
+     */
+    static list() {
+        return Object.values(CANDLE_INTERVALS).map(({ code, nameAr, nameEn }) => ({ code, nameAr, nameEn }));
+    }
+}
+
+// =====================================================
+// تصدير الإعدادات والفئة
+// Export configuration and class
+// =====================================================
+module.exports = {
+    CandleIntervals,
+    CANDLE_INTERVALS,
+    CANDLE_SIDES,
+    DEFAULT_INTERVAL,
+    MAX_BUCKETS
+};
@@ -1,9 +1,14 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
 // إصلاح الرابط تلقائياً (إزالة علامات التنصيص إن وجدت)
 const connectionString = process.env.DATABASE_URL ? process.env.DATABASE_URL.replace(/['"]/g, "") : "";
 
+// تحويل الأرقام العشرية والعدادات إلى أرقام بدلاً من نصوص
+// (pg يعيد NUMERIC و BIGINT كنصوص افتراضياً)
+types.setTypeParser(1700, value => parseFloat(value)); // NUMERIC / DECIMAL
+types.setTypeParser(20, value => parseInt(value, 10));  // BIGINT (COUNT(*))
+
 const pool = new Pool({
     connectionString: connectionString,
     ssl: {
@@ -21,9 +26,188 @@ pool.on('error', (err) => {
     console.error('❌ Database Connection Error:', err);
 });
 
+// =====================================================
+// تحويل صيغة SQLite إلى PostgreSQL
+// SQLite to PostgreSQL translation
+// =====================================================
+
+/**
+ * تحويل دوال الوقت الخاصة بـ SQLite
+ * Map SQLite time helpers to PostgreSQL equivalents
+ */
+const translateTimeHelpers = (sql) => {
+    return sql
+        // date('now', '-30 days') => (CURRENT_DATE + INTERVAL '-30 days')
+        .replace(
+            /date\(\s*['"]now['"]\s*,\s*'([+-]?\d+\s+\w+)'\s*\)/gi,
+            "(CURRENT_DATE + INTERVAL '$1')"
+        )
+        // datetime('now', '+1 hour') => (CURRENT_TIMESTAMP + INTERVAL '+1 hour')
+        .replace(
+            /datetime\(\s*['"]now['"]\s*,\s*'([+-]?\d+\s+\w+)'\s*\)/gi,
+            "(CURRENT_TIMESTAMP + INTERVAL '$1')"
+        )
+        // datetime('now') => CURRENT_TIMESTAMP
+        .replace(/datetime\(\s*['"]now['"]\s*\)/gi, 'CURRENT_TIMESTAMP')
+        // date('now') => CURRENT_DATE
+        .replace(/date\(\s*['"]now['"]\s*\)/gi, 'CURRENT_DATE');
+};
+
+/**
+ * تحويل العلامات ? إلى $1, $2, ...
+ * Rewrite positional ? placeholders to $n (ignoring quoted text)
+ */
+const translatePlaceholders = (sql) => {
+    let result = '';
+    let index = 0;
+    let quote = null;
+
+    for (const char of sql) {
+        if (quote) {
+            if (char === quote) quote = null;
+            result += char;
+        } else if (char === '\'' || char === '"') {
+            quote = char;
+            result += char;
+        } else if (char === '?') {
+            index += 1;
+            result += `$${index}`;
+        } else {
+            result += char;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * تحويل الاستعلام بالكامل
+ * Translate a SQLite-style statement for PostgreSQL
+ */
+const translate = (sql) => translatePlaceholders(translateTimeHelpers(sql));
+
+/**
+ * إضافة RETURNING لجمل الإدراج لإرجاع المعرف
+ * Append RETURNING to INSERT statements so inserted ids come back
+ */
+const withReturning = (sql) => {
+    const trimmed = sql.trim().replace(/;$/, '');
+    if (/^insert\s/i.test(trimmed) && !/\breturning\b/i.test(trimmed)) {
+        return `${trimmed} RETURNING *`;
+    }
+    return trimmed;
+};
+
+// =====================================================
+// منفذ الاستعلامات
+// Query executor
+// =====================================================
+
+/**
+ * إنشاء دوال get/all/run فوق أي كائن يملك query (Pool أو Client)
+ * Build get/all/run helpers on top of anything exposing query()
+ */
+const createExecutor = (queryable) => ({
+    /**
+     * تنفيذ استعلام مباشر
+     * Run raw query (PostgreSQL syntax)
+     */
+    query: (text, params) => queryable.query(text, params),
+
+    /**
+     * جلب صف واحد
+     * Get first row or undefined
+     */
+    get: async (sql, params = []) => {
+        const result = await queryable.query(translate(sql), params);
+        return result.rows[0];
+    },
+
+    /**
+     * جلب جميع الصفوف
+     * Get all rows
+     */
+    all: async (sql, params = []) => {
+        const result = await queryable.query(translate(sql), params);
+        return result.rows;
+    },
+
+    /**
+     * تنفيذ جملة تعديل
+     * Run a write statement; returns { id, changes }
+     */
+    run: async (sql, params = []) => {
+        const result = await queryable.query(withReturning(translate(sql)), params);
+        const firstRow = result.rows && result.rows[0];
+
+        return {
+            id: firstRow && firstRow.id !== undefined ? firstRow.id : null,
+            changes: result.rowCount,
+            rows: result.rows || []
+        };
+    }
+});
+
+// =====================================================
+// المعاملات
+// Transactions
+// =====================================================
+
+/**
+ * تنفيذ الدوال المؤجلة بعد نجاح المعاملة
+ * Run deferred callbacks; a failing one never affects the committed data
+ */
+const runAfterCommit = (callbacks) => {
+    for (const fn of callbacks) {
+        try {
+            fn();
+        } catch (error) {
+            console.error('After-commit callback error:', error);
+        }
+    }
+};
+
+/**
+ * تنفيذ دالة داخل معاملة واحدة
+ * Run callback(tx) inside BEGIN/COMMIT; rolls back if it throws.
+ * tx exposes the same get/all/run/query/transaction helpers, and
+ * tx.transaction() joins the running transaction instead of nesting.
+ * tx.afterCommit(fn) defers side effects (events) until COMMIT succeeds.
+ */
+const transaction = async (callback) => {
+    const client = await pool.connect();
+    const tx = createExecutor(client);
+    const committed = [];
+    tx.transaction = (nested) => nested(tx);
+    tx.afterCommit = (fn) => committed.push(fn);
+
+    try {
+        await client.query('BEGIN');
+        const result = await callback(tx);
+        await client.query('COMMIT');
+        runAfterCommit(committed);
+        return result;
+    } catch (error) {
+        try {
+            await client.query('ROLLBACK');
+        } catch (rollbackError) {
+            console.error('Rollback Error:', rollbackError);
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+const executor = createExecutor(pool);
+executor.transaction = transaction;
+// خارج المعاملة كل جملة تُعتمد فوراً
+executor.afterCommit = (fn) => runAfterCommit([fn]);
+
 module.exports = {
     pool,
-    query: (text, params) => pool.query(text, params),
+    ...executor,
+    translate,
     initialize: async () => {
         try {
             await pool.query('SELECT NOW()'); // تجربة استعلام بسيط
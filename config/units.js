@@ -0,0 +1,157 @@
+/**
+ * =====================================================
+ * سجل وحدات الوزن
+ * Weight Units Registry
+ * =====================================================
+ * الملف: backend/config/units.js
+ * الغرض: تعريف وحدات وزن الذهب وتحويل الأسعار بينها
+ * =====================================================
+ */
+
+// =====================================================
+// الوحدة الأساسية: جميع أسعار gold_prices مخزنة للغرام
+// Base unit: every gold_prices value is stored per gram
+// =====================================================
+const DEFAULT_UNIT = 'gram';
+
+// =====================================================
+// الوحدات المدعومة (عدد الغرامات في كل وحدة)
+// Supported units (grams per unit)
+// =====================================================
+const WEIGHT_UNITS = {
+    gram: {
+        code: 'gram',
+        nameAr: 'غرام',
+        nameEn: 'Gram',
+        symbol: 'g',
+        grams: 1
+    },
+    kilogram: {
+        code: 'kilogram',
+        nameAr: 'كيلوغرام',
+        nameEn: 'Kilogram',
+        symbol: 'kg',
+        grams: 1000
+    },
+    ounce: {
+        code: 'ounce',
+        nameAr: 'أونصة',
+        nameEn: 'Troy Ounce',
+        symbol: 'oz t',
+        grams: 31.1034768
+    },
+    tola: {
+        code: 'tola',
+        nameAr: 'تولة',
+        nameEn: 'Tola',
+        symbol: 'tola',
+        grams: 11.6638038
+    },
+    mithqal: {
+        code: 'mithqal',
+        nameAr: 'مثقال',
+        nameEn: 'Mithqal',
+        symbol: 'mithqal',
+        grams: 4.25
+    },
+    baht: {
+        code: 'baht',
+        nameAr: 'بات',
+        nameEn: 'Baht',
+        symbol: 'baht',
+        grams: 15.244
+    }
+};
+
+// أسماء بديلة مقبولة في الطلبات
+const UNIT_ALIASES = {
+    g: 'gram',
+    gr: 'gram',
+    grams: 'gram',
+    kg: 'kilogram',
+    kilo: 'kilogram',
+    oz: 'ounce',
+    ozt: 'ounce',
+    troy_ounce: 'ounce',
+    tolas: 'tola',
+    mithqals: 'mithqal',
+    mitqal: 'mithqal'
+};
+
+// =====================================================
+// فئة وحدات الوزن
+// Weight Units Class
+// =====================================================
+class WeightUnits {
+    /**
+     * تحديد رمز الوحدة من المدخلات
+     * Resolve a unit code (or alias); returns null if unknown
+     */
+    static resolve(unit) {
+        if (unit === undefined || unit === null || unit === '') {
+            return DEFAULT_UNIT;
+        }
+
+        const key = String(unit).trim().toLowerCase();
+        if (WEIGHT_UNITS[key]) {
+            return key;
+        }
+
+        return UNIT_ALIASES[key] || null;
+    }
+
+    /**
+     * التحقق من صحة الوحدة
+     * Check whether unit is supported
+     */
+    static isValid(unit) {
+        return WeightUnits.resolve(unit) !== null;
+    }
+
+    /**
+     * عدد الغرامات في الوحدة
+     * Grams per unit
+     */
+    static gramsPer(unit) {
+        const code = WeightUnits.resolve(unit);
+        if (!code) {
+            throw new Error(`Unsupported weight unit: ${unit}`);
+        }
+        return WEIGHT_UNITS[code].grams;
+    }
+
+    /**
+     * تحويل سعر الغرام إلى سعر الوحدة
+     * Convert a per-gram price into a per-unit price
+     */
+    static fromPerGram(pricePerGram, unit, decimals = 2) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(pricePerGram * WeightUnits.gramsPer(unit) * factor) / factor;
+    }
+
+    /**
+     * تحويل سعر الوحدة إلى سعر الغرام
+     * Convert a per-unit price into a per-gram price
+     */
+    static toPerGram(pricePerUnit, unit) {
+        return pricePerUnit / WeightUnits.gramsPer(unit);
+    }
+
+    /**
+     * قائمة الوحدات
+     * List supported units
+     */
+    static list() {
+        return Object.values(WEIGHT_UNITS);
+    }
+}
+
+// =====================================================
+// تصدير الإعدادات والفئة
+// Export configuration and class
+// =====================================================
+module.exports = {
+    WeightUnits,
+    WEIGHT_UNITS,
+    DEFAULT_UNIT
+};
@@ -0,0 +1,335 @@
+/**
+ * =====================================================
+ * متحكم تنبيهات الأسعار
+ * Price Alerts Controller
+ * =====================================================
+ * الملف: backend/controllers/alertController.js
+ * الغرض: إدارة قواعد تنبيه المستخدم وإشعاراته
+ * =====================================================
+ */
+
+const PriceAlert = require('../models/PriceAlert');
+const Notification = require('../models/Notification');
+const GoldType = require('../models/GoldType');
+const GoldPrice = require('../models/GoldPrice');
+const CurrencyRate = require('../models/CurrencyRate');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تحويل بيانات الطلب إلى بيانات قاعدة
+ * Normalize request body fields (only those present)
+ */
+const parseRuleData = (body = {}) => {
+    const data = {};
+
+    if (body.entityType !== undefined) data.entityType = String(body.entityType).toUpperCase();
+    if (body.entityId !== undefined) data.entityId = Number(body.entityId);
+    if (body.side !== undefined) data.side = String(body.side).toLowerCase();
+    if (body.condition !== undefined) data.condition = String(body.condition).toLowerCase();
+    if (body.threshold !== undefined) data.threshold = Number(body.threshold);
+    if (body.cooldownMinutes !== undefined) data.cooldownMinutes = Number(body.cooldownMinutes);
+    if (body.note !== undefined) data.note = body.note ? String(body.note).slice(0, 255) : null;
+    if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === 'true';
+
+    return data;
+};
+
+/**
+ * السعر الحالي لهدف التنبيه
+ * Current value of the alert target; returns { exists, value }
+ */
+const currentValue = async (entityType, entityId, side) => {
+    if (entityType === 'GOLD_TYPE') {
+        const goldType = await GoldType.findById(entityId);
+        if (!goldType) {
+            return { exists: false, value: null };
+        }
+
+        const price = await GoldPrice.getCurrentPrice(entityId);
+        return { exists: true, value: price ? price[side === 'buy' ? 'buyPrice' : 'sellPrice'] : null };
+    }
+
+    const currencies = await CurrencyRate.getCurrencies();
+    if (!currencies.some(currency => currency.id === entityId)) {
+        return { exists: false, value: null };
+    }
+
+    const rate = await CurrencyRate.getCurrentRate(entityId);
+    return { exists: true, value: rate ? rate[side === 'buy' ? 'buyRate' : 'sellRate'] : null };
+};
+
+/**
+ * جلب قاعدة يملكها المستخدم الحالي
+ * Find a rule owned by the session user (null otherwise)
+ */
+const findOwnRule = async (id, userId) => {
+    const rule = await PriceAlert.findById(id);
+    return rule && rule.userId === userId ? rule : null;
+};
+
+/**
+ * إرسال خطأ قاعدة غير موجودة
+ * Send rule not found error
+ */
+const sendRuleNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Price alert not found',
+    code: 'NOT_FOUND'
+});
+
+// =====================================================
+// فئة متحكم التنبيهات
+// Alert Controller Class
+// =====================================================
+class AlertController {
+    /**
+     * جلب قواعد المستخدم
+     * Get the session user's alert rules
+     */
+    static async getAlerts(req, res) {
+        try {
+            const rules = await PriceAlert.findByUser(req.session.userId);
+
+            return res.status(200).json({
+                success: true,
+                data: rules.map(rule => rule.toJSON()),
+                count: rules.length,
+                conditions: PriceAlert.CONDITIONS
+            });
+        } catch (error) {
+            console.error('Get price alerts error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price alerts',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إنشاء قاعدة تنبيه
+     * Create alert rule (percent rules start from the current price)
+     */
+    static async createAlert(req, res) {
+        try {
+            const data = {
+                side: 'sell',
+                cooldownMinutes: 60,
+                isActive: true,
+                ...parseRuleData(req.body)
+            };
+            const userId = req.session.userId;
+
+            const errors = new PriceAlert({
+                entity_type: data.entityType,
+                entity_id: data.entityId,
+                side: data.side,
+                condition_type: data.condition,
+                threshold: data.threshold,
+                cooldown_minutes: data.cooldownMinutes
+            }).validate();
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const target = await currentValue(data.entityType, data.entityId, data.side);
+            if (!target.exists) {
+                return res.status(404).json({
+                    success: false,
+                    message: data.entityType === 'GOLD_TYPE' ? 'Gold type not found' : 'Currency not found',
+                    code: 'TARGET_NOT_FOUND'
+                });
+            }
+
+            if (data.condition === 'percent_change') {
+                data.referencePrice = target.value;
+            }
+
+            const rule = await PriceAlert.create(data, userId);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Price alert created successfully',
+                data: rule.toJSON()
+            });
+        } catch (error) {
+            console.error('Create price alert error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to create price alert',
+                code: 'CREATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تحديث قاعدة تنبيه
+     * Update alert rule (target cannot change; changing the side or
+     * condition of a percent rule re-bases it on the current price)
+     */
+    static async updateAlert(req, res) {
+        try {
+            const { id } = req.params;
+            const userId = req.session.userId;
+
+            const existing = await findOwnRule(id, userId);
+            if (!existing) {
+                return sendRuleNotFound(res);
+            }
+
+            const data = parseRuleData(req.body);
+            delete data.entityType;
+            delete data.entityId;
+
+            const side = data.side || existing.side;
+            const condition = data.condition || existing.condition;
+
+            const errors = new PriceAlert({
+                entity_type: existing.entityType,
+                entity_id: existing.entityId,
+                side,
+                condition_type: condition,
+                threshold: data.threshold !== undefined ? data.threshold : existing.threshold,
+                cooldown_minutes: data.cooldownMinutes !== undefined
+                    ? data.cooldownMinutes
+                    : existing.cooldownMinutes
+            }).validate();
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (condition === 'percent_change' &&
+                (side !== existing.side || condition !== existing.condition)) {
+                const target = await currentValue(existing.entityType, existing.entityId, side);
+                data.referencePrice = target.value;
+            }
+
+            const rule = await PriceAlert.update(id, data, userId);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Price alert updated successfully',
+                data: rule.toJSON()
+            });
+        } catch (error) {
+            console.error('Update price alert error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update price alert',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * حذف قاعدة تنبيه
+     * Delete alert rule
+     */
+    static async deleteAlert(req, res) {
+        try {
+            const { id } = req.params;
+            const userId = req.session.userId;
+
+            const existing = await findOwnRule(id, userId);
+            if (!existing) {
+                return sendRuleNotFound(res);
+            }
+
+            await PriceAlert.delete(id, userId);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Price alert deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete price alert error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete price alert',
+                code: 'DELETE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * جلب إشعارات المستخدم
+     * Get the session user's notifications
+     */
+    static async getNotifications(req, res) {
+        try {
+            const { unread, limit, offset } = req.query;
+
+            const notifications = await Notification.findByUser(req.session.userId, {
+                unreadOnly: unread === 'true',
+                limit: Math.min(parseInt(limit, 10) || 50, 200),
+                offset: parseInt(offset, 10) || 0
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: notifications.map(notification => notification.toJSON()),
+                count: notifications.length
+            });
+        } catch (error) {
+            console.error('Get notifications error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve notifications',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تعليم إشعار كمقروء
+     * Mark notification as read
+     */
+    static async markNotificationRead(req, res) {
+        try {
+            const { id } = req.params;
+
+            const updated = await Notification.markRead(id, req.session.userId);
+            if (!updated) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Notification not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Notification marked as read'
+            });
+        } catch (error) {
+            console.error('Mark notification read error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update notification',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = AlertController;
@@ -67,6 +67,7 @@ class AuthController {
             req.session.token = sessionToken;
             req.session.csrfToken = csrfToken;
             req.session.role = user.role;
+            req.session.mustChangePassword = user.mustChangePassword === true;
 
             // إعداد الكوكيز
             res.cookie('session_token', sessionToken, {
@@ -85,6 +86,21 @@ class AuthController {
                 path: '/'
             });
 
+            // إجبار تغيير كلمة المرور قبل أي عملية أخرى
+            if (req.session.mustChangePassword) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Password change required before continuing',
+                    code: 'PASSWORD_CHANGE_REQUIRED',
+                    data: {
+                        user: user.toJSON(),
+                        csrfToken: csrfToken,
+                        mustChangePassword: true,
+                        next: '/api/auth/change-password'
+                    }
+                });
+            }
+
             // إرجاع الاستجابة
             return res.status(200).json({
                 success: true,
@@ -121,7 +137,7 @@ class AuthController {
             if (sessionToken) {
                 // إلغاء الجلسة من قاعدة البيانات
                 await db.run(
-                    'UPDATE sessions SET is_valid = 0 WHERE session_token = ?',
+                    'UPDATE sessions SET is_valid = false WHERE session_token = ?',
                     [sessionToken]
                 );
             }
@@ -237,10 +253,11 @@ class AuthController {
 
             // تغيير كلمة المرور
             await User.changePassword(userId, currentPassword, newPassword);
+            req.session.mustChangePassword = false;
 
             // تسجيل الخروج من جميع الجلسات
             await db.run(
-                'UPDATE sessions SET is_valid = 0 WHERE user_id = ? AND session_token != ?',
+                'UPDATE sessions SET is_valid = false WHERE user_id = ? AND session_token != ?',
                 [userId, req.session.token]
             );
 
@@ -281,7 +298,7 @@ class AuthController {
 
             // التحقق من صلاحية الجلسة
             const session = await db.get(
-                'SELECT * FROM sessions WHERE session_token = ? AND is_valid = 1',
+                'SELECT * FROM sessions WHERE session_token = ? AND is_valid = true',
                 [sessionToken]
             );
 
@@ -0,0 +1,326 @@
+/**
+ * =====================================================
+ * متحكم إدارة العملات
+ * Currency Management Controller
+ * =====================================================
+ * الملف: backend/controllers/currencyAdminController.js
+ * الغرض: التحكم في إضافة العملات وتعديلها وإلغاء تفعيلها وترتيبها
+ * =====================================================
+ */
+
+const Currency = require('../models/Currency');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تحويل جسم الطلب إلى بيانات العملة
+ * Map request body to currency data (only provided fields)
+ */
+const parseCurrencyData = (body) => {
+    const { code, nameAr, nameEn, symbol, flagEmoji, decimalPlaces, displayOrder, isActive } = body;
+    const data = {};
+    const trim = (value) => (typeof value === 'string' ? value.trim() : value);
+
+    if (code !== undefined) data.code = typeof code === 'string' ? code.trim().toUpperCase() : code;
+    if (nameAr !== undefined) data.nameAr = trim(nameAr);
+    if (nameEn !== undefined) data.nameEn = trim(nameEn);
+    if (symbol !== undefined) data.symbol = trim(symbol);
+    if (flagEmoji !== undefined) data.flagEmoji = trim(flagEmoji);
+    if (decimalPlaces !== undefined) data.decimalPlaces = Number(decimalPlaces);
+    if (displayOrder !== undefined) data.displayOrder = Number(displayOrder);
+    if (isActive !== undefined) data.isActive = isActive === true;
+
+    return data;
+};
+
+/**
+ * التحقق من بيانات العملة بعد دمجها مع القيم الحالية
+ * Validate currency data merged over an existing currency
+ */
+const validateCurrencyData = (data, existing = new Currency()) => {
+    const merged = new Currency({
+        code: data.code !== undefined ? data.code : existing.code,
+        name_ar: data.nameAr !== undefined ? data.nameAr : existing.nameAr,
+        name_en: data.nameEn !== undefined ? data.nameEn : existing.nameEn,
+        symbol: data.symbol !== undefined ? data.symbol : existing.symbol,
+        flag_emoji: data.flagEmoji !== undefined ? data.flagEmoji : existing.flagEmoji,
+        decimal_places: data.decimalPlaces !== undefined ? data.decimalPlaces : existing.decimalPlaces,
+        display_order: data.displayOrder !== undefined ? data.displayOrder : existing.displayOrder
+    });
+
+    return merged.validate();
+};
+
+/**
+ * طلب إغلاق الأسعار المفتوحة مع إلغاء التفعيل
+ * Whether the request asks to close open rates when deactivating
+ */
+const wantsCloseRates = (req) => req.body.closeRates === true || req.query.closeRates === 'true';
+
+/**
+ * إرسال خطأ تحديث العملة
+ * Map a currency update error to a response; returns true if one was sent
+ */
+const sendUpdateError = (res, error) => {
+    const conflicts = {
+        'Currency code cannot be changed': 'CODE_IMMUTABLE',
+        'Base currency cannot be deactivated': 'BASE_CURRENCY'
+    };
+
+    if (conflicts[error.message]) {
+        res.status(409).json({
+            success: false,
+            message: error.message,
+            code: conflicts[error.message]
+        });
+        return true;
+    }
+
+    if (error.message.startsWith('Currency has open rates')) {
+        res.status(409).json({
+            success: false,
+            message: error.message,
+            code: 'OPEN_RATES',
+            hint: 'Retry with closeRates=true to close the current rate and cancel scheduled ones'
+        });
+        return true;
+    }
+
+    return false;
+};
+
+// =====================================================
+// فئة متحكم إدارة العملات
+// Currency Admin Controller Class
+// =====================================================
+class CurrencyAdminController {
+    /**
+     * جلب جميع العملات (بما فيها غير الفعالة)
+     * Get all currencies including inactive ones
+     */
+    static async getAllCurrencies(req, res) {
+        try {
+            const currencies = await Currency.findAll({ includeInactive: true });
+
+            return res.status(200).json({
+                success: true,
+                data: currencies.map(currency => currency.toJSON()),
+                count: currencies.length
+            });
+        } catch (error) {
+            console.error('Get all currencies error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve currencies',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إضافة عملة جديدة
+     * Create new currency
+     */
+    static async createCurrency(req, res) {
+        try {
+            const data = parseCurrencyData(req.body);
+            const createdBy = req.session?.userId;
+
+            // الخانات العشرية غير المحددة تؤخذ من ISO 4217 عند الإنشاء
+            const errors = validateCurrencyData(data, new Currency({ decimal_places: 0 }));
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const currency = await Currency.create(data, createdBy);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Currency created successfully',
+                data: currency.toJSON()
+            });
+        } catch (error) {
+            console.error('Create currency error:', error);
+
+            if (error.message === 'Currency code already exists') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'CODE_EXISTS'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to create currency',
+                code: 'CREATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تحديث عملة
+     * Update currency
+     */
+    static async updateCurrency(req, res) {
+        try {
+            const { id } = req.params;
+            const data = parseCurrencyData(req.body);
+            const updatedBy = req.session?.userId;
+
+            const existing = await Currency.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Currency not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            const errors = validateCurrencyData(data, existing);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const currency = await Currency.update(id, data, updatedBy, { closeRates: wantsCloseRates(req) });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Currency updated successfully',
+                data: currency.toJSON()
+            });
+        } catch (error) {
+            console.error('Update currency error:', error);
+
+            if (sendUpdateError(res, error)) {
+                return;
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update currency',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إلغاء تفعيل عملة
+     * Deactivate currency (closeRates=true also closes its open rates)
+     */
+    static async deactivateCurrency(req, res) {
+        try {
+            const { id } = req.params;
+            const updatedBy = req.session?.userId;
+
+            const existing = await Currency.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Currency not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            const currency = await Currency.deactivate(id, updatedBy, { closeRates: wantsCloseRates(req) });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Currency deactivated successfully',
+                data: currency.toJSON()
+            });
+        } catch (error) {
+            console.error('Deactivate currency error:', error);
+
+            if (sendUpdateError(res, error)) {
+                return;
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to deactivate currency',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إعادة ترتيب العملات
+     * Reorder currencies
+     */
+    static async reorderCurrencies(req, res) {
+        try {
+            const { order } = req.body;
+            const updatedBy = req.session?.userId;
+
+            if (!Array.isArray(order) || order.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Order must be a non-empty array of currency IDs',
+                    code: 'INVALID_ORDER'
+                });
+            }
+
+            const ids = order.map(id => parseInt(id, 10));
+            if (ids.some(id => isNaN(id)) || new Set(ids).size !== ids.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Order must contain unique numeric IDs',
+                    code: 'INVALID_ORDER'
+                });
+            }
+
+            const currencies = await Currency.reorder(ids, updatedBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Currencies reordered successfully',
+                data: currencies.map(currency => currency.toJSON())
+            });
+        } catch (error) {
+            console.error('Reorder currencies error:', error);
+
+            if (error.missingIds) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: 'INCOMPLETE_ORDER',
+                    missingIds: error.missingIds
+                });
+            }
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to reorder currencies',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = CurrencyAdminController;
@@ -9,6 +9,97 @@
  */
 
 const CurrencyRate = require('../models/CurrencyRate');
+const { CandleIntervals } = require('../config/candles');
+const FeedFormats = require('../services/FeedFormats');
+const PriceStatistics = require('../services/PriceStatistics');
+const {
+    parseEffectiveFrom,
+    parseAsOf,
+    rejectForbiddenForce,
+    sendSanityError,
+    sendStatisticsQueryError,
+    submitForApproval
+} = require('./priceHelpers');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * أعمدة تصدير أسعار العملات (CSV / XML)
+ * Currency rate columns for the CSV and XML formats
+ */
+const RATE_FEED_COLUMNS = [
+    { key: 'id', header: 'id' },
+    { key: 'currencyId', header: 'currency_id' },
+    { key: 'currencyCode', header: 'code' },
+    { key: 'currencyName', header: 'name_ar' },
+    { key: 'currencyNameEn', header: 'name_en' },
+    { key: 'currencySymbol', header: 'symbol' },
+    { key: 'buyRate', header: 'buy_rate' },
+    { key: 'sellRate', header: 'sell_rate' },
+    { key: 'spread', header: 'spread' },
+    { key: 'effectiveFrom', header: 'effective_from' },
+    { key: 'effectiveUntil', header: 'effective_until' }
+];
+
+/**
+ * إرسال أسعار العملات بصيغة غير JSON
+ * Send currency rates as CSV, XML or an Atom feed of rate changes
+ */
+const sendRateFeed = (req, res, format, rates, name, title) => FeedFormats.send(req, res, format, {
+    name,
+    itemName: 'rate',
+    title,
+    columns: RATE_FEED_COLUMNS,
+    rows: rates,
+    entry: (rate) => (rate.id ? {
+        id: `tag:${req.hostname},${new Date(rate.effectiveFrom).toISOString().slice(0, 10)}:currency-rate/${rate.id}`,
+        title: `${rate.currencyName} / ${rate.currencyNameEn} (${rate.currencyCode})`,
+        updated: rate.effectiveFrom,
+        summary: `Buy ${rate.buyRate} / Sell ${rate.sellRate}`
+    } : null)
+});
+
+/**
+ * إرسال خطأ صف أوقف التحديث الجماعي (لم يُنشر أي سعر)
+ * Send the error of the row that aborted a bulk update (nothing was published);
+ * returns true if a response was sent
+ */
+const sendBulkRowError = (res, error) => {
+    if (error.currencyId === undefined) {
+        return false;
+    }
+
+    const row = { currencyId: error.currencyId };
+
+    if (sendSanityError(res, error, row)) {
+        return true;
+    }
+
+    if (error.message === 'Currency not found') {
+        res.status(404).json({
+            success: false,
+            message: `Currency ${error.currencyId} not found; no rates were updated`,
+            code: 'NOT_FOUND',
+            ...row
+        });
+        return true;
+    }
+
+    if (error.message.includes('already scheduled')) {
+        res.status(409).json({
+            success: false,
+            message: `${error.message} for currency ${error.currencyId}; no rates were updated`,
+            code: 'SCHEDULE_CONFLICT',
+            ...row
+        });
+        return true;
+    }
+
+    return false;
+};
 
 // =====================================================
 // فئة متحكم العملات
@@ -21,8 +112,22 @@ class CurrencyController {
      */
     static async getAllRates(req, res) {
         try {
+            const format = FeedFormats.negotiate(req, res);
+            if (FeedFormats.sendError(res, format)) {
+                return;
+            }
+
             const rates = await CurrencyRate.getAllCurrentRates();
 
+            if (format.code !== 'json') {
+                return await sendRateFeed(
+                    req, res, format.code,
+                    rates.map(rate => rate.toJSON()),
+                    'currency-rates',
+                    'أسعار العملات / Currency Rates'
+                );
+            }
+
             return res.status(200).json({
                 success: true,
                 data: rates.map(rate => rate.toJSON()),
@@ -76,19 +181,35 @@ class CurrencyController {
     static async getCurrentRate(req, res) {
         try {
             const { currencyId } = req.params;
-            const rate = await CurrencyRate.getCurrentRate(currencyId);
-
-            if (!rate) {
-                return res.status(404).json({
+            const asOf = parseAsOf(req.query.asOf);
+            if (asOf.error) {
+                return res.status(400).json({
                     success: false,
-                    message: 'No current rate found for this currency',
-                    code: 'NOT_FOUND'
+                    message: asOf.error,
+                    code: 'INVALID_AS_OF'
                 });
             }
 
+            const rate = await CurrencyRate.getRateAsOf(currencyId, asOf.value);
+
+            if (!rate) {
+                return res.status(404).json(asOf.value
+                    ? {
+                        success: false,
+                        message: `No rate was in effect for this currency at ${asOf.value}`,
+                        code: 'NO_RATE_IN_EFFECT'
+                    }
+                    : {
+                        success: false,
+                        message: 'No current rate found for this currency',
+                        code: 'NOT_FOUND'
+                    });
+            }
+
             return res.status(200).json({
                 success: true,
-                data: rate.toJSON()
+                data: rate.toJSON(),
+                asOf: asOf.value
             });
         } catch (error) {
             console.error('Get current currency rate error:', error);
@@ -107,19 +228,35 @@ class CurrencyController {
     static async getRateByCode(req, res) {
         try {
             const { code } = req.params;
-            const rate = await CurrencyRate.getCurrentRateByCode(code);
-
-            if (!rate) {
-                return res.status(404).json({
+            const asOf = parseAsOf(req.query.asOf);
+            if (asOf.error) {
+                return res.status(400).json({
                     success: false,
-                    message: 'No current rate found for this currency code',
-                    code: 'NOT_FOUND'
+                    message: asOf.error,
+                    code: 'INVALID_AS_OF'
                 });
             }
 
+            const rate = await CurrencyRate.getCurrentRateByCode(code, asOf.value);
+
+            if (!rate) {
+                return res.status(404).json(asOf.value
+                    ? {
+                        success: false,
+                        message: `No rate was in effect for this currency code at ${asOf.value}`,
+                        code: 'NO_RATE_IN_EFFECT'
+                    }
+                    : {
+                        success: false,
+                        message: 'No current rate found for this currency code',
+                        code: 'NOT_FOUND'
+                    });
+            }
+
             return res.status(200).json({
                 success: true,
-                data: rate.toJSON()
+                data: rate.toJSON(),
+                asOf: asOf.value
             });
         } catch (error) {
             console.error('Get rate by code error:', error);
@@ -162,6 +299,7 @@ class CurrencyController {
         try {
             const { currencyId, buyRate, sellRate, marginBuy, marginSell, isManual } = req.body;
             const updatedBy = req.session?.userId;
+            const effectiveFrom = parseEffectiveFrom(req.body.effectiveFrom);
 
             // التحقق من المدخلات
             if (!currencyId || buyRate === undefined || sellRate === undefined) {
@@ -181,23 +319,74 @@ class CurrencyController {
                 });
             }
 
-            // إنشاء السعر
-            const rate = await CurrencyRate.create({
-                currencyId,
+            if (effectiveFrom.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: effectiveFrom.error,
+                    code: 'INVALID_EFFECTIVE_FROM'
+                });
+            }
+
+            if (rejectForbiddenForce(req, res)) {
+                return;
+            }
+
+            const rateData = {
                 buyRate: parseFloat(buyRate),
                 sellRate: parseFloat(sellRate),
-                marginBuy: marginBuy !== undefined ? parseFloat(marginBuy) : 0,
-                marginSell: marginSell !== undefined ? parseFloat(marginSell) : 0,
-                isManual: isManual === true
+                marginBuy: marginBuy !== undefined ? parseFloat(marginBuy) : undefined,
+                marginSell: marginSell !== undefined ? parseFloat(marginSell) : undefined,
+                isManual: isManual === true,
+                effectiveFrom: effectiveFrom.value
+            };
+
+            // تغييرات المدير تنتظر اعتماد مشرف عند التفعيل
+            if (await submitForApproval(req, res, {
+                entityType: 'CURRENCY',
+                entityId: parseInt(currencyId, 10),
+                action: 'CREATE',
+                payload: rateData
+            }, 'Rate change submitted for approval')) {
+                return;
+            }
+
+            // إنشاء السعر (فوراً أو مجدولاً)
+            const rate = await CurrencyRate.create({
+                ...rateData,
+                currencyId,
+                force: req.body.force === true
             }, updatedBy);
 
             return res.status(201).json({
                 success: true,
-                message: 'Currency rate created successfully',
+                message: effectiveFrom.value
+                    ? 'Currency rate scheduled successfully'
+                    : 'Currency rate created successfully',
                 data: rate.toJSON()
             });
         } catch (error) {
             console.error('Create currency rate error:', error);
+
+            if (sendSanityError(res, error)) {
+                return;
+            }
+
+            if (error.message === 'Currency not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            if (error.message.includes('already scheduled')) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'SCHEDULE_CONFLICT'
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Failed to create currency rate',
@@ -206,6 +395,73 @@ class CurrencyController {
         }
     }
 
+    /**
+     * جلب الأسعار المجدولة
+     * Get pending scheduled rates
+     */
+    static async getScheduledRates(req, res) {
+        try {
+            const { currencyId } = req.query;
+            const rates = await CurrencyRate.getScheduled(currencyId ? parseInt(currencyId, 10) : null);
+
+            return res.status(200).json({
+                success: true,
+                data: rates.map(rate => rate.toJSON()),
+                count: rates.length
+            });
+        } catch (error) {
+            console.error('Get scheduled currency rates error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve scheduled currency rates',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إلغاء سعر مجدول
+     * Cancel a pending scheduled rate
+     */
+    static async cancelScheduledRate(req, res) {
+        try {
+            const { id } = req.params;
+            const cancelledBy = req.session?.userId;
+
+            const rate = await CurrencyRate.cancelScheduled(id, cancelledBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Scheduled currency rate cancelled successfully',
+                data: rate.toJSON()
+            });
+        } catch (error) {
+            console.error('Cancel scheduled currency rate error:', error);
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Currency rate not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            if (error.message.includes('Only pending')) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_PENDING'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to cancel scheduled currency rate',
+                code: 'DELETE_ERROR'
+            });
+        }
+    }
+
     /**
      * تحديث سعر عملة
      * Update currency rate
@@ -233,6 +489,21 @@ class CurrencyController {
             if (marginBuy !== undefined) updateData.marginBuy = parseFloat(marginBuy);
             if (marginSell !== undefined) updateData.marginSell = parseFloat(marginSell);
             if (isManual !== undefined) updateData.isManual = isManual === true;
+            if (req.body.force === true) updateData.force = true;
+
+            if (rejectForbiddenForce(req, res)) {
+                return;
+            }
+
+            if (await submitForApproval(req, res, {
+                entityType: 'CURRENCY',
+                entityId: existingRate.currencyId,
+                action: 'UPDATE',
+                targetId: existingRate.id,
+                payload: updateData
+            }, 'Rate change submitted for approval')) {
+                return;
+            }
 
             // تحديث السعر
             const rate = await CurrencyRate.update(id, updateData, updatedBy);
@@ -244,6 +515,11 @@ class CurrencyController {
             });
         } catch (error) {
             console.error('Update currency rate error:', error);
+
+            if (sendSanityError(res, error)) {
+                return;
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Failed to update currency rate',
@@ -252,6 +528,63 @@ class CurrencyController {
         }
     }
 
+    /**
+     * استرجاع سعر سابق
+     * Revert to a historical rate (batch=true restores its whole batch)
+     */
+    static async revertRate(req, res) {
+        try {
+            const { id } = req.params;
+            const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : '';
+            const updatedBy = req.session?.userId;
+
+            if (!reason) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A reason is required to revert a rate',
+                    code: 'REASON_REQUIRED'
+                });
+            }
+
+            const rates = await CurrencyRate.revert(id, reason, updatedBy, {
+                batch: req.body.batch === true
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: rates.length > 1
+                    ? 'Currency rate batch reverted successfully'
+                    : 'Currency rate reverted successfully',
+                data: rates.map(rate => rate.toJSON()),
+                count: rates.length
+            });
+        } catch (error) {
+            console.error('Revert currency rate error:', error);
+
+            if (error.message === 'Currency rate not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            if (error.message.includes('scheduled') || error.message.includes('already current')) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'REVERT_NOT_ALLOWED'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to revert currency rate',
+                code: 'REVERT_ERROR'
+            });
+        }
+    }
+
     /**
      * حذف سعر عملة
      * Delete currency rate
@@ -294,6 +627,11 @@ class CurrencyController {
      */
     static async getRateHistory(req, res) {
         try {
+            const format = FeedFormats.negotiate(req, res);
+            if (FeedFormats.sendError(res, format)) {
+                return;
+            }
+
             const { currencyId } = req.params;
             const { startDate, endDate, limit, offset } = req.query;
 
@@ -305,6 +643,15 @@ class CurrencyController {
 
             const history = await CurrencyRate.getHistory(currencyId, options);
 
+            if (format.code !== 'json') {
+                return await sendRateFeed(
+                    req, res, format.code,
+                    history.map(rate => rate.toJSON()),
+                    `currency-rate-history-${parseInt(currencyId, 10)}`,
+                    'سجل أسعار العملات / Currency Rate History'
+                );
+            }
+
             return res.status(200).json({
                 success: true,
                 data: history.map(rate => rate.toJSON()),
@@ -320,6 +667,45 @@ class CurrencyController {
         }
     }
 
+    /**
+     * جلب شموع أسعار العملة
+     * Get OHLC candles for a currency
+     */
+    static async getCandles(req, res) {
+        try {
+            const { currencyId } = req.params;
+            const query = CandleIntervals.parseQuery(req.query);
+
+            if (query.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: query.error,
+                    code: query.code,
+                    supportedIntervals: CandleIntervals.list().map(i => i.code)
+                });
+            }
+
+            const candles = await CurrencyRate.getCandles(currencyId, query.interval, query);
+
+            return res.status(200).json({
+                success: true,
+                data: candles,
+                count: candles.length,
+                interval: query.interval.code,
+                side: query.side,
+                from: query.from.toISOString(),
+                to: query.to.toISOString()
+            });
+        } catch (error) {
+            console.error('Get currency rate candles error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve rate candles',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
     /**
      * تحويل العملات
      * Convert currencies
@@ -346,12 +732,23 @@ class CurrencyController {
                 });
             }
 
+            // لحظة التحويل (اختيارية)
+            const asOf = parseAsOf(req.body.asOf);
+            if (asOf.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: asOf.error,
+                    code: 'INVALID_AS_OF'
+                });
+            }
+
             // تحويل العملة
             const result = await CurrencyRate.convert(
                 parseFloat(amount),
                 from.toUpperCase(),
                 to.toUpperCase(),
-                type || 'buy'
+                type || 'buy',
+                asOf.value
             );
 
             return res.status(200).json({
@@ -360,6 +757,21 @@ class CurrencyController {
             });
         } catch (error) {
             console.error('Currency conversion error:', error);
+
+            if (error.message === 'Currency rate not found') {
+                return res.status(404).json(req.body.asOf
+                    ? {
+                        success: false,
+                        message: `No rate was in effect for both currencies at ${req.body.asOf}`,
+                        code: 'NO_RATE_IN_EFFECT'
+                    }
+                    : {
+                        success: false,
+                        message: 'No current rate found for one of the currencies',
+                        code: 'NOT_FOUND'
+                    });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Currency conversion failed',
@@ -369,16 +781,25 @@ class CurrencyController {
     }
 
     /**
-     * جلب إحصائيات أسعار العملة
-     * Get currency rate statistics
+     * إحصائيات الأسعار
+     * Get statistics for one currency: changes vs 1d/1w/1M ago,
+     * standard deviation, moving averages and average spread
      */
     static async getStatistics(req, res) {
         try {
-            const { currencyId } = req.params;
-            const { days } = req.query;
+            const query = PriceStatistics.parseQuery(req.query);
+            if (sendStatisticsQueryError(res, query)) {
+                return;
+            }
 
-            const daysCount = days ? parseInt(days, 10) : 30;
-            const stats = await CurrencyRate.getStatistics(currencyId, daysCount);
+            const stats = await PriceStatistics.forEntity('currency', req.params.currencyId, query);
+            if (!stats) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Currency not found',
+                    code: 'CURRENCY_NOT_FOUND'
+                });
+            }
 
             return res.status(200).json({
                 success: true,
@@ -388,7 +809,35 @@ class CurrencyController {
             console.error('Get currency rate statistics error:', error);
             return res.status(500).json({
                 success: false,
-                message: 'Failed to retrieve rate statistics',
+                message: 'Failed to retrieve price statistics',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إحصائيات جميع العملات
+     * Get statistics for every active non-base currency
+     */
+    static async getAllStatistics(req, res) {
+        try {
+            const query = PriceStatistics.parseQuery(req.query);
+            if (sendStatisticsQueryError(res, query)) {
+                return;
+            }
+
+            const stats = await PriceStatistics.forAll('currency', query);
+
+            return res.status(200).json({
+                success: true,
+                data: stats,
+                count: stats.length
+            });
+        } catch (error) {
+            console.error('Get all currency rate statistics error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price statistics',
                 code: 'FETCH_ERROR'
             });
         }
@@ -426,6 +875,37 @@ class CurrencyController {
         }
     }
 
+    /**
+     * مصفوفة أسعار الصرف المتقاطعة
+     * Buy and sell cross rates between every active currency (optionally asOf)
+     */
+    static async getRateMatrix(req, res) {
+        try {
+            const asOf = parseAsOf(req.query.asOf);
+            if (asOf.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: asOf.error,
+                    code: 'INVALID_AS_OF'
+                });
+            }
+
+            const matrix = await CurrencyRate.getCrossRateMatrix(asOf.value);
+
+            return res.status(200).json({
+                success: true,
+                data: matrix
+            });
+        } catch (error) {
+            console.error('Get rate matrix error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to build cross rate matrix',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
     /**
      * تحديث جميع أسعار العملات
      * Update all currency rates
@@ -435,6 +915,10 @@ class CurrencyController {
             const { rates } = req.body;
             const updatedBy = req.session?.userId;
 
+            if (rejectForbiddenForce(req, res)) {
+                return;
+            }
+
             if (!Array.isArray(rates) || rates.length === 0) {
                 return res.status(400).json({
                     success: false,
@@ -443,36 +927,68 @@ class CurrencyController {
                 });
             }
 
-            const updatedRates = [];
+            const validRates = [];
             const errors = [];
 
+            // التحقق من وجود العملات قبل المعاملة حتى لا يُلغي صف واحد الدفعة كاملة
+            const currencyIds = new Set(
+                (await CurrencyRate.getCurrencies({ includeInactive: true })).map(currency => currency.id)
+            );
+
             for (const rateData of rates) {
-                try {
-                    const { currencyId, buyRate, sellRate } = rateData;
-                    
-                    if (!currencyId || buyRate === undefined || sellRate === undefined) {
-                        errors.push({ currencyId, error: 'Missing required fields' });
-                        continue;
-                    }
+                const { currencyId, buyRate, sellRate } = rateData;
+                
+                if (!currencyId || buyRate === undefined || sellRate === undefined) {
+                    errors.push({ currencyId, error: 'Missing required fields', code: 'MISSING_FIELDS' });
+                    continue;
+                }
 
-                    const rate = await CurrencyRate.create({
-                        currencyId,
-                        buyRate: parseFloat(buyRate),
-                        sellRate: parseFloat(sellRate),
-                        marginBuy: rateData.marginBuy || 0,
-                        marginSell: rateData.marginSell || 0,
-                        isManual: rateData.isManual || false
-                    }, updatedBy);
-
-                    updatedRates.push(rate.toJSON());
-                } catch (error) {
-                    errors.push({ 
-                        currencyId: rateData.currencyId, 
-                        error: error.message 
-                    });
+                if (isNaN(buyRate) || isNaN(sellRate) || buyRate <= 0 || sellRate <= 0) {
+                    errors.push({ currencyId, error: 'Rates must be positive numbers', code: 'INVALID_RATES' });
+                    continue;
                 }
+
+                if (!currencyIds.has(parseInt(currencyId, 10))) {
+                    errors.push({ currencyId, error: 'Currency not found', code: 'NOT_FOUND' });
+                    continue;
+                }
+
+                const effectiveFrom = parseEffectiveFrom(rateData.effectiveFrom);
+                if (effectiveFrom.error) {
+                    errors.push({ currencyId, error: effectiveFrom.error, code: 'INVALID_EFFECTIVE_FROM' });
+                    continue;
+                }
+
+                validRates.push({
+                    currencyId,
+                    buyRate: parseFloat(buyRate),
+                    sellRate: parseFloat(sellRate),
+                    marginBuy: rateData.marginBuy !== undefined ? parseFloat(rateData.marginBuy) : undefined,
+                    marginSell: rateData.marginSell !== undefined ? parseFloat(rateData.marginSell) : undefined,
+                    isManual: rateData.isManual || false,
+                    effectiveFrom: effectiveFrom.value,
+                    force: req.body.force === true
+                });
+            }
+
+            // لا يوجد صف صالح للنشر
+            if (validRates.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No valid rates to update',
+                    code: 'INVALID_RATES',
+                    data: {
+                        errors,
+                        totalProcessed: rates.length,
+                        errorCount: errors.length
+                    }
+                });
             }
 
+            // نشر جميع الأسعار الصالحة في معاملة واحدة (الكل أو لا شيء)
+            const created = await CurrencyRate.bulkCreate(validRates, updatedBy);
+            const updatedRates = created.map(rate => rate.toJSON());
+
             return res.status(200).json({
                 success: true,
                 message: 'Bulk update completed',
@@ -486,6 +1002,11 @@ class CurrencyController {
             });
         } catch (error) {
             console.error('Bulk update error:', error);
+
+            if (sendBulkRowError(res, error)) {
+                return;
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Bulk update failed',
@@ -0,0 +1,153 @@
+/**
+ * =====================================================
+ * متحكم مصادر الأسعار
+ * Price Feeds Controller
+ * =====================================================
+ * الملف: backend/controllers/feedController.js
+ * الغرض: إدارة إعدادات مصادر الأسعار وتشغيلها يدوياً
+ * =====================================================
+ */
+
+const StoreSettings = require('../models/StoreSettings');
+const PriceFeedScheduler = require('../services/PriceFeedScheduler');
+const { validateFeedConfigs, normalizeFeedConfig } = require('../services/priceFeeds');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تشغيل مصدر وإرسال النتيجة
+ * Run (or dry-run) the feed named in the route and send the result
+ */
+const executeFeed = async (req, res, dryRun) => {
+    try {
+        const { id } = req.params;
+
+        const feed = await PriceFeedScheduler.findFeed(id);
+        if (!feed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price feed not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        const result = await PriceFeedScheduler.runFeed(feed, {
+            input: req.body && Object.keys(req.body).length > 0 ? req.body : null,
+            dryRun,
+            force: true
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: dryRun ? 'Feed fetched (nothing published)' : 'Feed run completed',
+            data: result
+        });
+    } catch (error) {
+        console.error('Run price feed error:', error);
+
+        if (error.message.includes('already running')) {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: 'FEED_BUSY'
+            });
+        }
+
+        return res.status(502).json({
+            success: false,
+            message: error.message,
+            code: 'FEED_ERROR'
+        });
+    }
+};
+
+// =====================================================
+// فئة متحكم المصادر
+// Feed Controller Class
+// =====================================================
+class FeedController {
+    /**
+     * جلب المصادر وحالتها
+     * Get feeds with their runtime status
+     */
+    static async getFeeds(req, res) {
+        try {
+            const feeds = await PriceFeedScheduler.getStatus();
+
+            return res.status(200).json({
+                success: true,
+                data: feeds,
+                count: feeds.length,
+                schedulerRunning: PriceFeedScheduler.timer !== null
+            });
+        } catch (error) {
+            console.error('Get price feeds error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price feeds',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * استبدال إعدادات المصادر
+     * Replace the feed configuration list
+     */
+    static async updateFeeds(req, res) {
+        try {
+            const { feeds } = req.body;
+            const updatedBy = req.session?.userId;
+
+            const errors = validateFeedConfigs(feeds);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            await StoreSettings.set('price_feeds', feeds.map(normalizeFeedConfig), 'json', updatedBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Price feeds updated successfully',
+                data: await PriceFeedScheduler.getStatus()
+            });
+        } catch (error) {
+            console.error('Update price feeds error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update price feeds',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تجربة مصدر بدون نشر
+     * Fetch a feed without publishing anything
+     */
+    static async testFeed(req, res) {
+        return executeFeed(req, res, true);
+    }
+
+    /**
+     * تشغيل مصدر فوراً
+     * Run a feed now (manual feeds take the reading from the body)
+     */
+    static async runFeed(req, res) {
+        return executeFeed(req, res, false);
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = FeedController;
@@ -9,6 +9,129 @@
  */
 
 const GoldPrice = require('../models/GoldPrice');
+const CurrencyRate = require('../models/CurrencyRate');
+const StoreSettings = require('../models/StoreSettings');
+const { WeightUnits } = require('../config/units');
+const { CandleIntervals } = require('../config/candles');
+const GoldQuoteService = require('../services/GoldQuoteService');
+const FeedFormats = require('../services/FeedFormats');
+const PriceStatistics = require('../services/PriceStatistics');
+const {
+    parseEffectiveFrom,
+    parseAsOf,
+    rejectForbiddenForce,
+    sendSanityError,
+    sendStatisticsQueryError,
+    submitForApproval
+} = require('./priceHelpers');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * إرسال خطأ وحدة وزن غير مدعومة
+ * Send unsupported unit error
+ */
+const sendInvalidUnit = (res, unit) => res.status(400).json({
+    success: false,
+    message: `Unsupported weight unit: ${unit}`,
+    code: 'INVALID_UNIT',
+    supportedUnits: WeightUnits.list().map(u => u.code)
+});
+
+/**
+ * أعمدة تصدير أسعار الذهب (CSV / XML)
+ * Gold price columns for the CSV and XML formats
+ */
+const PRICE_FEED_COLUMNS = [
+    { key: 'id', header: 'id' },
+    { key: 'goldTypeId', header: 'gold_type_id' },
+    { key: 'goldTypeName', header: 'name_ar' },
+    { key: 'goldTypeNameEn', header: 'name_en' },
+    { key: 'karat', header: 'karat' },
+    { key: 'purity', header: 'purity' },
+    { key: 'buyPrice', header: 'buy_price' },
+    { key: 'sellPrice', header: 'sell_price' },
+    { key: 'spread', header: 'spread' },
+    { key: 'unit', header: 'unit' },
+    { key: 'currency', header: 'currency' },
+    { key: 'effectiveFrom', header: 'effective_from' },
+    { key: 'effectiveUntil', header: 'effective_until' }
+];
+
+/**
+ * إرسال أسعار الذهب بصيغة غير JSON
+ * Send gold prices as CSV, XML or an Atom feed of price changes
+ */
+const sendPriceFeed = (req, res, format, prices, name, title) => FeedFormats.send(req, res, format, {
+    name,
+    itemName: 'price',
+    title,
+    columns: PRICE_FEED_COLUMNS,
+    rows: prices,
+    entry: (price) => (price.id ? {
+        id: `tag:${req.hostname},${new Date(price.effectiveFrom).toISOString().slice(0, 10)}:gold-price/${price.id}`,
+        title: `${price.goldTypeName} / ${price.goldTypeNameEn}`,
+        updated: price.effectiveFrom,
+        summary: `Buy ${price.buyPrice} / Sell ${price.sellPrice}` +
+            `${price.currency ? ` ${price.currency}` : ''} per ${price.unit}`
+    } : null)
+});
+
+/**
+ * تحديد عملة التسعير المطلوبة (الافتراضي: عملة العرض)
+ * Resolve the requested quote currency against the store display currency,
+ * at current rates or those in effect at asOf
+ */
+const resolveQuoteCurrency = async (requested, asOf = null) => {
+    const displayCurrency = await StoreSettings.getDisplayCurrency();
+    const code = requested ? String(requested).trim().toUpperCase() : displayCurrency;
+    const quotes = await CurrencyRate.getQuoteRates(displayCurrency, asOf);
+    let quote = quotes.find(q => q.code === code) || null;
+
+    // عملة العرض تبقى صالحة حتى لو لم تكن ضمن العملات الفعالة
+    if (!quote && code === displayCurrency) {
+        quote = { code, decimalPlaces: 2, rate: 1 };
+    }
+
+    return { code, displayCurrency, quote, quotes };
+};
+
+/**
+ * إرسال خطأ عملة غير مدعومة أو بدون سعر
+ * Send unknown currency / missing FX rate error; returns true if a response was sent
+ */
+const sendCurrencyError = (res, { code, quote, quotes }) => {
+    if (!quote) {
+        res.status(400).json({
+            success: false,
+            message: `Unsupported currency: ${code}`,
+            code: 'INVALID_CURRENCY',
+            supportedCurrencies: quotes.map(q => q.code)
+        });
+        return true;
+    }
+
+    if (quote.rate === null) {
+        res.status(422).json({
+            success: false,
+            message: `No exchange rate available for ${code}`,
+            code: 'FX_RATE_UNAVAILABLE'
+        });
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * تسعير سعر ذهب بالعملة والوحدة المطلوبتين
+ * Express a gold price in the quote currency and weight unit
+ */
+const quotePrice = (price, quote, unit) =>
+    price.inCurrency(quote.code, quote.rate).inUnit(unit, quote.decimalPlaces);
 
 // =====================================================
 // فئة متحكم الذهب
@@ -21,12 +144,34 @@ class GoldController {
      */
     static async getAllPrices(req, res) {
         try {
+            const format = FeedFormats.negotiate(req, res);
+            if (FeedFormats.sendError(res, format)) {
+                return;
+            }
+
+            const unit = WeightUnits.resolve(req.query.unit);
+            if (!unit) {
+                return sendInvalidUnit(res, req.query.unit);
+            }
+
+            const currency = await resolveQuoteCurrency(req.query.currency);
+            if (sendCurrencyError(res, currency)) {
+                return;
+            }
+
             const prices = await GoldPrice.getAllCurrentPrices();
+            const data = prices.map(price => quotePrice(price, currency.quote, unit).toJSON());
+
+            if (format.code !== 'json') {
+                return await sendPriceFeed(req, res, format.code, data, 'gold-prices', 'أسعار الذهب / Gold Prices');
+            }
 
             return res.status(200).json({
                 success: true,
-                data: prices.map(price => price.toJSON()),
-                count: prices.length
+                data,
+                count: prices.length,
+                unit,
+                currency: currency.code
             });
         } catch (error) {
             console.error('Get all gold prices error:', error);
@@ -38,6 +183,73 @@ class GoldController {
         }
     }
 
+    /**
+     * لوحة الأسعار بجميع العملات الفعالة
+     * Price board: every active gold type priced in every active currency
+     */
+    static async getBoard(req, res) {
+        try {
+            const unit = WeightUnits.resolve(req.query.unit);
+            if (!unit) {
+                return sendInvalidUnit(res, req.query.unit);
+            }
+
+            const { displayCurrency, quotes } = await resolveQuoteCurrency();
+            const prices = await GoldPrice.getAllCurrentPrices();
+
+            // تصفية العملات المطلوبة إن حُددت (?currencies=USD,EUR)
+            const requested = req.query.currencies
+                ? String(req.query.currencies).split(',').map(code => code.trim().toUpperCase()).filter(Boolean)
+                : null;
+            const currencies = requested
+                ? quotes.filter(quote => requested.includes(quote.code))
+                : quotes;
+
+            const types = prices.map(price => ({
+                goldTypeId: price.goldTypeId,
+                goldTypeName: price.goldTypeName,
+                goldTypeNameEn: price.goldTypeNameEn,
+                karat: price.karat,
+                purity: price.purity,
+                effectiveFrom: price.effectiveFrom,
+                prices: Object.fromEntries(currencies.map(quote => {
+                    if (quote.rate === null || !price.id) {
+                        return [quote.code, null];
+                    }
+
+                    const quoted = quotePrice(price, quote, unit);
+                    return [quote.code, {
+                        buyPrice: quoted.buyPrice,
+                        sellPrice: quoted.sellPrice,
+                        spread: quoted.spread
+                    }];
+                }))
+            }));
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    baseCurrency: displayCurrency,
+                    unit,
+                    currencies: currencies.map(quote => ({
+                        ...quote,
+                        rate: quote.rate !== null ? Math.round(quote.rate * 1000000) / 1000000 : null,
+                        available: quote.rate !== null
+                    })),
+                    types
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Get gold board error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve gold price board',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
     /**
      * جلب سعر الذهب حسب المعرف
      * Get gold price by ID
@@ -76,19 +288,45 @@ class GoldController {
     static async getCurrentPrice(req, res) {
         try {
             const { goldTypeId } = req.params;
-            const price = await GoldPrice.getCurrentPrice(goldTypeId);
+            const unit = WeightUnits.resolve(req.query.unit);
+            if (!unit) {
+                return sendInvalidUnit(res, req.query.unit);
+            }
 
-            if (!price) {
-                return res.status(404).json({
+            const asOf = parseAsOf(req.query.asOf);
+            if (asOf.error) {
+                return res.status(400).json({
                     success: false,
-                    message: 'No current price found for this gold type',
-                    code: 'NOT_FOUND'
+                    message: asOf.error,
+                    code: 'INVALID_AS_OF'
                 });
             }
 
+            const currency = await resolveQuoteCurrency(req.query.currency, asOf.value);
+            if (sendCurrencyError(res, currency)) {
+                return;
+            }
+
+            const price = await GoldPrice.getPriceAsOf(goldTypeId, asOf.value);
+
+            if (!price) {
+                return res.status(404).json(asOf.value
+                    ? {
+                        success: false,
+                        message: `No price was in effect for this gold type at ${asOf.value}`,
+                        code: 'NO_PRICE_IN_EFFECT'
+                    }
+                    : {
+                        success: false,
+                        message: 'No current price found for this gold type',
+                        code: 'NOT_FOUND'
+                    });
+            }
+
             return res.status(200).json({
                 success: true,
-                data: price.toJSON()
+                data: quotePrice(price, currency.quote, unit).toJSON(),
+                asOf: asOf.value
             });
         } catch (error) {
             console.error('Get current gold price error:', error);
@@ -123,6 +361,18 @@ class GoldController {
         }
     }
 
+    /**
+     * جلب وحدات الوزن المدعومة
+     * Get supported weight units
+     */
+    static async getUnits(req, res) {
+        return res.status(200).json({
+            success: true,
+            data: WeightUnits.list(),
+            count: WeightUnits.list().length
+        });
+    }
+
     /**
      * إنشاء سعر ذهب جديد
      * Create new gold price
@@ -131,6 +381,7 @@ class GoldController {
         try {
             const { goldTypeId, buyPrice, sellPrice, marginBuy, marginSell, isManual } = req.body;
             const updatedBy = req.session?.userId;
+            const effectiveFrom = parseEffectiveFrom(req.body.effectiveFrom);
 
             // التحقق من المدخلات
             if (!goldTypeId || buyPrice === undefined || sellPrice === undefined) {
@@ -150,23 +401,74 @@ class GoldController {
                 });
             }
 
-            // إنشاء السعر
-            const price = await GoldPrice.create({
-                goldTypeId,
+            if (effectiveFrom.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: effectiveFrom.error,
+                    code: 'INVALID_EFFECTIVE_FROM'
+                });
+            }
+
+            if (rejectForbiddenForce(req, res)) {
+                return;
+            }
+
+            const priceData = {
                 buyPrice: parseFloat(buyPrice),
                 sellPrice: parseFloat(sellPrice),
-                marginBuy: marginBuy !== undefined ? parseFloat(marginBuy) : 0,
-                marginSell: marginSell !== undefined ? parseFloat(marginSell) : 0,
-                isManual: isManual === true
+                marginBuy: marginBuy !== undefined ? parseFloat(marginBuy) : undefined,
+                marginSell: marginSell !== undefined ? parseFloat(marginSell) : undefined,
+                isManual: isManual === true,
+                effectiveFrom: effectiveFrom.value
+            };
+
+            // تغييرات المدير تنتظر اعتماد مشرف عند التفعيل
+            if (await submitForApproval(req, res, {
+                entityType: 'GOLD_TYPE',
+                entityId: parseInt(goldTypeId, 10),
+                action: 'CREATE',
+                payload: priceData
+            })) {
+                return;
+            }
+
+            // إنشاء السعر (فوراً أو مجدولاً)
+            const price = await GoldPrice.create({
+                ...priceData,
+                goldTypeId,
+                force: req.body.force === true
             }, updatedBy);
 
             return res.status(201).json({
                 success: true,
-                message: 'Gold price created successfully',
+                message: effectiveFrom.value
+                    ? 'Gold price scheduled successfully'
+                    : 'Gold price created successfully',
                 data: price.toJSON()
             });
         } catch (error) {
             console.error('Create gold price error:', error);
+
+            if (sendSanityError(res, error)) {
+                return;
+            }
+
+            if (error.message === 'Gold type not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            if (error.message.includes('already scheduled')) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'SCHEDULE_CONFLICT'
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Failed to create gold price',
@@ -175,6 +477,73 @@ class GoldController {
         }
     }
 
+    /**
+     * جلب الأسعار المجدولة
+     * Get pending scheduled prices
+     */
+    static async getScheduledPrices(req, res) {
+        try {
+            const { goldTypeId } = req.query;
+            const prices = await GoldPrice.getScheduled(goldTypeId ? parseInt(goldTypeId, 10) : null);
+
+            return res.status(200).json({
+                success: true,
+                data: prices.map(price => price.toJSON()),
+                count: prices.length
+            });
+        } catch (error) {
+            console.error('Get scheduled gold prices error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve scheduled gold prices',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إلغاء سعر مجدول
+     * Cancel a pending scheduled price
+     */
+    static async cancelScheduledPrice(req, res) {
+        try {
+            const { id } = req.params;
+            const cancelledBy = req.session?.userId;
+
+            const price = await GoldPrice.cancelScheduled(id, cancelledBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Scheduled gold price cancelled successfully',
+                data: price.toJSON()
+            });
+        } catch (error) {
+            console.error('Cancel scheduled gold price error:', error);
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Gold price not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            if (error.message.includes('Only pending')) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_PENDING'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to cancel scheduled gold price',
+                code: 'DELETE_ERROR'
+            });
+        }
+    }
+
     /**
      * تحديث سعر ذهب
      * Update gold price
@@ -202,6 +571,21 @@ class GoldController {
             if (marginBuy !== undefined) updateData.marginBuy = parseFloat(marginBuy);
             if (marginSell !== undefined) updateData.marginSell = parseFloat(marginSell);
             if (isManual !== undefined) updateData.isManual = isManual === true;
+            if (req.body.force === true) updateData.force = true;
+
+            if (rejectForbiddenForce(req, res)) {
+                return;
+            }
+
+            if (await submitForApproval(req, res, {
+                entityType: 'GOLD_TYPE',
+                entityId: existingPrice.goldTypeId,
+                action: 'UPDATE',
+                targetId: existingPrice.id,
+                payload: updateData
+            })) {
+                return;
+            }
 
             // تحديث السعر
             const price = await GoldPrice.update(id, updateData, updatedBy);
@@ -213,6 +597,11 @@ class GoldController {
             });
         } catch (error) {
             console.error('Update gold price error:', error);
+
+            if (sendSanityError(res, error)) {
+                return;
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Failed to update gold price',
@@ -221,6 +610,63 @@ class GoldController {
         }
     }
 
+    /**
+     * استرجاع سعر سابق
+     * Revert to a historical price (batch=true restores its whole batch)
+     */
+    static async revertPrice(req, res) {
+        try {
+            const { id } = req.params;
+            const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 500) : '';
+            const updatedBy = req.session?.userId;
+
+            if (!reason) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A reason is required to revert a price',
+                    code: 'REASON_REQUIRED'
+                });
+            }
+
+            const prices = await GoldPrice.revert(id, reason, updatedBy, {
+                batch: req.body.batch === true
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: prices.length > 1
+                    ? 'Gold price batch reverted successfully'
+                    : 'Gold price reverted successfully',
+                data: prices.map(price => price.toJSON()),
+                count: prices.length
+            });
+        } catch (error) {
+            console.error('Revert gold price error:', error);
+
+            if (error.message === 'Gold price not found') {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            if (error.message.includes('scheduled') || error.message.includes('already current')) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'REVERT_NOT_ALLOWED'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to revert gold price',
+                code: 'REVERT_ERROR'
+            });
+        }
+    }
+
     /**
      * حذف سعر ذهب
      * Delete gold price
@@ -263,6 +709,11 @@ class GoldController {
      */
     static async getPriceHistory(req, res) {
         try {
+            const format = FeedFormats.negotiate(req, res);
+            if (FeedFormats.sendError(res, format)) {
+                return;
+            }
+
             const { goldTypeId } = req.params;
             const { startDate, endDate, limit, offset } = req.query;
 
@@ -274,6 +725,15 @@ class GoldController {
 
             const history = await GoldPrice.getHistory(goldTypeId, options);
 
+            if (format.code !== 'json') {
+                return await sendPriceFeed(
+                    req, res, format.code,
+                    history.map(price => price.toJSON()),
+                    `gold-price-history-${parseInt(goldTypeId, 10)}`,
+                    'سجل أسعار الذهب / Gold Price History'
+                );
+            }
+
             return res.status(200).json({
                 success: true,
                 data: history.map(price => price.toJSON()),
@@ -289,26 +749,219 @@ class GoldController {
         }
     }
 
+    /**
+     * جلب شموع أسعار الذهب
+     * Get OHLC candles for a gold type
+     */
+    static async getCandles(req, res) {
+        try {
+            const { goldTypeId } = req.params;
+            const query = CandleIntervals.parseQuery(req.query);
+
+            if (query.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: query.error,
+                    code: query.code,
+                    supportedIntervals: CandleIntervals.list().map(i => i.code)
+                });
+            }
+
+            const candles = await GoldPrice.getCandles(goldTypeId, query.interval, query);
+
+            return res.status(200).json({
+                success: true,
+                data: candles,
+                count: candles.length,
+                interval: query.interval.code,
+                side: query.side,
+                from: query.from.toISOString(),
+                to: query.to.toISOString()
+            });
+        } catch (error) {
+            console.error('Get gold price candles error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price candles',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * عرض سعر بيع مشغولات
+     * Jewelry sale quote: weight × karat sell price + making charge
+     * + stones, with VAT per the store tax settings
+     */
+    static async quoteSale(req, res) {
+        try {
+            const items = GoldQuoteService.parseSaleItems(req.body.items);
+
+            const errors = GoldQuoteService.validateSaleItems(items);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const currency = await resolveQuoteCurrency(req.body.currency);
+            if (sendCurrencyError(res, currency)) {
+                return;
+            }
+
+            // السعر الحالي لكل نوع ذهب مطلوب
+            const prices = new Map();
+            for (const goldTypeId of new Set(items.map(item => item.goldTypeId))) {
+                const price = await GoldPrice.getCurrentPrice(goldTypeId);
+
+                if (!price) {
+                    return res.status(422).json({
+                        success: false,
+                        message: `No current price for gold type ${goldTypeId}`,
+                        code: 'PRICE_UNAVAILABLE',
+                        goldTypeId
+                    });
+                }
+
+                prices.set(goldTypeId, price.inCurrency(currency.quote.code, currency.quote.rate));
+            }
+
+            const quote = GoldQuoteService.saleQuote(items, prices, {
+                tax: await StoreSettings.getTaxSettings(),
+                decimals: currency.quote.decimalPlaces
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    currency: currency.quote.code,
+                    ...quote,
+                    quotedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('Gold sale quote error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to calculate sale quote',
+                code: 'QUOTE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * عرض سعر شراء ذهب مستعمل (كسر)
+     * Scrap buyback quote: fine gold after stones and melting loss,
+     * paid at the current 24K buy price
+     */
+    static async quoteBuyback(req, res) {
+        try {
+            const items = GoldQuoteService.parseBuybackItems(req.body.items);
+
+            const errors = GoldQuoteService.validateBuybackItems(items);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const currency = await resolveQuoteCurrency(req.body.currency);
+            if (sendCurrencyError(res, currency)) {
+                return;
+            }
+
+            const price24k = await GoldPrice.getCurrentPriceByKarat(24);
+            if (!price24k) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'No current 24K price available',
+                    code: 'PRICE_UNAVAILABLE'
+                });
+            }
+
+            const { meltingLoss } = await StoreSettings.getBuybackSettings();
+
+            const quote = GoldQuoteService.buybackQuote(
+                items,
+                price24k.inCurrency(currency.quote.code, currency.quote.rate),
+                { meltingLoss, decimals: currency.quote.decimalPlaces }
+            );
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    currency: currency.quote.code,
+                    ...quote,
+                    quotedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('Gold buyback quote error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to calculate buyback quote',
+                code: 'QUOTE_ERROR'
+            });
+        }
+    }
+
     /**
      * تحديث الأسعار تلقائياً
      * Auto update prices
      */
     static async autoUpdatePrices(req, res) {
         try {
-            const { basePrice24k } = req.body;
+            const { basePrice24k, spotPriceUsdPerOunce } = req.body;
             const updatedBy = req.session?.userId;
 
+            if (rejectForbiddenForce(req, res)) {
+                return;
+            }
+
+            // التسعير من السعر العالمي (دولار للأونصة)
+            if (spotPriceUsdPerOunce !== undefined) {
+                if (isNaN(spotPriceUsdPerOunce) || spotPriceUsdPerOunce <= 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Spot price in USD per ounce must be a positive number',
+                        code: 'INVALID_SPOT_PRICE'
+                    });
+                }
+
+                const result = await GoldPrice.autoUpdateFromSpot(
+                    parseFloat(spotPriceUsdPerOunce),
+                    updatedBy,
+                    req.body.force === true
+                );
+                const { prices, ...derivation } = result;
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Gold prices updated from spot price',
+                    data: prices.map(price => price.toJSON()),
+                    derivation,
+                    count: prices.length
+                });
+            }
+
             if (!basePrice24k || isNaN(basePrice24k) || basePrice24k <= 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Valid base price for 24K gold is required',
+                    message: 'Valid base price for 24K gold or spot price in USD per ounce is required',
                     code: 'INVALID_BASE_PRICE'
                 });
             }
 
             const updatedPrices = await GoldPrice.autoUpdate(
                 parseFloat(basePrice24k),
-                updatedBy
+                updatedBy,
+                req.body.force === true
             );
 
             return res.status(200).json({
@@ -319,6 +972,19 @@ class GoldController {
             });
         } catch (error) {
             console.error('Auto update gold prices error:', error);
+
+            if (sendSanityError(res, error)) {
+                return;
+            }
+
+            if (error.message.startsWith('Currency')) {
+                return res.status(422).json({
+                    success: false,
+                    message: error.message,
+                    code: 'FX_RATE_UNAVAILABLE'
+                });
+            }
+
             return res.status(500).json({
                 success: false,
                 message: 'Failed to auto update gold prices',
@@ -328,16 +994,25 @@ class GoldController {
     }
 
     /**
-     * جلب إحصائيات أسعار الذهب
-     * Get gold price statistics
+     * إحصائيات الأسعار
+     * Get statistics for one gold type: changes vs 1d/1w/1M ago,
+     * standard deviation, moving averages and average spread
      */
     static async getStatistics(req, res) {
         try {
-            const { goldTypeId } = req.params;
-            const { days } = req.query;
+            const query = PriceStatistics.parseQuery(req.query);
+            if (sendStatisticsQueryError(res, query)) {
+                return;
+            }
 
-            const daysCount = days ? parseInt(days, 10) : 30;
-            const stats = await GoldPrice.getStatistics(goldTypeId, daysCount);
+            const stats = await PriceStatistics.forEntity('gold', req.params.goldTypeId, query);
+            if (!stats) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Gold type not found',
+                    code: 'GOLD_TYPE_NOT_FOUND'
+                });
+            }
 
             return res.status(200).json({
                 success: true,
@@ -353,26 +1028,68 @@ class GoldController {
         }
     }
 
+    /**
+     * إحصائيات جميع أنواع الذهب
+     * Get statistics for every active gold type
+     */
+    static async getAllStatistics(req, res) {
+        try {
+            const query = PriceStatistics.parseQuery(req.query);
+            if (sendStatisticsQueryError(res, query)) {
+                return;
+            }
+
+            const stats = await PriceStatistics.forAll('gold', query);
+
+            return res.status(200).json({
+                success: true,
+                data: stats,
+                count: stats.length
+            });
+        } catch (error) {
+            console.error('Get all gold price statistics error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price statistics',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
     /**
      * مقارنة الأسعار
      * Compare prices
      */
     static async comparePrices(req, res) {
         try {
+            const unit = WeightUnits.resolve(req.query.unit);
+            if (!unit) {
+                return sendInvalidUnit(res, req.query.unit);
+            }
+
+            const currency = await resolveQuoteCurrency(req.query.currency);
+            if (sendCurrencyError(res, currency)) {
+                return;
+            }
+
             const prices = await GoldPrice.getAllCurrentPrices();
             
-            const comparison = prices.map(price => ({
+            const comparison = prices.map(price => quotePrice(price, currency.quote, unit)).map(price => ({
                 type: price.goldTypeName,
                 karat: price.karat,
                 buyPrice: price.buyPrice,
                 sellPrice: price.sellPrice,
                 spread: price.spread,
-                spreadPercentage: ((price.spread / price.buyPrice) * 100).toFixed(2)
+                spreadPercentage: ((price.spread / price.buyPrice) * 100).toFixed(2),
+                unit: price.unit,
+                currency: price.currency
             }));
 
             return res.status(200).json({
                 success: true,
-                data: comparison
+                data: comparison,
+                unit,
+                currency: currency.code
             });
         } catch (error) {
             console.error('Compare prices error:', error);
@@ -0,0 +1,263 @@
+/**
+ * =====================================================
+ * متحكم أنواع الذهب
+ * Gold Types Controller
+ * =====================================================
+ * الملف: backend/controllers/goldTypeController.js
+ * الغرض: التحكم في إدارة أنواع الذهب (العيارات والنقاوات)
+ * =====================================================
+ */
+
+const GoldType = require('../models/GoldType');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تحويل جسم الطلب إلى بيانات نوع الذهب
+ * Map request body to gold type data (only provided fields)
+ */
+const parseTypeData = (body) => {
+    const { nameAr, nameEn, karat, purity, displayOrder, isActive } = body;
+    const data = {};
+
+    if (nameAr !== undefined) data.nameAr = typeof nameAr === 'string' ? nameAr.trim() : nameAr;
+    if (nameEn !== undefined) data.nameEn = typeof nameEn === 'string' ? nameEn.trim() : nameEn;
+    if (karat !== undefined) data.karat = Number(karat);
+    if (purity !== undefined) data.purity = Number(purity);
+    if (displayOrder !== undefined) data.displayOrder = Number(displayOrder);
+    if (isActive !== undefined) data.isActive = isActive === true;
+
+    return data;
+};
+
+/**
+ * التحقق من بيانات النوع بعد دمجها مع القيم الحالية
+ * Validate type data merged over an existing gold type
+ */
+const validateTypeData = (data, existing = new GoldType()) => {
+    const merged = new GoldType({
+        name_ar: data.nameAr !== undefined ? data.nameAr : existing.nameAr,
+        name_en: data.nameEn !== undefined ? data.nameEn : existing.nameEn,
+        karat: data.karat !== undefined ? data.karat : existing.karat,
+        purity: data.purity !== undefined ? data.purity : existing.purity,
+        display_order: data.displayOrder !== undefined ? data.displayOrder : existing.displayOrder
+    });
+
+    return merged.validate();
+};
+
+// =====================================================
+// فئة متحكم أنواع الذهب
+// Gold Type Controller Class
+// =====================================================
+class GoldTypeController {
+    /**
+     * جلب جميع أنواع الذهب (بما فيها غير الفعالة)
+     * Get all gold types including inactive ones
+     */
+    static async getAllTypes(req, res) {
+        try {
+            const types = await GoldType.findAll({ includeInactive: true });
+
+            return res.status(200).json({
+                success: true,
+                data: types.map(type => type.toJSON()),
+                count: types.length
+            });
+        } catch (error) {
+            console.error('Get all gold types error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve gold types',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إنشاء نوع ذهب جديد
+     * Create new gold type
+     */
+    static async createType(req, res) {
+        try {
+            const data = parseTypeData(req.body);
+            const createdBy = req.session?.userId;
+
+            const errors = validateTypeData(data);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const goldType = await GoldType.create(data, createdBy);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Gold type created successfully',
+                data: goldType.toJSON()
+            });
+        } catch (error) {
+            console.error('Create gold type error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to create gold type',
+                code: 'CREATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تحديث نوع ذهب
+     * Update gold type
+     */
+    static async updateType(req, res) {
+        try {
+            const { id } = req.params;
+            const data = parseTypeData(req.body);
+            const updatedBy = req.session?.userId;
+
+            const existing = await GoldType.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Gold type not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            const errors = validateTypeData(data, existing);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const goldType = await GoldType.update(id, data, updatedBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Gold type updated successfully',
+                data: goldType.toJSON()
+            });
+        } catch (error) {
+            console.error('Update gold type error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update gold type',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إلغاء تفعيل نوع ذهب
+     * Deactivate gold type
+     */
+    static async deactivateType(req, res) {
+        try {
+            const { id } = req.params;
+            const updatedBy = req.session?.userId;
+
+            const existing = await GoldType.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Gold type not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            const goldType = await GoldType.deactivate(id, updatedBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Gold type deactivated successfully',
+                data: goldType.toJSON()
+            });
+        } catch (error) {
+            console.error('Deactivate gold type error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to deactivate gold type',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إعادة ترتيب أنواع الذهب
+     * Reorder gold types
+     */
+    static async reorderTypes(req, res) {
+        try {
+            const { order } = req.body;
+            const updatedBy = req.session?.userId;
+
+            if (!Array.isArray(order) || order.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Order must be a non-empty array of gold type IDs',
+                    code: 'INVALID_ORDER'
+                });
+            }
+
+            const ids = order.map(id => parseInt(id, 10));
+            if (ids.some(id => isNaN(id)) || new Set(ids).size !== ids.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Order must contain unique numeric IDs',
+                    code: 'INVALID_ORDER'
+                });
+            }
+
+            const types = await GoldType.reorder(ids, updatedBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Gold types reordered successfully',
+                data: types.map(type => type.toJSON())
+            });
+        } catch (error) {
+            console.error('Reorder gold types error:', error);
+
+            if (error.missingIds) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: 'INCOMPLETE_ORDER',
+                    missingIds: error.missingIds
+                });
+            }
+
+            if (error.message.includes('not found')) {
+                return res.status(404).json({
+                    success: false,
+                    message: error.message,
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to reorder gold types',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = GoldTypeController;
@@ -0,0 +1,78 @@
+/**
+ * =====================================================
+ * متحكم استيراد الأسعار
+ * Price Import Controller
+ * =====================================================
+ * الملف: backend/controllers/importController.js
+ * الغرض: استيراد الأسعار التاريخية للذهب والعملات من ملف CSV
+ * =====================================================
+ */
+
+const PriceImportService = require('../services/PriceImportService');
+
+// =====================================================
+// فئة متحكم الاستيراد
+// Import Controller Class
+// =====================================================
+class ImportController {
+    /**
+     * استيراد أسعار تاريخية
+     * Import historical prices from a CSV body (text/csv) or a JSON { csv }
+     * field; dryRun=true validates and reports without writing
+     */
+    static async importPrices(req, res) {
+        try {
+            const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+            const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+            if (typeof text !== 'string' || text.trim() === '') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A CSV file is required (text/csv body or a "csv" field)',
+                    code: 'MISSING_FILE'
+                });
+            }
+
+            const report = await PriceImportService.importCsv(text, req.session?.userId, { dryRun });
+
+            if (report.errors.length > 0) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Import validation failed; nothing was imported',
+                    code: 'IMPORT_INVALID',
+                    data: report
+                });
+            }
+
+            return res.status(dryRun ? 200 : 201).json({
+                success: true,
+                message: dryRun
+                    ? 'Dry run completed; nothing was imported'
+                    : `Imported ${report.imported} historical prices`,
+                data: report
+            });
+        } catch (error) {
+            console.error('Import prices error:', error);
+
+            if (error.message.includes('changed during import')) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: 'IMPORT_CONFLICT'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to import prices',
+                code: 'IMPORT_ERROR'
+            });
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = ImportController;
@@ -0,0 +1,154 @@
+/**
+ * =====================================================
+ * دوال مساعدة مشتركة لمتحكمات الأسعار
+ * Shared Price Controller Helpers
+ * =====================================================
+ * الملف: backend/controllers/priceHelpers.js
+ * الغرض: تحليل أوقات الجدولة والاستعلام التاريخي وإرسال أخطاء
+ *        حماية الأسعار والإحصائيات وطلبات الاعتماد لمتحكمي الذهب والعملات
+ * =====================================================
+ */
+
+const PriceGuard = require('../services/PriceGuard');
+const PriceChangeRequest = require('../models/PriceChangeRequest');
+
+// =====================================================
+// تحليل الأوقات
+// Time parameters
+// =====================================================
+
+/**
+ * تحليل وقت بدء سعر مجدول
+ * Parse an optional future effectiveFrom; returns { value } or { error }
+ */
+const parseEffectiveFrom = (effectiveFrom) => {
+    if (effectiveFrom === undefined || effectiveFrom === null || effectiveFrom === '') {
+        return { value: null };
+    }
+
+    const date = new Date(effectiveFrom);
+    if (isNaN(date.getTime())) {
+        return { error: 'effectiveFrom must be a valid ISO 8601 date-time' };
+    }
+
+    if (date.getTime() <= Date.now()) {
+        return { error: 'effectiveFrom must be in the future' };
+    }
+
+    return { value: date.toISOString() };
+};
+
+/**
+ * تحليل لحظة الاستعلام التاريخي
+ * Parse an optional past asOf instant; returns { value } or { error }
+ */
+const parseAsOf = (asOf) => {
+    if (asOf === undefined || asOf === null || asOf === '') {
+        return { value: null };
+    }
+
+    const date = new Date(asOf);
+    if (isNaN(date.getTime())) {
+        return { error: 'asOf must be a valid ISO 8601 date-time' };
+    }
+
+    if (date.getTime() > Date.now()) {
+        return { error: 'asOf cannot be in the future' };
+    }
+
+    return { value: date.toISOString() };
+};
+
+// =====================================================
+// الردود المشتركة
+// Shared responses
+// =====================================================
+
+/**
+ * رفض طلب تجاوز حماية الأسعار من غير المدير
+ * Reject a force override from a non-admin; returns true if a response was sent
+ */
+const rejectForbiddenForce = (req, res) => {
+    if (req.body.force !== true || req.session?.role === 'admin') {
+        return false;
+    }
+
+    res.status(403).json({
+        success: false,
+        message: 'Only admins can override the price sanity guard',
+        code: 'FORCE_NOT_ALLOWED'
+    });
+    return true;
+};
+
+/**
+ * إرسال خطأ حماية الأسعار
+ * Send a price sanity guard rejection (with optional extra fields such as the
+ * failing row); returns true if a response was sent
+ */
+const sendSanityError = (res, error, details = {}) => {
+    const violations = PriceGuard.violationsFrom(error);
+    if (!violations) {
+        return false;
+    }
+
+    res.status(422).json({
+        success: false,
+        message: 'Price rejected by the sanity guard; an admin can resubmit with force: true',
+        code: 'PRICE_SANITY_FAILED',
+        violations,
+        ...details
+    });
+    return true;
+};
+
+/**
+ * إرسال خطأ معاملات الإحصائيات
+ * Send a statistics query error; returns true if a response was sent
+ */
+const sendStatisticsQueryError = (res, query) => {
+    if (!query.error) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        message: query.error,
+        code: query.code
+    });
+    return true;
+};
+
+/**
+ * تحويل التغيير إلى طلب اعتماد عند تفعيل مبدأ الأربع أعين
+ * Divert a non-admin change to a pending approval request;
+ * returns true if a response was sent
+ */
+const submitForApproval = async (req, res, requestData, message = 'Price change submitted for approval') => {
+    if (!(await PriceChangeRequest.isRequiredFor(req.session?.role))) {
+        return false;
+    }
+
+    const request = await PriceChangeRequest.create(requestData, req.session?.userId);
+
+    res.status(202).json({
+        success: true,
+        message,
+        data: request.toJSON(),
+        code: 'PENDING_APPROVAL'
+    });
+    return true;
+};
+
+// =====================================================
+// تصدير الدوال
+// Export helpers
+// =====================================================
+module.exports = {
+    parseEffectiveFrom,
+    parseAsOf,
+    rejectForbiddenForce,
+    sendSanityError,
+    sendStatisticsQueryError,
+    submitForApproval
+};
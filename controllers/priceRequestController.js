@@ -0,0 +1,226 @@
+/**
+ * =====================================================
+ * متحكم طلبات تغيير الأسعار
+ * Price Change Requests Controller
+ * =====================================================
+ * الملف: backend/controllers/priceRequestController.js
+ * الغرض: عرض طلبات تغيير الأسعار واعتمادها أو رفضها (مبدأ الأربع أعين)
+ * =====================================================
+ */
+
+const PriceChangeRequest = require('../models/PriceChangeRequest');
+const PriceGuard = require('../services/PriceGuard');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * التعليق المرفق بالمراجعة
+ * Trimmed review comment (null when empty)
+ */
+const parseComment = (comment) => {
+    if (comment === undefined || comment === null) {
+        return null;
+    }
+
+    const text = String(comment).trim().slice(0, 1000);
+    return text || null;
+};
+
+/**
+ * إرسال خطأ المراجعة
+ * Map a review error to its response; returns true if a response was sent
+ */
+const sendReviewError = (res, error) => {
+    const violations = PriceGuard.violationsFrom(error);
+    if (violations) {
+        res.status(422).json({
+            success: false,
+            message: 'Price rejected by the sanity guard; approve with force: true to override',
+            code: 'PRICE_SANITY_FAILED',
+            violations
+        });
+        return true;
+    }
+
+    const errors = [
+        ['Price change request not found', 404, 'NOT_FOUND'],
+        ['Price change request has expired', 409, 'REQUEST_EXPIRED'],
+        ['Price change request is already', 409, 'NOT_PENDING'],
+        ['Requester cannot review', 403, 'SELF_REVIEW'],
+        ['Price has changed since', 409, 'STALE_REQUEST'],
+        ['Gold price not found', 409, 'TARGET_NOT_FOUND'],
+        ['Currency rate not found', 409, 'TARGET_NOT_FOUND'],
+        ['already scheduled', 409, 'SCHEDULE_CONFLICT']
+    ];
+
+    const match = errors.find(([text]) => error.message.includes(text));
+    if (!match) {
+        return false;
+    }
+
+    res.status(match[1]).json({
+        success: false,
+        message: error.message,
+        code: match[2]
+    });
+    return true;
+};
+
+// =====================================================
+// فئة متحكم طلبات الأسعار
+// Price Request Controller Class
+// =====================================================
+class PriceRequestController {
+    /**
+     * جلب الطلبات
+     * List requests (managers only see their own)
+     */
+    static async getRequests(req, res) {
+        try {
+            const { status, entityType, limit, offset } = req.query;
+
+            if (status && !PriceChangeRequest.STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Status must be one of: ${PriceChangeRequest.STATUSES.join(', ')}`,
+                    code: 'INVALID_STATUS'
+                });
+            }
+
+            const requests = await PriceChangeRequest.findAll({
+                status,
+                entityType: entityType ? String(entityType).toUpperCase() : undefined,
+                requestedBy: req.session.role === 'admin' ? undefined : req.session.userId,
+                limit: Math.min(parseInt(limit, 10) || 50, 200),
+                offset: parseInt(offset, 10) || 0
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: requests.map(request => request.toJSON()),
+                count: requests.length
+            });
+        } catch (error) {
+            console.error('Get price change requests error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price change requests',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * جلب طلب محدد
+     * Get a single request (managers only their own)
+     */
+    static async getRequest(req, res) {
+        try {
+            await PriceChangeRequest.expireStale();
+            const request = await PriceChangeRequest.findById(req.params.id);
+
+            if (!request || (req.session.role !== 'admin' && request.requestedBy !== req.session.userId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Price change request not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: request.toJSON()
+            });
+        } catch (error) {
+            console.error('Get price change request error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price change request',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * اعتماد طلب
+     * Approve a request and publish its price
+     */
+    static async approveRequest(req, res) {
+        try {
+            const result = await PriceChangeRequest.approve(
+                req.params.id,
+                req.session.userId,
+                parseComment(req.body.comment),
+                { force: req.body.force === true }
+            );
+
+            return res.status(200).json({
+                success: true,
+                message: 'Price change approved and published',
+                data: {
+                    request: result.request.toJSON(),
+                    price: result.published.toJSON()
+                }
+            });
+        } catch (error) {
+            console.error('Approve price change request error:', error);
+
+            if (sendReviewError(res, error)) {
+                return;
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to approve price change request',
+                code: 'APPROVE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * رفض طلب
+     * Reject a request (comment required)
+     */
+    static async rejectRequest(req, res) {
+        try {
+            const comment = parseComment(req.body.comment);
+
+            if (!comment) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A comment is required to reject a price change',
+                    code: 'COMMENT_REQUIRED'
+                });
+            }
+
+            const request = await PriceChangeRequest.reject(req.params.id, req.session.userId, comment);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Price change rejected',
+                data: request.toJSON()
+            });
+        } catch (error) {
+            console.error('Reject price change request error:', error);
+
+            if (sendReviewError(res, error)) {
+                return;
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to reject price change request',
+                code: 'REJECT_ERROR'
+            });
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = PriceRequestController;
@@ -9,6 +9,16 @@
  */
 
 const StoreSettings = require('../models/StoreSettings');
+const MarginPolicy = require('../models/MarginPolicy');
+const GoldType = require('../models/GoldType');
+const Currency = require('../models/Currency');
+const PriceStream = require('../services/PriceStream');
+
+// الكيانات التي يمكن ربط سياسة هامش بها
+const MARGIN_POLICY_ENTITIES = {
+    GOLD_TYPE: { Model: GoldType, label: 'Gold type' },
+    CURRENCY: { Model: Currency, label: 'Currency' }
+};
 
 // =====================================================
 // فئة متحكم الإعدادات
@@ -254,6 +264,11 @@ class SettingsController {
                 }
             }
 
+            // إبلاغ مشتركي البث بحالة السوق الجديدة (دون انتظار، فالحفظ تم بالفعل)
+            PriceStream.refreshMarketStatus(true).catch(error =>
+                console.error('Market status broadcast error:', error)
+            );
+
             return res.status(200).json({
                 success: true,
                 message: 'Market settings updated successfully',
@@ -333,6 +348,405 @@ class SettingsController {
         }
     }
 
+    /**
+     * جلب إعدادات الضريبة
+     * Get VAT settings
+     */
+    static async getTaxSettings(req, res) {
+        try {
+            const settings = await StoreSettings.getTaxSettings();
+
+            return res.status(200).json({
+                success: true,
+                data: settings
+            });
+        } catch (error) {
+            console.error('Get tax settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve tax settings',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تحديث إعدادات الضريبة
+     * Update VAT settings
+     */
+    static async updateTaxSettings(req, res) {
+        try {
+            const { enabled, rate, scope } = req.body;
+            const updatedBy = req.session?.userId;
+
+            if (rate !== undefined && (isNaN(rate) || Number(rate) < 0 || Number(rate) >= 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'VAT rate must be a fraction between 0 and 1 (e.g. 0.15 for 15%)',
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (scope !== undefined && !StoreSettings.VAT_SCOPES.includes(scope)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `VAT scope must be one of: ${StoreSettings.VAT_SCOPES.join(', ')}`,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (enabled !== undefined) {
+                await StoreSettings.set('vat_enabled', enabled === true || enabled === 'true', 'boolean', updatedBy);
+            }
+            if (rate !== undefined) {
+                await StoreSettings.set('vat_rate', Number(rate), 'decimal', updatedBy);
+            }
+            if (scope !== undefined) {
+                await StoreSettings.set('vat_scope', scope, 'string', updatedBy);
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Tax settings updated successfully',
+                data: await StoreSettings.getTaxSettings()
+            });
+        } catch (error) {
+            console.error('Update tax settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update tax settings',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * جلب إعدادات شراء الذهب المستعمل
+     * Get scrap buyback settings
+     */
+    static async getBuybackSettings(req, res) {
+        try {
+            const settings = await StoreSettings.getBuybackSettings();
+
+            return res.status(200).json({
+                success: true,
+                data: settings
+            });
+        } catch (error) {
+            console.error('Get buyback settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve buyback settings',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تحديث إعدادات شراء الذهب المستعمل
+     * Update scrap buyback settings
+     */
+    static async updateBuybackSettings(req, res) {
+        try {
+            const { meltingLoss } = req.body;
+            const updatedBy = req.session?.userId;
+
+            if (meltingLoss !== undefined) {
+                if (isNaN(meltingLoss) || Number(meltingLoss) < 0 || Number(meltingLoss) >= 0.5) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Melting loss must be a fraction between 0 and 0.5 (e.g. 0.01 for 1%)',
+                        code: 'VALIDATION_ERROR'
+                    });
+                }
+
+                await StoreSettings.set('buyback_melting_loss', Number(meltingLoss), 'decimal', updatedBy);
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Buyback settings updated successfully',
+                data: await StoreSettings.getBuybackSettings()
+            });
+        } catch (error) {
+            console.error('Update buyback settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update buyback settings',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * جلب إعدادات حماية الأسعار
+     * Get price sanity guard settings
+     */
+    static async getPriceGuardSettings(req, res) {
+        try {
+            const settings = await StoreSettings.getPriceGuardSettings();
+
+            return res.status(200).json({
+                success: true,
+                data: settings
+            });
+        } catch (error) {
+            console.error('Get price guard settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve price guard settings',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تحديث إعدادات حماية الأسعار
+     * Update price sanity guard settings
+     */
+    static async updatePriceGuardSettings(req, res) {
+        try {
+            const { enabled, gold, currency } = req.body;
+            const updatedBy = req.session?.userId;
+
+            const limits = [
+                ['price_guard_gold_max_change', gold?.maxChange],
+                ['price_guard_currency_max_change', currency?.maxChange]
+            ].filter(([, value]) => value !== undefined);
+
+            for (const [, value] of limits) {
+                if (isNaN(value) || Number(value) <= 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Max change must be a positive fraction (e.g. 0.10 for 10%)',
+                        code: 'VALIDATION_ERROR'
+                    });
+                }
+            }
+
+            if (enabled !== undefined) {
+                await StoreSettings.set('price_guard_enabled', enabled === true || enabled === 'true', 'boolean', updatedBy);
+            }
+
+            for (const [key, value] of limits) {
+                await StoreSettings.set(key, Number(value), 'decimal', updatedBy);
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Price guard settings updated successfully',
+                data: await StoreSettings.getPriceGuardSettings()
+            });
+        } catch (error) {
+            console.error('Update price guard settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update price guard settings',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * جلب إعدادات اعتماد الأسعار
+     * Get maker-checker approval settings
+     */
+    static async getApprovalSettings(req, res) {
+        try {
+            const settings = await StoreSettings.getApprovalSettings();
+
+            return res.status(200).json({
+                success: true,
+                data: settings
+            });
+        } catch (error) {
+            console.error('Get approval settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve approval settings',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * تحديث إعدادات اعتماد الأسعار
+     * Update maker-checker approval settings
+     */
+    static async updateApprovalSettings(req, res) {
+        try {
+            const { enabled, expiryHours } = req.body;
+            const updatedBy = req.session?.userId;
+
+            if (expiryHours !== undefined &&
+                (!Number.isInteger(Number(expiryHours)) || Number(expiryHours) < 1 || Number(expiryHours) > 720)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expiry must be a whole number of hours between 1 and 720',
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (enabled !== undefined) {
+                await StoreSettings.set('price_approval_enabled', enabled === true || enabled === 'true', 'boolean', updatedBy);
+            }
+            if (expiryHours !== undefined) {
+                await StoreSettings.set('price_approval_expiry_hours', Number(expiryHours), 'integer', updatedBy);
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Approval settings updated successfully',
+                data: await StoreSettings.getApprovalSettings()
+            });
+        } catch (error) {
+            console.error('Update approval settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to update approval settings',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * جلب سياسات الهوامش
+     * Get margin policies (optionally filtered by entity type)
+     */
+    static async getMarginPolicies(req, res) {
+        try {
+            const { entityType } = req.query;
+
+            if (entityType && !MarginPolicy.ENTITY_TYPES.includes(entityType)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Entity type must be one of: ${MarginPolicy.ENTITY_TYPES.join(', ')}`,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const policies = await MarginPolicy.findAll(entityType || null);
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    policies: policies.map(policy => policy.toJSON()),
+                    defaults: await StoreSettings.getMarginSettings()
+                },
+                count: policies.length
+            });
+        } catch (error) {
+            console.error('Get margin policies error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve margin policies',
+                code: 'FETCH_ERROR'
+            });
+        }
+    }
+
+    /**
+     * إنشاء أو تحديث سياسة هامش
+     * Create or replace the margin policy of a gold type or currency
+     */
+    static async setMarginPolicy(req, res) {
+        try {
+            const { entityType, entityId, marginType, marginBuy, marginSell, isActive } = req.body;
+            const updatedBy = req.session?.userId;
+
+            if (!entityType || entityId === undefined || marginBuy === undefined || marginSell === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Entity type, entity ID, buy and sell margins are required',
+                    code: 'MISSING_FIELDS'
+                });
+            }
+
+            const policyData = {
+                entityType,
+                entityId: Number(entityId),
+                marginType: marginType || 'percent',
+                marginBuy: Number(marginBuy),
+                marginSell: Number(marginSell),
+                isActive: isActive !== false
+            };
+
+            const errors = new MarginPolicy({
+                entity_type: policyData.entityType,
+                entity_id: policyData.entityId,
+                margin_type: policyData.marginType,
+                margin_buy: policyData.marginBuy,
+                margin_sell: policyData.marginSell
+            }).validate();
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            // التحقق من وجود نوع الذهب أو العملة
+            const entity = MARGIN_POLICY_ENTITIES[policyData.entityType];
+            if (!(await entity.Model.findById(policyData.entityId))) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${entity.label} not found`,
+                    code: `${policyData.entityType}_NOT_FOUND`
+                });
+            }
+
+            const policy = await MarginPolicy.upsert(policyData, updatedBy);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Margin policy saved successfully',
+                data: policy.toJSON()
+            });
+        } catch (error) {
+            console.error('Set margin policy error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to save margin policy',
+                code: 'UPDATE_ERROR'
+            });
+        }
+    }
+
+    /**
+     * حذف سياسة هامش
+     * Delete margin policy
+     */
+    static async deleteMarginPolicy(req, res) {
+        try {
+            const { id } = req.params;
+            const deletedBy = req.session?.userId;
+
+            const deleted = await MarginPolicy.delete(id, deletedBy);
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Margin policy not found',
+                    code: 'NOT_FOUND'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Margin policy deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete margin policy error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete margin policy',
+                code: 'DELETE_ERROR'
+            });
+        }
+    }
+
     /**
      * جلب إعدادات الأمان
      * Get security settings
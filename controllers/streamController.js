@@ -0,0 +1,148 @@
+/**
+ * =====================================================
+ * متحكم البث المباشر للأسعار
+ * Price Stream Controller
+ * =====================================================
+ * الملف: backend/controllers/streamController.js
+ * الغرض: بث تغيرات الأسعار وحالة السوق عبر Server-Sent Events
+ * =====================================================
+ */
+
+const PriceStream = require('../services/PriceStream');
+const PriceEvents = require('../services/PriceEvents');
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تحليل المواضيع المطلوبة
+ * Parse ?topics=gold,currency,market (default: all); returns null if invalid
+ */
+const parseTopics = (topics) => {
+    if (!topics) {
+        return [...PriceEvents.TOPICS];
+    }
+
+    const requested = String(topics).split(',').map(topic => topic.trim().toLowerCase()).filter(Boolean);
+    if (requested.length === 0 || requested.some(topic => !PriceEvents.TOPICS.includes(topic))) {
+        return null;
+    }
+
+    return requested;
+};
+
+/**
+ * كتابة حدث SSE
+ * Write one SSE frame (events without an id do not move Last-Event-ID)
+ */
+const writeEvent = (res, type, data, id = null) => {
+    if (id) {
+        res.write(`id: ${id}\n`);
+    }
+
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// =====================================================
+// فئة متحكم البث
+// Stream Controller Class
+// =====================================================
+class StreamController {
+    /**
+     * بث الأسعار المباشر
+     * Stream price events. A new client gets a snapshot first; a reconnecting
+     * one (Last-Event-ID header or ?lastEventId) gets the events it missed, or
+     * a fresh snapshot when they are no longer buffered
+     */
+    static async stream(req, res) {
+        const topics = parseTopics(req.query.topics);
+        if (!topics) {
+            return res.status(400).json({
+                success: false,
+                message: `Topics must be a comma-separated list of: ${PriceEvents.TOPICS.join(', ')}`,
+                code: 'INVALID_TOPIC'
+            });
+        }
+
+        if (PriceStream.isFull()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Too many stream connections, retry later',
+                code: 'STREAM_FULL'
+            });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${PriceStream.RETRY_MS}\n\n`);
+
+        // الأحداث التي تصل قبل إرسال اللقطة تُؤجل ثم تُرسل بالترتيب
+        let ready = false;
+        let lastSent = 0;
+        const queued = [];
+
+        const send = (event) => {
+            if (event.sequence <= lastSent) {
+                return;
+            }
+
+            lastSent = event.sequence;
+            if (topics.includes(event.topic)) {
+                writeEvent(res, event.topic, { ...event.data, timestamp: event.timestamp }, event.id);
+            }
+        };
+
+        const unsubscribe = PriceStream.subscribe((event) => {
+            if (ready) {
+                send(event);
+            } else {
+                queued.push(event);
+            }
+        });
+
+        const heartbeat = setInterval(() => {
+            writeEvent(res, 'heartbeat', { time: new Date().toISOString() });
+        }, PriceStream.HEARTBEAT_SECONDS * 1000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+
+        try {
+            const missed = PriceEvents.since(req.get('Last-Event-ID') || req.query.lastEventId);
+
+            if (missed) {
+                missed.forEach(send);
+            } else {
+                const snapshotId = PriceEvents.lastEventId;
+                lastSent = PriceEvents.sequence;
+
+                writeEvent(res, 'snapshot', {
+                    ...(await PriceStream.snapshot(topics)),
+                    timestamp: new Date().toISOString()
+                }, snapshotId);
+            }
+
+            queued.forEach(send);
+            ready = true;
+        } catch (error) {
+            console.error('Price stream error:', error);
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = StreamController;
@@ -0,0 +1,16 @@
+-- =====================================================
+-- التراجع عن الترحيل 0001: حذف المخطط الأولي
+-- Rollback migration 0001: drop initial schema
+-- ⚠️ يحذف جميع البيانات
+-- =====================================================
+
+DROP TABLE IF EXISTS failed_login_attempts CASCADE;
+DROP TABLE IF EXISTS error_log CASCADE;
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS store_settings CASCADE;
+DROP TABLE IF EXISTS currency_rates CASCADE;
+DROP TABLE IF EXISTS currencies CASCADE;
+DROP TABLE IF EXISTS gold_prices CASCADE;
+DROP TABLE IF EXISTS gold_types CASCADE;
+DROP TABLE IF EXISTS "session" CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
@@ -1,24 +1,14 @@
 -- =====================================================
 -- قاعدة بيانات سوق الذهب والعملات - مصنوعات الأميرة
 -- Princess Gold Market Database Schema (PostgreSQL Version)
+-- الترحيل 0001: المخطط الأولي
+-- Migration 0001: initial schema
 -- =====================================================
 
--- حذف الجداول إذا كانت موجودة (لإعادة البناء عند الحاجة)
-DROP TABLE IF EXISTS failed_login_attempts CASCADE;
-DROP TABLE IF EXISTS error_log CASCADE;
-DROP TABLE IF EXISTS audit_log CASCADE;
-DROP TABLE IF EXISTS store_settings CASCADE;
-DROP TABLE IF EXISTS currency_rates CASCADE;
-DROP TABLE IF EXISTS currencies CASCADE;
-DROP TABLE IF EXISTS gold_prices CASCADE;
-DROP TABLE IF EXISTS gold_types CASCADE;
-DROP TABLE IF EXISTS "session" CASCADE; -- جدول الجلسات الخاص بمكتبة connect-pg-simple
-DROP TABLE IF EXISTS users CASCADE;
-
 -- =====================================================
 -- جدول المستخدمين (Users Table)
 -- =====================================================
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(100) UNIQUE,
@@ -39,20 +29,19 @@ CREATE TABLE users (
 -- جدول الجلسات (Sessions Table)
 -- ملاحظة: هذا الجدول مطلوب لمكتبة connect-pg-simple
 -- =====================================================
-CREATE TABLE "session" (
+CREATE TABLE IF NOT EXISTS "session" (
   "sid" varchar NOT NULL COLLATE "default",
   "sess" json NOT NULL,
-  "expire" timestamp(6) NOT NULL
-)
-WITH (OIDS=FALSE);
+  "expire" timestamp(6) NOT NULL,
+  CONSTRAINT "session_pkey" PRIMARY KEY ("sid") NOT DEFERRABLE INITIALLY IMMEDIATE
+);
 
-ALTER TABLE "session" ADD CONSTRAINT "session_pkey" PRIMARY KEY ("sid") NOT DEFERRABLE INITIALLY IMMEDIATE;
-CREATE INDEX "IDX_session_expire" ON "session" ("expire");
+CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON "session" ("expire");
 
 -- =====================================================
 -- جدول أنواع الذهب (Gold Types Table)
 -- =====================================================
-CREATE TABLE gold_types (
+CREATE TABLE IF NOT EXISTS gold_types (
     id SERIAL PRIMARY KEY,
     name_ar VARCHAR(50) NOT NULL,
     name_en VARCHAR(50),
@@ -67,7 +56,7 @@ CREATE TABLE gold_types (
 -- =====================================================
 -- جدول أسعار الذهب (Gold Prices Table)
 -- =====================================================
-CREATE TABLE gold_prices (
+CREATE TABLE IF NOT EXISTS gold_prices (
     id SERIAL PRIMARY KEY,
     gold_type_id INTEGER NOT NULL,
     buy_price DECIMAL(15,2) NOT NULL,
@@ -87,7 +76,7 @@ CREATE TABLE gold_prices (
 -- =====================================================
 -- جدول العملات (Currencies Table)
 -- =====================================================
-CREATE TABLE currencies (
+CREATE TABLE IF NOT EXISTS currencies (
     id SERIAL PRIMARY KEY,
     code VARCHAR(3) UNIQUE NOT NULL,
     name_ar VARCHAR(50) NOT NULL,
@@ -104,7 +93,7 @@ CREATE TABLE currencies (
 -- =====================================================
 -- جدول أسعار العملات (Currency Rates Table)
 -- =====================================================
-CREATE TABLE currency_rates (
+CREATE TABLE IF NOT EXISTS currency_rates (
     id SERIAL PRIMARY KEY,
     currency_id INTEGER NOT NULL,
     buy_rate DECIMAL(15,6) NOT NULL,
@@ -124,7 +113,7 @@ CREATE TABLE currency_rates (
 -- =====================================================
 -- جدول إعدادات المتجر (Store Settings Table)
 -- =====================================================
-CREATE TABLE store_settings (
+CREATE TABLE IF NOT EXISTS store_settings (
     id SERIAL PRIMARY KEY,
     setting_key VARCHAR(100) UNIQUE NOT NULL,
     setting_value TEXT,
@@ -138,7 +127,7 @@ CREATE TABLE store_settings (
 -- =====================================================
 -- جدول سجل العمليات (Audit Log Table)
 -- =====================================================
-CREATE TABLE audit_log (
+CREATE TABLE IF NOT EXISTS audit_log (
     id SERIAL PRIMARY KEY,
     user_id INTEGER,
     action VARCHAR(50) NOT NULL,
@@ -155,7 +144,7 @@ CREATE TABLE audit_log (
 -- =====================================================
 -- جدول سجل الأخطاء (Error Log Table)
 -- =====================================================
-CREATE TABLE error_log (
+CREATE TABLE IF NOT EXISTS error_log (
     id SERIAL PRIMARY KEY,
     error_type VARCHAR(50) NOT NULL,
     error_message TEXT NOT NULL,
@@ -172,7 +161,7 @@ CREATE TABLE error_log (
 -- =====================================================
 -- جدول محاولات تسجيل الدخول الفاشلة
 -- =====================================================
-CREATE TABLE failed_login_attempts (
+CREATE TABLE IF NOT EXISTS failed_login_attempts (
     id SERIAL PRIMARY KEY,
     username VARCHAR(50),
     ip_address VARCHAR(45) NOT NULL,
@@ -188,13 +177,15 @@ CREATE TABLE failed_login_attempts (
 -- إدراج البيانات الأولية (Seed Data)
 -- =====================================================
 
--- أنواع الذهب
-INSERT INTO gold_types (name_ar, name_en, karat, purity, display_order) VALUES
-('ذهب عيار 24', 'Gold 24K', 24, 0.9999, 1),
-('ذهب عيار 22', 'Gold 22K', 22, 0.9167, 2),
-('ذهب عيار 21', 'Gold 21K', 21, 0.8750, 3),
-('ذهب عيار 18', 'Gold 18K', 18, 0.7500, 4)
-ON CONFLICT DO NOTHING;
+-- أنواع الذهب (فقط إذا كان الجدول فارغاً)
+INSERT INTO gold_types (name_ar, name_en, karat, purity, display_order)
+SELECT * FROM (VALUES
+    ('ذهب عيار 24', 'Gold 24K', 24, 0.9999, 1),
+    ('ذهب عيار 22', 'Gold 22K', 22, 0.9167, 2),
+    ('ذهب عيار 21', 'Gold 21K', 21, 0.8750, 3),
+    ('ذهب عيار 18', 'Gold 18K', 18, 0.7500, 4)
+) AS seed (name_ar, name_en, karat, purity, display_order)
+WHERE NOT EXISTS (SELECT 1 FROM gold_types);
 
 -- العملات
 INSERT INTO currencies (code, name_ar, name_en, symbol, flag_emoji, is_active, is_base, display_order) VALUES
@@ -230,4 +221,4 @@ INSERT INTO store_settings (setting_key, setting_value, setting_type, descriptio
 ('session_timeout', '3600', 'integer', 'مهلة الجلسة بالثواني'),
 ('max_login_attempts', '5', 'integer', 'الحد الأقصى لمحاولات تسجيل الدخول'),
 ('lockout_duration', '900', 'integer', 'مدة الحظر بالثواني')
-ON CONFLICT DO NOTHING;
\ No newline at end of file
+ON CONFLICT DO NOTHING;
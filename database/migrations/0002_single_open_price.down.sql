@@ -0,0 +1,7 @@
+-- =====================================================
+-- التراجع عن الترحيل 0002
+-- Rollback migration 0002
+-- =====================================================
+
+DROP INDEX IF EXISTS idx_currency_rates_one_open;
+DROP INDEX IF EXISTS idx_gold_prices_one_open;
@@ -0,0 +1,41 @@
+-- =====================================================
+-- الترحيل 0002: سعر مفتوح واحد فقط لكل نوع ذهب / عملة
+-- Migration 0002: at most one open price per gold type / currency
+-- =====================================================
+
+-- إغلاق الأسعار المفتوحة المكررة (يبقى الأحدث فقط مفتوحاً)
+UPDATE gold_prices gp
+SET effective_until = (
+    SELECT MIN(newer.effective_from)
+    FROM gold_prices newer
+    WHERE newer.gold_type_id = gp.gold_type_id
+    AND newer.id > gp.id
+)
+WHERE gp.effective_until IS NULL
+AND EXISTS (
+    SELECT 1 FROM gold_prices newer
+    WHERE newer.gold_type_id = gp.gold_type_id
+    AND newer.effective_until IS NULL
+    AND newer.id > gp.id
+);
+
+UPDATE currency_rates cr
+SET effective_until = (
+    SELECT MIN(newer.effective_from)
+    FROM currency_rates newer
+    WHERE newer.currency_id = cr.currency_id
+    AND newer.id > cr.id
+)
+WHERE cr.effective_until IS NULL
+AND EXISTS (
+    SELECT 1 FROM currency_rates newer
+    WHERE newer.currency_id = cr.currency_id
+    AND newer.effective_until IS NULL
+    AND newer.id > cr.id
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gold_prices_one_open
+    ON gold_prices (gold_type_id) WHERE effective_until IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_currency_rates_one_open
+    ON currency_rates (currency_id) WHERE effective_until IS NULL;
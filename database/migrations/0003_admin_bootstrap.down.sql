@@ -0,0 +1,9 @@
+-- =====================================================
+-- التراجع عن الترحيل 0003
+-- Rollback migration 0003
+-- =====================================================
+
+DROP TABLE IF EXISTS sessions CASCADE;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS must_change_password;
@@ -0,0 +1,35 @@
+-- =====================================================
+-- الترحيل 0003: تهيئة المدير الأول وجلسات المصادقة
+-- Migration 0003: first-admin bootstrap and auth sessions
+-- =====================================================
+
+-- إجبار المستخدم على تغيير كلمة المرور عند أول تسجيل دخول
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false;
+
+-- =====================================================
+-- جدول جلسات المصادقة (Auth Sessions Table)
+-- ملاحظة: يختلف عن جدول "session" الخاص بـ connect-pg-simple
+-- =====================================================
+CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    session_token VARCHAR(255) UNIQUE NOT NULL,
+    csrf_token VARCHAR(255),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    is_valid BOOLEAN DEFAULT true,
+    expires_at TIMESTAMP NOT NULL,
+    last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+
+-- تعطيل المدير الافتراضي القديم (كلمة المرور المعروفة 123456)
+-- أنشئ مديراً جديداً بعدها عبر: npm run db:init
+UPDATE users
+SET is_active = false, must_change_password = true
+WHERE username = 'admin'
+AND password_hash = '$2b$10$N9qo8uLOickgx2ZMRZoMyeIjZAgcfl7p92ldGxad68LJZdL17lhWy';
@@ -0,0 +1,11 @@
+-- =====================================================
+-- التراجع عن الترحيل 0004
+-- Rollback migration 0004
+-- ⚠️ يفشل إذا وُجدت أنواع بعيارات خارج (18, 21, 22, 24)
+-- =====================================================
+
+ALTER TABLE gold_types DROP CONSTRAINT IF EXISTS gold_types_purity_range;
+ALTER TABLE gold_types DROP CONSTRAINT IF EXISTS gold_types_karat_range;
+
+ALTER TABLE gold_types
+    ADD CONSTRAINT gold_types_karat_check CHECK (karat IN (18, 21, 22, 24));
@@ -0,0 +1,13 @@
+-- =====================================================
+-- الترحيل 0004: عيارات ونقاوات قابلة للتخصيص
+-- Migration 0004: configurable karats and purities
+-- =====================================================
+
+-- إزالة القيد الثابت (18, 21, 22, 24) للسماح بعيارات مثل 9 و 14
+ALTER TABLE gold_types DROP CONSTRAINT IF EXISTS gold_types_karat_check;
+
+ALTER TABLE gold_types
+    ADD CONSTRAINT gold_types_karat_range CHECK (karat BETWEEN 1 AND 24);
+
+ALTER TABLE gold_types
+    ADD CONSTRAINT gold_types_purity_range CHECK (purity > 0 AND purity <= 1);
@@ -0,0 +1,6 @@
+-- =====================================================
+-- التراجع عن الترحيل 0005
+-- Rollback migration 0005
+-- =====================================================
+
+DELETE FROM store_settings WHERE setting_key = 'display_currency';
@@ -0,0 +1,8 @@
+-- =====================================================
+-- الترحيل 0005: عملة عرض أسعار الذهب
+-- Migration 0005: gold board display currency
+-- =====================================================
+
+INSERT INTO store_settings (setting_key, setting_value, setting_type, description) VALUES
+('display_currency', 'SAR', 'string', 'عملة عرض أسعار الذهب')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,6 @@
+-- =====================================================
+-- التراجع عن الترحيل 0006
+-- Rollback migration 0006
+-- =====================================================
+
+DROP TABLE IF EXISTS margin_policies CASCADE;
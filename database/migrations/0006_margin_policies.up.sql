@@ -0,0 +1,21 @@
+-- =====================================================
+-- الترحيل 0006: سياسات الهوامش
+-- Migration 0006: margin policies
+-- =====================================================
+
+-- هامش خاص لكل نوع ذهب أو عملة (نسبة أو مبلغ ثابت)
+-- في حال عدم وجود سياسة تُستخدم الهوامش الافتراضية من store_settings
+CREATE TABLE IF NOT EXISTS margin_policies (
+    id SERIAL PRIMARY KEY,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('GOLD_TYPE', 'CURRENCY')),
+    entity_id INTEGER NOT NULL,
+    margin_type VARCHAR(10) NOT NULL DEFAULT 'percent' CHECK (margin_type IN ('percent', 'fixed')),
+    margin_buy DECIMAL(15,6) NOT NULL DEFAULT 0 CHECK (margin_buy >= 0),
+    margin_sell DECIMAL(15,6) NOT NULL DEFAULT 0 CHECK (margin_sell >= 0),
+    is_active BOOLEAN DEFAULT true,
+    updated_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (entity_type, entity_id),
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
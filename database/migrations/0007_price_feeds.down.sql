@@ -0,0 +1,8 @@
+-- =====================================================
+-- التراجع عن الترحيل 0007
+-- Rollback migration 0007
+-- =====================================================
+
+DELETE FROM store_settings WHERE setting_key = 'price_feeds';
+
+DELETE FROM users WHERE username = 'system_feed';
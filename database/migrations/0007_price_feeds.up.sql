@@ -0,0 +1,15 @@
+-- =====================================================
+-- الترحيل 0007: مصادر الأسعار الآلية
+-- Migration 0007: automated price feeds
+-- =====================================================
+
+-- مستخدم النظام الذي تُنسب إليه الأسعار المستوردة من المصادر
+-- غير فعال وبدون كلمة مرور صالحة فلا يمكن تسجيل الدخول به
+INSERT INTO users (username, password_hash, full_name, role, is_active)
+VALUES ('system_feed', '!', 'Price Feed (system)', 'user', false)
+ON CONFLICT (username) DO NOTHING;
+
+-- إعدادات المصادر (مصفوفة JSON، فارغة افتراضياً)
+INSERT INTO store_settings (setting_key, setting_value, setting_type, description) VALUES
+('price_feeds', '[]', 'json', 'إعدادات مصادر الأسعار الآلية')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,8 @@
+-- =====================================================
+-- التراجع عن الترحيل 0008
+-- Rollback migration 0008
+-- =====================================================
+
+ALTER TABLE currencies DROP CONSTRAINT IF EXISTS currencies_decimal_places_range;
+
+ALTER TABLE currencies DROP COLUMN IF EXISTS decimal_places;
@@ -0,0 +1,13 @@
+-- =====================================================
+-- الترحيل 0008: عدد الخانات العشرية لكل عملة
+-- Migration 0008: per-currency decimal places (ISO 4217 minor unit)
+-- =====================================================
+
+ALTER TABLE currencies
+    ADD COLUMN IF NOT EXISTS decimal_places SMALLINT NOT NULL DEFAULT 2;
+
+ALTER TABLE currencies
+    ADD CONSTRAINT currencies_decimal_places_range CHECK (decimal_places BETWEEN 0 AND 4);
+
+-- الدنانير والريال العماني بثلاث خانات عشرية
+UPDATE currencies SET decimal_places = 3 WHERE code IN ('KWD', 'BHD', 'OMR', 'JOD', 'IQD', 'LYD', 'TND');
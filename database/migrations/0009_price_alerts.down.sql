@@ -0,0 +1,7 @@
+-- =====================================================
+-- التراجع عن الترحيل 0009
+-- Rollback migration 0009
+-- =====================================================
+
+DROP TABLE IF EXISTS notification_outbox CASCADE;
+DROP TABLE IF EXISTS price_alert_rules CASCADE;
@@ -0,0 +1,59 @@
+-- =====================================================
+-- الترحيل 0009: تنبيهات الأسعار وصندوق الإشعارات
+-- Migration 0009: price alert rules and notification outbox
+-- =====================================================
+
+-- قواعد التنبيه لكل مستخدم (تجاوز حد أعلى/أدنى أو تغير بنسبة مئوية)
+CREATE TABLE IF NOT EXISTS price_alert_rules (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('GOLD_TYPE', 'CURRENCY')),
+    entity_id INTEGER NOT NULL,
+    side VARCHAR(4) NOT NULL DEFAULT 'sell' CHECK (side IN ('buy', 'sell')),
+    condition_type VARCHAR(20) NOT NULL CHECK (condition_type IN ('above', 'below', 'percent_change')),
+    threshold DECIMAL(15,6) NOT NULL CHECK (threshold > 0),
+    -- السعر المرجعي لقواعد النسبة المئوية (يُعاد ضبطه عند كل تنبيه)
+    reference_price DECIMAL(15,6),
+    cooldown_minutes INTEGER NOT NULL DEFAULT 60 CHECK (cooldown_minutes >= 0),
+    note VARCHAR(255),
+    is_active BOOLEAN DEFAULT true,
+    last_triggered_at TIMESTAMP,
+    trigger_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_alert_rules_entity
+    ON price_alert_rules (entity_type, entity_id)
+    WHERE is_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_price_alert_rules_user
+    ON price_alert_rules (user_id);
+
+-- صندوق الإشعارات الصادرة (يُرسل لاحقاً عبر القناة المناسبة)
+-- dedup_key يمنع تكرار نفس الإشعار لنفس الحدث
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    rule_id INTEGER,
+    event_type VARCHAR(50) NOT NULL,
+    channel VARCHAR(20) NOT NULL DEFAULT 'in_app',
+    dedup_key VARCHAR(150) NOT NULL UNIQUE,
+    payload TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    read_at TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (rule_id) REFERENCES price_alert_rules(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_user
+    ON notification_outbox (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending
+    ON notification_outbox (created_at)
+    WHERE status = 'pending';
@@ -0,0 +1,6 @@
+-- =====================================================
+-- التراجع عن الترحيل 0010
+-- Rollback migration 0010
+-- =====================================================
+
+DELETE FROM store_settings WHERE setting_key IN ('vat_enabled', 'vat_rate', 'vat_scope');
@@ -0,0 +1,11 @@
+-- =====================================================
+-- الترحيل 0010: إعدادات ضريبة القيمة المضافة
+-- Migration 0010: VAT settings for sale quotes
+-- =====================================================
+
+-- vat_scope: total = على كامل قيمة القطعة، making_charge = على المصنعية والأحجار فقط
+INSERT INTO store_settings (setting_key, setting_value, setting_type, description) VALUES
+('vat_enabled', 'true', 'boolean', 'تطبيق ضريبة القيمة المضافة على عروض البيع'),
+('vat_rate', '0.15', 'decimal', 'نسبة ضريبة القيمة المضافة'),
+('vat_scope', 'total', 'string', 'نطاق الضريبة: total أو making_charge')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,6 @@
+-- =====================================================
+-- التراجع عن الترحيل 0011
+-- Rollback migration 0011
+-- =====================================================
+
+DELETE FROM store_settings WHERE setting_key = 'buyback_melting_loss';
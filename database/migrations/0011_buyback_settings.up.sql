@@ -0,0 +1,9 @@
+-- =====================================================
+-- الترحيل 0011: إعدادات شراء الذهب المستعمل (الكسر)
+-- Migration 0011: scrap gold buyback settings
+-- =====================================================
+
+-- نسبة فاقد الصهر تُخصم من الذهب الصافي قبل التسعير (0.01 = 1%)
+INSERT INTO store_settings (setting_key, setting_value, setting_type, description) VALUES
+('buyback_melting_loss', '0.01', 'decimal', 'نسبة فاقد الصهر عند شراء الذهب المستعمل')
+ON CONFLICT DO NOTHING;
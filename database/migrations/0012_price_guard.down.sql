@@ -0,0 +1,10 @@
+-- =====================================================
+-- التراجع عن الترحيل 0012
+-- Rollback migration 0012
+-- =====================================================
+
+DELETE FROM store_settings WHERE setting_key IN (
+    'price_guard_enabled',
+    'price_guard_gold_max_change',
+    'price_guard_currency_max_change'
+);
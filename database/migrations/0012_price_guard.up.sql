@@ -0,0 +1,11 @@
+-- =====================================================
+-- الترحيل 0012: حماية الأسعار من القفزات غير الطبيعية
+-- Migration 0012: price sanity guard settings
+-- =====================================================
+
+-- الحد الأقصى لنسبة التغير مقارنة بالسعر الحالي (0.10 = 10%)
+INSERT INTO store_settings (setting_key, setting_value, setting_type, description) VALUES
+('price_guard_enabled', 'true', 'boolean', 'رفض الأسعار ذات القفزات غير الطبيعية'),
+('price_guard_gold_max_change', '0.10', 'decimal', 'أقصى نسبة تغير لسعر الذهب'),
+('price_guard_currency_max_change', '0.05', 'decimal', 'أقصى نسبة تغير لسعر العملة')
+ON CONFLICT DO NOTHING;
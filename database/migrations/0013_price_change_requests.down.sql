@@ -0,0 +1,8 @@
+-- =====================================================
+-- التراجع عن الترحيل 0013
+-- Rollback migration 0013
+-- =====================================================
+
+DELETE FROM store_settings WHERE setting_key IN ('price_approval_enabled', 'price_approval_expiry_hours');
+
+DROP TABLE IF EXISTS price_change_requests CASCADE;
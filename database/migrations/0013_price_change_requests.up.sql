@@ -0,0 +1,38 @@
+-- =====================================================
+-- الترحيل 0013: طلبات تغيير الأسعار (مبدأ الأربع أعين)
+-- Migration 0013: maker-checker price change requests
+-- =====================================================
+
+-- عند تفعيل الموافقة، تغييرات المدير تُحفظ كطلبات حتى يعتمدها مشرف آخر
+CREATE TABLE IF NOT EXISTS price_change_requests (
+    id SERIAL PRIMARY KEY,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('GOLD_TYPE', 'CURRENCY')),
+    entity_id INTEGER NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('CREATE', 'UPDATE')),
+    -- السعر المستهدف بالتعديل (لطلبات UPDATE)
+    target_id INTEGER,
+    -- السعر الساري وقت الطلب (يُرفض الاعتماد إذا تغير)
+    base_price_id INTEGER,
+    payload TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+    requested_by INTEGER NOT NULL,
+    reviewed_by INTEGER,
+    review_comment TEXT,
+    -- السعر الناتج بعد الاعتماد
+    result_id INTEGER,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_change_requests_pending
+    ON price_change_requests (expires_at)
+    WHERE status = 'pending';
+
+INSERT INTO store_settings (setting_key, setting_value, setting_type, description) VALUES
+('price_approval_enabled', 'false', 'boolean', 'تغييرات أسعار المدراء تتطلب اعتماد مشرف'),
+('price_approval_expiry_hours', '24', 'integer', 'مدة صلاحية طلب تغيير السعر بالساعات')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,215 @@
+/**
+ * =====================================================
+ * مشغل ترحيلات قاعدة البيانات
+ * Database Migration Runner
+ * =====================================================
+ * الملف: backend/database/migrator.js
+ * الغرض: تطبيق ترحيلات المخطط المرقمة والتراجع عنها
+ * =====================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+
+// =====================================================
+// ثوابت الترحيل
+// Migration Constants
+// =====================================================
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// مفتاح القفل الاستشاري (ثابت لكل التطبيق حتى لا تترحل نسختان معاً)
+const ADVISORY_LOCK_KEY = 72417001;
+
+// اسم الملف: 0001_initial_schema.up.sql أو 0001_initial_schema.down.sql
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// =====================================================
+// فئة مشغل الترحيلات
+// Migrator Class
+// =====================================================
+class Migrator {
+    /**
+     * قراءة ملفات الترحيل من المجلد
+     * Load migration files from disk, ordered by version
+     */
+    static loadMigrations(dir = MIGRATIONS_DIR) {
+        const migrations = new Map();
+
+        for (const file of fs.readdirSync(dir)) {
+            const match = file.match(FILE_PATTERN);
+            if (!match) continue;
+
+            const [, version, name, direction] = match;
+            const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+            if (migration.name !== name) {
+                throw new Error(`Migration ${version} has mismatched file names`);
+            }
+
+            migration[direction] = path.join(dir, file);
+            migrations.set(version, migration);
+        }
+
+        for (const migration of migrations.values()) {
+            if (!migration.up) {
+                throw new Error(`Migration ${migration.version}_${migration.name} is missing its up file`);
+            }
+        }
+
+        return [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+    }
+
+    /**
+     * إنشاء جدول تتبع الترحيلات
+     * Ensure the schema_migrations tracking table exists
+     */
+    static async ensureTable(client) {
+        await client.query(
+            `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+                version VARCHAR(4) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    }
+
+    /**
+     * جلب الترحيلات المطبقة
+     * Get applied migration versions
+     */
+    static async getApplied(client) {
+        const result = await client.query(
+            `SELECT version, name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`
+        );
+        return result.rows;
+    }
+
+    /**
+     * تنفيذ عملية تحت القفل الاستشاري
+     * Run a callback holding the migration advisory lock
+     */
+    static async withLock(callback) {
+        const client = await db.pool.connect();
+
+        try {
+            // ينتظر حتى تنتهي أي نسخة أخرى من الترحيل
+            await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+
+            try {
+                await Migrator.ensureTable(client);
+                return await callback(client);
+            } finally {
+                await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+            }
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * تطبيق ملف ترحيل داخل معاملة
+     * Apply one migration file inside a transaction
+     */
+    static async applyFile(client, migration, direction) {
+        const sql = fs.readFileSync(migration[direction], 'utf8');
+
+        await client.query('BEGIN');
+        try {
+            await client.query(sql);
+
+            if (direction === 'up') {
+                await client.query(
+                    `INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES ($1, $2)`,
+                    [migration.version, migration.name]
+                );
+            } else {
+                await client.query(
+                    `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+                    [migration.version]
+                );
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+            throw error;
+        }
+    }
+
+    /**
+     * تطبيق جميع الترحيلات المعلقة
+     * Apply all pending migrations
+     */
+    static async migrate() {
+        const migrations = Migrator.loadMigrations();
+
+        return Migrator.withLock(async (client) => {
+            const applied = new Set((await Migrator.getApplied(client)).map(row => row.version));
+            const pending = migrations.filter(migration => !applied.has(migration.version));
+
+            for (const migration of pending) {
+                await Migrator.applyFile(client, migration, 'up');
+                console.log(`✅ Applied migration ${migration.version}_${migration.name}`);
+            }
+
+            return pending.map(migration => `${migration.version}_${migration.name}`);
+        });
+    }
+
+    /**
+     * التراجع عن آخر ترحيلات
+     * Roll back the most recent migrations
+     */
+    static async rollback(steps = 1) {
+        const migrations = Migrator.loadMigrations();
+        const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+        return Migrator.withLock(async (client) => {
+            const applied = await Migrator.getApplied(client);
+            const targets = applied.reverse().slice(0, steps);
+            const rolledBack = [];
+
+            for (const row of targets) {
+                const migration = byVersion.get(row.version);
+
+                if (!migration || !migration.down) {
+                    throw new Error(`Migration ${row.version}_${row.name} has no down file`);
+                }
+
+                await Migrator.applyFile(client, migration, 'down');
+                console.log(`↩️  Rolled back migration ${migration.version}_${migration.name}`);
+                rolledBack.push(`${migration.version}_${migration.name}`);
+            }
+
+            return rolledBack;
+        });
+    }
+
+    /**
+     * حالة الترحيلات
+     * Get status of every known migration
+     */
+    static async status() {
+        const migrations = Migrator.loadMigrations();
+
+        return Migrator.withLock(async (client) => {
+            const applied = new Map((await Migrator.getApplied(client)).map(row => [row.version, row]));
+
+            return migrations.map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                applied: applied.has(migration.version),
+                appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+            }));
+        });
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = Migrator;
@@ -19,6 +19,14 @@ const db = require('../config/database');
 const loginAttempts = new Map();
 const rateLimitStore = new Map();
 
+// المسارات المسموحة قبل تغيير كلمة المرور الإجباري
+// Routes allowed while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+    '/api/auth/change-password',
+    '/api/auth/logout',
+    '/api/auth/session'
+];
+
 // =====================================================
 // 1. Security Headers Middleware
 // =====================================================
@@ -295,7 +303,7 @@ const validateSession = async (req, res, next) => {
            يمكنك إزالة التعليق فور تهيئة قاعدة البيانات */
         /*
         const session = await db.get(
-            'SELECT * FROM sessions WHERE session_token = ? AND is_valid = 1 AND expires_at > datetime("now")',
+            'SELECT * FROM sessions WHERE session_token = ? AND is_valid = true AND expires_at > datetime("now")',
             [req.session.token]
         );
 
@@ -317,6 +325,19 @@ const validateSession = async (req, res, next) => {
         );
         */
 
+        // منع أي عملية قبل تغيير كلمة المرور الإجباري
+        if (req.session.mustChangePassword) {
+            const requestPath = (req.originalUrl || req.url).split('?')[0];
+
+            if (!PASSWORD_CHANGE_ALLOWED_PATHS.includes(requestPath)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Password change required',
+                    code: 'PASSWORD_CHANGE_REQUIRED'
+                });
+            }
+        }
+
         // إضافة معلومات المستخدم للطلب
         req.user = {
             id: req.session.userId,
@@ -351,7 +372,7 @@ const requireRole = (allowedRoles) => {
             // جلب دور المستخدم
             /* تم تعليق الاستعلام مؤقتاً
             const user = await db.get(
-                'SELECT role FROM users WHERE id = ? AND is_active = 1',
+                'SELECT role FROM users WHERE id = ? AND is_active = true',
                 [req.user.id]
             );
             */
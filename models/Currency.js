@@ -0,0 +1,382 @@
+/**
+ * =====================================================
+ * نموذج العملات
+ * Currency Model
+ * =====================================================
+ * الملف: backend/models/Currency.js
+ * الغرض: إدارة العملات (الرمز، الاسم، الرمز المختصر، العلم،
+ *        الخانات العشرية، الترتيب والتفعيل)
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const { reorderRows } = require('./displayOrder');
+const CurrencyRate = require('./CurrencyRate');
+const { IsoCurrencies, MAX_DECIMAL_PLACES } = require('../config/currencies');
+
+// =====================================================
+// فئة العملات
+// Currency Class
+// =====================================================
+class Currency {
+    /**
+     * إنشاء كائن عملة
+     * Create currency object
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.code = data.code || '';
+        this.nameAr = data.name_ar || '';
+        this.nameEn = data.name_en || null;
+        this.symbol = data.symbol || null;
+        this.flagEmoji = data.flag_emoji || null;
+        this.decimalPlaces = data.decimal_places !== undefined && data.decimal_places !== null
+            ? data.decimal_places
+            : 2;
+        this.displayOrder = data.display_order || 0;
+        this.isActive = data.is_active !== undefined ? data.is_active : true;
+        this.isBase = data.is_base || false;
+        this.createdAt = data.created_at || null;
+        this.updatedAt = data.updated_at || null;
+    }
+
+    /**
+     * التحقق من صحة البيانات
+     * Validate currency data
+     */
+    validate() {
+        const errors = [];
+
+        if (!IsoCurrencies.isValid(this.code)) {
+            errors.push({
+                field: 'code',
+                message: 'Code must be a circulating ISO 4217 currency code',
+                code: 'CODE_INVALID'
+            });
+        }
+
+        if (!this.nameAr || String(this.nameAr).trim().length === 0) {
+            errors.push({
+                field: 'nameAr',
+                message: 'Arabic name is required',
+                code: 'NAME_REQUIRED'
+            });
+        } else if (String(this.nameAr).length > 50) {
+            errors.push({
+                field: 'nameAr',
+                message: 'Arabic name must be at most 50 characters',
+                code: 'NAME_TOO_LONG'
+            });
+        }
+
+        if (this.nameEn && String(this.nameEn).length > 50) {
+            errors.push({
+                field: 'nameEn',
+                message: 'English name must be at most 50 characters',
+                code: 'NAME_TOO_LONG'
+            });
+        }
+
+        if (this.symbol && String(this.symbol).length > 10) {
+            errors.push({
+                field: 'symbol',
+                message: 'Symbol must be at most 10 characters',
+                code: 'SYMBOL_TOO_LONG'
+            });
+        }
+
+        if (this.flagEmoji && String(this.flagEmoji).length > 10) {
+            errors.push({
+                field: 'flagEmoji',
+                message: 'Flag must be at most 10 characters',
+                code: 'FLAG_TOO_LONG'
+            });
+        }
+
+        if (!Number.isInteger(this.decimalPlaces) || this.decimalPlaces < 0 || this.decimalPlaces > MAX_DECIMAL_PLACES) {
+            errors.push({
+                field: 'decimalPlaces',
+                message: `Decimal places must be an integer between 0 and ${MAX_DECIMAL_PLACES}`,
+                code: 'DECIMAL_PLACES_INVALID'
+            });
+        }
+
+        if (!Number.isInteger(this.displayOrder) || this.displayOrder < 0) {
+            errors.push({
+                field: 'displayOrder',
+                message: 'Display order must be a non-negative integer',
+                code: 'DISPLAY_ORDER_INVALID'
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * تحويل إلى كائن JSON
+     * Convert to JSON
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            code: this.code,
+            nameAr: this.nameAr,
+            nameEn: this.nameEn,
+            symbol: this.symbol,
+            flagEmoji: this.flagEmoji,
+            decimalPlaces: this.decimalPlaces,
+            isoDecimalPlaces: IsoCurrencies.minorUnit(this.code),
+            displayOrder: this.displayOrder,
+            isActive: this.isActive,
+            isBase: this.isBase,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    // =====================================================
+    // العمليات الثابتة (Static Methods)
+    // =====================================================
+
+    /**
+     * البحث عن عملة بواسطة المعرف
+     * Find currency by ID
+     */
+    static async findById(id, executor = db) {
+        try {
+            const row = await executor.get(
+                'SELECT * FROM currencies WHERE id = ?',
+                [id]
+            );
+
+            return row ? new Currency(row) : null;
+        } catch (error) {
+            console.error('Error finding currency by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * البحث عن عملة بواسطة الرمز
+     * Find currency by ISO code
+     */
+    static async findByCode(code, executor = db) {
+        try {
+            const row = await executor.get(
+                'SELECT * FROM currencies WHERE code = ?',
+                [IsoCurrencies.normalize(code)]
+            );
+
+            return row ? new Currency(row) : null;
+        } catch (error) {
+            console.error('Error finding currency by code:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب جميع العملات
+     * Get all currencies
+     */
+    static async findAll(options = {}) {
+        try {
+            let sql = 'SELECT * FROM currencies';
+
+            if (!options.includeInactive) {
+                sql += ' WHERE is_active = true';
+            }
+
+            sql += ' ORDER BY display_order, code';
+
+            const rows = await db.all(sql);
+            return rows.map(row => new Currency(row));
+        } catch (error) {
+            console.error('Error getting currencies:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إنشاء عملة جديدة (الخانات العشرية الافتراضية حسب ISO 4217)
+     * Create new currency; decimal places default to the ISO 4217 minor unit
+     */
+    static async create(currencyData, createdBy = null) {
+        try {
+            const code = IsoCurrencies.normalize(currencyData.code);
+            const currency = new Currency({
+                code,
+                name_ar: currencyData.nameAr,
+                name_en: currencyData.nameEn,
+                symbol: currencyData.symbol,
+                flag_emoji: currencyData.flagEmoji,
+                decimal_places: currencyData.decimalPlaces !== undefined
+                    ? currencyData.decimalPlaces
+                    : IsoCurrencies.minorUnit(code),
+                display_order: currencyData.displayOrder,
+                is_active: currencyData.isActive
+            });
+
+            const errors = currency.validate();
+            if (errors.length > 0) {
+                throw new Error('Validation failed: ' + JSON.stringify(errors));
+            }
+
+            const existing = await Currency.findByCode(currency.code);
+            if (existing) {
+                throw new Error('Currency code already exists');
+            }
+
+            const result = await db.run(
+                `INSERT INTO currencies (code, name_ar, name_en, symbol, flag_emoji,
+                                         decimal_places, display_order, is_active, is_base)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, false)`,
+                [
+                    currency.code,
+                    currency.nameAr,
+                    currency.nameEn,
+                    currency.symbol,
+                    currency.flagEmoji,
+                    currency.decimalPlaces,
+                    currency.displayOrder,
+                    currency.isActive ? 1 : 0
+                ]
+            );
+
+            await Currency.logChange(result.id, 'CREATE', createdBy, currency.toJSON());
+
+            return await Currency.findById(result.id);
+        } catch (error) {
+            console.error('Error creating currency:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تحديث عملة
+     * Update currency. The code cannot change (clients and feeds look it up);
+     * deactivation is refused for the base currency, and for a currency
+     * with open rates unless options.closeRates closes them in the same
+     * transaction
+     */
+    static async update(id, currencyData, updatedBy = null, options = {}) {
+        try {
+            return await db.transaction(async (tx) => {
+                // قفل العملة حتى لا يُنشر سعر أثناء إلغاء التفعيل
+                await CurrencyRate.lockCurrency(id, tx);
+                const currency = await Currency.findById(id, tx);
+
+                if (currencyData.code !== undefined && IsoCurrencies.normalize(currencyData.code) !== currency.code) {
+                    throw new Error('Currency code cannot be changed');
+                }
+
+                const deactivating = currencyData.isActive === false && currency.isActive;
+
+                if (currencyData.nameAr !== undefined) currency.nameAr = currencyData.nameAr;
+                if (currencyData.nameEn !== undefined) currency.nameEn = currencyData.nameEn;
+                if (currencyData.symbol !== undefined) currency.symbol = currencyData.symbol;
+                if (currencyData.flagEmoji !== undefined) currency.flagEmoji = currencyData.flagEmoji;
+                if (currencyData.decimalPlaces !== undefined) currency.decimalPlaces = currencyData.decimalPlaces;
+                if (currencyData.displayOrder !== undefined) currency.displayOrder = currencyData.displayOrder;
+                if (currencyData.isActive !== undefined) currency.isActive = currencyData.isActive;
+
+                const errors = currency.validate();
+                if (errors.length > 0) {
+                    throw new Error('Validation failed: ' + JSON.stringify(errors));
+                }
+
+                let closedRates = [];
+                if (deactivating) {
+                    if (currency.isBase) {
+                        throw new Error('Base currency cannot be deactivated');
+                    }
+
+                    const openRates = await CurrencyRate.getOpenRates(id, tx);
+                    if (openRates.length > 0 && !options.closeRates) {
+                        throw new Error('Currency has open rates; close them before deactivating');
+                    }
+
+                    closedRates = await CurrencyRate.closeOpenRates(id, updatedBy, tx);
+                }
+
+                await tx.run(
+                    `UPDATE currencies
+                     SET name_ar = ?, name_en = ?, symbol = ?, flag_emoji = ?, decimal_places = ?,
+                         display_order = ?, is_active = ?, updated_at = datetime('now')
+                     WHERE id = ?`,
+                    [
+                        currency.nameAr,
+                        currency.nameEn,
+                        currency.symbol,
+                        currency.flagEmoji,
+                        currency.decimalPlaces,
+                        currency.displayOrder,
+                        currency.isActive ? 1 : 0,
+                        id
+                    ]
+                );
+
+                await Currency.logChange(id, deactivating ? 'DEACTIVATE' : 'UPDATE', updatedBy, {
+                    ...currencyData,
+                    ...(closedRates.length > 0 ? { closedRates: closedRates.map(rate => rate.id) } : {})
+                }, tx);
+
+                return await Currency.findById(id, tx);
+            });
+        } catch (error) {
+            console.error('Error updating currency:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إلغاء تفعيل عملة (يبقى تاريخ أسعارها محفوظاً)
+     * Deactivate currency (rate history is kept)
+     */
+    static async deactivate(id, updatedBy = null, options = {}) {
+        return Currency.update(id, { isActive: false }, updatedBy, options);
+    }
+
+    /**
+     * إعادة ترتيب العملات
+     * Reorder currencies; ids are given in the desired display order and
+     * must cover every currency, inactive ones included (see reorderRows)
+     */
+    static async reorder(orderedIds, updatedBy = null) {
+        try {
+            await reorderRows('currencies', orderedIds, { noun: 'currency', label: 'Currency' });
+
+            await Currency.logChange(null, 'REORDER', updatedBy, { order: orderedIds });
+
+            return await Currency.findAll({ includeInactive: true });
+        } catch (error) {
+            console.error('Error reordering currencies:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل التغييرات (داخل المعاملة يُعاد رمي الخطأ كي لا يُحفظ التغيير دون سجله)
+     * Log changes (rethrown inside a transaction so no change commits without its audit row)
+     */
+    static async logChange(currencyId, action, performedBy, details, executor = db) {
+        try {
+            await executor.run(
+                `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, created_at)
+                 VALUES (?, ?, 'CURRENCY', ?, ?, datetime('now'))`,
+                [performedBy, action, currencyId, JSON.stringify(details)]
+            );
+        } catch (error) {
+            console.error('Error logging currency change:', error);
+
+            if (executor !== db) {
+                throw error;
+            }
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = Currency;
@@ -9,6 +9,13 @@
  */
 
 const db = require('../config/database');
+const MarginPolicy = require('./MarginPolicy');
+const PriceAlertService = require('../services/PriceAlertService');
+const PriceGuard = require('../services/PriceGuard');
+const PriceEvents = require('../services/PriceEvents');
+
+// عدد الخانات العشرية في مصفوفة الأسعار المتقاطعة
+const CROSS_RATE_DECIMALS = 6;
 
 // =====================================================
 // فئة أسعار العملات
@@ -40,6 +47,12 @@ class CurrencyRate {
         this.currencySymbol = data.currency_symbol || null;
         this.flagEmoji = data.flag_emoji || null;
         this.isBase = data.is_base || false;
+        this.decimalPlaces = data.decimal_places !== undefined && data.decimal_places !== null
+            ? data.decimal_places
+            : 2;
+
+        // سعر مجدول لم يبدأ بعد
+        this.isPending = data.is_pending || false;
     }
 
     /**
@@ -70,6 +83,22 @@ class CurrencyRate {
         return type === 'buy' ? rate + margin : rate - margin;
     }
 
+    /**
+     * السعر المتوسط النهائي مقابل العملة الأساسية
+     * Mid final rate against the base currency (base = 1, null if no rate)
+     */
+    getMidRate() {
+        if (this.isBase) {
+            return 1;
+        }
+
+        if (!this.id) {
+            return null;
+        }
+
+        return (this.getFinalRate('buy') + this.getFinalRate('sell')) / 2;
+    }
+
     /**
      * تحويل مبلغ من العملة الأساسية
      * Convert amount from base currency
@@ -100,6 +129,7 @@ class CurrencyRate {
             currencySymbol: this.currencySymbol,
             flagEmoji: this.flagEmoji,
             isBase: this.isBase,
+            decimalPlaces: this.decimalPlaces,
             buyRate: this.buyRate,
             sellRate: this.sellRate,
             spread: this.spread,
@@ -107,6 +137,8 @@ class CurrencyRate {
             marginSell: this.marginSell,
             isManual: this.isManual,
             effectiveFrom: this.effectiveFrom,
+            effectiveUntil: this.effectiveUntil,
+            isPending: this.isPending,
             createdAt: this.createdAt
         };
     }
@@ -119,12 +151,13 @@ class CurrencyRate {
      * البحث عن سعر بواسطة المعرف
      * Find rate by ID
      */
-    static async findById(id) {
+    static async findById(id, executor = db) {
         try {
-            const row = await db.get(
+            const row = await executor.get(
                 `SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
                         c.name_en as currency_name_en, c.symbol as currency_symbol,
-                        c.flag_emoji, c.is_base
+                        c.flag_emoji, c.is_base, c.decimal_places,
+                        cr.effective_from > datetime('now') as is_pending
                  FROM currency_rates cr
                  JOIN currencies c ON cr.currency_id = c.id
                  WHERE cr.id = ?`,
@@ -142,20 +175,31 @@ class CurrencyRate {
      * جلب السعر الحالي لعملة معينة
      * Get current rate for currency
      */
-    static async getCurrentRate(currencyId) {
+    static async getCurrentRate(currencyId, executor = db) {
+        return CurrencyRate.getRateAsOf(currencyId, null, executor);
+    }
+
+    /**
+     * جلب السعر الساري في لحظة معينة (الافتراضي: الآن)
+     * Get the rate whose effective window contains asOf (default: now)
+     */
+    static async getRateAsOf(currencyId, asOf = null, executor = db) {
         try {
-            const row = await db.get(
+            const point = asOf ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')";
+            const pointParams = asOf ? [asOf] : [];
+
+            const row = await executor.get(
                 `SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
                         c.name_en as currency_name_en, c.symbol as currency_symbol,
-                        c.flag_emoji, c.is_base
+                        c.flag_emoji, c.is_base, c.decimal_places
                  FROM currency_rates cr
                  JOIN currencies c ON cr.currency_id = c.id
                  WHERE cr.currency_id = ?
-                 AND cr.effective_from <= datetime('now')
-                 AND (cr.effective_until IS NULL OR cr.effective_until > datetime('now'))
+                 AND cr.effective_from <= ${point}
+                 AND (cr.effective_until IS NULL OR cr.effective_until > ${point})
                  ORDER BY cr.effective_from DESC
                  LIMIT 1`,
-                [currencyId]
+                [currencyId, ...pointParams, ...pointParams]
             );
             
             return row ? new CurrencyRate(row) : null;
@@ -166,23 +210,26 @@ class CurrencyRate {
     }
 
     /**
-     * جلب السعر الحالي حسب كود العملة
-     * Get current rate by currency code
+     * جلب السعر الحالي حسب كود العملة (أو الساري في لحظة asOf)
+     * Get current rate by currency code (or the one in effect at asOf)
      */
-    static async getCurrentRateByCode(code) {
+    static async getCurrentRateByCode(code, asOf = null) {
         try {
+            const point = asOf ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')";
+            const pointParams = asOf ? [asOf] : [];
+
             const row = await db.get(
                 `SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
                         c.name_en as currency_name_en, c.symbol as currency_symbol,
-                        c.flag_emoji, c.is_base
+                        c.flag_emoji, c.is_base, c.decimal_places
                  FROM currency_rates cr
                  JOIN currencies c ON cr.currency_id = c.id
                  WHERE c.code = ?
-                 AND cr.effective_from <= datetime('now')
-                 AND (cr.effective_until IS NULL OR cr.effective_until > datetime('now'))
+                 AND cr.effective_from <= ${point}
+                 AND (cr.effective_until IS NULL OR cr.effective_until > ${point})
                  ORDER BY cr.effective_from DESC
                  LIMIT 1`,
-                [code.toUpperCase()]
+                [code.toUpperCase(), ...pointParams, ...pointParams]
             );
             
             return row ? new CurrencyRate(row) : null;
@@ -193,29 +240,31 @@ class CurrencyRate {
     }
 
     /**
-     * جلب جميع الأسعار الحالية
-     * Get all current rates
+     * جلب جميع الأسعار الحالية (أو السارية في لحظة asOf)
+     * Get all current rates (or those in effect at asOf)
      */
-    static async getAllCurrentRates() {
+    static async getAllCurrentRates(asOf = null) {
         try {
+            const point = asOf ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')";
+            const pointParams = asOf ? [asOf] : [];
+
             const rows = await db.all(
                 `SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
                         c.name_en as currency_name_en, c.symbol as currency_symbol,
-                        c.flag_emoji, c.is_base
+                        c.flag_emoji, c.is_base, c.decimal_places
                  FROM currencies c
                  LEFT JOIN currency_rates cr ON c.id = cr.currency_id
-                 AND cr.effective_from <= datetime('now')
-                 AND (cr.effective_until IS NULL OR cr.effective_until > datetime('now'))
                  AND cr.id = (
                      SELECT id FROM currency_rates 
                      WHERE currency_id = c.id 
-                     AND effective_from <= datetime('now')
-                     AND (effective_until IS NULL OR effective_until > datetime('now'))
+                     AND effective_from <= ${point}
+                     AND (effective_until IS NULL OR effective_until > ${point})
                      ORDER BY effective_from DESC 
                      LIMIT 1
                  )
-                 WHERE c.is_active = 1
-                 ORDER BY c.display_order, c.code`
+                 WHERE c.is_active = true
+                 ORDER BY c.display_order, c.code`,
+                [...pointParams, ...pointParams]
             );
             
             return rows.map(row => new CurrencyRate(row));
@@ -227,13 +276,13 @@ class CurrencyRate {
 
     /**
      * جلب جميع العملات
-     * Get all currencies
+     * Get all currencies (active only unless includeInactive)
      */
-    static async getCurrencies() {
+    static async getCurrencies(options = {}) {
         try {
             const rows = await db.all(
                 `SELECT * FROM currencies 
-                 WHERE is_active = 1 
+                 ${options.includeInactive ? '' : 'WHERE is_active = true'}
                  ORDER BY display_order, code`
             );
             
@@ -245,100 +294,359 @@ class CurrencyRate {
     }
 
     /**
-     * إنشاء سعر جديد
-     * Create new rate
+     * قفل العملة حتى نهاية المعاملة
+     * Lock currency row for the rest of the transaction
      */
-    static async create(rateData, updatedBy = null) {
-        try {
-            // إنهاء الأسعار السابقة
-            await db.run(
-                `UPDATE currency_rates 
-                 SET effective_until = datetime('now')
-                 WHERE currency_id = ? 
-                 AND effective_until IS NULL`,
-                [rateData.currencyId]
+    static async lockCurrency(currencyId, tx) {
+        const row = await tx.get(
+            'SELECT id FROM currencies WHERE id = ? FOR UPDATE',
+            [currencyId]
+        );
+
+        if (!row) {
+            throw new Error('Currency not found');
+        }
+
+        return row;
+    }
+
+    /**
+     * فتح فترة في الجدول الزمني للأسعار
+     * Make room in the rate timeline at a point in time (null = now):
+     * the rate covering that point is closed there, and the returned
+     * value is when the new rate must end (next scheduled start or null)
+     */
+    static async openSlot(currencyId, effectiveFrom, tx) {
+        const point = effectiveFrom ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')";
+        const pointParams = effectiveFrom ? [effectiveFrom] : [];
+
+        if (effectiveFrom) {
+            const clash = await tx.get(
+                `SELECT id FROM currency_rates WHERE currency_id = ? AND effective_from = ${point}`,
+                [currencyId, ...pointParams]
             );
 
-            // حساب الفرق
-            const spread = rateData.sellRate - rateData.buyRate;
-
-            // إدراج السعر الجديد
-            const result = await db.run(
-                `INSERT INTO currency_rates 
-                 (currency_id, buy_rate, sell_rate, spread, margin_buy, margin_sell, 
-                  is_manual, updated_by, effective_from)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
-                [
-                    rateData.currencyId,
-                    rateData.buyRate,
-                    rateData.sellRate,
-                    spread,
-                    rateData.marginBuy || 0,
-                    rateData.marginSell || 0,
-                    rateData.isManual ? 1 : 0,
-                    updatedBy
-                ]
+            if (clash) {
+                throw new Error('A rate is already scheduled at this time');
+            }
+        }
+
+        const covering = await tx.get(
+            `SELECT id, effective_until FROM currency_rates
+             WHERE currency_id = ?
+             AND effective_from <= ${point}
+             AND (effective_until IS NULL OR effective_until > ${point})
+             ORDER BY effective_from DESC
+             LIMIT 1`,
+            [currencyId, ...pointParams, ...pointParams]
+        );
+
+        if (covering) {
+            await tx.run(
+                `UPDATE currency_rates SET effective_until = ${point} WHERE id = ?`,
+                [...pointParams, covering.id]
             );
 
-            // تسجيل التغيير
-            await CurrencyRate.logChange(result.id, 'CREATE', updatedBy, rateData);
+            return covering.effective_until;
+        }
 
-            return await CurrencyRate.findById(result.id);
+        const next = await tx.get(
+            `SELECT MIN(effective_from) as next_from FROM currency_rates
+             WHERE currency_id = ? AND effective_from > ${point}`,
+            [currencyId, ...pointParams]
+        );
+
+        return next ? next.next_from : null;
+    }
+
+    /**
+     * إنشاء سعر جديد
+     * Create new rate, now or scheduled at rateData.effectiveFrom
+     * (the rate it replaces is closed atomically)
+     */
+    static async create(rateData, updatedBy = null, executor = db) {
+        try {
+            return await executor.transaction(async (tx) => {
+                // قفل العملة لمنع نشر سعرين في نفس اللحظة
+                await CurrencyRate.lockCurrency(rateData.currencyId, tx);
+
+                // إنهاء السعر الذي يغطي لحظة البدء
+                const effectiveFrom = rateData.effectiveFrom
+                    ? new Date(rateData.effectiveFrom).toISOString()
+                    : null;
+
+                // السعر الحالي قبل إنهائه (لحماية الأسعار وتقييم تنبيهات التجاوز)
+                const current = await CurrencyRate.getCurrentRate(rateData.currencyId, tx);
+                const previous = effectiveFrom ? null : current;
+
+                // رفض القفزات غير الطبيعية ما لم يُطلب التجاوز صراحة
+                const overridden = await PriceGuard.enforce(
+                    'CURRENCY',
+                    { buy: rateData.buyRate, sell: rateData.sellRate },
+                    current && { buy: current.buyRate, sell: current.sellRate },
+                    rateData.force === true
+                );
+
+                const effectiveUntil = await CurrencyRate.openSlot(rateData.currencyId, effectiveFrom, tx);
+
+                // حساب الفرق
+                const spread = rateData.sellRate - rateData.buyRate;
+
+                // الهوامش غير المحددة تؤخذ من سياسة الهوامش
+                let { marginBuy, marginSell } = rateData;
+                if (marginBuy === undefined || marginSell === undefined) {
+                    const policy = await MarginPolicy.resolve('CURRENCY', rateData.currencyId, tx);
+                    const ratios = policy.ratiosFor(rateData.buyRate, rateData.sellRate);
+                    if (marginBuy === undefined) marginBuy = ratios.marginBuy;
+                    if (marginSell === undefined) marginSell = ratios.marginSell;
+                }
+
+                // إدراج السعر الجديد
+                const result = await tx.run(
+                    `INSERT INTO currency_rates 
+                     (currency_id, buy_rate, sell_rate, spread, margin_buy, margin_sell, 
+                      is_manual, updated_by, effective_from, effective_until)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${effectiveFrom ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')"}, ?)`,
+                    [
+                        rateData.currencyId,
+                        rateData.buyRate,
+                        rateData.sellRate,
+                        spread,
+                        marginBuy,
+                        marginSell,
+                        rateData.isManual ? 1 : 0,
+                        updatedBy,
+                        ...(effectiveFrom ? [effectiveFrom] : []),
+                        effectiveUntil
+                    ]
+                );
+
+                // تسجيل التغيير
+                await CurrencyRate.logChange(
+                    result.id,
+                    effectiveFrom ? 'SCHEDULE' : 'CREATE',
+                    updatedBy,
+                    {
+                        ...rateData,
+                        marginBuy,
+                        marginSell,
+                        ...(overridden.length > 0 ? { sanityOverride: overridden } : {})
+                    },
+                    tx
+                );
+
+                const created = await CurrencyRate.findById(result.id, tx);
+
+                // بث التغيير بعد نجاح المعاملة
+                tx.afterCommit(() => PriceEvents.publish('currency', {
+                    action: effectiveFrom ? 'scheduled' : 'published',
+                    rate: created.toJSON()
+                }));
+
+                // تقييم تنبيهات الأسعار (الأسعار المجدولة تُقيّم عند بدئها في ScheduledAlertWatcher)
+                if (!effectiveFrom) {
+                    await PriceAlertService.evaluate('CURRENCY', created.currencyId, {
+                        priceId: created.id,
+                        label: created.currencyCode,
+                        buy: created.buyRate,
+                        sell: created.sellRate,
+                        effectiveFrom: created.effectiveFrom
+                    }, previous && { buy: previous.buyRate, sell: previous.sellRate }, tx);
+                }
+
+                return created;
+            });
         } catch (error) {
             console.error('Error creating currency rate:', error);
             throw error;
         }
     }
 
+    /**
+     * ربط خطأ بالصف الذي أوقف الدفعة
+     * Tag an error with the currency of the batch row that caused it
+     */
+    static rowError(error, rateData) {
+        error.currencyId = rateData.currencyId;
+        return error;
+    }
+
+    /**
+     * إنشاء عدة أسعار في معاملة واحدة
+     * Create several rates atomically (all or nothing); a failing row
+     * aborts the batch with its currencyId on the error
+     */
+    static async bulkCreate(ratesData, updatedBy = null, executor = db) {
+        try {
+            return await executor.transaction(async (tx) => {
+                // قفل العملات بترتيب ثابت لتجنب التعارض (deadlock)
+                const ordered = [...ratesData].sort((a, b) => a.currencyId - b.currencyId);
+                for (const rateData of ordered) {
+                    await CurrencyRate.lockCurrency(rateData.currencyId, tx).catch(error => {
+                        throw CurrencyRate.rowError(error, rateData);
+                    });
+                }
+
+                const created = [];
+                for (const rateData of ratesData) {
+                    created.push(await CurrencyRate.create(rateData, updatedBy, tx).catch(error => {
+                        throw CurrencyRate.rowError(error, rateData);
+                    }));
+                }
+
+                return created;
+            });
+        } catch (error) {
+            console.error('Error bulk creating currency rates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * استرجاع سعر عملة سابق
+     * Re-publish a historical rate as a new current rate; with batch, every
+     * rate published in the same transaction (e.g. a bulk update) is restored.
+     * The restored rates were live before, so the sanity guard is overridden
+     * (and the override recorded in the audit log)
+     */
+    static async revert(id, reason, updatedBy = null, options = {}) {
+        try {
+            return await db.transaction(async (tx) => {
+                const source = await CurrencyRate.findById(id, tx);
+                if (!source) {
+                    throw new Error('Currency rate not found');
+                }
+
+                if (source.isPending) {
+                    throw new Error('Cannot revert to a scheduled rate');
+                }
+
+                // الدفعة = الأسعار المنشورة في نفس المعاملة (نفس لحظة البدء)
+                const targets = options.batch
+                    ? (await tx.all(
+                        `SELECT * FROM currency_rates
+                         WHERE effective_from = (SELECT effective_from FROM currency_rates WHERE id = ?)
+                         ORDER BY currency_id`,
+                        [id]
+                    )).map(row => new CurrencyRate(row))
+                    : [source];
+
+                const reverted = [];
+
+                for (const target of targets) {
+                    // السعر الساري حالياً لا يُعاد نشره
+                    const current = await CurrencyRate.getCurrentRate(target.currencyId, tx);
+                    if (current && current.id === target.id) {
+                        continue;
+                    }
+
+                    const rate = await CurrencyRate.create({
+                        currencyId: target.currencyId,
+                        buyRate: target.buyRate,
+                        sellRate: target.sellRate,
+                        marginBuy: target.marginBuy,
+                        marginSell: target.marginSell,
+                        isManual: true,
+                        force: true,
+                        revertedFrom: target.id
+                    }, updatedBy, tx);
+
+                    await CurrencyRate.logChange(rate.id, 'REVERT', updatedBy, {
+                        revertedFrom: target.id,
+                        reason,
+                        batch: options.batch === true
+                    }, tx);
+
+                    reverted.push(rate);
+                }
+
+                if (reverted.length === 0) {
+                    throw new Error('Rate is already current');
+                }
+
+                return reverted;
+            });
+        } catch (error) {
+            console.error('Error reverting currency rate:', error);
+            throw error;
+        }
+    }
+
     /**
      * تحديث سعر
      * Update rate
      */
-    static async update(id, rateData, updatedBy = null) {
+    static async update(id, rateData, updatedBy = null, executor = db) {
         try {
-            const rate = await CurrencyRate.findById(id);
-            if (!rate) {
-                throw new Error('Currency rate not found');
-            }
+            return await executor.transaction(async (tx) => {
+                const existing = await CurrencyRate.findById(id, tx);
+                if (!existing) {
+                    throw new Error('Currency rate not found');
+                }
 
-            // إذا كان السعر فعالاً، أنشئ سعراً جديداً بدلاً من التحديث
-            if (!rate.effectiveUntil) {
-                return await CurrencyRate.create({
-                    currencyId: rate.currencyId,
-                    buyRate: rateData.buyRate || rate.buyRate,
-                    sellRate: rateData.sellRate || rate.sellRate,
-                    marginBuy: rateData.marginBuy !== undefined ? rateData.marginBuy : rate.marginBuy,
-                    marginSell: rateData.marginSell !== undefined ? rateData.marginSell : rate.marginSell,
-                    isManual: rateData.isManual !== undefined ? rateData.isManual : rate.isManual
-                }, updatedBy);
-            }
+                // قفل العملة ثم إعادة قراءة السعر بعد الحصول على القفل
+                await CurrencyRate.lockCurrency(existing.currencyId, tx);
+                const rate = await CurrencyRate.findById(id, tx);
+
+                // إذا كان السعر فعالاً الآن، أنشئ سعراً جديداً بدلاً من التحديث
+                // (الأسعار المجدولة والسابقة تُعدل في مكانها)
+                const current = await CurrencyRate.getCurrentRate(rate.currencyId, tx);
+                if (current && current.id === rate.id) {
+                    return await CurrencyRate.create({
+                        currencyId: rate.currencyId,
+                        buyRate: rateData.buyRate || rate.buyRate,
+                        sellRate: rateData.sellRate || rate.sellRate,
+                        marginBuy: rateData.marginBuy !== undefined ? rateData.marginBuy : rate.marginBuy,
+                        marginSell: rateData.marginSell !== undefined ? rateData.marginSell : rate.marginSell,
+                        isManual: rateData.isManual !== undefined ? rateData.isManual : rate.isManual,
+                        force: rateData.force
+                    }, updatedBy, tx);
+                }
+
+                // حماية الأسعار (المجدول يُقارن بالسعر الحالي، والسابق بفرق البيع والشراء فقط)
+                const overridden = await PriceGuard.enforce(
+                    'CURRENCY',
+                    { buy: rateData.buyRate || rate.buyRate, sell: rateData.sellRate || rate.sellRate },
+                    rate.isPending && current ? { buy: current.buyRate, sell: current.sellRate } : null,
+                    rateData.force === true
+                );
+
+                // تحديث السعر غير الفعال
+                const spread = (rateData.sellRate || rate.sellRate) - 
+                              (rateData.buyRate || rate.buyRate);
 
-            // تحديث السعر غير الفعال
-            const spread = (rateData.sellRate || rate.sellRate) - 
-                          (rateData.buyRate || rate.buyRate);
-
-            await db.run(
-                `UPDATE currency_rates 
-                 SET buy_rate = ?, sell_rate = ?, spread = ?, 
-                     margin_buy = ?, margin_sell = ?, is_manual = ?,
-                     updated_by = ?
-                 WHERE id = ?`,
-                [
-                    rateData.buyRate || rate.buyRate,
-                    rateData.sellRate || rate.sellRate,
-                    spread,
-                    rateData.marginBuy !== undefined ? rateData.marginBuy : rate.marginBuy,
-                    rateData.marginSell !== undefined ? rateData.marginSell : rate.marginSell,
-                    rateData.isManual !== undefined ? (rateData.isManual ? 1 : 0) : (rate.isManual ? 1 : 0),
+                await tx.run(
+                    `UPDATE currency_rates 
+                     SET buy_rate = ?, sell_rate = ?, spread = ?, 
+                         margin_buy = ?, margin_sell = ?, is_manual = ?,
+                         updated_by = ?
+                     WHERE id = ?`,
+                    [
+                        rateData.buyRate || rate.buyRate,
+                        rateData.sellRate || rate.sellRate,
+                        spread,
+                        rateData.marginBuy !== undefined ? rateData.marginBuy : rate.marginBuy,
+                        rateData.marginSell !== undefined ? rateData.marginSell : rate.marginSell,
+                        rateData.isManual !== undefined ? (rateData.isManual ? 1 : 0) : (rate.isManual ? 1 : 0),
+                        updatedBy,
+                        id
+                    ]
+                );
+
+                // تسجيل التغيير
+                await CurrencyRate.logChange(
+                    id,
+                    'UPDATE',
                     updatedBy,
-                    id
-                ]
-            );
+                    overridden.length > 0 ? { ...rateData, sanityOverride: overridden } : rateData,
+                    tx
+                );
 
-            // تسجيل التغيير
-            await CurrencyRate.logChange(id, 'UPDATE', updatedBy, rateData);
+                const updated = await CurrencyRate.findById(id, tx);
+                tx.afterCommit(() => PriceEvents.publish('currency', { action: 'updated', rate: updated.toJSON() }));
 
-            return await CurrencyRate.findById(id);
+                return updated;
+            });
         } catch (error) {
             console.error('Error updating currency rate:', error);
             throw error;
@@ -361,6 +669,7 @@ class CurrencyRate {
 
             // حذف السعر
             await db.run('DELETE FROM currency_rates WHERE id = ?', [id]);
+            PriceEvents.publish('currency', { action: 'deleted', rate: rate.toJSON() });
 
             return true;
         } catch (error) {
@@ -369,6 +678,293 @@ class CurrencyRate {
         }
     }
 
+    /**
+     * بداية أقدم سعر مسجل
+     * Start of the earliest stored rate of a currency (null if none)
+     */
+    static async getFirstEffectiveFrom(currencyId, executor = db) {
+        const row = await executor.get(
+            'SELECT MIN(effective_from) as first_from FROM currency_rates WHERE currency_id = ?',
+            [currencyId]
+        );
+
+        return row && row.first_from ? row.first_from : null;
+    }
+
+    /**
+     * إدراج أسعار تاريخية مستوردة
+     * Insert imported historical rates as given; the caller has already
+     * chained their effective windows and locked the currency
+     */
+    static async insertHistorical(rows, updatedBy, tx) {
+        const CHUNK_SIZE = 500;
+        let inserted = 0;
+
+        for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+            const chunk = rows.slice(start, start + CHUNK_SIZE);
+            const params = [];
+
+            const values = chunk.map(row => {
+                params.push(
+                    row.entityId,
+                    row.buy,
+                    row.sell,
+                    row.sell - row.buy,
+                    updatedBy,
+                    row.effectiveFrom.toISOString(),
+                    row.effectiveUntil ? row.effectiveUntil.toISOString() : null
+                );
+                return '(?, ?, ?, ?, 0, 0, true, ?, CAST(? AS TIMESTAMPTZ), CAST(? AS TIMESTAMPTZ))';
+            });
+
+            const result = await tx.run(
+                `INSERT INTO currency_rates
+                 (currency_id, buy_rate, sell_rate, spread, margin_buy, margin_sell,
+                  is_manual, updated_by, effective_from, effective_until)
+                 VALUES ${values.join(', ')}`,
+                params
+            );
+
+            inserted += result.changes;
+        }
+
+        return inserted;
+    }
+
+    /**
+     * جلب شموع الأسعار (OHLC)
+     * Get OHLC candles for one side (buy_rate / sell_rate) from the effective ranges;
+     * a bucket with no change carries the price in effect forward
+     */
+    static async getCandles(currencyId, interval, options = {}) {
+        try {
+            const column = options.side === 'sell' ? 'sell_rate' : 'buy_rate';
+
+            const rows = await db.all(
+                `WITH buckets AS (
+                     SELECT bucket_start, bucket_start + INTERVAL '${interval.step}' AS bucket_end
+                     FROM generate_series(
+                         date_trunc('${interval.truncate}', CAST(? AS TIMESTAMPTZ)),
+                         LEAST(CAST(? AS TIMESTAMPTZ), CURRENT_TIMESTAMP),
+                         INTERVAL '${interval.step}'
+                     ) AS bucket_start
+                 ),
+                 ranges AS (
+                     SELECT ${column} as price, effective_from,
+                            COALESCE(effective_until, 'infinity'::timestamp) as effective_until
+                     FROM currency_rates
+                     WHERE currency_id = ?
+                     AND effective_from <= datetime('now')
+                     AND (effective_until IS NULL OR effective_until > effective_from)
+                 )
+                 SELECT b.bucket_start,
+                        (ARRAY_AGG(r.price ORDER BY r.effective_from ASC))[1] as open,
+                        MAX(r.price) as high,
+                        MIN(r.price) as low,
+                        (ARRAY_AGG(r.price ORDER BY r.effective_from DESC))[1] as close,
+                        COUNT(*) FILTER (WHERE r.effective_from >= b.bucket_start) as changes
+                 FROM buckets b
+                 JOIN ranges r ON r.effective_from < b.bucket_end
+                 AND r.effective_until > b.bucket_start
+                 GROUP BY b.bucket_start
+                 ORDER BY b.bucket_start`,
+                [options.from.toISOString(), options.to.toISOString(), currencyId]
+            );
+
+            return rows.map(row => ({
+                time: row.bucket_start,
+                open: row.open,
+                high: row.high,
+                low: row.low,
+                close: row.close,
+                changes: row.changes,
+                carried: row.changes === 0
+            }));
+        } catch (error) {
+            console.error('Error getting currency rate candles:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب الأسعار المجدولة التي لم تبدأ بعد
+     * Get pending scheduled rates (optionally for one currency)
+     */
+    static async getScheduled(currencyId = null) {
+        try {
+            let sql = `
+                SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
+                       c.name_en as currency_name_en, c.symbol as currency_symbol,
+                       c.flag_emoji, c.is_base, c.decimal_places, true as is_pending
+                FROM currency_rates cr
+                JOIN currencies c ON cr.currency_id = c.id
+                WHERE cr.effective_from > datetime('now')
+            `;
+            const params = [];
+
+            if (currencyId) {
+                sql += ' AND cr.currency_id = ?';
+                params.push(currencyId);
+            }
+
+            sql += ' ORDER BY cr.effective_from, c.display_order';
+
+            const rows = await db.all(sql, params);
+            return rows.map(row => new CurrencyRate(row));
+        } catch (error) {
+            console.error('Error getting scheduled currency rates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * الأسعار المجدولة التي بدأت خلال فترة
+     * Scheduled rates that took effect in (from, to] (immediate ones are
+     * excluded: their effective_from equals created_at)
+     */
+    static async getActivatedBetween(from, to) {
+        try {
+            const rows = await db.all(
+                `SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
+                        c.name_en as currency_name_en, c.symbol as currency_symbol,
+                        c.flag_emoji, c.is_base, c.decimal_places
+                 FROM currency_rates cr
+                 JOIN currencies c ON cr.currency_id = c.id
+                 WHERE cr.effective_from > CAST(? AS TIMESTAMPTZ)
+                 AND cr.effective_from <= CAST(? AS TIMESTAMPTZ)
+                 AND cr.effective_from > cr.created_at
+                 ORDER BY cr.effective_from, c.display_order`,
+                [from, to]
+            );
+
+            return rows.map(row => new CurrencyRate(row));
+        } catch (error) {
+            console.error('Error getting activated currency rates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب السعر السابق
+     * Get the rate that preceded the given one in its timeline (null if first)
+     */
+    static async findPrevious(id, executor = db) {
+        try {
+            const row = await executor.get(
+                `SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
+                        c.name_en as currency_name_en, c.symbol as currency_symbol,
+                        c.flag_emoji, c.is_base, c.decimal_places
+                 FROM currency_rates cr
+                 JOIN currencies c ON cr.currency_id = c.id
+                 WHERE cr.currency_id = (SELECT currency_id FROM currency_rates WHERE id = ?)
+                 AND cr.effective_from < (SELECT effective_from FROM currency_rates WHERE id = ?)
+                 ORDER BY cr.effective_from DESC
+                 LIMIT 1`,
+                [id, id]
+            );
+
+            return row ? new CurrencyRate(row) : null;
+        } catch (error) {
+            console.error('Error getting previous currency rate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إلغاء سعر مجدول
+     * Cancel a pending scheduled rate; the rate before it is extended
+     * to where the cancelled one would have ended
+     */
+    static async cancelScheduled(id, cancelledBy = null) {
+        try {
+            return await db.transaction(async (tx) => {
+                const existing = await CurrencyRate.findById(id, tx);
+                if (!existing) {
+                    throw new Error('Currency rate not found');
+                }
+
+                await CurrencyRate.lockCurrency(existing.currencyId, tx);
+                const rate = await CurrencyRate.findById(id, tx);
+
+                if (!rate.isPending) {
+                    throw new Error('Only pending scheduled rates can be cancelled');
+                }
+
+                const previous = await tx.get(
+                    `SELECT id FROM currency_rates
+                     WHERE currency_id = ?
+                     AND effective_until = (SELECT effective_from FROM currency_rates WHERE id = ?)`,
+                    [rate.currencyId, id]
+                );
+
+                await tx.run('DELETE FROM currency_rates WHERE id = ?', [id]);
+
+                if (previous) {
+                    await tx.run(
+                        'UPDATE currency_rates SET effective_until = ? WHERE id = ?',
+                        [rate.effectiveUntil, previous.id]
+                    );
+                }
+
+                await CurrencyRate.logChange(id, 'CANCEL_SCHEDULE', cancelledBy, rate.toJSON(), tx);
+                tx.afterCommit(() => PriceEvents.publish('currency', { action: 'cancelled', rate: rate.toJSON() }));
+
+                return rate;
+            });
+        } catch (error) {
+            console.error('Error cancelling scheduled currency rate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب الأسعار المفتوحة (الحالي والمجدولة)
+     * Get open rates of a currency: the current one and any not yet started
+     */
+    static async getOpenRates(currencyId, executor = db) {
+        const rows = await executor.all(
+            `SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
+                    c.name_en as currency_name_en, c.symbol as currency_symbol,
+                    c.flag_emoji, c.is_base, c.decimal_places,
+                    cr.effective_from > datetime('now') as is_pending
+             FROM currency_rates cr
+             JOIN currencies c ON cr.currency_id = c.id
+             WHERE cr.currency_id = ?
+             AND (cr.effective_until IS NULL OR cr.effective_until > datetime('now'))
+             AND (cr.effective_until IS NULL OR cr.effective_until > cr.effective_from)
+             ORDER BY cr.effective_from`,
+            [currencyId]
+        );
+
+        return rows.map(row => new CurrencyRate(row));
+    }
+
+    /**
+     * إغلاق الأسعار المفتوحة لعملة (داخل معاملة)
+     * Close a currency's open rates inside a transaction: scheduled ones are
+     * removed and the current one ends now. The caller holds the currency lock
+     */
+    static async closeOpenRates(currencyId, closedBy, tx) {
+        const rates = await CurrencyRate.getOpenRates(currencyId, tx);
+
+        for (const rate of rates) {
+            if (rate.isPending) {
+                await tx.run('DELETE FROM currency_rates WHERE id = ?', [rate.id]);
+                await CurrencyRate.logChange(rate.id, 'CANCEL_SCHEDULE', closedBy, rate.toJSON(), tx);
+                tx.afterCommit(() => PriceEvents.publish('currency', { action: 'cancelled', rate: rate.toJSON() }));
+            } else {
+                await tx.run(
+                    `UPDATE currency_rates SET effective_until = datetime('now') WHERE id = ?`,
+                    [rate.id]
+                );
+                await CurrencyRate.logChange(rate.id, 'CLOSE', closedBy, rate.toJSON(), tx);
+                tx.afterCommit(() => PriceEvents.publish('currency', { action: 'closed', rate: rate.toJSON() }));
+            }
+        }
+
+        return rates;
+    }
+
     /**
      * جلب تاريخ الأسعار
      * Get rate history
@@ -378,10 +974,11 @@ class CurrencyRate {
             let sql = `
                 SELECT cr.*, c.code as currency_code, c.name_ar as currency_name,
                        c.name_en as currency_name_en, c.symbol as currency_symbol,
-                       c.flag_emoji, c.is_base
+                       c.flag_emoji, c.is_base, c.decimal_places
                 FROM currency_rates cr
                 JOIN currencies c ON cr.currency_id = c.id
                 WHERE cr.currency_id = ?
+                AND cr.effective_from <= datetime('now')
             `;
             const params = [currencyId];
 
@@ -418,14 +1015,90 @@ class CurrencyRate {
     }
 
     /**
-     * تحويل عملة إلى أخرى
-     * Convert between currencies
+     * السعر المتوسط لعملة مقابل العملة الأساسية
+     * Mid final rate of a currency against the base currency (base = 1)
+     */
+    static async getMidRateByCode(code, executor = db) {
+        try {
+            const currency = await executor.get(
+                'SELECT id, code, is_base FROM currencies WHERE code = ?',
+                [String(code).toUpperCase()]
+            );
+
+            if (!currency) {
+                throw new Error(`Currency ${code} not found`);
+            }
+
+            if (currency.is_base) {
+                return 1;
+            }
+
+            const rate = await CurrencyRate.getCurrentRate(currency.id, executor);
+            if (!rate) {
+                throw new Error(`Currency rate not found for ${code}`);
+            }
+
+            return (rate.getFinalRate('buy') + rate.getFinalRate('sell')) / 2;
+        } catch (error) {
+            console.error('Error getting mid rate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * سعر الصرف المتقاطع (كم وحدة من toCode تساوي وحدة واحدة من fromCode)
+     * Mid cross rate: units of toCode per one unit of fromCode
+     */
+    static async getCrossRate(fromCode, toCode, executor = db) {
+        if (String(fromCode).toUpperCase() === String(toCode).toUpperCase()) {
+            return 1;
+        }
+
+        const fromRate = await CurrencyRate.getMidRateByCode(fromCode, executor);
+        const toRate = await CurrencyRate.getMidRateByCode(toCode, executor);
+
+        return toRate / fromRate;
+    }
+
+    /**
+     * أسعار التسعير لجميع العملات الفعالة مقابل عملة مصدر
+     * Quote rates for every active currency: units of each currency per
+     * one unit of fromCode (rate is null when a currency has no current rate)
+     */
+    static async getQuoteRates(fromCode, asOf = null) {
+        try {
+            const rates = await CurrencyRate.getAllCurrentRates(asOf);
+            const source = rates.find(rate => rate.currencyCode === String(fromCode).toUpperCase());
+            const sourceMid = source ? source.getMidRate() : null;
+
+            return rates.map(rate => {
+                const mid = rate.getMidRate();
+
+                return {
+                    code: rate.currencyCode,
+                    nameAr: rate.currencyName,
+                    nameEn: rate.currencyNameEn,
+                    symbol: rate.currencySymbol,
+                    flagEmoji: rate.flagEmoji,
+                    decimalPlaces: rate.decimalPlaces,
+                    rate: rate === source ? 1 : (mid !== null && sourceMid ? mid / sourceMid : null)
+                };
+            });
+        } catch (error) {
+            console.error('Error getting quote rates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تحويل عملة إلى أخرى (بالأسعار الحالية أو السارية في لحظة asOf)
+     * Convert between currencies (at current rates or those in effect at asOf)
      */
-    static async convert(amount, fromCode, toCode, type = 'buy') {
+    static async convert(amount, fromCode, toCode, type = 'buy', asOf = null) {
         try {
             // جلب أسعار العملات
-            const fromRate = await CurrencyRate.getCurrentRateByCode(fromCode);
-            const toRate = await CurrencyRate.getCurrentRateByCode(toCode);
+            const fromRate = await CurrencyRate.getCurrentRateByCode(fromCode, asOf);
+            const toRate = await CurrencyRate.getCurrentRateByCode(toCode, asOf);
 
             if (!fromRate || !toRate) {
                 throw new Error('Currency rate not found');
@@ -440,7 +1113,8 @@ class CurrencyRate {
                 from: fromCode,
                 to: toCode,
                 result: Math.round(result * 10000) / 10000,
-                rate: Math.round((toRate.getFinalRate(type) / fromRate.getFinalRate(type)) * 10000) / 10000
+                rate: Math.round((toRate.getFinalRate(type) / fromRate.getFinalRate(type)) * 10000) / 10000,
+                asOf: asOf || null
             };
         } catch (error) {
             console.error('Error converting currency:', error);
@@ -449,26 +1123,85 @@ class CurrencyRate {
     }
 
     /**
-     * تسجيل التغييرات
-     * Log changes
+     * مصفوفة أسعار الصرف المتقاطعة لجميع العملات الفعالة
+     * N×N buy and sell cross rates between active currencies, derived from
+     * the base-currency rates the same way convert() does:
+     * matrix[from][to] = units of `to` per one unit of `from`
+     */
+    static async getCrossRateMatrix(asOf = null) {
+        try {
+            const rates = await CurrencyRate.getAllCurrentRates(asOf);
+            const factor = Math.pow(10, CROSS_RATE_DECIMALS);
+            const round = (value) => Math.round(value * factor) / factor;
+
+            // العملة الأساسية تساوي 1، والعملات بلا سعر ساري تُستبعد
+            const finalRate = (rate, type) => (rate.isBase ? 1 : rate.getFinalRate(type));
+            const priced = rates.filter(rate => rate.isBase || rate.id);
+
+            const buy = {};
+            const sell = {};
+            for (const from of priced) {
+                buy[from.currencyCode] = {};
+                sell[from.currencyCode] = {};
+
+                for (const to of priced) {
+                    const same = from.currencyCode === to.currencyCode;
+                    buy[from.currencyCode][to.currencyCode] = same ? 1 : round(finalRate(to, 'buy') / finalRate(from, 'buy'));
+                    sell[from.currencyCode][to.currencyCode] = same ? 1 : round(finalRate(to, 'sell') / finalRate(from, 'sell'));
+                }
+            }
+
+            const base = rates.find(rate => rate.isBase);
+
+            return {
+                base: base ? base.currencyCode : null,
+                decimals: CROSS_RATE_DECIMALS,
+                currencies: priced.map(rate => ({
+                    code: rate.currencyCode,
+                    name: rate.currencyName,
+                    nameEn: rate.currencyNameEn,
+                    symbol: rate.currencySymbol,
+                    flag: rate.flagEmoji,
+                    isBase: rate.isBase
+                })),
+                buy,
+                sell,
+                unavailable: rates.filter(rate => !rate.isBase && !rate.id).map(rate => rate.currencyCode),
+                asOf: asOf || null,
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error building cross rate matrix:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل التغييرات (داخل المعاملة يُعاد رمي الخطأ كي لا يُحفظ التغيير دون سجله)
+     * Log changes (rethrown inside a transaction so no change commits without its audit row)
      */
-    static async logChange(rateId, action, performedBy, details) {
+    static async logChange(rateId, action, performedBy, details, executor = db) {
         try {
-            await db.run(
+            await executor.run(
                 `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, created_at)
                  VALUES (?, ?, 'CURRENCY_RATE', ?, ?, datetime('now'))`,
                 [performedBy, action, rateId, JSON.stringify(details)]
             );
         } catch (error) {
             console.error('Error logging currency rate change:', error);
+
+            if (executor !== db) {
+                throw error;
+            }
         }
     }
 
     /**
      * إحصائيات الأسعار
-     * Get rate statistics
+     * Get price statistics over the rows in effect during [from, to]
+     * (scheduled rows that have not started yet are excluded)
      */
-    static async getStatistics(currencyId, days = 30) {
+    static async getStatistics(currencyId, from, to) {
         try {
             const stats = await db.get(
                 `SELECT 
@@ -478,20 +1211,26 @@ class CurrencyRate {
                     MIN(sell_rate) as min_sell,
                     MAX(sell_rate) as max_sell,
                     AVG(sell_rate) as avg_sell,
+                    AVG(sell_rate - buy_rate) as avg_spread,
                     COUNT(*) as total_records
                  FROM currency_rates
                  WHERE currency_id = ?
-                 AND effective_from >= date('now', '-${days} days')`,
-                [currencyId]
+                 AND effective_from <= LEAST(CAST(? AS TIMESTAMPTZ), CURRENT_TIMESTAMP)
+                 AND (effective_until IS NULL OR effective_until > CAST(? AS TIMESTAMPTZ))
+                 AND (effective_until IS NULL OR effective_until > effective_from)`,
+                [currencyId, to.toISOString(), from.toISOString()]
             );
 
+            const round = (value) => (value === null ? null : Math.round(value * 1000000) / 1000000);
+
             return {
                 minBuy: stats.min_buy,
                 maxBuy: stats.max_buy,
-                avgBuy: Math.round(stats.avg_buy * 1000000) / 1000000,
+                avgBuy: round(stats.avg_buy),
                 minSell: stats.min_sell,
                 maxSell: stats.max_sell,
-                avgSell: Math.round(stats.avg_sell * 1000000) / 1000000,
+                avgSell: round(stats.avg_sell),
+                avgSpread: round(stats.avg_spread),
                 totalRecords: stats.total_records
             };
         } catch (error) {
@@ -505,4 +1244,5 @@ class CurrencyRate {
 // تصدير الفئة
 // Export class
 // =====================================================
-module.exports = CurrencyRate;
\ No newline at end of file
+module.exports = CurrencyRate;
+module.exports.CROSS_RATE_DECIMALS = CROSS_RATE_DECIMALS;
\ No newline at end of file
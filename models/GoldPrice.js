@@ -9,6 +9,13 @@
  */
 
 const db = require('../config/database');
+const { WeightUnits, DEFAULT_UNIT } = require('../config/units');
+const CurrencyRate = require('./CurrencyRate');
+const StoreSettings = require('./StoreSettings');
+const MarginPolicy = require('./MarginPolicy');
+const PriceAlertService = require('../services/PriceAlertService');
+const PriceGuard = require('../services/PriceGuard');
+const PriceEvents = require('../services/PriceEvents');
 
 // =====================================================
 // فئة أسعار الذهب
@@ -38,6 +45,15 @@ class GoldPrice {
         this.goldTypeNameEn = data.gold_type_name_en || null;
         this.karat = data.karat || null;
         this.purity = data.purity || null;
+
+        // وحدة الوزن التي يعبر عنها السعر (الأسعار المخزنة للغرام)
+        this.unit = data.unit || DEFAULT_UNIT;
+
+        // عملة السعر (null = عملة العرض في إعدادات المتجر)
+        this.currency = data.currency || null;
+
+        // سعر مجدول لم يبدأ بعد
+        this.isPending = data.is_pending || false;
     }
 
     /**
@@ -68,6 +84,46 @@ class GoldPrice {
         return type === 'buy' ? price + margin : price - margin;
     }
 
+    /**
+     * نسخة من السعر بعملة أخرى (بدون تقريب، التقريب في inUnit)
+     * Copy of this price in another currency; rate is units of the target
+     * currency per one unit of the current one. Not rounded: chain inUnit()
+     */
+    inCurrency(currency, rate) {
+        const converted = Object.assign(Object.create(GoldPrice.prototype), this);
+
+        converted.buyPrice = this.buyPrice * rate;
+        converted.sellPrice = this.sellPrice * rate;
+        converted.spread = converted.sellPrice - converted.buyPrice;
+        converted.currency = currency;
+
+        return converted;
+    }
+
+    /**
+     * نسخة من السعر بوحدة وزن أخرى
+     * Copy of this price expressed in another weight unit
+     */
+    inUnit(unit = DEFAULT_UNIT, decimals = 2) {
+        const code = WeightUnits.resolve(unit);
+        if (!code) {
+            throw new Error(`Unsupported weight unit: ${unit}`);
+        }
+
+        const converted = Object.assign(Object.create(GoldPrice.prototype), this);
+        const buyPerGram = WeightUnits.toPerGram(this.buyPrice, this.unit);
+        const sellPerGram = WeightUnits.toPerGram(this.sellPrice, this.unit);
+
+        const factor = Math.pow(10, decimals);
+
+        converted.buyPrice = WeightUnits.fromPerGram(buyPerGram, code, decimals);
+        converted.sellPrice = WeightUnits.fromPerGram(sellPerGram, code, decimals);
+        converted.spread = Math.round((converted.sellPrice - converted.buyPrice) * factor) / factor;
+        converted.unit = code;
+
+        return converted;
+    }
+
     /**
      * تحويل إلى كائن JSON
      * Convert to JSON
@@ -83,10 +139,14 @@ class GoldPrice {
             buyPrice: this.buyPrice,
             sellPrice: this.sellPrice,
             spread: this.spread,
+            unit: this.unit,
+            currency: this.currency,
             marginBuy: this.marginBuy,
             marginSell: this.marginSell,
             isManual: this.isManual,
             effectiveFrom: this.effectiveFrom,
+            effectiveUntil: this.effectiveUntil,
+            isPending: this.isPending,
             createdAt: this.createdAt
         };
     }
@@ -99,11 +159,12 @@ class GoldPrice {
      * البحث عن سعر بواسطة المعرف
      * Find price by ID
      */
-    static async findById(id) {
+    static async findById(id, executor = db) {
         try {
-            const row = await db.get(
+            const row = await executor.get(
                 `SELECT gp.*, gt.name_ar as gold_type_name, gt.name_en as gold_type_name_en,
-                        gt.karat, gt.purity
+                        gt.karat, gt.purity,
+                        gp.effective_from > datetime('now') as is_pending
                  FROM gold_prices gp
                  JOIN gold_types gt ON gp.gold_type_id = gt.id
                  WHERE gp.id = ?`,
@@ -121,19 +182,30 @@ class GoldPrice {
      * جلب السعر الحالي لنوع ذهب معين
      * Get current price for gold type
      */
-    static async getCurrentPrice(goldTypeId) {
+    static async getCurrentPrice(goldTypeId, executor = db) {
+        return GoldPrice.getPriceAsOf(goldTypeId, null, executor);
+    }
+
+    /**
+     * جلب السعر الساري في لحظة معينة (الافتراضي: الآن)
+     * Get the price whose effective window contains asOf (default: now)
+     */
+    static async getPriceAsOf(goldTypeId, asOf = null, executor = db) {
         try {
-            const row = await db.get(
+            const point = asOf ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')";
+            const pointParams = asOf ? [asOf] : [];
+
+            const row = await executor.get(
                 `SELECT gp.*, gt.name_ar as gold_type_name, gt.name_en as gold_type_name_en,
                         gt.karat, gt.purity
                  FROM gold_prices gp
                  JOIN gold_types gt ON gp.gold_type_id = gt.id
                  WHERE gp.gold_type_id = ?
-                 AND gp.effective_from <= datetime('now')
-                 AND (gp.effective_until IS NULL OR gp.effective_until > datetime('now'))
+                 AND gp.effective_from <= ${point}
+                 AND (gp.effective_until IS NULL OR gp.effective_until > ${point})
                  ORDER BY gp.effective_from DESC
                  LIMIT 1`,
-                [goldTypeId]
+                [goldTypeId, ...pointParams, ...pointParams]
             );
             
             return row ? new GoldPrice(row) : null;
@@ -143,6 +215,33 @@ class GoldPrice {
         }
     }
 
+    /**
+     * جلب السعر الحالي لعيار معين (أعلى نقاوة بين الأنواع الفعالة)
+     * Get current price of the purest active gold type with the given karat
+     */
+    static async getCurrentPriceByKarat(karat) {
+        try {
+            const row = await db.get(
+                `SELECT gp.*, gt.name_ar as gold_type_name, gt.name_en as gold_type_name_en,
+                        gt.karat, gt.purity
+                 FROM gold_prices gp
+                 JOIN gold_types gt ON gp.gold_type_id = gt.id
+                 WHERE gt.karat = ?
+                 AND gt.is_active = true
+                 AND gp.effective_from <= datetime('now')
+                 AND (gp.effective_until IS NULL OR gp.effective_until > datetime('now'))
+                 ORDER BY gt.purity DESC, gp.effective_from DESC
+                 LIMIT 1`,
+                [karat]
+            );
+
+            return row ? new GoldPrice(row) : null;
+        } catch (error) {
+            console.error('Error getting current gold price by karat:', error);
+            throw error;
+        }
+    }
+
     /**
      * جلب جميع الأسعار الحالية
      * Get all current prices
@@ -164,7 +263,7 @@ class GoldPrice {
                      ORDER BY effective_from DESC 
                      LIMIT 1
                  )
-                 WHERE gt.is_active = 1
+                 WHERE gt.is_active = true
                  ORDER BY gt.display_order, gt.karat DESC`
             );
             
@@ -183,7 +282,7 @@ class GoldPrice {
         try {
             const rows = await db.all(
                 `SELECT * FROM gold_types 
-                 WHERE is_active = 1 
+                 WHERE is_active = true 
                  ORDER BY display_order, karat DESC`
             );
             
@@ -194,46 +293,169 @@ class GoldPrice {
         }
     }
 
+    /**
+     * قفل نوع الذهب حتى نهاية المعاملة
+     * Lock gold type row for the rest of the transaction
+     */
+    static async lockGoldType(goldTypeId, tx) {
+        const row = await tx.get(
+            'SELECT id FROM gold_types WHERE id = ? FOR UPDATE',
+            [goldTypeId]
+        );
+
+        if (!row) {
+            throw new Error('Gold type not found');
+        }
+
+        return row;
+    }
+
+    /**
+     * فتح فترة في الجدول الزمني للأسعار
+     * Make room in the price timeline at a point in time (null = now):
+     * the price covering that point is closed there, and the returned
+     * value is when the new price must end (next scheduled start or null)
+     */
+    static async openSlot(goldTypeId, effectiveFrom, tx) {
+        const point = effectiveFrom ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')";
+        const pointParams = effectiveFrom ? [effectiveFrom] : [];
+
+        if (effectiveFrom) {
+            const clash = await tx.get(
+                `SELECT id FROM gold_prices WHERE gold_type_id = ? AND effective_from = ${point}`,
+                [goldTypeId, ...pointParams]
+            );
+
+            if (clash) {
+                throw new Error('A price is already scheduled at this time');
+            }
+        }
+
+        const covering = await tx.get(
+            `SELECT id, effective_until FROM gold_prices
+             WHERE gold_type_id = ?
+             AND effective_from <= ${point}
+             AND (effective_until IS NULL OR effective_until > ${point})
+             ORDER BY effective_from DESC
+             LIMIT 1`,
+            [goldTypeId, ...pointParams, ...pointParams]
+        );
+
+        if (covering) {
+            await tx.run(
+                `UPDATE gold_prices SET effective_until = ${point} WHERE id = ?`,
+                [...pointParams, covering.id]
+            );
+
+            return covering.effective_until;
+        }
+
+        const next = await tx.get(
+            `SELECT MIN(effective_from) as next_from FROM gold_prices
+             WHERE gold_type_id = ? AND effective_from > ${point}`,
+            [goldTypeId, ...pointParams]
+        );
+
+        return next ? next.next_from : null;
+    }
+
     /**
      * إنشاء سعر جديد
-     * Create new price
+     * Create new price, now or scheduled at priceData.effectiveFrom
+     * (the price it replaces is closed atomically)
      */
-    static async create(priceData, updatedBy = null) {
+    static async create(priceData, updatedBy = null, executor = db) {
         try {
-            // إنهاء الأسعار السابقة
-            await db.run(
-                `UPDATE gold_prices 
-                 SET effective_until = datetime('now')
-                 WHERE gold_type_id = ? 
-                 AND effective_until IS NULL`,
-                [priceData.goldTypeId]
-            );
+            return await executor.transaction(async (tx) => {
+                // قفل نوع الذهب لمنع نشر سعرين في نفس اللحظة
+                await GoldPrice.lockGoldType(priceData.goldTypeId, tx);
+
+                // إنهاء السعر الذي يغطي لحظة البدء
+                const effectiveFrom = priceData.effectiveFrom
+                    ? new Date(priceData.effectiveFrom).toISOString()
+                    : null;
+
+                // السعر الحالي قبل إنهائه (لحماية الأسعار وتقييم تنبيهات التجاوز)
+                const current = await GoldPrice.getCurrentPrice(priceData.goldTypeId, tx);
+                const previous = effectiveFrom ? null : current;
+
+                // رفض القفزات غير الطبيعية ما لم يُطلب التجاوز صراحة
+                const overridden = await PriceGuard.enforce(
+                    'GOLD_TYPE',
+                    { buy: priceData.buyPrice, sell: priceData.sellPrice },
+                    current && { buy: current.buyPrice, sell: current.sellPrice },
+                    priceData.force === true
+                );
+
+                const effectiveUntil = await GoldPrice.openSlot(priceData.goldTypeId, effectiveFrom, tx);
+
+                // حساب الفرق
+                const spread = priceData.sellPrice - priceData.buyPrice;
 
-            // حساب الفرق
-            const spread = priceData.sellPrice - priceData.buyPrice;
+                // الهوامش غير المحددة تؤخذ من سياسة الهوامش
+                let { marginBuy, marginSell } = priceData;
+                if (marginBuy === undefined || marginSell === undefined) {
+                    const policy = await MarginPolicy.resolve('GOLD_TYPE', priceData.goldTypeId, tx);
+                    const ratios = policy.ratiosFor(priceData.buyPrice, priceData.sellPrice);
+                    if (marginBuy === undefined) marginBuy = ratios.marginBuy;
+                    if (marginSell === undefined) marginSell = ratios.marginSell;
+                }
 
-            // إدراج السعر الجديد
-            const result = await db.run(
+                // إدراج السعر الجديد
+                const result = await tx.run(
                 `INSERT INTO gold_prices 
-                 (gold_type_id, buy_price, sell_price, spread, margin_buy, margin_sell, 
-                  is_manual, updated_by, effective_from)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
-                [
-                    priceData.goldTypeId,
-                    priceData.buyPrice,
-                    priceData.sellPrice,
-                    spread,
-                    priceData.marginBuy || 0,
-                    priceData.marginSell || 0,
-                    priceData.isManual ? 1 : 0,
-                    updatedBy
-                ]
-            );
+                     (gold_type_id, buy_price, sell_price, spread, margin_buy, margin_sell, 
+                      is_manual, updated_by, effective_from, effective_until)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${effectiveFrom ? 'CAST(? AS TIMESTAMPTZ)' : "datetime('now')"}, ?)`,
+                    [
+                        priceData.goldTypeId,
+                        priceData.buyPrice,
+                        priceData.sellPrice,
+                        spread,
+                        marginBuy,
+                        marginSell,
+                        priceData.isManual ? 1 : 0,
+                        updatedBy,
+                        ...(effectiveFrom ? [effectiveFrom] : []),
+                        effectiveUntil
+                    ]
+                );
+
+                // تسجيل التغيير
+                await GoldPrice.logChange(
+                    result.id,
+                    effectiveFrom ? 'SCHEDULE' : 'CREATE',
+                    updatedBy,
+                    {
+                        ...priceData,
+                        marginBuy,
+                        marginSell,
+                        ...(overridden.length > 0 ? { sanityOverride: overridden } : {})
+                    },
+                    tx
+                );
 
-            // تسجيل التغيير
-            await GoldPrice.logChange(result.id, 'CREATE', updatedBy, priceData);
+                const created = await GoldPrice.findById(result.id, tx);
 
-            return await GoldPrice.findById(result.id);
+                // بث التغيير بعد نجاح المعاملة
+                tx.afterCommit(() => PriceEvents.publish('gold', {
+                    action: effectiveFrom ? 'scheduled' : 'published',
+                    price: created.toJSON()
+                }));
+
+                // تقييم تنبيهات الأسعار (الأسعار المجدولة تُقيّم عند بدئها في ScheduledAlertWatcher)
+                if (!effectiveFrom) {
+                    await PriceAlertService.evaluate('GOLD_TYPE', created.goldTypeId, {
+                        priceId: created.id,
+                        label: created.goldTypeNameEn,
+                        buy: created.buyPrice,
+                        sell: created.sellPrice,
+                        effectiveFrom: created.effectiveFrom
+                    }, previous && { buy: previous.buyPrice, sell: previous.sellPrice }, tx);
+                }
+
+                return created;
+            });
         } catch (error) {
             console.error('Error creating gold price:', error);
             throw error;
@@ -244,51 +466,77 @@ class GoldPrice {
      * تحديث سعر
      * Update price
      */
-    static async update(id, priceData, updatedBy = null) {
+    static async update(id, priceData, updatedBy = null, executor = db) {
         try {
-            const price = await GoldPrice.findById(id);
-            if (!price) {
-                throw new Error('Gold price not found');
-            }
+            return await executor.transaction(async (tx) => {
+                const existing = await GoldPrice.findById(id, tx);
+                if (!existing) {
+                    throw new Error('Gold price not found');
+                }
 
-            // إذا كان السعر فعالاً، أنشئ سعراً جديداً بدلاً من التحديث
-            if (!price.effectiveUntil) {
-                return await GoldPrice.create({
-                    goldTypeId: price.goldTypeId,
-                    buyPrice: priceData.buyPrice || price.buyPrice,
-                    sellPrice: priceData.sellPrice || price.sellPrice,
-                    marginBuy: priceData.marginBuy !== undefined ? priceData.marginBuy : price.marginBuy,
-                    marginSell: priceData.marginSell !== undefined ? priceData.marginSell : price.marginSell,
-                    isManual: priceData.isManual !== undefined ? priceData.isManual : price.isManual
-                }, updatedBy);
-            }
+                // قفل نوع الذهب ثم إعادة قراءة السعر بعد الحصول على القفل
+                await GoldPrice.lockGoldType(existing.goldTypeId, tx);
+                const price = await GoldPrice.findById(id, tx);
+
+                // إذا كان السعر فعالاً الآن، أنشئ سعراً جديداً بدلاً من التحديث
+                // (الأسعار المجدولة والسابقة تُعدل في مكانها)
+                const current = await GoldPrice.getCurrentPrice(price.goldTypeId, tx);
+                if (current && current.id === price.id) {
+                    return await GoldPrice.create({
+                        goldTypeId: price.goldTypeId,
+                        buyPrice: priceData.buyPrice || price.buyPrice,
+                        sellPrice: priceData.sellPrice || price.sellPrice,
+                        marginBuy: priceData.marginBuy !== undefined ? priceData.marginBuy : price.marginBuy,
+                        marginSell: priceData.marginSell !== undefined ? priceData.marginSell : price.marginSell,
+                        isManual: priceData.isManual !== undefined ? priceData.isManual : price.isManual,
+                        force: priceData.force
+                    }, updatedBy, tx);
+                }
+
+                // حماية الأسعار (المجدول يُقارن بالسعر الحالي، والسابق بفرق البيع والشراء فقط)
+                const overridden = await PriceGuard.enforce(
+                    'GOLD_TYPE',
+                    { buy: priceData.buyPrice || price.buyPrice, sell: priceData.sellPrice || price.sellPrice },
+                    price.isPending && current ? { buy: current.buyPrice, sell: current.sellPrice } : null,
+                    priceData.force === true
+                );
+
+                // تحديث السعر غير الفعال
+                const spread = (priceData.sellPrice || price.sellPrice) - 
+                              (priceData.buyPrice || price.buyPrice);
+
+                await tx.run(
+                    `UPDATE gold_prices 
+                     SET buy_price = ?, sell_price = ?, spread = ?, 
+                         margin_buy = ?, margin_sell = ?, is_manual = ?,
+                         updated_by = ?
+                     WHERE id = ?`,
+                    [
+                        priceData.buyPrice || price.buyPrice,
+                        priceData.sellPrice || price.sellPrice,
+                        spread,
+                        priceData.marginBuy !== undefined ? priceData.marginBuy : price.marginBuy,
+                        priceData.marginSell !== undefined ? priceData.marginSell : price.marginSell,
+                        priceData.isManual !== undefined ? (priceData.isManual ? 1 : 0) : (price.isManual ? 1 : 0),
+                        updatedBy,
+                        id
+                    ]
+                );
 
-            // تحديث السعر غير الفعال
-            const spread = (priceData.sellPrice || price.sellPrice) - 
-                          (priceData.buyPrice || price.buyPrice);
-
-            await db.run(
-                `UPDATE gold_prices 
-                 SET buy_price = ?, sell_price = ?, spread = ?, 
-                     margin_buy = ?, margin_sell = ?, is_manual = ?,
-                     updated_by = ?
-                 WHERE id = ?`,
-                [
-                    priceData.buyPrice || price.buyPrice,
-                    priceData.sellPrice || price.sellPrice,
-                    spread,
-                    priceData.marginBuy !== undefined ? priceData.marginBuy : price.marginBuy,
-                    priceData.marginSell !== undefined ? priceData.marginSell : price.marginSell,
-                    priceData.isManual !== undefined ? (priceData.isManual ? 1 : 0) : (price.isManual ? 1 : 0),
+                // تسجيل التغيير
+                await GoldPrice.logChange(
+                    id,
+                    'UPDATE',
                     updatedBy,
-                    id
-                ]
-            );
+                    overridden.length > 0 ? { ...priceData, sanityOverride: overridden } : priceData,
+                    tx
+                );
 
-            // تسجيل التغيير
-            await GoldPrice.logChange(id, 'UPDATE', updatedBy, priceData);
+                const updated = await GoldPrice.findById(id, tx);
+                tx.afterCommit(() => PriceEvents.publish('gold', { action: 'updated', price: updated.toJSON() }));
 
-            return await GoldPrice.findById(id);
+                return updated;
+            });
         } catch (error) {
             console.error('Error updating gold price:', error);
             throw error;
@@ -311,6 +559,7 @@ class GoldPrice {
 
             // حذف السعر
             await db.run('DELETE FROM gold_prices WHERE id = ?', [id]);
+            PriceEvents.publish('gold', { action: 'deleted', price: price.toJSON() });
 
             return true;
         } catch (error) {
@@ -319,6 +568,242 @@ class GoldPrice {
         }
     }
 
+    /**
+     * بداية أقدم سعر مسجل
+     * Start of the earliest stored price of a gold type (null if none)
+     */
+    static async getFirstEffectiveFrom(goldTypeId, executor = db) {
+        const row = await executor.get(
+            'SELECT MIN(effective_from) as first_from FROM gold_prices WHERE gold_type_id = ?',
+            [goldTypeId]
+        );
+
+        return row && row.first_from ? row.first_from : null;
+    }
+
+    /**
+     * إدراج أسعار تاريخية مستوردة
+     * Insert imported historical prices as given; the caller has already
+     * chained their effective windows and locked the gold type
+     */
+    static async insertHistorical(rows, updatedBy, tx) {
+        const CHUNK_SIZE = 500;
+        let inserted = 0;
+
+        for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+            const chunk = rows.slice(start, start + CHUNK_SIZE);
+            const params = [];
+
+            const values = chunk.map(row => {
+                params.push(
+                    row.entityId,
+                    row.buy,
+                    row.sell,
+                    row.sell - row.buy,
+                    updatedBy,
+                    row.effectiveFrom.toISOString(),
+                    row.effectiveUntil ? row.effectiveUntil.toISOString() : null
+                );
+                return '(?, ?, ?, ?, 0, 0, true, ?, CAST(? AS TIMESTAMPTZ), CAST(? AS TIMESTAMPTZ))';
+            });
+
+            const result = await tx.run(
+                `INSERT INTO gold_prices
+                 (gold_type_id, buy_price, sell_price, spread, margin_buy, margin_sell,
+                  is_manual, updated_by, effective_from, effective_until)
+                 VALUES ${values.join(', ')}`,
+                params
+            );
+
+            inserted += result.changes;
+        }
+
+        return inserted;
+    }
+
+    /**
+     * جلب شموع الأسعار (OHLC)
+     * Get OHLC candles for one side (buy_price / sell_price) from the effective ranges;
+     * a bucket with no change carries the price in effect forward
+     */
+    static async getCandles(goldTypeId, interval, options = {}) {
+        try {
+            const column = options.side === 'sell' ? 'sell_price' : 'buy_price';
+
+            const rows = await db.all(
+                `WITH buckets AS (
+                     SELECT bucket_start, bucket_start + INTERVAL '${interval.step}' AS bucket_end
+                     FROM generate_series(
+                         date_trunc('${interval.truncate}', CAST(? AS TIMESTAMPTZ)),
+                         LEAST(CAST(? AS TIMESTAMPTZ), CURRENT_TIMESTAMP),
+                         INTERVAL '${interval.step}'
+                     ) AS bucket_start
+                 ),
+                 ranges AS (
+                     SELECT ${column} as price, effective_from,
+                            COALESCE(effective_until, 'infinity'::timestamp) as effective_until
+                     FROM gold_prices
+                     WHERE gold_type_id = ?
+                     AND effective_from <= datetime('now')
+                     AND (effective_until IS NULL OR effective_until > effective_from)
+                 )
+                 SELECT b.bucket_start,
+                        (ARRAY_AGG(r.price ORDER BY r.effective_from ASC))[1] as open,
+                        MAX(r.price) as high,
+                        MIN(r.price) as low,
+                        (ARRAY_AGG(r.price ORDER BY r.effective_from DESC))[1] as close,
+                        COUNT(*) FILTER (WHERE r.effective_from >= b.bucket_start) as changes
+                 FROM buckets b
+                 JOIN ranges r ON r.effective_from < b.bucket_end
+                 AND r.effective_until > b.bucket_start
+                 GROUP BY b.bucket_start
+                 ORDER BY b.bucket_start`,
+                [options.from.toISOString(), options.to.toISOString(), goldTypeId]
+            );
+
+            return rows.map(row => ({
+                time: row.bucket_start,
+                open: row.open,
+                high: row.high,
+                low: row.low,
+                close: row.close,
+                changes: row.changes,
+                carried: row.changes === 0
+            }));
+        } catch (error) {
+            console.error('Error getting gold price candles:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب الأسعار المجدولة التي لم تبدأ بعد
+     * Get pending scheduled prices (optionally for one gold type)
+     */
+    static async getScheduled(goldTypeId = null) {
+        try {
+            let sql = `
+                SELECT gp.*, gt.name_ar as gold_type_name, gt.name_en as gold_type_name_en,
+                       gt.karat, gt.purity, true as is_pending
+                FROM gold_prices gp
+                JOIN gold_types gt ON gp.gold_type_id = gt.id
+                WHERE gp.effective_from > datetime('now')
+            `;
+            const params = [];
+
+            if (goldTypeId) {
+                sql += ' AND gp.gold_type_id = ?';
+                params.push(goldTypeId);
+            }
+
+            sql += ' ORDER BY gp.effective_from, gt.display_order';
+
+            const rows = await db.all(sql, params);
+            return rows.map(row => new GoldPrice(row));
+        } catch (error) {
+            console.error('Error getting scheduled gold prices:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * الأسعار المجدولة التي بدأت خلال فترة
+     * Scheduled prices that took effect in (from, to] (immediate ones are
+     * excluded: their effective_from equals created_at)
+     */
+    static async getActivatedBetween(from, to) {
+        try {
+            const rows = await db.all(
+                `SELECT gp.*, gt.name_ar as gold_type_name, gt.name_en as gold_type_name_en,
+                        gt.karat, gt.purity
+                 FROM gold_prices gp
+                 JOIN gold_types gt ON gp.gold_type_id = gt.id
+                 WHERE gp.effective_from > CAST(? AS TIMESTAMPTZ)
+                 AND gp.effective_from <= CAST(? AS TIMESTAMPTZ)
+                 AND gp.effective_from > gp.created_at
+                 ORDER BY gp.effective_from, gt.display_order`,
+                [from, to]
+            );
+
+            return rows.map(row => new GoldPrice(row));
+        } catch (error) {
+            console.error('Error getting activated gold prices:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب السعر السابق
+     * Get the price that preceded the given one in its timeline (null if first)
+     */
+    static async findPrevious(id, executor = db) {
+        try {
+            const row = await executor.get(
+                `SELECT gp.*, gt.name_ar as gold_type_name, gt.name_en as gold_type_name_en,
+                        gt.karat, gt.purity
+                 FROM gold_prices gp
+                 JOIN gold_types gt ON gp.gold_type_id = gt.id
+                 WHERE gp.gold_type_id = (SELECT gold_type_id FROM gold_prices WHERE id = ?)
+                 AND gp.effective_from < (SELECT effective_from FROM gold_prices WHERE id = ?)
+                 ORDER BY gp.effective_from DESC
+                 LIMIT 1`,
+                [id, id]
+            );
+
+            return row ? new GoldPrice(row) : null;
+        } catch (error) {
+            console.error('Error getting previous gold price:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إلغاء سعر مجدول
+     * Cancel a pending scheduled price; the price before it is extended
+     * to where the cancelled one would have ended
+     */
+    static async cancelScheduled(id, cancelledBy = null) {
+        try {
+            return await db.transaction(async (tx) => {
+                const existing = await GoldPrice.findById(id, tx);
+                if (!existing) {
+                    throw new Error('Gold price not found');
+                }
+
+                await GoldPrice.lockGoldType(existing.goldTypeId, tx);
+                const price = await GoldPrice.findById(id, tx);
+
+                if (!price.isPending) {
+                    throw new Error('Only pending scheduled prices can be cancelled');
+                }
+
+                const previous = await tx.get(
+                    `SELECT id FROM gold_prices
+                     WHERE gold_type_id = ?
+                     AND effective_until = (SELECT effective_from FROM gold_prices WHERE id = ?)`,
+                    [price.goldTypeId, id]
+                );
+
+                await tx.run('DELETE FROM gold_prices WHERE id = ?', [id]);
+
+                if (previous) {
+                    await tx.run(
+                        'UPDATE gold_prices SET effective_until = ? WHERE id = ?',
+                        [price.effectiveUntil, previous.id]
+                    );
+                }
+
+                await GoldPrice.logChange(id, 'CANCEL_SCHEDULE', cancelledBy, price.toJSON(), tx);
+                tx.afterCommit(() => PriceEvents.publish('gold', { action: 'cancelled', price: price.toJSON() }));
+
+                return price;
+            });
+        } catch (error) {
+            console.error('Error cancelling scheduled gold price:', error);
+            throw error;
+        }
+    }
+
     /**
      * جلب تاريخ الأسعار
      * Get price history
@@ -331,6 +816,7 @@ class GoldPrice {
                 FROM gold_prices gp
                 JOIN gold_types gt ON gp.gold_type_id = gt.id
                 WHERE gp.gold_type_id = ?
+                AND gp.effective_from <= datetime('now')
             `;
             const params = [goldTypeId];
 
@@ -366,40 +852,122 @@ class GoldPrice {
         }
     }
 
+    /**
+     * استرجاع سعر سابق
+     * Re-publish a historical price as a new current price; with batch, every
+     * price published in the same transaction (e.g. an auto-update) is restored.
+     * The restored values were live before, so the sanity guard is overridden
+     * (and the override recorded in the audit log)
+     */
+    static async revert(id, reason, updatedBy = null, options = {}) {
+        try {
+            return await db.transaction(async (tx) => {
+                const source = await GoldPrice.findById(id, tx);
+                if (!source) {
+                    throw new Error('Gold price not found');
+                }
+
+                if (source.isPending) {
+                    throw new Error('Cannot revert to a scheduled price');
+                }
+
+                // الدفعة = الأسعار المنشورة في نفس المعاملة (نفس لحظة البدء)
+                const targets = options.batch
+                    ? (await tx.all(
+                        `SELECT * FROM gold_prices
+                         WHERE effective_from = (SELECT effective_from FROM gold_prices WHERE id = ?)
+                         ORDER BY gold_type_id`,
+                        [id]
+                    )).map(row => new GoldPrice(row))
+                    : [source];
+
+                const reverted = [];
+
+                for (const target of targets) {
+                    // السعر الساري حالياً لا يُعاد نشره
+                    const current = await GoldPrice.getCurrentPrice(target.goldTypeId, tx);
+                    if (current && current.id === target.id) {
+                        continue;
+                    }
+
+                    const price = await GoldPrice.create({
+                        goldTypeId: target.goldTypeId,
+                        buyPrice: target.buyPrice,
+                        sellPrice: target.sellPrice,
+                        marginBuy: target.marginBuy,
+                        marginSell: target.marginSell,
+                        isManual: true,
+                        force: true,
+                        revertedFrom: target.id
+                    }, updatedBy, tx);
+
+                    await GoldPrice.logChange(price.id, 'REVERT', updatedBy, {
+                        revertedFrom: target.id,
+                        reason,
+                        batch: options.batch === true
+                    }, tx);
+
+                    reverted.push(price);
+                }
+
+                if (reverted.length === 0) {
+                    throw new Error('Price is already current');
+                }
+
+                return reverted;
+            });
+        } catch (error) {
+            console.error('Error reverting gold price:', error);
+            throw error;
+        }
+    }
+
     /**
      * تحديث الأسعار تلقائياً
      * Auto update prices
      */
-    static async autoUpdate(basePrice24k, updatedBy = null) {
+    static async autoUpdate(basePrice24k, updatedBy = null, force = false, executor = db) {
         try {
-            const goldTypes = await GoldPrice.getGoldTypes();
-            const updatedPrices = [];
+            return await executor.transaction(async (tx) => {
+                // قفل جميع الأنواع الفعالة بترتيب ثابت لتجنب التعارض (deadlock)
+                const goldTypes = await tx.all(
+                    `SELECT * FROM gold_types 
+                     WHERE is_active = true 
+                     ORDER BY id
+                     FOR UPDATE`
+                );
+                goldTypes.sort((a, b) => (a.display_order - b.display_order) || (b.karat - a.karat));
 
-            for (const goldType of goldTypes) {
-                // حساب السعر بناءً على العيار
-                const purity = goldType.purity;
-                const basePrice = basePrice24k * purity;
-                
-                // إضافة هوامش افتراضية
-                const marginBuy = 0.02;
-                const marginSell = 0.02;
-                
-                const buyPrice = basePrice * (1 - marginBuy);
-                const sellPrice = basePrice * (1 + marginSell);
-
-                const price = await GoldPrice.create({
-                    goldTypeId: goldType.id,
-                    buyPrice: Math.round(buyPrice * 100) / 100,
-                    sellPrice: Math.round(sellPrice * 100) / 100,
-                    marginBuy,
-                    marginSell,
-                    isManual: false
-                }, updatedBy);
-
-                updatedPrices.push(price);
-            }
+                const updatedPrices = [];
+
+                for (const goldType of goldTypes) {
+                    // حساب السعر بناءً على العيار
+                    const purity = goldType.purity;
+                    const basePrice = basePrice24k * purity;
+                    
+                    // تطبيق سياسة الهوامش للنوع (أو الهوامش الافتراضية للمتجر)
+                    const policy = await MarginPolicy.resolve('GOLD_TYPE', goldType.id, tx);
+                    const { buyPrice, sellPrice, marginBuy, marginSell } = policy.apply(basePrice);
+
+                    if (buyPrice <= 0) {
+                        throw new Error(`Margin policy for gold type ${goldType.id} yields a non-positive buy price`);
+                    }
+
+                    const price = await GoldPrice.create({
+                        goldTypeId: goldType.id,
+                        buyPrice: Math.round(buyPrice * 100) / 100,
+                        sellPrice: Math.round(sellPrice * 100) / 100,
+                        marginBuy,
+                        marginSell,
+                        isManual: false,
+                        force
+                    }, updatedBy, tx);
 
-            return updatedPrices;
+                    updatedPrices.push(price);
+                }
+
+                return updatedPrices;
+            });
         } catch (error) {
             console.error('Error auto updating gold prices:', error);
             throw error;
@@ -407,26 +975,74 @@ class GoldPrice {
     }
 
     /**
-     * تسجيل التغييرات
-     * Log changes
+     * تحديث الأسعار من السعر العالمي (دولار للأونصة)
+     * Auto update prices from the international USD/oz spot price
+     */
+    static async autoUpdateFromSpot(spotPriceUsdPerOunce, updatedBy = null, force = false, executor = db) {
+        try {
+            // تحويل سعر الأونصة بالدولار إلى سعر غرام الذهب الخالص بالعملة المحلية
+            const currency = await StoreSettings.getDisplayCurrency();
+            const fxRate = await CurrencyRate.getCrossRate('USD', currency, executor);
+            const gramsPerOunce = WeightUnits.gramsPer('ounce');
+            const basePricePerGram = (spotPriceUsdPerOunce * fxRate) / gramsPerOunce;
+
+            const prices = await GoldPrice.autoUpdate(basePricePerGram, updatedBy, force, executor);
+
+            return {
+                spot: {
+                    price: spotPriceUsdPerOunce,
+                    currency: 'USD',
+                    unit: 'ounce'
+                },
+                currency,
+                fxRate: Math.round(fxRate * 1000000) / 1000000,
+                gramsPerOunce,
+                basePricePerGram: Math.round(basePricePerGram * 10000) / 10000,
+                prices,
+                breakdown: prices.map(price => ({
+                    goldTypeId: price.goldTypeId,
+                    goldTypeName: price.goldTypeName,
+                    karat: price.karat,
+                    purity: price.purity,
+                    pricePerGram: Math.round(basePricePerGram * price.purity * 100) / 100,
+                    marginBuy: price.marginBuy,
+                    marginSell: price.marginSell,
+                    buyPrice: price.buyPrice,
+                    sellPrice: price.sellPrice
+                }))
+            };
+        } catch (error) {
+            console.error('Error auto updating gold prices from spot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل التغييرات (داخل المعاملة يُعاد رمي الخطأ كي لا يُحفظ التغيير دون سجله)
+     * Log changes (rethrown inside a transaction so no change commits without its audit row)
      */
-    static async logChange(priceId, action, performedBy, details) {
+    static async logChange(priceId, action, performedBy, details, executor = db) {
         try {
-            await db.run(
+            await executor.run(
                 `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, created_at)
                  VALUES (?, ?, 'GOLD_PRICE', ?, ?, datetime('now'))`,
                 [performedBy, action, priceId, JSON.stringify(details)]
             );
         } catch (error) {
             console.error('Error logging gold price change:', error);
+
+            if (executor !== db) {
+                throw error;
+            }
         }
     }
 
     /**
      * إحصائيات الأسعار
-     * Get price statistics
+     * Get price statistics over the rows in effect during [from, to]
+     * (scheduled rows that have not started yet are excluded)
      */
-    static async getStatistics(goldTypeId, days = 30) {
+    static async getStatistics(goldTypeId, from, to) {
         try {
             const stats = await db.get(
                 `SELECT 
@@ -436,20 +1052,26 @@ class GoldPrice {
                     MIN(sell_price) as min_sell,
                     MAX(sell_price) as max_sell,
                     AVG(sell_price) as avg_sell,
+                    AVG(sell_price - buy_price) as avg_spread,
                     COUNT(*) as total_records
                  FROM gold_prices
                  WHERE gold_type_id = ?
-                 AND effective_from >= date('now', '-${days} days')`,
-                [goldTypeId]
+                 AND effective_from <= LEAST(CAST(? AS TIMESTAMPTZ), CURRENT_TIMESTAMP)
+                 AND (effective_until IS NULL OR effective_until > CAST(? AS TIMESTAMPTZ))
+                 AND (effective_until IS NULL OR effective_until > effective_from)`,
+                [goldTypeId, to.toISOString(), from.toISOString()]
             );
 
+            const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
             return {
                 minBuy: stats.min_buy,
                 maxBuy: stats.max_buy,
-                avgBuy: Math.round(stats.avg_buy * 100) / 100,
+                avgBuy: round(stats.avg_buy),
                 minSell: stats.min_sell,
                 maxSell: stats.max_sell,
-                avgSell: Math.round(stats.avg_sell * 100) / 100,
+                avgSell: round(stats.avg_sell),
+                avgSpread: round(stats.avg_spread),
                 totalRecords: stats.total_records
             };
         } catch (error) {
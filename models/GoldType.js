@@ -0,0 +1,290 @@
+/**
+ * =====================================================
+ * نموذج أنواع الذهب
+ * Gold Type Model
+ * =====================================================
+ * الملف: backend/models/GoldType.js
+ * الغرض: إدارة أنواع الذهب (العيارات والنقاوات)
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const { reorderRows } = require('./displayOrder');
+
+// =====================================================
+// فئة أنواع الذهب
+// Gold Type Class
+// =====================================================
+class GoldType {
+    /**
+     * إنشاء كائن نوع ذهب
+     * Create gold type object
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.nameAr = data.name_ar || '';
+        this.nameEn = data.name_en || null;
+        this.karat = data.karat !== undefined ? data.karat : null;
+        this.purity = data.purity !== undefined ? data.purity : null;
+        this.displayOrder = data.display_order || 0;
+        this.isActive = data.is_active !== undefined ? data.is_active : true;
+        this.createdAt = data.created_at || null;
+        this.updatedAt = data.updated_at || null;
+    }
+
+    /**
+     * التحقق من صحة البيانات
+     * Validate gold type data
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.nameAr || String(this.nameAr).trim().length === 0) {
+            errors.push({
+                field: 'nameAr',
+                message: 'Arabic name is required',
+                code: 'NAME_REQUIRED'
+            });
+        } else if (String(this.nameAr).length > 50) {
+            errors.push({
+                field: 'nameAr',
+                message: 'Arabic name must be at most 50 characters',
+                code: 'NAME_TOO_LONG'
+            });
+        }
+
+        if (this.nameEn && String(this.nameEn).length > 50) {
+            errors.push({
+                field: 'nameEn',
+                message: 'English name must be at most 50 characters',
+                code: 'NAME_TOO_LONG'
+            });
+        }
+
+        if (!Number.isInteger(this.karat) || this.karat < 1 || this.karat > 24) {
+            errors.push({
+                field: 'karat',
+                message: 'Karat must be an integer between 1 and 24',
+                code: 'KARAT_INVALID'
+            });
+        }
+
+        if (typeof this.purity !== 'number' || isNaN(this.purity) || this.purity <= 0 || this.purity > 1) {
+            errors.push({
+                field: 'purity',
+                message: 'Purity must be greater than 0 and at most 1',
+                code: 'PURITY_INVALID'
+            });
+        }
+
+        if (!Number.isInteger(this.displayOrder) || this.displayOrder < 0) {
+            errors.push({
+                field: 'displayOrder',
+                message: 'Display order must be a non-negative integer',
+                code: 'DISPLAY_ORDER_INVALID'
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * تحويل إلى كائن JSON
+     * Convert to JSON
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            nameAr: this.nameAr,
+            nameEn: this.nameEn,
+            karat: this.karat,
+            purity: this.purity,
+            displayOrder: this.displayOrder,
+            isActive: this.isActive,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    // =====================================================
+    // العمليات الثابتة (Static Methods)
+    // =====================================================
+
+    /**
+     * البحث عن نوع بواسطة المعرف
+     * Find gold type by ID
+     */
+    static async findById(id) {
+        try {
+            const row = await db.get(
+                'SELECT * FROM gold_types WHERE id = ?',
+                [id]
+            );
+
+            return row ? new GoldType(row) : null;
+        } catch (error) {
+            console.error('Error finding gold type by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب جميع الأنواع
+     * Get all gold types
+     */
+    static async findAll(options = {}) {
+        try {
+            let sql = 'SELECT * FROM gold_types';
+
+            if (!options.includeInactive) {
+                sql += ' WHERE is_active = true';
+            }
+
+            sql += ' ORDER BY display_order, karat DESC';
+
+            const rows = await db.all(sql);
+            return rows.map(row => new GoldType(row));
+        } catch (error) {
+            console.error('Error getting gold types:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إنشاء نوع جديد
+     * Create new gold type
+     */
+    static async create(typeData, createdBy = null) {
+        try {
+            const goldType = new GoldType({
+                name_ar: typeData.nameAr,
+                name_en: typeData.nameEn,
+                karat: typeData.karat,
+                purity: typeData.purity,
+                display_order: typeData.displayOrder,
+                is_active: typeData.isActive
+            });
+
+            const errors = goldType.validate();
+            if (errors.length > 0) {
+                throw new Error('Validation failed: ' + JSON.stringify(errors));
+            }
+
+            const result = await db.run(
+                `INSERT INTO gold_types (name_ar, name_en, karat, purity, display_order, is_active)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    goldType.nameAr,
+                    goldType.nameEn,
+                    goldType.karat,
+                    goldType.purity,
+                    goldType.displayOrder,
+                    goldType.isActive ? 1 : 0
+                ]
+            );
+
+            await GoldType.logChange(result.id, 'CREATE', createdBy, goldType.toJSON());
+
+            return await GoldType.findById(result.id);
+        } catch (error) {
+            console.error('Error creating gold type:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تحديث نوع
+     * Update gold type
+     */
+    static async update(id, typeData, updatedBy = null) {
+        try {
+            const goldType = await GoldType.findById(id);
+            if (!goldType) {
+                throw new Error('Gold type not found');
+            }
+
+            if (typeData.nameAr !== undefined) goldType.nameAr = typeData.nameAr;
+            if (typeData.nameEn !== undefined) goldType.nameEn = typeData.nameEn;
+            if (typeData.karat !== undefined) goldType.karat = typeData.karat;
+            if (typeData.purity !== undefined) goldType.purity = typeData.purity;
+            if (typeData.displayOrder !== undefined) goldType.displayOrder = typeData.displayOrder;
+            if (typeData.isActive !== undefined) goldType.isActive = typeData.isActive;
+
+            const errors = goldType.validate();
+            if (errors.length > 0) {
+                throw new Error('Validation failed: ' + JSON.stringify(errors));
+            }
+
+            await db.run(
+                `UPDATE gold_types
+                 SET name_ar = ?, name_en = ?, karat = ?, purity = ?,
+                     display_order = ?, is_active = ?, updated_at = datetime('now')
+                 WHERE id = ?`,
+                [
+                    goldType.nameAr,
+                    goldType.nameEn,
+                    goldType.karat,
+                    goldType.purity,
+                    goldType.displayOrder,
+                    goldType.isActive ? 1 : 0,
+                    id
+                ]
+            );
+
+            await GoldType.logChange(id, 'UPDATE', updatedBy, typeData);
+
+            return await GoldType.findById(id);
+        } catch (error) {
+            console.error('Error updating gold type:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إلغاء تفعيل نوع (يبقى تاريخ أسعاره محفوظاً)
+     * Deactivate gold type (price history is kept)
+     */
+    static async deactivate(id, updatedBy = null) {
+        return GoldType.update(id, { isActive: false }, updatedBy);
+    }
+
+    /**
+     * إعادة ترتيب الأنواع
+     * Reorder gold types; ids are given in the desired display order and
+     * must cover every gold type, inactive ones included (see reorderRows)
+     */
+    static async reorder(orderedIds, updatedBy = null) {
+        try {
+            await reorderRows('gold_types', orderedIds, { noun: 'gold type', label: 'Gold type' });
+
+            await GoldType.logChange(null, 'REORDER', updatedBy, { order: orderedIds });
+
+            return await GoldType.findAll({ includeInactive: true });
+        } catch (error) {
+            console.error('Error reordering gold types:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل التغييرات
+     * Log changes
+     */
+    static async logChange(typeId, action, performedBy, details) {
+        try {
+            await db.run(
+                `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, created_at)
+                 VALUES (?, ?, 'GOLD_TYPE', ?, ?, datetime('now'))`,
+                [performedBy, action, typeId, JSON.stringify(details)]
+            );
+        } catch (error) {
+            console.error('Error logging gold type change:', error);
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = GoldType;
@@ -0,0 +1,326 @@
+/**
+ * =====================================================
+ * نموذج سياسات الهوامش
+ * Margin Policy Model
+ * =====================================================
+ * الملف: backend/models/MarginPolicy.js
+ * الغرض: تحديد هوامش الشراء والبيع لكل نوع ذهب أو عملة
+ *        مع الرجوع إلى الهوامش الافتراضية للمتجر
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const StoreSettings = require('./StoreSettings');
+
+// =====================================================
+// ثوابت السياسات
+// Policy Constants
+// =====================================================
+const ENTITY_TYPES = ['GOLD_TYPE', 'CURRENCY'];
+const MARGIN_TYPES = ['percent', 'fixed'];
+
+// =====================================================
+// فئة سياسة الهامش
+// Margin Policy Class
+// =====================================================
+class MarginPolicy {
+    /**
+     * إنشاء كائن سياسة هامش
+     * Create margin policy object
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.entityType = data.entity_type || null;
+        this.entityId = data.entity_id || null;
+        this.marginType = data.margin_type || 'percent';
+        this.marginBuy = data.margin_buy || 0;
+        this.marginSell = data.margin_sell || 0;
+        this.isActive = data.is_active !== undefined ? data.is_active : true;
+        this.updatedBy = data.updated_by || null;
+        this.createdAt = data.created_at || null;
+        this.updatedAt = data.updated_at || null;
+
+        // مصدر الهامش: policy أو default
+        this.source = data.source || 'policy';
+    }
+
+    /**
+     * التحقق من صحة البيانات
+     * Validate policy data
+     */
+    validate() {
+        const errors = [];
+
+        if (!ENTITY_TYPES.includes(this.entityType)) {
+            errors.push({
+                field: 'entityType',
+                message: `Entity type must be one of: ${ENTITY_TYPES.join(', ')}`,
+                code: 'ENTITY_TYPE_INVALID'
+            });
+        }
+
+        if (!Number.isInteger(this.entityId) || this.entityId <= 0) {
+            errors.push({
+                field: 'entityId',
+                message: 'Entity ID must be a positive integer',
+                code: 'ENTITY_ID_INVALID'
+            });
+        }
+
+        if (!MARGIN_TYPES.includes(this.marginType)) {
+            errors.push({
+                field: 'marginType',
+                message: `Margin type must be one of: ${MARGIN_TYPES.join(', ')}`,
+                code: 'MARGIN_TYPE_INVALID'
+            });
+        }
+
+        for (const field of ['marginBuy', 'marginSell']) {
+            const value = this[field];
+
+            if (typeof value !== 'number' || isNaN(value) || value < 0) {
+                errors.push({
+                    field,
+                    message: `${field} must be a non-negative number`,
+                    code: 'MARGIN_INVALID'
+                });
+            } else if (this.marginType === 'percent' && value >= 1) {
+                errors.push({
+                    field,
+                    message: `${field} must be a fraction below 1 (e.g. 0.02 for 2%)`,
+                    code: 'MARGIN_INVALID'
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * تطبيق الهامش على سعر أساسي
+     * Apply margins to a base price; returns buy/sell and margin ratios
+     */
+    apply(basePrice) {
+        const buyPrice = this.marginType === 'fixed'
+            ? basePrice - this.marginBuy
+            : basePrice * (1 - this.marginBuy);
+        const sellPrice = this.marginType === 'fixed'
+            ? basePrice + this.marginSell
+            : basePrice * (1 + this.marginSell);
+
+        return {
+            buyPrice,
+            sellPrice,
+            ...this.ratiosFor(basePrice, basePrice)
+        };
+    }
+
+    /**
+     * الهوامش كنسب من السعر (كما تُخزن في gold_prices و currency_rates)
+     * Margins as ratios of the given prices, as stored on price rows
+     */
+    ratiosFor(buyPrice, sellPrice) {
+        if (this.marginType === 'percent') {
+            return { marginBuy: this.marginBuy, marginSell: this.marginSell };
+        }
+
+        return {
+            marginBuy: buyPrice > 0 ? Math.round((this.marginBuy / buyPrice) * 10000) / 10000 : 0,
+            marginSell: sellPrice > 0 ? Math.round((this.marginSell / sellPrice) * 10000) / 10000 : 0
+        };
+    }
+
+    /**
+     * تحويل إلى كائن JSON
+     * Convert to JSON
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            entityType: this.entityType,
+            entityId: this.entityId,
+            marginType: this.marginType,
+            marginBuy: this.marginBuy,
+            marginSell: this.marginSell,
+            isActive: this.isActive,
+            source: this.source,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    // =====================================================
+    // العمليات الثابتة (Static Methods)
+    // =====================================================
+
+    /**
+     * جلب جميع السياسات
+     * Get all policies
+     */
+    static async findAll(entityType = null) {
+        try {
+            let sql = 'SELECT * FROM margin_policies';
+            const params = [];
+
+            if (entityType) {
+                sql += ' WHERE entity_type = ?';
+                params.push(entityType);
+            }
+
+            sql += ' ORDER BY entity_type, entity_id';
+
+            const rows = await db.all(sql, params);
+            return rows.map(row => new MarginPolicy(row));
+        } catch (error) {
+            console.error('Error getting margin policies:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * البحث عن سياسة بواسطة المعرف
+     * Find policy by ID
+     */
+    static async findById(id) {
+        try {
+            const row = await db.get(
+                'SELECT * FROM margin_policies WHERE id = ?',
+                [id]
+            );
+
+            return row ? new MarginPolicy(row) : null;
+        } catch (error) {
+            console.error('Error finding margin policy by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تحديد الهامش الفعال لنوع ذهب أو عملة
+     * Resolve effective margins: entity policy, else store defaults
+     */
+    static async resolve(entityType, entityId, executor = db) {
+        try {
+            const row = await executor.get(
+                `SELECT * FROM margin_policies
+                 WHERE entity_type = ? AND entity_id = ? AND is_active = true`,
+                [entityType, entityId]
+            );
+
+            if (row) {
+                return new MarginPolicy(row);
+            }
+
+            // الرجوع إلى الهوامش الافتراضية للمتجر
+            const defaults = await StoreSettings.getMarginSettings();
+            const group = entityType === 'GOLD_TYPE' ? defaults.gold : defaults.currency;
+
+            return new MarginPolicy({
+                entity_type: entityType,
+                entity_id: entityId,
+                margin_type: 'percent',
+                margin_buy: group.buy,
+                margin_sell: group.sell,
+                source: 'default'
+            });
+        } catch (error) {
+            console.error('Error resolving margin policy:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إنشاء أو تحديث سياسة
+     * Create or replace the policy for an entity
+     */
+    static async upsert(policyData, updatedBy = null) {
+        try {
+            const policy = new MarginPolicy({
+                entity_type: policyData.entityType,
+                entity_id: policyData.entityId,
+                margin_type: policyData.marginType,
+                margin_buy: policyData.marginBuy,
+                margin_sell: policyData.marginSell,
+                is_active: policyData.isActive
+            });
+
+            const errors = policy.validate();
+            if (errors.length > 0) {
+                throw new Error('Validation failed: ' + JSON.stringify(errors));
+            }
+
+            const result = await db.run(
+                `INSERT INTO margin_policies
+                 (entity_type, entity_id, margin_type, margin_buy, margin_sell, is_active, updated_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (entity_type, entity_id) DO UPDATE
+                 SET margin_type = EXCLUDED.margin_type,
+                     margin_buy = EXCLUDED.margin_buy,
+                     margin_sell = EXCLUDED.margin_sell,
+                     is_active = EXCLUDED.is_active,
+                     updated_by = EXCLUDED.updated_by,
+                     updated_at = datetime('now')`,
+                [
+                    policy.entityType,
+                    policy.entityId,
+                    policy.marginType,
+                    policy.marginBuy,
+                    policy.marginSell,
+                    policy.isActive ? 1 : 0,
+                    updatedBy
+                ]
+            );
+
+            await MarginPolicy.logChange(result.id, 'SET', updatedBy, policy.toJSON());
+
+            return await MarginPolicy.findById(result.id);
+        } catch (error) {
+            console.error('Error saving margin policy:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * حذف سياسة (العودة للهوامش الافتراضية)
+     * Delete policy (entity falls back to store defaults)
+     */
+    static async delete(id, deletedBy = null) {
+        try {
+            const policy = await MarginPolicy.findById(id);
+            if (!policy) {
+                return false;
+            }
+
+            await MarginPolicy.logChange(id, 'DELETE', deletedBy, policy.toJSON());
+            await db.run('DELETE FROM margin_policies WHERE id = ?', [id]);
+
+            return true;
+        } catch (error) {
+            console.error('Error deleting margin policy:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل التغييرات
+     * Log changes
+     */
+    static async logChange(policyId, action, performedBy, details) {
+        try {
+            await db.run(
+                `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, created_at)
+                 VALUES (?, ?, 'MARGIN_POLICY', ?, ?, datetime('now'))`,
+                [performedBy, action, policyId, JSON.stringify(details)]
+            );
+        } catch (error) {
+            console.error('Error logging margin policy change:', error);
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = MarginPolicy;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.MARGIN_TYPES = MARGIN_TYPES;
@@ -0,0 +1,186 @@
+/**
+ * =====================================================
+ * نموذج صندوق الإشعارات
+ * Notification Outbox Model
+ * =====================================================
+ * الملف: backend/models/Notification.js
+ * الغرض: تخزين الإشعارات الصادرة قبل إرسالها مع منع التكرار
+ * =====================================================
+ */
+
+const db = require('../config/database');
+
+// =====================================================
+// فئة الإشعار
+// Notification Class
+// =====================================================
+class Notification {
+    /**
+     * إنشاء كائن إشعار
+     * Create notification object
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.userId = data.user_id || null;
+        this.ruleId = data.rule_id || null;
+        this.eventType = data.event_type || null;
+        this.channel = data.channel || 'in_app';
+        this.dedupKey = data.dedup_key || null;
+        this.payload = Notification.parsePayload(data.payload);
+        this.status = data.status || 'pending';
+        this.attempts = data.attempts || 0;
+        this.lastError = data.last_error || null;
+        this.createdAt = data.created_at || null;
+        this.sentAt = data.sent_at || null;
+        this.readAt = data.read_at || null;
+    }
+
+    /**
+     * تحليل محتوى الإشعار
+     * Parse the stored JSON payload
+     */
+    static parsePayload(payload) {
+        if (!payload || typeof payload !== 'string') {
+            return payload || {};
+        }
+
+        try {
+            return JSON.parse(payload);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * تحويل إلى كائن JSON
+     * Convert to JSON
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            ruleId: this.ruleId,
+            eventType: this.eventType,
+            channel: this.channel,
+            payload: this.payload,
+            status: this.status,
+            createdAt: this.createdAt,
+            sentAt: this.sentAt,
+            readAt: this.readAt
+        };
+    }
+
+    // =====================================================
+    // العمليات الثابتة (Static Methods)
+    // =====================================================
+
+    /**
+     * إضافة إشعار إلى الصندوق
+     * Enqueue a notification; returns null if dedupKey was already used
+     */
+    static async enqueue(notification, executor = db) {
+        try {
+            const result = await executor.run(
+                `INSERT INTO notification_outbox
+                 (user_id, rule_id, event_type, channel, dedup_key, payload)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT (dedup_key) DO NOTHING`,
+                [
+                    notification.userId,
+                    notification.ruleId || null,
+                    notification.eventType,
+                    notification.channel || 'in_app',
+                    notification.dedupKey,
+                    JSON.stringify(notification.payload || {})
+                ]
+            );
+
+            return result.rows[0] ? new Notification(result.rows[0]) : null;
+        } catch (error) {
+            console.error('Error enqueueing notification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب إشعارات مستخدم
+     * Get a user's notifications, newest first
+     */
+    static async findByUser(userId, options = {}) {
+        try {
+            let sql = 'SELECT * FROM notification_outbox WHERE user_id = ?';
+            const params = [userId];
+
+            if (options.unreadOnly) {
+                sql += ' AND read_at IS NULL';
+            }
+
+            sql += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+            params.push(options.limit || 50, options.offset || 0);
+
+            const rows = await db.all(sql, params);
+            return rows.map(row => new Notification(row));
+        } catch (error) {
+            console.error('Error getting notifications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تعليم إشعار كمقروء
+     * Mark a user's notification as read; returns false if not found
+     */
+    static async markRead(id, userId) {
+        try {
+            const result = await db.run(
+                `UPDATE notification_outbox
+                 SET read_at = COALESCE(read_at, datetime('now'))
+                 WHERE id = ? AND user_id = ?`,
+                [id, userId]
+            );
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error marking notification as read:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب الإشعارات المعلقة للإرسال
+     * Claim pending notifications for a dispatcher (skips rows locked by another one)
+     */
+    static async claimPending(limit, tx) {
+        const rows = await tx.all(
+            `SELECT * FROM notification_outbox
+             WHERE status = 'pending'
+             ORDER BY created_at, id
+             LIMIT ?
+             FOR UPDATE SKIP LOCKED`,
+            [limit]
+        );
+
+        return rows.map(row => new Notification(row));
+    }
+
+    /**
+     * تسجيل نتيجة الإرسال
+     * Record a delivery attempt
+     */
+    static async markDelivered(id, error = null, executor = db) {
+        await executor.run(
+            `UPDATE notification_outbox
+             SET attempts = attempts + 1,
+                 status = ?,
+                 last_error = ?,
+                 sent_at = ${error ? 'sent_at' : "datetime('now')"}
+             WHERE id = ?`,
+            [error ? 'failed' : 'sent', error, id]
+        );
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = Notification;
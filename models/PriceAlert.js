@@ -0,0 +1,426 @@
+/**
+ * =====================================================
+ * نموذج قواعد تنبيهات الأسعار
+ * Price Alert Rule Model
+ * =====================================================
+ * الملف: backend/models/PriceAlert.js
+ * الغرض: إدارة قواعد التنبيه الخاصة بكل مستخدم لأسعار الذهب والعملات
+ * =====================================================
+ */
+
+const db = require('../config/database');
+
+// =====================================================
+// ثوابت القواعد
+// Rule Constants
+// =====================================================
+const ENTITY_TYPES = ['GOLD_TYPE', 'CURRENCY'];
+const SIDES = ['buy', 'sell'];
+const CONDITIONS = ['above', 'below', 'percent_change'];
+
+// =====================================================
+// فئة قاعدة التنبيه
+// Price Alert Rule Class
+// =====================================================
+class PriceAlert {
+    /**
+     * إنشاء كائن قاعدة تنبيه
+     * Create price alert rule object
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.userId = data.user_id || null;
+        this.entityType = data.entity_type || null;
+        this.entityId = data.entity_id || null;
+        this.side = data.side || 'sell';
+        this.condition = data.condition_type || null;
+        this.threshold = data.threshold !== undefined && data.threshold !== null ? data.threshold : null;
+        this.referencePrice = data.reference_price !== undefined ? data.reference_price : null;
+        this.cooldownMinutes = data.cooldown_minutes !== undefined && data.cooldown_minutes !== null
+            ? data.cooldown_minutes
+            : 60;
+        this.note = data.note || null;
+        this.isActive = data.is_active !== undefined ? data.is_active : true;
+        this.lastTriggeredAt = data.last_triggered_at || null;
+        this.triggerCount = data.trigger_count || 0;
+        this.createdAt = data.created_at || null;
+        this.updatedAt = data.updated_at || null;
+    }
+
+    /**
+     * التحقق من صحة البيانات
+     * Validate rule data
+     */
+    validate() {
+        const errors = [];
+
+        if (!ENTITY_TYPES.includes(this.entityType)) {
+            errors.push({
+                field: 'entityType',
+                message: `Entity type must be one of: ${ENTITY_TYPES.join(', ')}`,
+                code: 'ENTITY_TYPE_INVALID'
+            });
+        }
+
+        if (!Number.isInteger(this.entityId) || this.entityId <= 0) {
+            errors.push({
+                field: 'entityId',
+                message: 'Entity ID must be a positive integer',
+                code: 'ENTITY_ID_INVALID'
+            });
+        }
+
+        if (!SIDES.includes(this.side)) {
+            errors.push({
+                field: 'side',
+                message: `Side must be one of: ${SIDES.join(', ')}`,
+                code: 'SIDE_INVALID'
+            });
+        }
+
+        if (!CONDITIONS.includes(this.condition)) {
+            errors.push({
+                field: 'condition',
+                message: `Condition must be one of: ${CONDITIONS.join(', ')}`,
+                code: 'CONDITION_INVALID'
+            });
+        }
+
+        if (typeof this.threshold !== 'number' || isNaN(this.threshold) || this.threshold <= 0) {
+            errors.push({
+                field: 'threshold',
+                message: 'Threshold must be a positive number',
+                code: 'THRESHOLD_INVALID'
+            });
+        } else if (this.condition === 'percent_change' && this.threshold >= 100) {
+            errors.push({
+                field: 'threshold',
+                message: 'Percent change threshold must be below 100',
+                code: 'THRESHOLD_INVALID'
+            });
+        }
+
+        if (!Number.isInteger(this.cooldownMinutes) || this.cooldownMinutes < 0) {
+            errors.push({
+                field: 'cooldownMinutes',
+                message: 'Cooldown must be a non-negative whole number of minutes',
+                code: 'COOLDOWN_INVALID'
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * هل القاعدة في فترة التهدئة؟
+     * Whether the rule triggered less than cooldownMinutes ago
+     */
+    isCoolingDown(now = new Date()) {
+        if (!this.lastTriggeredAt || this.cooldownMinutes === 0) {
+            return false;
+        }
+
+        const elapsed = now.getTime() - new Date(this.lastTriggeredAt).getTime();
+        return elapsed < this.cooldownMinutes * 60 * 1000;
+    }
+
+    /**
+     * تقييم القاعدة على سعر جديد
+     * Evaluate the rule against a newly published value; thresholds fire
+     * on crossing, percent rules against the reference price.
+     * Returns { triggered, changePercent }
+     */
+    evaluate(value, previousValue = null) {
+        if (this.condition === 'above') {
+            return {
+                triggered: value >= this.threshold &&
+                    (previousValue === null || previousValue < this.threshold),
+                changePercent: null
+            };
+        }
+
+        if (this.condition === 'below') {
+            return {
+                triggered: value <= this.threshold &&
+                    (previousValue === null || previousValue > this.threshold),
+                changePercent: null
+            };
+        }
+
+        if (!this.referencePrice) {
+            return { triggered: false, changePercent: null };
+        }
+
+        const changePercent = ((value - this.referencePrice) / this.referencePrice) * 100;
+
+        return {
+            triggered: Math.abs(changePercent) >= this.threshold,
+            changePercent: Math.round(changePercent * 100) / 100
+        };
+    }
+
+    /**
+     * تحويل إلى كائن JSON
+     * Convert to JSON
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            entityType: this.entityType,
+            entityId: this.entityId,
+            side: this.side,
+            condition: this.condition,
+            threshold: this.threshold,
+            referencePrice: this.referencePrice,
+            cooldownMinutes: this.cooldownMinutes,
+            note: this.note,
+            isActive: this.isActive,
+            lastTriggeredAt: this.lastTriggeredAt,
+            triggerCount: this.triggerCount,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    // =====================================================
+    // العمليات الثابتة (Static Methods)
+    // =====================================================
+
+    /**
+     * جلب قواعد مستخدم
+     * Get a user's rules
+     */
+    static async findByUser(userId) {
+        try {
+            const rows = await db.all(
+                `SELECT * FROM price_alert_rules
+                 WHERE user_id = ?
+                 ORDER BY created_at DESC`,
+                [userId]
+            );
+
+            return rows.map(row => new PriceAlert(row));
+        } catch (error) {
+            console.error('Error getting price alerts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * البحث عن قاعدة بواسطة المعرف
+     * Find rule by ID
+     */
+    static async findById(id, executor = db) {
+        try {
+            const row = await executor.get(
+                'SELECT * FROM price_alert_rules WHERE id = ?',
+                [id]
+            );
+
+            return row ? new PriceAlert(row) : null;
+        } catch (error) {
+            console.error('Error finding price alert by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب القواعد الفعالة لنوع ذهب أو عملة
+     * Get active rules for an entity, locked for evaluation
+     */
+    static async findActiveFor(entityType, entityId, tx) {
+        const rows = await tx.all(
+            `SELECT * FROM price_alert_rules
+             WHERE entity_type = ? AND entity_id = ? AND is_active = true
+             ORDER BY id
+             FOR UPDATE`,
+            [entityType, entityId]
+        );
+
+        return rows.map(row => new PriceAlert(row));
+    }
+
+    /**
+     * إنشاء قاعدة
+     * Create rule
+     */
+    static async create(ruleData, userId) {
+        try {
+            const rule = new PriceAlert({
+                user_id: userId,
+                entity_type: ruleData.entityType,
+                entity_id: ruleData.entityId,
+                side: ruleData.side,
+                condition_type: ruleData.condition,
+                threshold: ruleData.threshold,
+                reference_price: ruleData.referencePrice,
+                cooldown_minutes: ruleData.cooldownMinutes,
+                note: ruleData.note,
+                is_active: ruleData.isActive
+            });
+
+            const errors = rule.validate();
+            if (errors.length > 0) {
+                throw new Error('Validation failed: ' + JSON.stringify(errors));
+            }
+
+            const result = await db.run(
+                `INSERT INTO price_alert_rules
+                 (user_id, entity_type, entity_id, side, condition_type, threshold,
+                  reference_price, cooldown_minutes, note, is_active)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    userId,
+                    rule.entityType,
+                    rule.entityId,
+                    rule.side,
+                    rule.condition,
+                    rule.threshold,
+                    rule.referencePrice,
+                    rule.cooldownMinutes,
+                    rule.note,
+                    rule.isActive ? 1 : 0
+                ]
+            );
+
+            await PriceAlert.logChange(result.id, 'CREATE', userId, rule.toJSON());
+
+            return await PriceAlert.findById(result.id);
+        } catch (error) {
+            console.error('Error creating price alert:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تحديث قاعدة (الحد، فترة التهدئة، الملاحظة، التفعيل)
+     * Update rule; changing the threshold or reference re-arms it
+     */
+    static async update(id, ruleData, userId) {
+        try {
+            const existing = await PriceAlert.findById(id);
+            if (!existing) {
+                throw new Error('Price alert not found');
+            }
+
+            const rule = new PriceAlert({
+                user_id: existing.userId,
+                entity_type: existing.entityType,
+                entity_id: existing.entityId,
+                side: ruleData.side !== undefined ? ruleData.side : existing.side,
+                condition_type: ruleData.condition !== undefined ? ruleData.condition : existing.condition,
+                threshold: ruleData.threshold !== undefined ? ruleData.threshold : existing.threshold,
+                reference_price: ruleData.referencePrice !== undefined
+                    ? ruleData.referencePrice
+                    : existing.referencePrice,
+                cooldown_minutes: ruleData.cooldownMinutes !== undefined
+                    ? ruleData.cooldownMinutes
+                    : existing.cooldownMinutes,
+                note: ruleData.note !== undefined ? ruleData.note : existing.note,
+                is_active: ruleData.isActive !== undefined ? ruleData.isActive : existing.isActive
+            });
+
+            const errors = rule.validate();
+            if (errors.length > 0) {
+                throw new Error('Validation failed: ' + JSON.stringify(errors));
+            }
+
+            await db.run(
+                `UPDATE price_alert_rules
+                 SET side = ?, condition_type = ?, threshold = ?, reference_price = ?,
+                     cooldown_minutes = ?, note = ?, is_active = ?, updated_at = datetime('now')
+                 WHERE id = ?`,
+                [
+                    rule.side,
+                    rule.condition,
+                    rule.threshold,
+                    rule.referencePrice,
+                    rule.cooldownMinutes,
+                    rule.note,
+                    rule.isActive ? 1 : 0,
+                    id
+                ]
+            );
+
+            await PriceAlert.logChange(id, 'UPDATE', userId, rule.toJSON());
+
+            return await PriceAlert.findById(id);
+        } catch (error) {
+            console.error('Error updating price alert:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل إطلاق التنبيه
+     * Record a trigger; percent rules re-base on the triggering value
+     */
+    static async markTriggered(rule, value, tx) {
+        await tx.run(
+            `UPDATE price_alert_rules
+             SET last_triggered_at = datetime('now'),
+                 trigger_count = trigger_count + 1,
+                 reference_price = ?
+             WHERE id = ?`,
+            [rule.condition === 'percent_change' ? value : rule.referencePrice, rule.id]
+        );
+    }
+
+    /**
+     * ضبط السعر المرجعي
+     * Set the reference price of a percent rule that had none yet
+     */
+    static async setReferencePrice(ruleId, value, tx) {
+        await tx.run(
+            'UPDATE price_alert_rules SET reference_price = ? WHERE id = ?',
+            [value, ruleId]
+        );
+    }
+
+    /**
+     * حذف قاعدة
+     * Delete rule
+     */
+    static async delete(id, deletedBy = null) {
+        try {
+            const rule = await PriceAlert.findById(id);
+            if (!rule) {
+                return false;
+            }
+
+            await PriceAlert.logChange(id, 'DELETE', deletedBy, rule.toJSON());
+            await db.run('DELETE FROM price_alert_rules WHERE id = ?', [id]);
+
+            return true;
+        } catch (error) {
+            console.error('Error deleting price alert:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل التغييرات
+     * Log changes
+     */
+    static async logChange(ruleId, action, performedBy, details) {
+        try {
+            await db.run(
+                `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, created_at)
+                 VALUES (?, ?, 'PRICE_ALERT', ?, ?, datetime('now'))`,
+                [performedBy, action, ruleId, JSON.stringify(details)]
+            );
+        } catch (error) {
+            console.error('Error logging price alert change:', error);
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = PriceAlert;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.SIDES = SIDES;
+module.exports.CONDITIONS = CONDITIONS;
@@ -0,0 +1,428 @@
+/**
+ * =====================================================
+ * نموذج طلبات تغيير الأسعار
+ * Price Change Request Model
+ * =====================================================
+ * الملف: backend/models/PriceChangeRequest.js
+ * الغرض: مبدأ الأربع أعين - تغييرات المدير تُحفظ كطلبات معلقة
+ *        ولا تُنشر إلا بعد اعتماد مشرف آخر
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const StoreSettings = require('./StoreSettings');
+const GoldPrice = require('./GoldPrice');
+const CurrencyRate = require('./CurrencyRate');
+
+// =====================================================
+// ثوابت الطلبات
+// Request Constants
+// =====================================================
+const ENTITY_TYPES = ['GOLD_TYPE', 'CURRENCY'];
+const ACTIONS = ['CREATE', 'UPDATE'];
+const STATUSES = ['pending', 'approved', 'rejected', 'expired'];
+
+// =====================================================
+// فئة طلب تغيير السعر
+// Price Change Request Class
+// =====================================================
+class PriceChangeRequest {
+    /**
+     * إنشاء كائن طلب
+     * Create price change request object
+     */
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.entityType = data.entity_type || null;
+        this.entityId = data.entity_id || null;
+        this.action = data.action || 'CREATE';
+        this.targetId = data.target_id || null;
+        this.basePriceId = data.base_price_id || null;
+        this.payload = PriceChangeRequest.parsePayload(data.payload);
+        this.status = data.status || 'pending';
+        this.requestedBy = data.requested_by || null;
+        this.requestedByName = data.requested_by_name || null;
+        this.reviewedBy = data.reviewed_by || null;
+        this.reviewedByName = data.reviewed_by_name || null;
+        this.reviewComment = data.review_comment || null;
+        this.resultId = data.result_id || null;
+        this.expiresAt = data.expires_at || null;
+        this.createdAt = data.created_at || null;
+        this.reviewedAt = data.reviewed_at || null;
+    }
+
+    /**
+     * تحليل بيانات السعر المقترح
+     * Parse the stored JSON payload
+     */
+    static parsePayload(payload) {
+        if (!payload || typeof payload !== 'string') {
+            return payload || {};
+        }
+
+        try {
+            return JSON.parse(payload);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * تحويل إلى كائن JSON
+     * Convert to JSON
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            entityType: this.entityType,
+            entityId: this.entityId,
+            action: this.action,
+            targetId: this.targetId,
+            basePriceId: this.basePriceId,
+            payload: this.payload,
+            status: this.status,
+            requestedBy: this.requestedBy,
+            requestedByName: this.requestedByName,
+            reviewedBy: this.reviewedBy,
+            reviewedByName: this.reviewedByName,
+            reviewComment: this.reviewComment,
+            resultId: this.resultId,
+            expiresAt: this.expiresAt,
+            createdAt: this.createdAt,
+            reviewedAt: this.reviewedAt
+        };
+    }
+
+    // =====================================================
+    // العمليات الثابتة (Static Methods)
+    // =====================================================
+
+    /**
+     * هل يحتاج التغيير إلى اعتماد؟
+     * Whether a price change by this role must go through approval
+     * (admins always publish directly)
+     */
+    static async isRequiredFor(role) {
+        const settings = await StoreSettings.getApprovalSettings();
+        return settings.enabled === true && role !== 'admin';
+    }
+
+    /**
+     * السعر الساري للهدف
+     * Id of the price currently in effect for the entity (or null)
+     */
+    static async currentPriceId(entityType, entityId, executor = db) {
+        const current = entityType === 'GOLD_TYPE'
+            ? await GoldPrice.getCurrentPrice(entityId, executor)
+            : await CurrencyRate.getCurrentRate(entityId, executor);
+
+        return current ? current.id : null;
+    }
+
+    /**
+     * إنهاء صلاحية الطلبات القديمة
+     * Mark pending requests past their expiry as expired; returns the count
+     */
+    static async expireStale(executor = db) {
+        try {
+            const result = await executor.run(
+                `UPDATE price_change_requests
+                 SET status = 'expired', reviewed_at = datetime('now')
+                 WHERE status = 'pending' AND expires_at <= datetime('now')`
+            );
+
+            return result.changes;
+        } catch (error) {
+            console.error('Error expiring price change requests:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب طلب بالمعرف
+     * Find request by ID
+     */
+    static async findById(id, executor = db) {
+        try {
+            const row = await executor.get(
+                `SELECT r.*, req.username as requested_by_name, rev.username as reviewed_by_name
+                 FROM price_change_requests r
+                 LEFT JOIN users req ON r.requested_by = req.id
+                 LEFT JOIN users rev ON r.reviewed_by = rev.id
+                 WHERE r.id = ?`,
+                [id]
+            );
+
+            return row ? new PriceChangeRequest(row) : null;
+        } catch (error) {
+            console.error('Error finding price change request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * جلب الطلبات
+     * List requests, newest first (stale ones are expired first)
+     */
+    static async findAll(options = {}) {
+        try {
+            await PriceChangeRequest.expireStale();
+
+            let sql = `SELECT r.*, req.username as requested_by_name, rev.username as reviewed_by_name
+                       FROM price_change_requests r
+                       LEFT JOIN users req ON r.requested_by = req.id
+                       LEFT JOIN users rev ON r.reviewed_by = rev.id
+                       WHERE 1=1`;
+            const params = [];
+
+            if (options.status) {
+                sql += ' AND r.status = ?';
+                params.push(options.status);
+            }
+
+            if (options.entityType) {
+                sql += ' AND r.entity_type = ?';
+                params.push(options.entityType);
+            }
+
+            if (options.requestedBy) {
+                sql += ' AND r.requested_by = ?';
+                params.push(options.requestedBy);
+            }
+
+            sql += ' ORDER BY r.created_at DESC, r.id DESC LIMIT ? OFFSET ?';
+            params.push(options.limit || 50, options.offset || 0);
+
+            const rows = await db.all(sql, params);
+            return rows.map(row => new PriceChangeRequest(row));
+        } catch (error) {
+            console.error('Error getting price change requests:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * إنشاء طلب تغيير
+     * Submit a price change for approval. Expires after the configured hours,
+     * or at the requested effectiveFrom if that comes first
+     */
+    static async create(requestData, requestedBy) {
+        try {
+            const target = await db.get(
+                `SELECT id FROM ${requestData.entityType === 'GOLD_TYPE' ? 'gold_types' : 'currencies'} WHERE id = ?`,
+                [requestData.entityId]
+            );
+            if (!target) {
+                throw new Error(requestData.entityType === 'GOLD_TYPE' ? 'Gold type not found' : 'Currency not found');
+            }
+
+            const { expiryHours } = await StoreSettings.getApprovalSettings();
+            let expiresAt = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+
+            if (requestData.payload.effectiveFrom) {
+                const effectiveFrom = new Date(requestData.payload.effectiveFrom);
+                if (effectiveFrom < expiresAt) {
+                    expiresAt = effectiveFrom;
+                }
+            }
+
+            const basePriceId = await PriceChangeRequest.currentPriceId(
+                requestData.entityType,
+                requestData.entityId
+            );
+
+            const result = await db.run(
+                `INSERT INTO price_change_requests
+                 (entity_type, entity_id, action, target_id, base_price_id, payload, requested_by, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, CAST(? AS TIMESTAMPTZ))`,
+                [
+                    requestData.entityType,
+                    requestData.entityId,
+                    requestData.action,
+                    requestData.targetId || null,
+                    basePriceId,
+                    JSON.stringify(requestData.payload),
+                    requestedBy,
+                    expiresAt.toISOString()
+                ]
+            );
+
+            await PriceChangeRequest.logChange(result.id, 'REQUEST', requestedBy, {
+                entityType: requestData.entityType,
+                entityId: requestData.entityId,
+                action: requestData.action,
+                targetId: requestData.targetId || null,
+                payload: requestData.payload
+            });
+
+            return await PriceChangeRequest.findById(result.id);
+        } catch (error) {
+            console.error('Error creating price change request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * قفل طلب معلق للمراجعة
+     * Lock a pending request for review by someone other than its requester
+     */
+    static async lockForReview(id, reviewedBy, tx) {
+        const row = await tx.get(
+            'SELECT * FROM price_change_requests WHERE id = ? FOR UPDATE',
+            [id]
+        );
+
+        if (!row) {
+            throw new Error('Price change request not found');
+        }
+
+        const request = new PriceChangeRequest(row);
+
+        if (request.status !== 'pending') {
+            throw new Error(`Price change request is already ${request.status}`);
+        }
+
+        if (new Date(request.expiresAt) <= new Date()) {
+            throw new Error('Price change request has expired');
+        }
+
+        if (request.requestedBy === reviewedBy) {
+            throw new Error('Requester cannot review their own price change');
+        }
+
+        return request;
+    }
+
+    /**
+     * نشر التغيير المعتمد
+     * Publish the approved change on behalf of its requester
+     */
+    static async publish(request, reviewedBy, force, tx) {
+        const priceData = {
+            ...request.payload,
+            approvalRequestId: request.id,
+            approvedBy: reviewedBy,
+            force
+        };
+        const Model = request.entityType === 'GOLD_TYPE' ? GoldPrice : CurrencyRate;
+
+        // قفل الهدف ثم التأكد أن السعر الساري لم يتغير منذ الطلب
+        if (request.entityType === 'GOLD_TYPE') {
+            await GoldPrice.lockGoldType(request.entityId, tx);
+        } else {
+            await CurrencyRate.lockCurrency(request.entityId, tx);
+        }
+
+        const currentId = await PriceChangeRequest.currentPriceId(request.entityType, request.entityId, tx);
+        if (currentId !== request.basePriceId) {
+            throw new Error('Price has changed since the request was made');
+        }
+
+        if (request.action === 'UPDATE') {
+            return await Model.update(request.targetId, priceData, request.requestedBy, tx);
+        }
+
+        return await Model.create(
+            request.entityType === 'GOLD_TYPE'
+                ? { ...priceData, goldTypeId: request.entityId }
+                : { ...priceData, currencyId: request.entityId },
+            request.requestedBy,
+            tx
+        );
+    }
+
+    /**
+     * اعتماد طلب
+     * Approve a request: publishes the price and records the outcome atomically
+     */
+    static async approve(id, reviewedBy, comment = null, options = {}) {
+        try {
+            await PriceChangeRequest.expireStale();
+
+            return await db.transaction(async (tx) => {
+                const request = await PriceChangeRequest.lockForReview(id, reviewedBy, tx);
+                const published = await PriceChangeRequest.publish(request, reviewedBy, options.force === true, tx);
+
+                await tx.run(
+                    `UPDATE price_change_requests
+                     SET status = 'approved', reviewed_by = ?, review_comment = ?,
+                         result_id = ?, reviewed_at = datetime('now')
+                     WHERE id = ?`,
+                    [reviewedBy, comment, published.id, id]
+                );
+
+                await PriceChangeRequest.logChange(id, 'APPROVE', reviewedBy, {
+                    comment,
+                    resultId: published.id,
+                    force: options.force === true
+                }, tx);
+
+                return {
+                    request: await PriceChangeRequest.findById(id, tx),
+                    published
+                };
+            });
+        } catch (error) {
+            console.error('Error approving price change request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * رفض طلب
+     * Reject a request (a comment is required)
+     */
+    static async reject(id, reviewedBy, comment) {
+        try {
+            await PriceChangeRequest.expireStale();
+
+            return await db.transaction(async (tx) => {
+                await PriceChangeRequest.lockForReview(id, reviewedBy, tx);
+
+                await tx.run(
+                    `UPDATE price_change_requests
+                     SET status = 'rejected', reviewed_by = ?, review_comment = ?,
+                         reviewed_at = datetime('now')
+                     WHERE id = ?`,
+                    [reviewedBy, comment, id]
+                );
+
+                await PriceChangeRequest.logChange(id, 'REJECT', reviewedBy, { comment }, tx);
+
+                return await PriceChangeRequest.findById(id, tx);
+            });
+        } catch (error) {
+            console.error('Error rejecting price change request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * تسجيل التغييرات (داخل المعاملة يُعاد رمي الخطأ كي لا يُحفظ التغيير دون سجله)
+     * Log changes (rethrown inside a transaction so no change commits without its audit row)
+     */
+    static async logChange(requestId, action, performedBy, details, executor = db) {
+        try {
+            await executor.run(
+                `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, created_at)
+                 VALUES (?, ?, 'PRICE_CHANGE_REQUEST', ?, ?, datetime('now'))`,
+                [performedBy, action, requestId, JSON.stringify(details)]
+            );
+        } catch (error) {
+            console.error('Error logging price change request:', error);
+
+            if (executor !== db) {
+                throw error;
+            }
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = PriceChangeRequest;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
+module.exports.ACTIONS = ACTIONS;
+module.exports.STATUSES = STATUSES;
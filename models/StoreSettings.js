@@ -10,6 +10,9 @@
 
 const db = require('../config/database');
 
+// نطاقات ضريبة القيمة المضافة المدعومة
+const VAT_SCOPES = ['total', 'making_charge'];
+
 // =====================================================
 // فئة إعدادات المتجر
 // Store Settings Class
@@ -348,6 +351,86 @@ class StoreSettings {
         }
     }
 
+    /**
+     * الحصول على عملة عرض الأسعار
+     * Get display currency code (local currency of the gold board)
+     */
+    static async getDisplayCurrency() {
+        const code = await StoreSettings.get('display_currency', 'SAR');
+        return String(code || 'SAR').toUpperCase();
+    }
+
+    /**
+     * الحصول على إعدادات ضريبة القيمة المضافة
+     * Get VAT settings (scope: total | making_charge)
+     */
+    static async getTaxSettings() {
+        try {
+            const scope = await StoreSettings.get('vat_scope', 'total');
+
+            return {
+                enabled: await StoreSettings.get('vat_enabled', true),
+                rate: await StoreSettings.get('vat_rate', 0.15),
+                scope: VAT_SCOPES.includes(scope) ? scope : 'total'
+            };
+        } catch (error) {
+            console.error('Error getting tax settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * الحصول على إعدادات شراء الذهب المستعمل
+     * Get scrap buyback settings (meltingLoss is a fraction, 0.01 = 1%)
+     */
+    static async getBuybackSettings() {
+        try {
+            return {
+                meltingLoss: await StoreSettings.get('buyback_melting_loss', 0.01)
+            };
+        } catch (error) {
+            console.error('Error getting buyback settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * الحصول على إعدادات حماية الأسعار
+     * Get price sanity guard settings (maxChange is a fraction, 0.10 = 10%)
+     */
+    static async getPriceGuardSettings() {
+        try {
+            return {
+                enabled: await StoreSettings.get('price_guard_enabled', true),
+                gold: {
+                    maxChange: await StoreSettings.get('price_guard_gold_max_change', 0.10)
+                },
+                currency: {
+                    maxChange: await StoreSettings.get('price_guard_currency_max_change', 0.05)
+                }
+            };
+        } catch (error) {
+            console.error('Error getting price guard settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * الحصول على إعدادات اعتماد الأسعار
+     * Get maker-checker approval settings
+     */
+    static async getApprovalSettings() {
+        try {
+            return {
+                enabled: await StoreSettings.get('price_approval_enabled', false),
+                expiryHours: await StoreSettings.get('price_approval_expiry_hours', 24)
+            };
+        } catch (error) {
+            console.error('Error getting approval settings:', error);
+            throw error;
+        }
+    }
+
     /**
      * الحصول على إعدادات الأمان
      * Get security settings
@@ -437,6 +520,16 @@ class StoreSettings {
                 { key: 'default_gold_margin_sell', value: '0.02', type: 'decimal' },
                 { key: 'default_currency_margin_buy', value: '0.015', type: 'decimal' },
                 { key: 'default_currency_margin_sell', value: '0.015', type: 'decimal' },
+                { key: 'display_currency', value: 'SAR', type: 'string' },
+                { key: 'vat_enabled', value: true, type: 'boolean' },
+                { key: 'vat_rate', value: '0.15', type: 'decimal' },
+                { key: 'vat_scope', value: 'total', type: 'string' },
+                { key: 'buyback_melting_loss', value: '0.01', type: 'decimal' },
+                { key: 'price_guard_enabled', value: true, type: 'boolean' },
+                { key: 'price_guard_gold_max_change', value: '0.10', type: 'decimal' },
+                { key: 'price_guard_currency_max_change', value: '0.05', type: 'decimal' },
+                { key: 'price_approval_enabled', value: false, type: 'boolean' },
+                { key: 'price_approval_expiry_hours', value: '24', type: 'integer' },
                 { key: 'session_timeout', value: '3600', type: 'integer' },
                 { key: 'max_login_attempts', value: '5', type: 'integer' },
                 { key: 'lockout_duration', value: '900', type: 'integer' }
@@ -458,4 +551,5 @@ class StoreSettings {
 // تصدير الفئة
 // Export class
 // =====================================================
-module.exports = StoreSettings;
\ No newline at end of file
+module.exports = StoreSettings;
+module.exports.VAT_SCOPES = VAT_SCOPES;
\ No newline at end of file
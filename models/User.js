@@ -31,6 +31,7 @@ class User {
         this.lastLogin = data.last_login || null;
         this.loginAttempts = data.login_attempts || 0;
         this.lockedUntil = data.locked_until || null;
+        this.mustChangePassword = data.must_change_password || false;
         this.createdAt = data.created_at || null;
         this.updatedAt = data.updated_at || null;
         this.createdBy = data.created_by || null;
@@ -102,6 +103,7 @@ class User {
             role: this.role,
             isActive: this.isActive,
             lastLogin: this.lastLogin,
+            mustChangePassword: this.mustChangePassword,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -215,6 +217,11 @@ class User {
     static async create(userData, createdBy = null) {
         try {
             const user = new User(userData);
+
+            // تشفير كلمة المرور (قبل التحقق حتى لا يُرفض المستخدم الجديد)
+            if (userData.password) {
+                user.passwordHash = await Security.hashPassword(userData.password);
+            }
             
             // التحقق من البيانات
             const errors = user.validate();
@@ -235,28 +242,25 @@ class User {
                 }
             }
 
-            // تشفير كلمة المرور
-            let passwordHash = user.passwordHash;
-            if (userData.password) {
-                passwordHash = await Security.hashPassword(userData.password);
-            }
-
             // إدراج في قاعدة البيانات
             const result = await db.run(
-                `INSERT INTO users (username, email, password_hash, full_name, role, is_active, created_by)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO users (username, email, password_hash, full_name, role, is_active,
+                                    must_change_password, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     user.username,
-                    user.email,
-                    passwordHash,
+                    user.email || null,
+                    user.passwordHash,
                     user.fullName,
                     user.role,
                     user.isActive ? 1 : 0,
+                    userData.mustChangePassword ? 1 : 0,
                     createdBy
                 ]
             );
 
             user.id = result.id;
+            user.mustChangePassword = userData.mustChangePassword === true;
             return user;
         } catch (error) {
             console.error('Error creating user:', error);
@@ -334,7 +338,7 @@ class User {
 
             // عدم السماح بحذف المستخدم الأخير
             const adminCount = await db.get(
-                'SELECT COUNT(*) as count FROM users WHERE role = "admin" AND is_active = 1'
+                "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND is_active = true"
             );
             
             if (user.role === 'admin' && adminCount.count <= 1) {
@@ -471,8 +475,9 @@ class User {
             // تشفير وتخزين كلمة المرور الجديدة
             const newHash = await Security.hashPassword(newPassword);
             
+            // تغيير كلمة المرور يلغي إجبار التغيير عند أول دخول
             await db.run(
-                'UPDATE users SET password_hash = ?, updated_at = datetime("now") WHERE id = ?',
+                'UPDATE users SET password_hash = ?, must_change_password = false, updated_at = datetime("now") WHERE id = ?',
                 [newHash, userId]
             );
 
@@ -499,6 +504,20 @@ class User {
         }
     }
 
+    /**
+     * التحقق من وجود مدير فعال
+     * Check whether an active admin already exists
+     */
+    static async hasActiveAdmin() {
+        try {
+            const count = await User.count({ role: 'admin', isActive: true });
+            return count > 0;
+        } catch (error) {
+            console.error('Error checking for admin user:', error);
+            throw error;
+        }
+    }
+
     /**
      * العدد الإجمالي للمستخدمين
      * Get total count
@@ -0,0 +1,49 @@
+/**
+ * =====================================================
+ * ترتيب العرض المشترك
+ * Shared Display Order
+ * =====================================================
+ * الملف: backend/models/displayOrder.js
+ * الغرض: إعادة ترتيب صفوف الجداول ذات عمود display_order
+ *        (أنواع الذهب والعملات) في معاملة واحدة
+ * =====================================================
+ */
+
+const db = require('../config/database');
+
+/**
+ * إعادة ترتيب صفوف جدول
+ * Reorder a table's rows; ids are given in the desired display order.
+ * Inactive rows keep their display_order, so the order must list them too:
+ * a partial order would leave duplicate positions that surface again when
+ * a row is reactivated. A missing id throws an error carrying missingIds
+ */
+const reorderRows = async (table, orderedIds, { noun, label }) => {
+    await db.transaction(async (tx) => {
+        const existingIds = (await tx.all(`SELECT id FROM ${table} FOR UPDATE`)).map(row => row.id);
+        const missingIds = existingIds.filter(id => !orderedIds.includes(id));
+        if (missingIds.length > 0) {
+            throw Object.assign(
+                new Error(`Order must include every ${noun}; missing: ${missingIds.join(', ')}`),
+                { missingIds }
+            );
+        }
+
+        for (let index = 0; index < orderedIds.length; index++) {
+            const result = await tx.run(
+                `UPDATE ${table}
+                 SET display_order = ?, updated_at = datetime('now')
+                 WHERE id = ?`,
+                [index + 1, orderedIds[index]]
+            );
+
+            if (result.changes === 0) {
+                throw new Error(`${label} ${orderedIds[index]} not found`);
+            }
+        }
+    });
+};
+
+module.exports = {
+    reorderRows
+};
@@ -0,0 +1,97 @@
+/**
+ * =====================================================
+ * مسارات تنبيهات الأسعار
+ * Price Alert Routes
+ * =====================================================
+ * الملف: backend/routes/alerts.js
+ * الغرض: تعريف مسارات قواعد التنبيه والإشعارات للمستخدم
+ * =====================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const AlertController = require('../controllers/alertController');
+const { 
+    validateSession, 
+    csrfProtection 
+} = require('../middleware/security');
+
+// =====================================================
+// مسارات الإشعارات
+// Notification Routes
+// =====================================================
+
+/**
+ * @route   GET /api/alerts/notifications
+ * @desc    جلب إشعارات المستخدم (unread=true لغير المقروءة فقط)
+ * @access  Private
+ */
+router.get('/notifications', 
+    validateSession,
+    AlertController.getNotifications
+);
+
+/**
+ * @route   PUT /api/alerts/notifications/:id/read
+ * @desc    تعليم إشعار كمقروء
+ * @access  Private
+ */
+router.put('/notifications/:id/read', 
+    validateSession,
+    csrfProtection,
+    AlertController.markNotificationRead
+);
+
+// =====================================================
+// مسارات قواعد التنبيه
+// Alert Rule Routes
+// =====================================================
+
+/**
+ * @route   GET /api/alerts
+ * @desc    جلب قواعد التنبيه الخاصة بالمستخدم
+ * @access  Private
+ */
+router.get('/', 
+    validateSession,
+    AlertController.getAlerts
+);
+
+/**
+ * @route   POST /api/alerts
+ * @desc    إنشاء قاعدة تنبيه (تجاوز حد أعلى/أدنى أو تغير بنسبة مئوية)
+ * @access  Private
+ */
+router.post('/', 
+    validateSession,
+    csrfProtection,
+    AlertController.createAlert
+);
+
+/**
+ * @route   PUT /api/alerts/:id
+ * @desc    تحديث قاعدة تنبيه
+ * @access  Private (Owner only)
+ */
+router.put('/:id', 
+    validateSession,
+    csrfProtection,
+    AlertController.updateAlert
+);
+
+/**
+ * @route   DELETE /api/alerts/:id
+ * @desc    حذف قاعدة تنبيه
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', 
+    validateSession,
+    csrfProtection,
+    AlertController.deleteAlert
+);
+
+// =====================================================
+// تصدير المسار
+// Export router
+// =====================================================
+module.exports = router;
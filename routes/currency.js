@@ -11,6 +11,7 @@
 const express = require('express');
 const router = express.Router();
 const CurrencyController = require('../controllers/currencyController');
+const CurrencyAdminController = require('../controllers/currencyAdminController');
 const { 
     validateSession, 
     requireRole, 
@@ -24,7 +25,7 @@ const {
 
 /**
  * @route   GET /api/currency/rates
- * @desc    جلب جميع أسعار العملات الحالية
+ * @desc    جلب جميع أسعار العملات الحالية (format=json|csv|xml|atom أو ترويسة Accept)
  * @access  Public
  */
 router.get('/rates', CurrencyController.getAllRates);
@@ -45,28 +46,35 @@ router.get('/rates/:id', CurrencyController.getRateById);
 
 /**
  * @route   GET /api/currency/current/:currencyId
- * @desc    جلب السعر الحالي لعملة معينة
+ * @desc    جلب السعر الحالي لعملة معينة (أو السعر الساري في لحظة asOf)
  * @access  Public
  */
 router.get('/current/:currencyId', CurrencyController.getCurrentRate);
 
 /**
  * @route   GET /api/currency/code/:code
- * @desc    جلب السعر الحالي حسب كود العملة
+ * @desc    جلب السعر الحالي حسب كود العملة (أو الساري في لحظة asOf)
  * @access  Public
  */
 router.get('/code/:code', CurrencyController.getRateByCode);
 
 /**
  * @route   GET /api/currency/history/:currencyId
- * @desc    جلب تاريخ أسعار العملة
+ * @desc    جلب تاريخ أسعار العملة (format=json|csv|xml|atom أو ترويسة Accept)
  * @access  Public
  */
 router.get('/history/:currencyId', CurrencyController.getRateHistory);
 
+/**
+ * @route   GET /api/currency/candles/:currencyId
+ * @desc    جلب شموع أسعار العملة (فتح/أعلى/أدنى/إغلاق) حسب الفترة
+ * @access  Public
+ */
+router.get('/candles/:currencyId', CurrencyController.getCandles);
+
 /**
  * @route   POST /api/currency/convert
- * @desc    تحويل العملات
+ * @desc    تحويل العملات (بالأسعار الحالية أو السارية في لحظة asOf)
  * @access  Public
  */
 router.post('/convert', CurrencyController.convert);
@@ -79,8 +87,22 @@ router.post('/convert', CurrencyController.convert);
 router.get('/compare', CurrencyController.compareRates);
 
 /**
- * @route   GET /api/currency/statistics/:currencyId
- * @desc    جلب إحصائيات أسعار العملة
+ * @route   GET /api/currency/matrix?asOf=
+ * @desc    مصفوفة أسعار الصرف المتقاطعة (شراء وبيع) بين جميع العملات الفعالة
+ * @access  Public
+ */
+router.get('/matrix', CurrencyController.getRateMatrix);
+
+/**
+ * @route   GET /api/currency/statistics?from=&to=&side=sell&sma=7&ema=14
+ * @desc    إحصائيات جميع العملات الفعالة (عدا الأساسية) (التغير، الانحراف المعياري، المتوسطات المتحركة)
+ * @access  Public
+ */
+router.get('/statistics', CurrencyController.getAllStatistics);
+
+/**
+ * @route   GET /api/currency/statistics/:currencyId?from=&to=&side=sell&sma=7&ema=14
+ * @desc    جلب إحصائيات أسعار العملة (التغير مقارنة بيوم/أسبوع/شهر، الانحراف المعياري، المتوسطات المتحركة، متوسط الفرق)
  * @access  Public
  */
 router.get('/statistics/:currencyId', CurrencyController.getStatistics);
@@ -90,9 +112,33 @@ router.get('/statistics/:currencyId', CurrencyController.getStatistics);
 // Protected Routes
 // =====================================================
 
+/**
+ * @route   GET /api/currency/scheduled?currencyId=
+ * @desc    جلب الأسعار المجدولة التي لم تبدأ بعد
+ * @access  Private (Manager, Admin)
+ */
+router.get('/scheduled', 
+    validateSession,
+    requireRole(['admin', 'manager']),
+    CurrencyController.getScheduledRates
+);
+
+/**
+ * @route   DELETE /api/currency/scheduled/:id
+ * @desc    إلغاء سعر عملة مجدول
+ *          (لمسؤول النظام فقط: الإلغاء يمدد السعر السابق دون طلب اعتماد)
+ * @access  Private (Admin only)
+ */
+router.delete('/scheduled/:id', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    CurrencyController.cancelScheduledRate
+);
+
 /**
  * @route   POST /api/currency/rates
- * @desc    إنشاء سعر عملة جديد
+ * @desc    إنشاء سعر عملة جديد (أو مجدول عبر effectiveFrom)
  * @access  Private (Manager, Admin)
  */
 router.post('/rates', 
@@ -114,6 +160,18 @@ router.put('/rates/:id',
     CurrencyController.updateRate
 );
 
+/**
+ * @route   POST /api/currency/rates/:id/revert
+ * @desc    إعادة نشر سعر عملة سابق كسعر حالي (reason إلزامي، batch=true لكامل الدفعة)
+ * @access  Private (Admin only)
+ */
+router.post('/rates/:id/revert', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    CurrencyController.revertRate
+);
+
 /**
  * @route   DELETE /api/currency/rates/:id
  * @desc    حذف سعر عملة
@@ -138,6 +196,66 @@ router.post('/bulk-update',
     CurrencyController.bulkUpdate
 );
 
+/**
+ * @route   GET /api/currency/currencies/all
+ * @desc    جلب جميع العملات بما فيها غير الفعالة
+ * @access  Private (Admin only)
+ */
+router.get('/currencies/all', 
+    validateSession,
+    requireRole(['admin']),
+    CurrencyAdminController.getAllCurrencies
+);
+
+/**
+ * @route   POST /api/currency/currencies
+ * @desc    إضافة عملة جديدة (رمز ISO 4217، والخانات العشرية افتراضياً حسب المعيار)
+ * @access  Private (Admin only)
+ */
+router.post('/currencies', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    CurrencyAdminController.createCurrency
+);
+
+/**
+ * @route   PUT /api/currency/currencies/reorder
+ * @desc    إعادة ترتيب العملات
+ *          (يجب إرسال معرفات جميع العملات بما فيها غير الفعالة، وإلا 400 INCOMPLETE_ORDER مع missingIds)
+ * @access  Private (Admin only)
+ */
+router.put('/currencies/reorder', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    CurrencyAdminController.reorderCurrencies
+);
+
+/**
+ * @route   PUT /api/currency/currencies/:id
+ * @desc    تحديث عملة (الرمز ثابت، closeRates=true لإغلاق الأسعار المفتوحة عند إلغاء التفعيل)
+ * @access  Private (Admin only)
+ */
+router.put('/currencies/:id', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    CurrencyAdminController.updateCurrency
+);
+
+/**
+ * @route   DELETE /api/currency/currencies/:id?closeRates=true
+ * @desc    إلغاء تفعيل عملة (لا يمكن للعملة الأساسية، وتُرفض مع وجود أسعار مفتوحة ما لم يُطلب إغلاقها)
+ * @access  Private (Admin only)
+ */
+router.delete('/currencies/:id', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    CurrencyAdminController.deactivateCurrency
+);
+
 // =====================================================
 // تصدير المسار
 // Export router
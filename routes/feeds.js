@@ -0,0 +1,79 @@
+/**
+ * =====================================================
+ * مسارات مصادر الأسعار
+ * Price Feed Routes
+ * =====================================================
+ * الملف: backend/routes/feeds.js
+ * الغرض: تعريف مسارات إدارة مصادر الأسعار الآلية
+ * =====================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const FeedController = require('../controllers/feedController');
+const { 
+    validateSession, 
+    requireRole, 
+    csrfProtection,
+    rateLimiter
+} = require('../middleware/security');
+
+// =====================================================
+// مسارات محمية
+// Protected Routes
+// =====================================================
+
+/**
+ * @route   GET /api/feeds
+ * @desc    جلب مصادر الأسعار وحالتها
+ * @access  Private (Admin only)
+ */
+router.get('/', 
+    validateSession,
+    requireRole(['admin']),
+    FeedController.getFeeds
+);
+
+/**
+ * @route   PUT /api/feeds
+ * @desc    تحديث إعدادات مصادر الأسعار
+ * @access  Private (Admin only)
+ */
+router.put('/', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    FeedController.updateFeeds
+);
+
+/**
+ * @route   POST /api/feeds/:id/test
+ * @desc    تجربة مصدر بدون نشر الأسعار
+ * @access  Private (Admin only)
+ */
+router.post('/:id/test', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    rateLimiter({ maxRequests: 10 }),
+    FeedController.testFeed
+);
+
+/**
+ * @route   POST /api/feeds/:id/run
+ * @desc    تشغيل مصدر فوراً ونشر أسعاره
+ * @access  Private (Admin only)
+ */
+router.post('/:id/run', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    rateLimiter({ maxRequests: 10 }),
+    FeedController.runFeed
+);
+
+// =====================================================
+// تصدير المسار
+// Export router
+// =====================================================
+module.exports = router;
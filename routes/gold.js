@@ -11,6 +11,7 @@
 const express = require('express');
 const router = express.Router();
 const GoldController = require('../controllers/goldController');
+const GoldTypeController = require('../controllers/goldTypeController');
 const { 
     validateSession, 
     requireRole, 
@@ -24,8 +25,9 @@ const {
 // =====================================================
 
 /**
- * @route   GET /api/gold/prices
- * @desc    جلب جميع أسعار الذهب الحالية
+ * @route   GET /api/gold/prices?unit=gram&currency=SAR
+ * @desc    جلب جميع أسعار الذهب الحالية (بوحدة الوزن والعملة المطلوبتين)
+ *          (format=json|csv|xml|atom أو ترويسة Accept)
  * @access  Public
  */
 router.get('/prices', GoldController.getAllPrices);
@@ -37,6 +39,20 @@ router.get('/prices', GoldController.getAllPrices);
  */
 router.get('/types', GoldController.getGoldTypes);
 
+/**
+ * @route   GET /api/gold/units
+ * @desc    جلب وحدات الوزن المدعومة
+ * @access  Public
+ */
+router.get('/units', GoldController.getUnits);
+
+/**
+ * @route   GET /api/gold/board?unit=gram&currencies=USD,EUR
+ * @desc    لوحة أسعار جميع الأنواع بجميع العملات الفعالة
+ * @access  Public
+ */
+router.get('/board', GoldController.getBoard);
+
 /**
  * @route   GET /api/gold/prices/:id
  * @desc    جلب سعر الذهب حسب المعرف
@@ -45,41 +61,93 @@ router.get('/types', GoldController.getGoldTypes);
 router.get('/prices/:id', GoldController.getPriceById);
 
 /**
- * @route   GET /api/gold/current/:goldTypeId
- * @desc    جلب السعر الحالي لنوع ذهب معين
+ * @route   GET /api/gold/current/:goldTypeId?unit=gram&currency=SAR
+ * @desc    جلب السعر الحالي لنوع ذهب معين (بوحدة الوزن والعملة المطلوبتين، أو الساري في لحظة asOf)
  * @access  Public
  */
 router.get('/current/:goldTypeId', GoldController.getCurrentPrice);
 
 /**
  * @route   GET /api/gold/history/:goldTypeId
- * @desc    جلب تاريخ أسعار الذهب
+ * @desc    جلب تاريخ أسعار الذهب (format=json|csv|xml|atom أو ترويسة Accept)
  * @access  Public
  */
 router.get('/history/:goldTypeId', GoldController.getPriceHistory);
 
 /**
- * @route   GET /api/gold/compare
- * @desc    مقارنة أسعار الذهب
+ * @route   GET /api/gold/candles/:goldTypeId
+ * @desc    جلب شموع أسعار الذهب (فتح/أعلى/أدنى/إغلاق) حسب الفترة
+ * @access  Public
+ */
+router.get('/candles/:goldTypeId', GoldController.getCandles);
+
+/**
+ * @route   GET /api/gold/compare?unit=gram&currency=SAR
+ * @desc    مقارنة أسعار الذهب (بوحدة الوزن والعملة المطلوبتين)
  * @access  Public
  */
 router.get('/compare', GoldController.comparePrices);
 
 /**
- * @route   GET /api/gold/statistics/:goldTypeId
- * @desc    جلب إحصائيات أسعار الذهب
+ * @route   GET /api/gold/statistics?from=&to=&side=sell&sma=7&ema=14
+ * @desc    إحصائيات جميع أنواع الذهب الفعالة (التغير، الانحراف المعياري، المتوسطات المتحركة)
+ * @access  Public
+ */
+router.get('/statistics', GoldController.getAllStatistics);
+
+/**
+ * @route   GET /api/gold/statistics/:goldTypeId?from=&to=&side=sell&sma=7&ema=14
+ * @desc    جلب إحصائيات أسعار الذهب (التغير مقارنة بيوم/أسبوع/شهر، الانحراف المعياري، المتوسطات المتحركة، متوسط الفرق)
  * @access  Public
  */
 router.get('/statistics/:goldTypeId', GoldController.getStatistics);
 
+/**
+ * @route   POST /api/gold/quote
+ * @desc    عرض سعر بيع مشغولات (الوزن × سعر البيع + المصنعية + الأحجار + الضريبة)
+ * @access  Public
+ */
+router.post('/quote', GoldController.quoteSale);
+
+/**
+ * @route   POST /api/gold/buyback-quote
+ * @desc    عرض سعر شراء ذهب مستعمل (الوزن الصافي × النقاوة - فاقد الصهر، بسعر شراء عيار 24)
+ * @access  Public
+ */
+router.post('/buyback-quote', GoldController.quoteBuyback);
+
 // =====================================================
 // مسارات محمية (تتطلب تسجيل دخول)
 // Protected Routes
 // =====================================================
 
+/**
+ * @route   GET /api/gold/scheduled?goldTypeId=
+ * @desc    جلب الأسعار المجدولة التي لم تبدأ بعد
+ * @access  Private (Manager, Admin)
+ */
+router.get('/scheduled', 
+    validateSession,
+    requireRole(['admin', 'manager']),
+    GoldController.getScheduledPrices
+);
+
+/**
+ * @route   DELETE /api/gold/scheduled/:id
+ * @desc    إلغاء سعر ذهب مجدول
+ *          (لمسؤول النظام فقط: الإلغاء يمدد السعر السابق دون طلب اعتماد)
+ * @access  Private (Admin only)
+ */
+router.delete('/scheduled/:id', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    GoldController.cancelScheduledPrice
+);
+
 /**
  * @route   POST /api/gold/prices
- * @desc    إنشاء سعر ذهب جديد
+ * @desc    إنشاء سعر ذهب جديد (أو مجدول عبر effectiveFrom)
  * @access  Private (Manager, Admin)
  */
 router.post('/prices', 
@@ -101,6 +169,18 @@ router.put('/prices/:id',
     GoldController.updatePrice
 );
 
+/**
+ * @route   POST /api/gold/prices/:id/revert
+ * @desc    إعادة نشر سعر ذهب سابق كسعر حالي (reason إلزامي، batch=true لكامل الدفعة)
+ * @access  Private (Admin only)
+ */
+router.post('/prices/:id/revert', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    GoldController.revertPrice
+);
+
 /**
  * @route   DELETE /api/gold/prices/:id
  * @desc    حذف سعر ذهب
@@ -115,7 +195,7 @@ router.delete('/prices/:id',
 
 /**
  * @route   POST /api/gold/auto-update
- * @desc    تحديث الأسعار تلقائياً
+ * @desc    تحديث الأسعار تلقائياً (basePrice24k أو spotPriceUsdPerOunce)
  * @access  Private (Admin only)
  */
 router.post('/auto-update', 
@@ -126,6 +206,71 @@ router.post('/auto-update',
     GoldController.autoUpdatePrices
 );
 
+// =====================================================
+// مسارات إدارة أنواع الذهب
+// Gold Type Management Routes
+// =====================================================
+
+/**
+ * @route   GET /api/gold/types/all
+ * @desc    جلب جميع أنواع الذهب بما فيها غير الفعالة
+ * @access  Private (Admin only)
+ */
+router.get('/types/all', 
+    validateSession,
+    requireRole(['admin']),
+    GoldTypeController.getAllTypes
+);
+
+/**
+ * @route   POST /api/gold/types
+ * @desc    إنشاء نوع ذهب جديد
+ * @access  Private (Admin only)
+ */
+router.post('/types', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    GoldTypeController.createType
+);
+
+/**
+ * @route   PUT /api/gold/types/reorder
+ * @desc    إعادة ترتيب أنواع الذهب
+ *          (يجب إرسال معرفات جميع الأنواع بما فيها غير الفعالة، وإلا 400 INCOMPLETE_ORDER مع missingIds)
+ * @access  Private (Admin only)
+ */
+router.put('/types/reorder', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    GoldTypeController.reorderTypes
+);
+
+/**
+ * @route   PUT /api/gold/types/:id
+ * @desc    تحديث نوع ذهب
+ * @access  Private (Admin only)
+ */
+router.put('/types/:id', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    GoldTypeController.updateType
+);
+
+/**
+ * @route   DELETE /api/gold/types/:id
+ * @desc    إلغاء تفعيل نوع ذهب
+ * @access  Private (Admin only)
+ */
+router.delete('/types/:id', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    GoldTypeController.deactivateType
+);
+
 // =====================================================
 // تصدير المسار
 // Export router
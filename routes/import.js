@@ -0,0 +1,43 @@
+/**
+ * =====================================================
+ * مسارات الاستيراد
+ * Import Routes
+ * =====================================================
+ * الملف: backend/routes/import.js
+ * الغرض: تعريف مسار استيراد الأسعار التاريخية
+ * =====================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const ImportController = require('../controllers/importController');
+const { 
+    validateSession, 
+    requireRole, 
+    csrfProtection 
+} = require('../middleware/security');
+
+// =====================================================
+// مسارات محمية (تتطلب صلاحيات)
+// Protected Routes
+// =====================================================
+
+/**
+ * @route   POST /api/import/prices?dryRun=true
+ * @desc    استيراد أسعار ذهب وعملات تاريخية من ملف CSV
+ *          (gold_type أو karat أو currency، buy، sell، effective_from)
+ * @access  Private (Admin only)
+ */
+router.post('/prices', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+    ImportController.importPrices
+);
+
+// =====================================================
+// تصدير المسار
+// Export router
+// =====================================================
+module.exports = router;
@@ -0,0 +1,75 @@
+/**
+ * =====================================================
+ * مسارات طلبات تغيير الأسعار
+ * Price Change Request Routes
+ * =====================================================
+ * الملف: backend/routes/priceRequests.js
+ * الغرض: تعريف مسارات عرض واعتماد ورفض طلبات تغيير الأسعار
+ * =====================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const PriceRequestController = require('../controllers/priceRequestController');
+const { 
+    validateSession, 
+    requireRole, 
+    csrfProtection 
+} = require('../middleware/security');
+
+// =====================================================
+// مسارات محمية (تتطلب صلاحيات)
+// Protected Routes
+// =====================================================
+
+/**
+ * @route   GET /api/price-requests
+ * @desc    جلب طلبات تغيير الأسعار (status, entityType) - المدير يرى طلباته فقط
+ * @access  Private (Admin, Manager)
+ */
+router.get('/', 
+    validateSession,
+    requireRole(['admin', 'manager']),
+    PriceRequestController.getRequests
+);
+
+/**
+ * @route   GET /api/price-requests/:id
+ * @desc    جلب طلب تغيير سعر محدد
+ * @access  Private (Admin, Manager)
+ */
+router.get('/:id', 
+    validateSession,
+    requireRole(['admin', 'manager']),
+    PriceRequestController.getRequest
+);
+
+/**
+ * @route   POST /api/price-requests/:id/approve
+ * @desc    اعتماد طلب ونشر السعر (لا يمكن لمقدم الطلب اعتماده)
+ * @access  Private (Admin only)
+ */
+router.post('/:id/approve', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    PriceRequestController.approveRequest
+);
+
+/**
+ * @route   POST /api/price-requests/:id/reject
+ * @desc    رفض طلب مع تعليق إلزامي
+ * @access  Private (Admin only)
+ */
+router.post('/:id/reject', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    PriceRequestController.rejectRequest
+);
+
+// =====================================================
+// تصدير المسار
+// Export router
+// =====================================================
+module.exports = router;
@@ -52,41 +52,6 @@ router.get('/',
     SettingsController.getAllSettings
 );
 
-/**
- * @route   GET /api/settings/:key
- * @desc    جلب إعداد محدد
- * @access  Private (Admin only)
- */
-router.get('/:key', 
-    validateSession,
-    requireRole(['admin']),
-    SettingsController.getSetting
-);
-
-/**
- * @route   PUT /api/settings/:key
- * @desc    تعيين إعداد
- * @access  Private (Admin only)
- */
-router.put('/:key', 
-    validateSession,
-    requireRole(['admin']),
-    csrfProtection,
-    SettingsController.setSetting
-);
-
-/**
- * @route   DELETE /api/settings/:key
- * @desc    حذف إعداد
- * @access  Private (Admin only)
- */
-router.delete('/:key', 
-    validateSession,
-    requireRole(['admin']),
-    csrfProtection,
-    SettingsController.deleteSetting
-);
-
 // =====================================================
 // مسارات معلومات المتجر
 // Store Info Routes
@@ -160,6 +125,153 @@ router.put('/margins',
     SettingsController.updateMarginSettings
 );
 
+/**
+ * @route   GET /api/settings/margins/policies
+ * @desc    جلب سياسات الهوامش لكل نوع ذهب أو عملة
+ * @access  Private (Admin only)
+ */
+router.get('/margins/policies', 
+    validateSession,
+    requireRole(['admin']),
+    SettingsController.getMarginPolicies
+);
+
+/**
+ * @route   PUT /api/settings/margins/policies
+ * @desc    إنشاء أو تحديث سياسة هامش
+ * @access  Private (Admin only)
+ */
+router.put('/margins/policies', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.setMarginPolicy
+);
+
+/**
+ * @route   DELETE /api/settings/margins/policies/:id
+ * @desc    حذف سياسة هامش (العودة للهوامش الافتراضية)
+ * @access  Private (Admin only)
+ */
+router.delete('/margins/policies/:id', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.deleteMarginPolicy
+);
+
+// =====================================================
+// مسارات إعدادات الضريبة
+// Tax Settings Routes
+// =====================================================
+
+/**
+ * @route   GET /api/settings/tax
+ * @desc    جلب إعدادات ضريبة القيمة المضافة
+ * @access  Private (Admin only)
+ */
+router.get('/tax', 
+    validateSession,
+    requireRole(['admin']),
+    SettingsController.getTaxSettings
+);
+
+/**
+ * @route   PUT /api/settings/tax
+ * @desc    تحديث إعدادات ضريبة القيمة المضافة
+ * @access  Private (Admin only)
+ */
+router.put('/tax', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.updateTaxSettings
+);
+
+// =====================================================
+// مسارات إعدادات شراء الذهب المستعمل
+// Buyback Settings Routes
+// =====================================================
+
+/**
+ * @route   GET /api/settings/buyback
+ * @desc    جلب إعدادات شراء الذهب المستعمل (فاقد الصهر)
+ * @access  Private (Admin only)
+ */
+router.get('/buyback', 
+    validateSession,
+    requireRole(['admin']),
+    SettingsController.getBuybackSettings
+);
+
+/**
+ * @route   PUT /api/settings/buyback
+ * @desc    تحديث إعدادات شراء الذهب المستعمل
+ * @access  Private (Admin only)
+ */
+router.put('/buyback', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.updateBuybackSettings
+);
+
+// =====================================================
+// مسارات إعدادات حماية الأسعار
+// Price Guard Settings Routes
+// =====================================================
+
+/**
+ * @route   GET /api/settings/price-guard
+ * @desc    جلب إعدادات حماية الأسعار (أقصى نسبة تغير)
+ * @access  Private (Admin only)
+ */
+router.get('/price-guard', 
+    validateSession,
+    requireRole(['admin']),
+    SettingsController.getPriceGuardSettings
+);
+
+/**
+ * @route   PUT /api/settings/price-guard
+ * @desc    تحديث إعدادات حماية الأسعار
+ * @access  Private (Admin only)
+ */
+router.put('/price-guard', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.updatePriceGuardSettings
+);
+
+// =====================================================
+// مسارات إعدادات اعتماد الأسعار
+// Approval Settings Routes
+// =====================================================
+
+/**
+ * @route   GET /api/settings/approval
+ * @desc    جلب إعدادات اعتماد تغييرات الأسعار (مبدأ الأربع أعين)
+ * @access  Private (Admin only)
+ */
+router.get('/approval', 
+    validateSession,
+    requireRole(['admin']),
+    SettingsController.getApprovalSettings
+);
+
+/**
+ * @route   PUT /api/settings/approval
+ * @desc    تحديث إعدادات اعتماد تغييرات الأسعار
+ * @access  Private (Admin only)
+ */
+router.put('/approval', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.updateApprovalSettings
+);
+
 // =====================================================
 // مسارات إعدادات الأمان
 // Security Settings Routes
@@ -200,6 +312,46 @@ router.post('/reset',
     SettingsController.resetToDefaults
 );
 
+// =====================================================
+// مسارات الإعدادات العامة (بعد المسارات المحددة حتى لا تحجبها)
+// Generic key routes (after the specific ones so they don't shadow them)
+// =====================================================
+
+/**
+ * @route   GET /api/settings/:key
+ * @desc    جلب إعداد محدد
+ * @access  Private (Admin only)
+ */
+router.get('/:key', 
+    validateSession,
+    requireRole(['admin']),
+    SettingsController.getSetting
+);
+
+/**
+ * @route   PUT /api/settings/:key
+ * @desc    تعيين إعداد
+ * @access  Private (Admin only)
+ */
+router.put('/:key', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.setSetting
+);
+
+/**
+ * @route   DELETE /api/settings/:key
+ * @desc    حذف إعداد
+ * @access  Private (Admin only)
+ */
+router.delete('/:key', 
+    validateSession,
+    requireRole(['admin']),
+    csrfProtection,
+    SettingsController.deleteSetting
+);
+
 // =====================================================
 // تصدير المسار
 // Export router
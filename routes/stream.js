@@ -0,0 +1,32 @@
+/**
+ * =====================================================
+ * مسارات البث المباشر
+ * Live Stream Routes
+ * =====================================================
+ * الملف: backend/routes/stream.js
+ * الغرض: تعريف مسار البث المباشر لتغيرات الأسعار
+ * =====================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const StreamController = require('../controllers/streamController');
+
+// =====================================================
+// مسارات عامة (لا تتطلب تسجيل دخول)
+// Public Routes
+// =====================================================
+
+/**
+ * @route   GET /api/stream
+ * @desc    بث تغيرات الأسعار وحالة السوق (SSE) مع لقطة أولية ونبضات دورية
+ *          (topics=gold,currency,market - يدعم Last-Event-ID لإعادة الاتصال)
+ * @access  Public
+ */
+router.get('/', StreamController.stream);
+
+// =====================================================
+// تصدير المسار
+// Export router
+// =====================================================
+module.exports = router;
@@ -0,0 +1,144 @@
+/**
+ * =====================================================
+ * تهيئة قاعدة البيانات وإنشاء المدير الأول
+ * Database Init & First Admin Bootstrap
+ * =====================================================
+ * الملف: backend/scripts/init-db.js
+ * الاستخدام:
+ *   npm run db:init
+ *
+ * يطبق الترحيلات المعلقة ثم ينشئ حساب المدير الأول.
+ * البيانات تؤخذ من متغيرات البيئة إن وجدت:
+ *   ADMIN_USERNAME, ADMIN_PASSWORD, ADMIN_EMAIL, ADMIN_FULL_NAME
+ * وإلا يتم طلبها بشكل تفاعلي.
+ * يرفض الأمر العمل إذا كان هناك مدير فعال مسبقاً.
+ * =====================================================
+ */
+
+const readline = require('readline');
+const db = require('../config/database');
+const Migrator = require('../database/migrator');
+const User = require('../models/User');
+const { Security } = require('../config/security');
+
+// =====================================================
+// دوال الإدخال التفاعلي
+// Interactive prompts
+// =====================================================
+
+/**
+ * طرح سؤال على المستخدم
+ * Ask a question (optionally hiding the typed answer)
+ */
+const ask = (question, { hidden = false } = {}) => new Promise((resolve) => {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: true
+    });
+
+    if (hidden) {
+        // إخفاء كلمة المرور أثناء الكتابة
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) {
+                rl.output.write(text);
+            }
+        };
+    }
+
+    rl.question(question, (answer) => {
+        if (hidden) {
+            rl.output.write('\n');
+        }
+        rl.close();
+        resolve(answer.trim());
+    });
+});
+
+/**
+ * جمع بيانات المدير من البيئة أو بشكل تفاعلي
+ * Collect admin details from env, prompting for anything missing
+ */
+const collectAdminData = async () => {
+    const data = {
+        username: process.env.ADMIN_USERNAME || '',
+        password: process.env.ADMIN_PASSWORD || '',
+        email: process.env.ADMIN_EMAIL || '',
+        fullName: process.env.ADMIN_FULL_NAME || ''
+    };
+
+    const interactive = process.stdin.isTTY === true;
+
+    if (!interactive && (!data.username || !data.password)) {
+        throw new Error('ADMIN_USERNAME and ADMIN_PASSWORD are required when not running interactively');
+    }
+
+    if (!data.username) data.username = await ask('Admin username: ');
+    if (!data.email && interactive) data.email = await ask('Admin email (optional): ');
+    if (!data.fullName && interactive) data.fullName = await ask('Full name (optional): ');
+
+    if (!data.password) {
+        data.password = await ask('Admin password: ', { hidden: true });
+        const confirmation = await ask('Confirm password: ', { hidden: true });
+
+        if (data.password !== confirmation) {
+            throw new Error('Passwords do not match');
+        }
+    }
+
+    return data;
+};
+
+/**
+ * التحقق من بيانات المدير
+ * Validate admin details
+ */
+const validateAdminData = (data) => {
+    if (!Security.isValidUsername(data.username)) {
+        throw new Error('Username must be 3-20 characters, alphanumeric and underscores only');
+    }
+
+    if (!Security.isStrongPassword(data.password)) {
+        throw new Error(
+            'Password must be at least 8 characters with uppercase, lowercase, number and special character (@$!%*?&)'
+        );
+    }
+
+    if (data.email && !Security.isValidEmail(data.email)) {
+        throw new Error('Invalid email format');
+    }
+};
+
+// =====================================================
+// التشغيل
+// Run
+// =====================================================
+const run = async () => {
+    await Migrator.migrate();
+
+    if (await User.hasActiveAdmin()) {
+        throw new Error('An active admin account already exists; refusing to create another one');
+    }
+
+    const data = await collectAdminData();
+    validateAdminData(data);
+
+    const admin = await User.create({
+        username: data.username,
+        email: data.email,
+        password: data.password,
+        full_name: data.fullName,
+        role: 'admin',
+        mustChangePassword: true
+    });
+
+    console.log(`✅ Admin "${admin.username}" created. The password must be changed at first login.`);
+};
+
+run()
+    .then(() => db.pool.end())
+    .catch(async (error) => {
+        console.error('❌ Init error:', error.message);
+        await db.pool.end();
+        process.exit(1);
+    });
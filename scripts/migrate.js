@@ -0,0 +1,56 @@
+/**
+ * =====================================================
+ * أداة ترحيل قاعدة البيانات
+ * Database Migration CLI
+ * =====================================================
+ * الملف: backend/scripts/migrate.js
+ * الاستخدام:
+ *   node scripts/migrate.js up              تطبيق الترحيلات المعلقة
+ *   node scripts/migrate.js down [steps]    التراجع عن آخر ترحيل (أو عدة ترحيلات)
+ *   node scripts/migrate.js status          عرض حالة الترحيلات
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const Migrator = require('../database/migrator');
+
+const run = async () => {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const applied = await Migrator.migrate();
+            console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+            break;
+        }
+        case 'down': {
+            const steps = arg ? parseInt(arg, 10) : 1;
+            if (isNaN(steps) || steps < 1) {
+                throw new Error('Steps must be a positive integer');
+            }
+            const rolledBack = await Migrator.rollback(steps);
+            console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s).` : 'Nothing to roll back.');
+            break;
+        }
+        case 'status': {
+            const migrations = await Migrator.status();
+            for (const migration of migrations) {
+                const state = migration.applied
+                    ? `applied ${new Date(migration.appliedAt).toISOString()}`
+                    : 'pending';
+                console.log(`${migration.version}_${migration.name}  ${state}`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+};
+
+run()
+    .then(() => db.pool.end())
+    .catch(async (error) => {
+        console.error('❌ Migration error:', error.message);
+        await db.pool.end();
+        process.exit(1);
+    });
@@ -25,6 +25,9 @@ require('dotenv').config();
 // ملاحظة: تأكد من وجود ملف config/security.js أو حذف هذا السطر إذا لم يعد مستخدماً
 // const { SECURITY_CONFIG } = require('./config/security'); 
 const db = require('./config/database');
+const Migrator = require('./database/migrator');
+const PriceFeedScheduler = require('./services/PriceFeedScheduler');
+const ScheduledAlertWatcher = require('./services/ScheduledAlertWatcher');
 
 // =====================================================
 // استيراد المسارات (API Routes)
@@ -34,6 +37,11 @@ const goldRoutes = require('./routes/gold');
 const currencyRoutes = require('./routes/currency');
 const userRoutes = require('./routes/users');
 const settingsRoutes = require('./routes/settings');
+const feedRoutes = require('./routes/feeds');
+const alertRoutes = require('./routes/alerts');
+const priceRequestRoutes = require('./routes/priceRequests');
+const streamRoutes = require('./routes/stream');
+const importRoutes = require('./routes/import');
 
 // =====================================================
 // إعداد التطبيق
@@ -114,6 +122,11 @@ app.use('/api/gold', goldRoutes);
 app.use('/api/currency', currencyRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/price-requests', priceRequestRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/import', importRoutes);
 
 // التعامل مع الصفحات غير الموجودة (404)
 app.use((req, res) => {
@@ -135,6 +148,22 @@ const server = app.listen(PORT, async () => {
     // محاولة تهيئة قاعدة البيانات عند التشغيل
     try {
         await db.initialize();
+
+        // تطبيق الترحيلات المعلقة (القفل الاستشاري يمنع تعارض عدة نسخ)
+        if (process.env.MIGRATE_ON_START === 'true') {
+            await Migrator.migrate();
+        }
+
+        // تشغيل استطلاع مصادر الأسعار (يُفعّل في نسخة واحدة فقط من الخادم)
+        if (process.env.PRICE_FEEDS_ON_START === 'true') {
+            PriceFeedScheduler.start();
+        }
+
+        // تقييم تنبيهات الأسعار المجدولة عند بدئها (آمن مع عدة نسخ: الإشعارات لا تتكرر)
+        if (process.env.SCHEDULED_ALERTS_ON_START !== 'false') {
+            ScheduledAlertWatcher.start();
+        }
+
         console.log('Database initialized.');
     } catch (error) {
         console.error('Failed to initialize database:', error);
@@ -0,0 +1,239 @@
+/**
+ * =====================================================
+ * صيغ تصدير الأسعار
+ * Price Feed Formats
+ * =====================================================
+ * الملف: backend/services/FeedFormats.js
+ * الغرض: اختيار صيغة الاستجابة (JSON / CSV / XML / Atom) من
+ *        ترويسة Accept أو معامل format، وتحويل الصفوف إليها
+ * =====================================================
+ */
+
+const StoreSettings = require('../models/StoreSettings');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xml: { contentType: 'application/xml; charset=utf-8', extension: 'xml' },
+    atom: { contentType: 'application/atom+xml; charset=utf-8', extension: 'atom' }
+};
+
+// أنواع Accept المقبولة بترتيب الأفضلية (الأول هو الافتراضي لـ */*)
+const ACCEPT_TYPES = {
+    'application/json': 'json',
+    'text/csv': 'csv',
+    'application/xml': 'xml',
+    'text/xml': 'xml',
+    'application/atom+xml': 'atom'
+};
+
+// علامة ترتيب البايتات ليتعرف Excel على ترميز UTF-8 (الأسماء العربية)
+const UTF8_BOM = '\uFEFF';
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تحويل قيمة إلى نص
+ * Stringify a cell value (dates as ISO 8601, null as empty)
+ */
+const toText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    return value instanceof Date ? value.toISOString() : String(value);
+};
+
+/**
+ * تهريب خلية CSV
+ * Quote a CSV cell when it contains a delimiter, quote or newline
+ */
+const csvCell = (value) => {
+    const text = toText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * تهريب نص XML
+ * Escape text for XML content and attributes
+ */
+const xmlEscape = (value) => toText(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// =====================================================
+// فئة صيغ التصدير
+// Feed Formats Class
+// =====================================================
+class FeedFormats {
+    /**
+     * اختيار الصيغة
+     * Pick the response format: ?format= wins over the Accept header.
+     * Returns { code } or { error, code, status }
+     */
+    static negotiate(req, res) {
+        res.vary('Accept');
+
+        if (req.query.format !== undefined) {
+            const code = String(req.query.format).trim().toLowerCase();
+
+            if (!FORMATS[code]) {
+                return {
+                    error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}`,
+                    code: 'INVALID_FORMAT',
+                    status: 400
+                };
+            }
+
+            return { code };
+        }
+
+        const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+        if (!accepted) {
+            return {
+                error: `Acceptable types: ${Object.keys(ACCEPT_TYPES).join(', ')}`,
+                code: 'NOT_ACCEPTABLE',
+                status: 406
+            };
+        }
+
+        return { code: ACCEPT_TYPES[accepted] };
+    }
+
+    /**
+     * إرسال خطأ الصيغة
+     * Send a negotiation error; returns true if a response was sent
+     */
+    static sendError(res, format) {
+        if (!format.error) {
+            return false;
+        }
+
+        res.status(format.status).json({
+            success: false,
+            message: format.error,
+            code: format.code,
+            supportedFormats: Object.keys(FORMATS)
+        });
+        return true;
+    }
+
+    /**
+     * تحويل إلى CSV
+     * Render rows as CSV with a header line, CRLF line ends and a UTF-8 BOM.
+     * columns: [{ key, header }]
+     */
+    static toCsv(columns, rows) {
+        const lines = [columns.map(column => csvCell(column.header)).join(',')];
+
+        for (const row of rows) {
+            lines.push(columns.map(column => csvCell(row[column.key])).join(','));
+        }
+
+        return UTF8_BOM + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * تحويل إلى XML
+     * Render rows as <root><item><header>value</header>...</item></root>
+     */
+    static toXml(rootName, itemName, columns, rows, attributes = {}) {
+        const rootAttributes = Object.entries(attributes)
+            .map(([name, value]) => ` ${name}="${xmlEscape(value)}"`)
+            .join('');
+
+        const items = rows.map(row => {
+            const fields = columns
+                .map(column => `    <${column.header}>${xmlEscape(row[column.key])}</${column.header}>`)
+                .join('\n');
+            return `  <${itemName}>\n${fields}\n  </${itemName}>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<${rootName}${rootAttributes}>\n${items.join('\n')}\n</${rootName}>\n`;
+    }
+
+    /**
+     * تحويل إلى موجز Atom
+     * Render an Atom 1.0 feed; entries: [{ id, title, updated, summary }]
+     */
+    static toAtom(feed) {
+        const stamps = feed.entries.map(entry => toText(entry.updated));
+        const updated = stamps.reduce(
+            (latest, stamp) => (stamp > latest ? stamp : latest),
+            new Date(0).toISOString()
+        );
+
+        const entries = feed.entries.map(entry => [
+            '  <entry>',
+            `    <id>${xmlEscape(entry.id)}</id>`,
+            `    <title>${xmlEscape(entry.title)}</title>`,
+            `    <updated>${xmlEscape(entry.updated)}</updated>`,
+            `    <summary>${xmlEscape(entry.summary)}</summary>`,
+            '  </entry>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <id>${xmlEscape(feed.id)}</id>`,
+            `  <title>${xmlEscape(feed.title)}</title>`,
+            `  <link rel="self" href="${xmlEscape(feed.link)}"/>`,
+            `  <updated>${xmlEscape(updated)}</updated>`,
+            `  <author><name>${xmlEscape(feed.author)}</name></author>`,
+            ...entries,
+            '</feed>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * إرسال البيانات بالصيغة المطلوبة
+     * Send a dataset as csv, xml or atom. dataset: { name, itemName, title,
+     * columns, rows, entry(row) -> atom entry | null, attributes }
+     */
+    static async send(req, res, format, dataset) {
+        const { contentType, extension } = FORMATS[format];
+        let body;
+
+        if (format === 'csv') {
+            body = FeedFormats.toCsv(dataset.columns, dataset.rows);
+        } else if (format === 'xml') {
+            body = FeedFormats.toXml(dataset.name, dataset.itemName, dataset.columns, dataset.rows, dataset.attributes);
+        } else {
+            const link = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+            const store = await StoreSettings.getStoreInfo();
+
+            body = FeedFormats.toAtom({
+                id: link,
+                title: dataset.title,
+                link,
+                author: [store.name, store.nameEn].filter(Boolean).join(' / ') || req.hostname,
+                entries: dataset.rows.map(dataset.entry).filter(Boolean)
+            });
+        }
+
+        res.set('Content-Type', contentType);
+        if (format === 'csv') {
+            res.set('Content-Disposition', `inline; filename="${dataset.name}.${extension}"`);
+        }
+
+        return res.status(200).send(body);
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = FeedFormats;
+module.exports.FORMATS = FORMATS;
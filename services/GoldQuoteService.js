@@ -0,0 +1,380 @@
+/**
+ * =====================================================
+ * خدمة عروض أسعار الذهب
+ * Gold Quote Service
+ * =====================================================
+ * الملف: backend/services/GoldQuoteService.js
+ * الغرض: حساب عروض بيع المشغولات الذهبية (الوزن × سعر العيار
+ *        + المصنعية + الأحجار + ضريبة القيمة المضافة) وعروض شراء
+ *        الذهب المستعمل (الذهب الصافي بعد الأحجار وفاقد الصهر)
+ * =====================================================
+ */
+
+const { WeightUnits } = require('../config/units');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const MAKING_CHARGE_TYPES = ['per_gram', 'per_piece'];
+const MAX_ITEMS = 50;
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تقريب مبلغ حسب منازل العملة
+ * Round an amount to the currency's decimal places
+ */
+const roundTo = (value, decimals) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * هل القيمة رقم غير سالب؟
+ * Whether value is a finite non-negative number
+ */
+const isNonNegative = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+// =====================================================
+// فئة خدمة العروض
+// Gold Quote Service Class
+// =====================================================
+class GoldQuoteService {
+    /**
+     * تحويل بنود الطلب
+     * Normalize sale items from a request body
+     */
+    static parseSaleItems(items) {
+        return (Array.isArray(items) ? items : []).map(item => ({
+            goldTypeId: Number(item.goldTypeId),
+            weight: Number(item.weight),
+            unit: item.unit,
+            quantity: item.quantity !== undefined ? Number(item.quantity) : 1,
+            makingCharge: {
+                type: item.makingCharge?.type || 'per_gram',
+                amount: item.makingCharge?.amount !== undefined ? Number(item.makingCharge.amount) : 0
+            },
+            stonesValue: item.stonesValue !== undefined ? Number(item.stonesValue) : 0,
+            description: item.description ? String(item.description).slice(0, 255) : null
+        }));
+    }
+
+    /**
+     * التحقق من بنود البيع
+     * Validate normalized sale items
+     */
+    static validateSaleItems(items) {
+        const errors = [];
+
+        if (items.length === 0 || items.length > MAX_ITEMS) {
+            errors.push({
+                field: 'items',
+                message: `Items must contain between 1 and ${MAX_ITEMS} entries`,
+                code: 'ITEMS_INVALID'
+            });
+            return errors;
+        }
+
+        items.forEach((item, index) => {
+            const prefix = `items[${index}]`;
+
+            if (!Number.isInteger(item.goldTypeId) || item.goldTypeId <= 0) {
+                errors.push({
+                    field: `${prefix}.goldTypeId`,
+                    message: 'Gold type ID must be a positive integer',
+                    code: 'GOLD_TYPE_INVALID'
+                });
+            }
+
+            if (!isNonNegative(item.weight) || item.weight === 0) {
+                errors.push({
+                    field: `${prefix}.weight`,
+                    message: 'Weight must be a positive number',
+                    code: 'WEIGHT_INVALID'
+                });
+            }
+
+            if (!WeightUnits.isValid(item.unit)) {
+                errors.push({
+                    field: `${prefix}.unit`,
+                    message: `Unsupported weight unit: ${item.unit}`,
+                    code: 'UNIT_INVALID'
+                });
+            }
+
+            if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+                errors.push({
+                    field: `${prefix}.quantity`,
+                    message: 'Quantity must be a positive integer',
+                    code: 'QUANTITY_INVALID'
+                });
+            }
+
+            if (!MAKING_CHARGE_TYPES.includes(item.makingCharge.type)) {
+                errors.push({
+                    field: `${prefix}.makingCharge.type`,
+                    message: `Making charge type must be one of: ${MAKING_CHARGE_TYPES.join(', ')}`,
+                    code: 'MAKING_CHARGE_INVALID'
+                });
+            }
+
+            if (!isNonNegative(item.makingCharge.amount)) {
+                errors.push({
+                    field: `${prefix}.makingCharge.amount`,
+                    message: 'Making charge must be a non-negative number',
+                    code: 'MAKING_CHARGE_INVALID'
+                });
+            }
+
+            if (!isNonNegative(item.stonesValue)) {
+                errors.push({
+                    field: `${prefix}.stonesValue`,
+                    message: 'Stones value must be a non-negative number',
+                    code: 'STONES_VALUE_INVALID'
+                });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * حساب عرض البيع
+     * Build a sale quote. prices maps goldTypeId to a GoldPrice already in the
+     * quote currency; weight, making charge and stones are per piece.
+     * tax = { enabled, rate, scope }
+     */
+    static saleQuote(items, prices, { tax, decimals = 2 }) {
+        const vatRate = tax.enabled ? tax.rate : 0;
+
+        const lines = items.map((item, index) => {
+            const price = prices.get(item.goldTypeId);
+            const pricePerGram = price.getFinalPrice('sell');
+            const weightGrams = item.weight * WeightUnits.gramsPer(item.unit);
+            const totalGrams = weightGrams * item.quantity;
+
+            const goldValue = roundTo(pricePerGram * totalGrams, decimals);
+            const makingChargeTotal = roundTo(
+                item.makingCharge.type === 'per_gram'
+                    ? item.makingCharge.amount * totalGrams
+                    : item.makingCharge.amount * item.quantity,
+                decimals
+            );
+            const stonesValue = roundTo(item.stonesValue * item.quantity, decimals);
+            const lineTotal = roundTo(goldValue + makingChargeTotal + stonesValue, decimals);
+
+            // الوعاء الضريبي حسب نطاق الضريبة
+            const taxable = tax.scope === 'making_charge'
+                ? roundTo(makingChargeTotal + stonesValue, decimals)
+                : lineTotal;
+            const vat = roundTo(taxable * vatRate, decimals);
+
+            return {
+                line: index + 1,
+                goldTypeId: item.goldTypeId,
+                goldTypeName: price.goldTypeName,
+                goldTypeNameEn: price.goldTypeNameEn,
+                karat: price.karat,
+                description: item.description,
+                quantity: item.quantity,
+                weight: item.weight,
+                unit: WeightUnits.resolve(item.unit),
+                weightGrams: roundTo(totalGrams, 3),
+                pricePerGram: roundTo(pricePerGram, decimals),
+                goldValue,
+                makingCharge: {
+                    type: item.makingCharge.type,
+                    amount: item.makingCharge.amount,
+                    total: makingChargeTotal
+                },
+                stonesValue,
+                lineTotal,
+                taxable,
+                vat,
+                lineTotalWithVat: roundTo(lineTotal + vat, decimals)
+            };
+        });
+
+        const sum = (field) => roundTo(lines.reduce((total, line) => total + line[field], 0), decimals);
+        const subtotal = sum('lineTotal');
+        const vat = sum('vat');
+
+        return {
+            lines,
+            totals: {
+                weightGrams: roundTo(lines.reduce((total, line) => total + line.weightGrams, 0), 3),
+                goldValue: sum('goldValue'),
+                makingCharges: roundTo(lines.reduce((total, line) => total + line.makingCharge.total, 0), decimals),
+                stonesValue: sum('stonesValue'),
+                subtotal,
+                taxable: sum('taxable'),
+                vat,
+                grandTotal: roundTo(subtotal + vat, decimals)
+            },
+            tax: {
+                enabled: tax.enabled,
+                rate: vatRate,
+                scope: tax.scope
+            }
+        };
+    }
+
+    /**
+     * تحويل بنود شراء الذهب المستعمل
+     * Normalize scrap buyback items from a request body
+     */
+    static parseBuybackItems(items) {
+        return (Array.isArray(items) ? items : []).map(item => ({
+            grossWeight: Number(item.grossWeight),
+            stoneWeight: item.stoneWeight !== undefined ? Number(item.stoneWeight) : 0,
+            unit: item.unit,
+            purity: item.purity !== undefined && item.purity !== null ? Number(item.purity) : null,
+            karat: item.karat !== undefined && item.karat !== null ? Number(item.karat) : null,
+            description: item.description ? String(item.description).slice(0, 255) : null
+        }));
+    }
+
+    /**
+     * التحقق من بنود الشراء
+     * Validate normalized buyback items (tested purity or declared karat required)
+     */
+    static validateBuybackItems(items) {
+        const errors = [];
+
+        if (items.length === 0 || items.length > MAX_ITEMS) {
+            errors.push({
+                field: 'items',
+                message: `Items must contain between 1 and ${MAX_ITEMS} entries`,
+                code: 'ITEMS_INVALID'
+            });
+            return errors;
+        }
+
+        items.forEach((item, index) => {
+            const prefix = `items[${index}]`;
+
+            if (!isNonNegative(item.grossWeight) || item.grossWeight === 0) {
+                errors.push({
+                    field: `${prefix}.grossWeight`,
+                    message: 'Gross weight must be a positive number',
+                    code: 'WEIGHT_INVALID'
+                });
+            }
+
+            if (!isNonNegative(item.stoneWeight)) {
+                errors.push({
+                    field: `${prefix}.stoneWeight`,
+                    message: 'Stone weight must be a non-negative number',
+                    code: 'WEIGHT_INVALID'
+                });
+            } else if (item.stoneWeight >= item.grossWeight) {
+                errors.push({
+                    field: `${prefix}.stoneWeight`,
+                    message: 'Stone weight must be less than the gross weight',
+                    code: 'WEIGHT_INVALID'
+                });
+            }
+
+            if (!WeightUnits.isValid(item.unit)) {
+                errors.push({
+                    field: `${prefix}.unit`,
+                    message: `Unsupported weight unit: ${item.unit}`,
+                    code: 'UNIT_INVALID'
+                });
+            }
+
+            if (item.purity === null && item.karat === null) {
+                errors.push({
+                    field: `${prefix}.purity`,
+                    message: 'Either a tested purity or a declared karat is required',
+                    code: 'PURITY_REQUIRED'
+                });
+            } else if (item.purity !== null && (isNaN(item.purity) || item.purity <= 0 || item.purity > 1)) {
+                errors.push({
+                    field: `${prefix}.purity`,
+                    message: 'Purity must be a fraction between 0 and 1 (e.g. 0.875)',
+                    code: 'PURITY_INVALID'
+                });
+            } else if (item.purity === null && (isNaN(item.karat) || item.karat <= 0 || item.karat > 24)) {
+                errors.push({
+                    field: `${prefix}.karat`,
+                    message: 'Karat must be between 1 and 24',
+                    code: 'KARAT_INVALID'
+                });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * حساب عرض شراء الذهب المستعمل
+     * Build a buyback quote: (gross - stones) × purity = fine gold, less
+     * melting loss, paid at the 24K buy price per gram of fine gold.
+     * price24k is a GoldPrice already in the quote currency
+     */
+    static buybackQuote(items, price24k, { meltingLoss, decimals = 2 }) {
+        // سعر غرام الذهب الصافي من سعر شراء عيار 24 المعلن (شاملاً الهامش)
+        const pricePerFineGram = price24k.buyPrice / (price24k.purity || 1);
+
+        const lines = items.map((item, index) => {
+            const gramsPer = WeightUnits.gramsPer(item.unit);
+            const grossGrams = item.grossWeight * gramsPer;
+            const stoneGrams = item.stoneWeight * gramsPer;
+            const netGrams = grossGrams - stoneGrams;
+
+            // نتيجة الفحص مقدمة على العيار المعلن
+            const purity = item.purity !== null ? item.purity : item.karat / 24;
+            const fineGold = netGrams * purity;
+            const meltingLossGrams = fineGold * meltingLoss;
+            const payableFineGold = fineGold - meltingLossGrams;
+
+            return {
+                line: index + 1,
+                description: item.description,
+                unit: WeightUnits.resolve(item.unit),
+                grossWeight: item.grossWeight,
+                stoneWeight: item.stoneWeight,
+                netWeightGrams: roundTo(netGrams, 3),
+                purity: roundTo(purity, 4),
+                purityBasis: item.purity !== null ? 'tested' : 'declared',
+                karatEquivalent: roundTo(purity * 24, 1),
+                fineGoldGrams: roundTo(fineGold, 3),
+                meltingLossGrams: roundTo(meltingLossGrams, 3),
+                payableFineGoldGrams: roundTo(payableFineGold, 3),
+                payout: roundTo(payableFineGold * pricePerFineGram, decimals)
+            };
+        });
+
+        const sumGrams = (field) => roundTo(lines.reduce((total, line) => total + line[field], 0), 3);
+
+        return {
+            lines,
+            totals: {
+                netWeightGrams: sumGrams('netWeightGrams'),
+                fineGoldGrams: sumGrams('fineGoldGrams'),
+                meltingLossGrams: sumGrams('meltingLossGrams'),
+                payableFineGoldGrams: sumGrams('payableFineGoldGrams'),
+                payout: roundTo(lines.reduce((total, line) => total + line.payout, 0), decimals)
+            },
+            pricing: {
+                goldTypeId: price24k.goldTypeId,
+                karat: price24k.karat,
+                buyPrice24k: roundTo(price24k.buyPrice, decimals),
+                pricePerFineGram: roundTo(pricePerFineGram, decimals),
+                meltingLoss
+            }
+        };
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = GoldQuoteService;
+module.exports.MAKING_CHARGE_TYPES = MAKING_CHARGE_TYPES;
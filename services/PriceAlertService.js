@@ -0,0 +1,110 @@
+/**
+ * =====================================================
+ * خدمة تقييم تنبيهات الأسعار
+ * Price Alert Evaluation Service
+ * =====================================================
+ * الملف: backend/services/PriceAlertService.js
+ * الغرض: تقييم قواعد التنبيه عند نشر سعر جديد وكتابة
+ *        الإشعارات في صندوق الإشعارات الصادرة
+ * =====================================================
+ */
+
+const PriceAlert = require('../models/PriceAlert');
+const Notification = require('../models/Notification');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const EVENT_TYPE = 'PRICE_ALERT';
+const SAVEPOINT = 'price_alerts';
+
+// =====================================================
+// فئة خدمة التنبيهات
+// Price Alert Service Class
+// =====================================================
+class PriceAlertService {
+    /**
+     * تقييم القواعد عند نشر سعر
+     * Evaluate the active rules of an entity inside the publishing transaction.
+     * price: { priceId, label, buy, sell, effectiveFrom }, previous: { buy, sell } | null.
+     * Runs under a savepoint so a failing rule never blocks the price itself.
+     */
+    static async evaluate(entityType, entityId, price, previous, tx) {
+        await tx.query(`SAVEPOINT ${SAVEPOINT}`);
+
+        try {
+            const triggered = await PriceAlertService.evaluateRules(entityType, entityId, price, previous, tx);
+            await tx.query(`RELEASE SAVEPOINT ${SAVEPOINT}`);
+            return triggered;
+        } catch (error) {
+            await tx.query(`ROLLBACK TO SAVEPOINT ${SAVEPOINT}`);
+            console.error(`Price alert evaluation failed for ${entityType} ${entityId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * تقييم القواعد وكتابة الإشعارات
+     * Evaluate each rule and enqueue a notification for those that fire
+     */
+    static async evaluateRules(entityType, entityId, price, previous, tx) {
+        const rules = await PriceAlert.findActiveFor(entityType, entityId, tx);
+        const now = new Date();
+        const notifications = [];
+
+        for (const rule of rules) {
+            const value = price[rule.side];
+            const previousValue = previous ? previous[rule.side] : null;
+
+            // قواعد النسبة بدون سعر مرجعي تبدأ من هذا السعر
+            if (rule.condition === 'percent_change' && !rule.referencePrice) {
+                await PriceAlert.setReferencePrice(rule.id, previousValue || value, tx);
+                rule.referencePrice = previousValue || value;
+            }
+
+            const { triggered, changePercent } = rule.evaluate(value, previousValue);
+
+            if (!triggered || rule.isCoolingDown(now)) {
+                continue;
+            }
+
+            const notification = await Notification.enqueue({
+                userId: rule.userId,
+                ruleId: rule.id,
+                eventType: EVENT_TYPE,
+                dedupKey: `${EVENT_TYPE}:${rule.id}:${entityType}:${price.priceId}`,
+                payload: {
+                    ruleId: rule.id,
+                    entityType,
+                    entityId,
+                    label: price.label,
+                    side: rule.side,
+                    condition: rule.condition,
+                    threshold: rule.threshold,
+                    referencePrice: rule.condition === 'percent_change' ? rule.referencePrice : null,
+                    value,
+                    previousValue,
+                    changePercent,
+                    priceId: price.priceId,
+                    effectiveFrom: price.effectiveFrom,
+                    note: rule.note
+                }
+            }, tx);
+
+            // null = نفس الحدث تم إشعاره مسبقاً
+            if (notification) {
+                await PriceAlert.markTriggered(rule, value, tx);
+                notifications.push(notification);
+            }
+        }
+
+        return notifications;
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = PriceAlertService;
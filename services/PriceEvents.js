@@ -0,0 +1,102 @@
+/**
+ * =====================================================
+ * ناقل أحداث الأسعار
+ * Price Events Bus
+ * =====================================================
+ * الملف: backend/services/PriceEvents.js
+ * الغرض: بث أحداث تغير أسعار الذهب والعملات وحالة السوق داخل
+ *        العملية مع الاحتفاظ بآخر الأحداث لإعادة الاتصال
+ * =====================================================
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const BUFFER_SIZE = 500;
+const TOPICS = ['gold', 'currency', 'market'];
+
+// =====================================================
+// فئة ناقل الأحداث
+// Price Events Class
+// =====================================================
+class PriceEvents extends EventEmitter {
+    /**
+     * إنشاء الناقل
+     * Create the bus. Event ids are "<boot>-<seq>" so an id from before a
+     * restart (or from another instance) is never mistaken for a recent one
+     */
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.bootId = crypto.randomBytes(4).toString('hex');
+        this.sequence = 0;
+        this.buffer = [];
+    }
+
+    /**
+     * معرف آخر حدث
+     * Id of the latest event (the starting point of a fresh snapshot)
+     */
+    get lastEventId() {
+        return `${this.bootId}-${this.sequence}`;
+    }
+
+    /**
+     * نشر حدث
+     * Publish an event on a topic; models call this after a successful commit
+     */
+    publish(topic, data) {
+        this.sequence += 1;
+
+        const event = {
+            id: this.lastEventId,
+            sequence: this.sequence,
+            topic,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > BUFFER_SIZE) {
+            this.buffer.shift();
+        }
+
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * الأحداث منذ معرف معين
+     * Events after lastEventId, or null when they can no longer be replayed
+     * (unknown boot, or older than the buffer) and a snapshot is needed
+     */
+    since(lastEventId) {
+        const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId || ''));
+        if (!match || match[1] !== this.bootId) {
+            return null;
+        }
+
+        const sequence = Number(match[2]);
+        if (sequence > this.sequence) {
+            return null;
+        }
+
+        const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+        if (sequence < oldest - 1) {
+            return null;
+        }
+
+        return this.buffer.filter(event => event.sequence > sequence);
+    }
+}
+
+// =====================================================
+// تصدير نسخة واحدة مشتركة
+// Export shared instance
+// =====================================================
+module.exports = new PriceEvents();
+module.exports.TOPICS = TOPICS;
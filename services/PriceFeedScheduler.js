@@ -0,0 +1,314 @@
+/**
+ * =====================================================
+ * جدولة مصادر الأسعار
+ * Price Feed Scheduler
+ * =====================================================
+ * الملف: backend/services/PriceFeedScheduler.js
+ * الغرض: استطلاع مصادر الأسعار المفعلة على فترات محددة
+ *        خلال ساعات السوق ونشر الأسعار باسم مستخدم النظام
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const GoldPrice = require('../models/GoldPrice');
+const CurrencyRate = require('../models/CurrencyRate');
+const StoreSettings = require('../models/StoreSettings');
+const User = require('../models/User');
+const { PROVIDERS, normalizeFeedConfig, createFeed } = require('./priceFeeds');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const SYSTEM_USERNAME = 'system_feed';
+const DEFAULT_TICK_SECONDS = 15;
+
+// =====================================================
+// فئة جدولة المصادر
+// Price Feed Scheduler Class
+// =====================================================
+class PriceFeedScheduler {
+    /**
+     * إنشاء المجدول
+     * Create scheduler
+     */
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+        this.systemUserId = null;
+
+        // حالة كل مصدر في الذاكرة (آخر تشغيل، آخر خطأ، ...)
+        this.states = new Map();
+    }
+
+    /**
+     * بدء الاستطلاع الدوري
+     * Start periodic polling
+     */
+    start(tickSeconds = Number(process.env.PRICE_FEED_TICK_SECONDS) || DEFAULT_TICK_SECONDS) {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.tick(), tickSeconds * 1000);
+        this.timer.unref();
+
+        console.log(`Price feed scheduler started (tick ${tickSeconds}s).`);
+    }
+
+    /**
+     * إيقاف الاستطلاع
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * جلب إعدادات المصادر
+     * Load feed configurations from settings
+     */
+    async loadFeeds() {
+        const feeds = await StoreSettings.get('price_feeds', []);
+
+        return (Array.isArray(feeds) ? feeds : [])
+            .filter(feed => feed && PROVIDERS[feed.provider])
+            .map(normalizeFeedConfig);
+    }
+
+    /**
+     * البحث عن مصدر بالمعرف
+     * Find a feed configuration by ID
+     */
+    async findFeed(id) {
+        const feeds = await this.loadFeeds();
+        return feeds.find(feed => feed.id === id) || null;
+    }
+
+    /**
+     * حالة المصدر
+     * In-memory state of a feed
+     */
+    getState(id) {
+        if (!this.states.has(id)) {
+            this.states.set(id, {
+                running: false,
+                lastRunAt: null,
+                lastSuccessAt: null,
+                lastError: null,
+                lastResult: null,
+                lastFingerprint: null,
+                nextRunAt: 0
+            });
+        }
+
+        return this.states.get(id);
+    }
+
+    /**
+     * حالة جميع المصادر للعرض
+     * Status of every configured feed
+     */
+    async getStatus() {
+        const feeds = await this.loadFeeds();
+
+        return feeds.map(feed => {
+            const state = this.getState(feed.id);
+
+            return {
+                ...feed,
+                running: state.running,
+                lastRunAt: state.lastRunAt,
+                lastSuccessAt: state.lastSuccessAt,
+                lastError: state.lastError,
+                lastResult: state.lastResult,
+                nextRunAt: state.nextRunAt ? new Date(state.nextRunAt).toISOString() : null
+            };
+        });
+    }
+
+    /**
+     * معرف مستخدم النظام
+     * ID of the system user that feed writes are attributed to
+     */
+    async getSystemUserId() {
+        if (!this.systemUserId) {
+            const user = await User.findByUsername(SYSTEM_USERNAME);
+            if (!user) {
+                throw new Error(`System user "${SYSTEM_USERNAME}" is missing; run the database migrations`);
+            }
+            this.systemUserId = user.id;
+        }
+
+        return this.systemUserId;
+    }
+
+    /**
+     * دورة استطلاع واحدة
+     * One polling tick: run every enabled feed that is due
+     */
+    async tick() {
+        if (this.ticking) {
+            return;
+        }
+
+        this.ticking = true;
+
+        try {
+            const now = Date.now();
+            const due = (await this.loadFeeds()).filter(feed =>
+                feed.enabled &&
+                PROVIDERS[feed.provider].scheduled !== false &&
+                now >= this.getState(feed.id).nextRunAt
+            );
+
+            if (due.length === 0) {
+                return;
+            }
+
+            const marketOpen = await StoreSettings.isMarketOpen();
+
+            for (const feed of due) {
+                if (feed.marketHoursOnly && !marketOpen) {
+                    continue;
+                }
+
+                try {
+                    await this.runFeed(feed);
+                } catch (error) {
+                    console.error(`Price feed ${feed.id} failed:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('Price feed tick error:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * تشغيل مصدر واحد
+     * Run one feed: fetch, then ingest unless dryRun.
+     * Unchanged scheduled readings are skipped unless force is set.
+     */
+    async runFeed(config, { input = null, dryRun = false, force = false } = {}) {
+        const state = this.getState(config.id);
+
+        if (state.running) {
+            throw new Error(`Feed ${config.id} is already running`);
+        }
+
+        state.running = true;
+        const feed = createFeed(config);
+
+        try {
+            const reading = await feed.fetch(input);
+
+            if (dryRun) {
+                return { status: 'dry-run', reading };
+            }
+
+            state.lastRunAt = new Date().toISOString();
+            state.nextRunAt = Date.now() + config.intervalSeconds * 1000;
+
+            let result;
+
+            if (!reading) {
+                result = { status: 'empty' };
+            } else if (!force && JSON.stringify(reading) === state.lastFingerprint) {
+                result = { status: 'unchanged' };
+            } else {
+                result = { status: 'ingested', ...(await this.ingest(reading)) };
+                state.lastFingerprint = JSON.stringify(reading);
+            }
+
+            if (reading && feed.acknowledge) {
+                await feed.acknowledge(true);
+            }
+
+            state.lastSuccessAt = state.lastRunAt;
+            state.lastError = null;
+            state.lastResult = result;
+
+            return result;
+        } catch (error) {
+            if (!dryRun) {
+                state.lastRunAt = new Date().toISOString();
+                state.nextRunAt = Date.now() + config.intervalSeconds * 1000;
+                state.lastError = error.message;
+                state.lastResult = { status: 'failed' };
+
+                if (feed.acknowledge) {
+                    await feed.acknowledge(false).catch(ackError =>
+                        console.error(`Price feed ${config.id} acknowledge error:`, ackError)
+                    );
+                }
+            }
+
+            throw error;
+        } finally {
+            state.running = false;
+        }
+    }
+
+    /**
+     * نشر القراءة
+     * Publish a normalized reading: currency rates first (spot conversion
+     * depends on them), then gold prices, in one transaction so a failed
+     * gold update never leaves the currency rates published
+     */
+    async ingest(reading) {
+        const systemUserId = await this.getSystemUserId();
+        const summary = { currencies: 0, goldPrices: 0, skipped: [] };
+
+        const rates = [];
+
+        if (reading.currencies.length > 0) {
+            const currencies = await CurrencyRate.getCurrencies();
+            const byCode = new Map(currencies.map(currency => [currency.code, currency]));
+
+            for (const rate of reading.currencies) {
+                const currency = byCode.get(rate.code);
+
+                if (!currency || currency.is_base) {
+                    summary.skipped.push(rate.code);
+                    continue;
+                }
+
+                rates.push({
+                    currencyId: currency.id,
+                    buyRate: rate.buyRate,
+                    sellRate: rate.sellRate,
+                    isManual: false
+                });
+            }
+        }
+
+        await db.transaction(async (tx) => {
+            if (rates.length > 0) {
+                const created = await CurrencyRate.bulkCreate(rates, systemUserId, tx);
+                summary.currencies = created.length;
+            }
+
+            if (reading.gold) {
+                const prices = reading.gold.spotPriceUsdPerOunce !== undefined
+                    ? (await GoldPrice.autoUpdateFromSpot(reading.gold.spotPriceUsdPerOunce, systemUserId, false, tx)).prices
+                    : await GoldPrice.autoUpdate(reading.gold.basePrice24k, systemUserId, false, tx);
+
+                summary.goldPrices = prices.length;
+            }
+        });
+
+        return summary;
+    }
+}
+
+// =====================================================
+// تصدير نسخة واحدة مشتركة
+// Export shared instance
+// =====================================================
+module.exports = new PriceFeedScheduler();
+module.exports.SYSTEM_USERNAME = SYSTEM_USERNAME;
@@ -0,0 +1,111 @@
+/**
+ * =====================================================
+ * حماية الأسعار من القفزات غير الطبيعية
+ * Price Sanity Guard
+ * =====================================================
+ * الملف: backend/services/PriceGuard.js
+ * الغرض: مقارنة السعر الجديد بالسعر الحالي ورفض التغيرات
+ *        التي تتجاوز النسبة المسموحة أو سعر بيع أقل من الشراء
+ * =====================================================
+ */
+
+const StoreSettings = require('../models/StoreSettings');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const ERROR_PREFIX = 'Price sanity check failed: ';
+
+// =====================================================
+// فئة حماية الأسعار
+// Price Guard Class
+// =====================================================
+class PriceGuard {
+    /**
+     * فحص السعر المقترح
+     * Check a proposed { buy, sell } against the current one (or null);
+     * returns the list of violations
+     */
+    static check(proposed, current, maxChange) {
+        const violations = [];
+
+        if (proposed.sell < proposed.buy) {
+            violations.push({
+                code: 'SELL_BELOW_BUY',
+                message: 'Sell price is lower than buy price',
+                buy: proposed.buy,
+                sell: proposed.sell
+            });
+        }
+
+        if (!current) {
+            return violations;
+        }
+
+        for (const side of ['buy', 'sell']) {
+            if (!current[side]) {
+                continue;
+            }
+
+            const change = (proposed[side] - current[side]) / current[side];
+
+            if (Math.abs(change) > maxChange) {
+                violations.push({
+                    code: 'MAX_CHANGE_EXCEEDED',
+                    message: `${side} changes by ${Math.round(change * 10000) / 100}% (max ${Math.round(maxChange * 10000) / 100}%)`,
+                    side,
+                    current: current[side],
+                    proposed: proposed[side],
+                    changePercent: Math.round(change * 10000) / 100,
+                    maxChangePercent: Math.round(maxChange * 10000) / 100
+                });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * تطبيق الحماية
+     * Enforce the guard for a gold type or currency. Throws unless force is
+     * set; returns the overridden violations (for the audit log) otherwise
+     */
+    static async enforce(entityType, proposed, current, force = false) {
+        const settings = await StoreSettings.getPriceGuardSettings();
+        if (!settings.enabled) {
+            return [];
+        }
+
+        const { maxChange } = entityType === 'GOLD_TYPE' ? settings.gold : settings.currency;
+        const violations = PriceGuard.check(proposed, current, maxChange);
+
+        if (violations.length > 0 && !force) {
+            throw new Error(ERROR_PREFIX + JSON.stringify(violations));
+        }
+
+        return violations;
+    }
+
+    /**
+     * استخراج المخالفات من خطأ
+     * Violations carried by a guard error, or null for any other error
+     */
+    static violationsFrom(error) {
+        if (!error || typeof error.message !== 'string' || !error.message.startsWith(ERROR_PREFIX)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(error.message.slice(ERROR_PREFIX.length));
+        } catch {
+            return [];
+        }
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = PriceGuard;
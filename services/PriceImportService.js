@@ -0,0 +1,463 @@
+/**
+ * =====================================================
+ * خدمة استيراد الأسعار التاريخية
+ * Historical Price Import Service
+ * =====================================================
+ * الملف: backend/services/PriceImportService.js
+ * الغرض: تحليل ملف CSV لأسعار الذهب والعملات السابقة، التحقق من
+ *        كل صف، وإدراجها قبل السجل الحالي مع ربط فترات السريان
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const GoldType = require('../models/GoldType');
+const GoldPrice = require('../models/GoldPrice');
+const CurrencyRate = require('../models/CurrencyRate');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const MAX_ROWS = 20000;
+const MAX_REPORTED_ERRORS = 200;
+const DELIMITERS = [',', ';', '\t'];
+
+// أسماء الأعمدة المقبولة (Excel العربي يحفظ بفاصلة منقوطة)
+const COLUMN_ALIASES = {
+    goldType: ['gold_type', 'gold_type_id', 'type', 'النوع'],
+    karat: ['karat', 'العيار'],
+    currency: ['currency', 'currency_code', 'code', 'العملة'],
+    buy: ['buy', 'buy_price', 'buy_rate', 'شراء'],
+    sell: ['sell', 'sell_price', 'sell_rate', 'بيع'],
+    effectiveFrom: ['effective_from', 'date', 'from', 'التاريخ']
+};
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تحليل نص CSV
+ * Parse CSV text (quoted fields, CRLF, optional BOM); the delimiter is the
+ * one that appears most in the header line. Returns { delimiter, records }
+ */
+const parseCsv = (text) => {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const header = source.split(/\r?\n/, 1)[0];
+    const delimiter = DELIMITERS.reduce((best, candidate) =>
+        (header.split(candidate).length > header.split(best).length ? candidate : best));
+
+    const records = [];
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        values.push(field);
+        if (values.some(value => value.trim() !== '')) {
+            records.push({ line: recordLine, values });
+        }
+        values = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            values.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || values.length > 0) {
+        endRecord();
+    }
+
+    return { delimiter, records };
+};
+
+/**
+ * ربط رؤوس الأعمدة بالحقول
+ * Map header cells to fields; returns { columns } or { error }
+ */
+const mapColumns = (headerValues) => {
+    const normalized = headerValues.map(value => value.trim().toLowerCase());
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const index = normalized.findIndex(value => aliases.includes(value));
+        if (index !== -1) {
+            columns[field] = index;
+        }
+    }
+
+    const missing = ['buy', 'sell', 'effectiveFrom'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        return { error: `Missing required column(s): ${missing.map(field => COLUMN_ALIASES[field][0]).join(', ')}` };
+    }
+
+    if (columns.goldType === undefined && columns.karat === undefined && columns.currency === undefined) {
+        return { error: 'A gold_type, karat or currency column is required' };
+    }
+
+    return { columns };
+};
+
+/**
+ * تحليل رقم
+ * Parse a positive number (thousands separators allowed); null if invalid
+ */
+const parseAmount = (value) => {
+    const text = String(value || '').trim().replace(/,/g, '');
+    const number = Number(text);
+    return text !== '' && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * تحليل تاريخ
+ * Parse ISO 8601 or DD/MM/YYYY [HH:mm] (as saved by Excel); null if invalid
+ */
+const parseDate = (value) => {
+    const text = String(value || '').trim();
+    const dmy = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(text);
+
+    const date = dmy
+        ? new Date(Date.UTC(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1]), Number(dmy[4] || 0), Number(dmy[5] || 0)))
+        : new Date(text);
+
+    return text !== '' && !isNaN(date.getTime()) ? date : null;
+};
+
+// =====================================================
+// فئة خدمة الاستيراد
+// Price Import Service Class
+// =====================================================
+class PriceImportService {
+    /**
+     * تحميل الأهداف المعروفة
+     * Lookup tables for gold types (by id, name, karat) and currencies (by code)
+     */
+    static async loadTargets() {
+        const goldTypes = await GoldType.findAll({ includeInactive: true });
+        const currencies = await CurrencyRate.getCurrencies({ includeInactive: true });
+
+        return {
+            goldTypes,
+            currencies: new Map(currencies.map(currency => [currency.code.toUpperCase(), currency]))
+        };
+    }
+
+    /**
+     * تحديد نوع الذهب
+     * Resolve a gold type from its id or name, or else from a karat;
+     * returns { goldType } or { error }
+     */
+    static resolveGoldType(targets, name, karat) {
+        if (name) {
+            const key = name.trim().toLowerCase();
+            const goldType = targets.goldTypes.find(type =>
+                String(type.id) === key ||
+                type.nameAr.trim().toLowerCase() === key ||
+                (type.nameEn && type.nameEn.trim().toLowerCase() === key));
+
+            return goldType ? { goldType } : { error: `Unknown gold type "${name.trim()}"` };
+        }
+
+        const matches = targets.goldTypes.filter(type => Number(type.karat) === Number(karat));
+        if (matches.length === 0) {
+            return { error: `No gold type with karat ${karat}` };
+        }
+
+        if (matches.length > 1) {
+            return { error: `Karat ${karat} matches several gold types; use the gold_type column` };
+        }
+
+        return { goldType: matches[0] };
+    }
+
+    /**
+     * التحقق من صف واحد
+     * Validate one record; returns { row } or { errors }
+     */
+    static validateRecord(record, columns, targets, now) {
+        const cell = (field) => (columns[field] !== undefined ? (record.values[columns[field]] || '').trim() : '');
+        const errors = [];
+        const error = (field, message) => errors.push({ line: record.line, field, message });
+
+        const goldTypeName = cell('goldType');
+        const karat = cell('karat');
+        const currencyCode = cell('currency').toUpperCase();
+        let target = null;
+
+        if ((goldTypeName || karat) && currencyCode) {
+            error('currency', 'A row must target either a gold type or a currency, not both');
+        } else if (currencyCode) {
+            const currency = targets.currencies.get(currencyCode);
+
+            if (!currency) {
+                error('currency', `Unknown currency "${currencyCode}"`);
+            } else if (currency.is_base) {
+                error('currency', `${currencyCode} is the base currency and has no rates`);
+            } else {
+                target = { entityType: 'CURRENCY', entityId: currency.id, label: currency.code };
+            }
+        } else if (goldTypeName || karat) {
+            const resolved = PriceImportService.resolveGoldType(targets, goldTypeName, karat);
+
+            if (resolved.error) {
+                error(goldTypeName ? 'gold_type' : 'karat', resolved.error);
+            } else {
+                target = {
+                    entityType: 'GOLD_TYPE',
+                    entityId: resolved.goldType.id,
+                    label: resolved.goldType.nameEn || resolved.goldType.nameAr
+                };
+            }
+        } else {
+            error('gold_type', 'A gold_type, karat or currency is required');
+        }
+
+        const buy = parseAmount(cell('buy'));
+        const sell = parseAmount(cell('sell'));
+        const effectiveFrom = parseDate(cell('effectiveFrom'));
+
+        if (buy === null) error('buy', 'Buy must be a positive number');
+        if (sell === null) error('sell', 'Sell must be a positive number');
+        if (buy !== null && sell !== null && sell < buy) error('sell', 'Sell must be greater than or equal to buy');
+
+        if (!effectiveFrom) {
+            error('effective_from', 'effective_from must be an ISO 8601 or DD/MM/YYYY date');
+        } else if (effectiveFrom >= now) {
+            error('effective_from', 'Historical prices must start in the past');
+        }
+
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        return { row: { line: record.line, ...target, buy, sell, effectiveFrom } };
+    }
+
+    /**
+     * تحليل الملف والتحقق منه
+     * Parse and validate the whole file; rows are grouped per gold type or
+     * currency, sorted, and chained: each row runs until the next one, the
+     * last until the earliest stored price (imports may not overlap it)
+     */
+    static async analyze(text) {
+        const { delimiter, records } = parseCsv(text);
+        const report = {
+            delimiter,
+            totalRows: Math.max(records.length - 1, 0),
+            validRows: 0,
+            errors: [],
+            warnings: [],
+            entities: []
+        };
+
+        if (records.length < 2) {
+            report.errors.push({ line: 1, field: null, message: 'The file has no data rows' });
+            return { report, groups: [] };
+        }
+
+        if (report.totalRows > MAX_ROWS) {
+            report.errors.push({ line: 1, field: null, message: `At most ${MAX_ROWS} rows can be imported at once` });
+            return { report, groups: [] };
+        }
+
+        const mapped = mapColumns(records[0].values);
+        if (mapped.error) {
+            report.errors.push({ line: records[0].line, field: null, message: mapped.error });
+            return { report, groups: [] };
+        }
+
+        const targets = await PriceImportService.loadTargets();
+        const now = new Date();
+        const groups = new Map();
+
+        for (const record of records.slice(1)) {
+            const result = PriceImportService.validateRecord(record, mapped.columns, targets, now);
+
+            if (result.errors) {
+                report.errors.push(...result.errors);
+                continue;
+            }
+
+            const key = `${result.row.entityType}:${result.row.entityId}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    entityType: result.row.entityType,
+                    entityId: result.row.entityId,
+                    label: result.row.label,
+                    rows: []
+                });
+            }
+            groups.get(key).rows.push(result.row);
+        }
+
+        for (const group of groups.values()) {
+            await PriceImportService.chainGroup(group, report, now);
+        }
+
+        report.errors.sort((a, b) => a.line - b.line);
+        report.validRows = [...groups.values()].reduce((sum, group) => sum + group.rows.length, 0);
+        return { report, groups: [...groups.values()] };
+    }
+
+    /**
+     * ترتيب وربط صفوف هدف واحد
+     * Sort one target's rows, reject duplicates and overlaps with stored
+     * prices, and set each row's effective_until. A target without stored
+     * prices has its last row closed at now, so an import never sets the
+     * current price
+     */
+    static async chainGroup(group, report, now, executor = db) {
+        const Model = group.entityType === 'GOLD_TYPE' ? GoldPrice : CurrencyRate;
+        const firstStored = await Model.getFirstEffectiveFrom(group.entityId, executor);
+
+        group.rows.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+        group.firstStored = firstStored;
+
+        const kept = [];
+        for (const row of group.rows) {
+            const previous = kept[kept.length - 1];
+
+            if (previous && previous.effectiveFrom.getTime() === row.effectiveFrom.getTime()) {
+                report.errors.push({
+                    line: row.line,
+                    field: 'effective_from',
+                    message: `Duplicate effective_from for ${group.label} (also on line ${previous.line})`
+                });
+            } else if (firstStored && row.effectiveFrom >= firstStored) {
+                report.errors.push({
+                    line: row.line,
+                    field: 'effective_from',
+                    message: `Overlaps stored prices of ${group.label}, which start at ${new Date(firstStored).toISOString()}`
+                });
+            } else {
+                kept.push(row);
+            }
+        }
+
+        // بدون أسعار مخزنة يُغلق آخر صف عند لحظة الاستيراد ولا يصبح سعراً حالياً
+        const until = firstStored ? new Date(firstStored) : now;
+
+        kept.forEach((row, index) => {
+            row.effectiveUntil = index + 1 < kept.length
+                ? kept[index + 1].effectiveFrom
+                : until;
+        });
+
+        group.rows = kept;
+        group.until = until;
+
+        if (kept.length === 0) {
+            return;
+        }
+
+        if (!firstStored) {
+            report.warnings.push({
+                line: kept[kept.length - 1].line,
+                message: `${group.label} has no stored prices; the imported history ends at ${until.toISOString()} and no current price is set`
+            });
+        }
+
+        report.entities.push({
+            entityType: group.entityType,
+            entityId: group.entityId,
+            label: group.label,
+            rows: kept.length,
+            from: kept[0].effectiveFrom.toISOString(),
+            until: until.toISOString()
+        });
+    }
+
+    /**
+     * استيراد ملف CSV
+     * Import a CSV file; nothing is written on a dry run or when any row is
+     * invalid. All targets are written in one transaction
+     */
+    static async importCsv(text, importedBy, options = {}) {
+        const { report, groups } = await PriceImportService.analyze(text);
+        report.dryRun = options.dryRun === true;
+        report.imported = 0;
+
+        if (report.errors.length > MAX_REPORTED_ERRORS) {
+            report.errorCount = report.errors.length;
+            report.errors = report.errors.slice(0, MAX_REPORTED_ERRORS);
+        }
+
+        if (report.dryRun || report.errors.length > 0 || groups.length === 0) {
+            return report;
+        }
+
+        // قفل الأهداف بترتيب ثابت لتجنب التعارض (deadlock)
+        groups.sort((a, b) => a.entityType.localeCompare(b.entityType) || a.entityId - b.entityId);
+
+        report.imported = await db.transaction(async (tx) => {
+            let imported = 0;
+
+            for (const group of groups) {
+                const Model = group.entityType === 'GOLD_TYPE' ? GoldPrice : CurrencyRate;
+
+                if (group.entityType === 'GOLD_TYPE') {
+                    await GoldPrice.lockGoldType(group.entityId, tx);
+                } else {
+                    await CurrencyRate.lockCurrency(group.entityId, tx);
+                }
+
+                // أسعار نُشرت بعد التحقق تغير نقطة الربط
+                const firstStored = await Model.getFirstEffectiveFrom(group.entityId, tx);
+                if (String(firstStored) !== String(group.firstStored)) {
+                    throw new Error(`Prices of ${group.label} changed during import; run it again`);
+                }
+
+                const count = await Model.insertHistorical(group.rows, importedBy, tx);
+
+                await Model.logChange(null, 'IMPORT', importedBy, {
+                    entityType: group.entityType,
+                    entityId: group.entityId,
+                    rows: count,
+                    from: group.rows[0].effectiveFrom.toISOString(),
+                    until: group.until.toISOString()
+                }, tx);
+
+                imported += count;
+            }
+
+            return imported;
+        });
+
+        return report;
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = PriceImportService;
+module.exports.MAX_ROWS = MAX_ROWS;
@@ -0,0 +1,313 @@
+/**
+ * =====================================================
+ * إحصائيات الأسعار المتقدمة
+ * Advanced Price Statistics
+ * =====================================================
+ * الملف: backend/services/PriceStatistics.js
+ * الغرض: حساب التغير مقارنة بيوم/أسبوع/شهر سابق، والانحراف
+ *        المعياري، والمتوسطات المتحركة، ومتوسط الفرق لفترة محددة
+ * =====================================================
+ */
+
+const GoldPrice = require('../models/GoldPrice');
+const GoldType = require('../models/GoldType');
+const CurrencyRate = require('../models/CurrencyRate');
+const { CandleIntervals, CANDLE_SIDES, MAX_BUCKETS } = require('../config/candles');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// الافتراضي لنافذة المتوسط البسيط وفترة المتوسط الأسي (بالأيام)
+const DEFAULT_SMA_WINDOW = 7;
+const DEFAULT_EMA_PERIOD = 14;
+const MAX_AVERAGE_WINDOW = 200;
+
+// نقاط المقارنة قبل نهاية الفترة
+const COMPARISONS = {
+    '1d': (to) => new Date(to.getTime() - DAY_MS),
+    '1w': (to) => new Date(to.getTime() - 7 * DAY_MS),
+    '1M': (to) => {
+        const point = new Date(to);
+        point.setUTCMonth(point.getUTCMonth() - 1);
+        return point;
+    }
+};
+
+// مصادر البيانات لكل نوع كيان
+const ENTITIES = {
+    gold: {
+        decimals: 2,
+        asOf: (id, point) => GoldPrice.getPriceAsOf(id, point),
+        values: (price) => ({ buy: price.buyPrice, sell: price.sellPrice }),
+        summary: (id, from, to) => GoldPrice.getStatistics(id, from, to),
+        candles: (id, interval, options) => GoldPrice.getCandles(id, interval, options),
+        list: async (includeInactive) => (await GoldType.findAll({ includeInactive })).map(type => ({
+            id: type.id,
+            goldTypeId: type.id,
+            nameAr: type.nameAr,
+            nameEn: type.nameEn,
+            karat: type.karat
+        }))
+    },
+    currency: {
+        decimals: 6,
+        asOf: (id, point) => CurrencyRate.getRateAsOf(id, point),
+        values: (rate) => ({ buy: rate.buyRate, sell: rate.sellRate }),
+        summary: (id, from, to) => CurrencyRate.getStatistics(id, from, to),
+        candles: (id, interval, options) => CurrencyRate.getCandles(id, interval, options),
+        list: async (includeInactive) => (await CurrencyRate.getCurrencies({ includeInactive }))
+            .filter(currency => !currency.is_base)
+            .map(currency => ({
+                id: currency.id,
+                currencyId: currency.id,
+                code: currency.code,
+                nameAr: currency.name_ar,
+                nameEn: currency.name_en
+            }))
+    }
+};
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * تقريب رقم
+ * Round to the given decimals (null stays null)
+ */
+const round = (value, decimals) => {
+    if (value === null || value === undefined || !isFinite(value)) {
+        return null;
+    }
+
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * تحليل عدد صحيح ضمن حدود
+ * Parse an optional integer parameter; returns the default, the value or null if invalid
+ */
+const parseWindow = (value, fallback, min, max) => {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : null;
+};
+
+// =====================================================
+// فئة إحصائيات الأسعار
+// Price Statistics Class
+// =====================================================
+class PriceStatistics {
+    /**
+     * تحليل معاملات طلب الإحصائيات
+     * Parse from, to (or the legacy days), side, sma and ema;
+     * returns { from, to, side, smaWindow, emaPeriod } or { error, code }
+     */
+    static parseQuery({ from, to, days, side, sma, ema } = {}) {
+        const daily = CandleIntervals.resolve('1d');
+        let start = from;
+
+        if (!from && days !== undefined && days !== '') {
+            const dayCount = parseWindow(days, null, 1, MAX_BUCKETS);
+            if (dayCount === null) {
+                return {
+                    error: `days must be an integer between 1 and ${MAX_BUCKETS}`,
+                    code: 'INVALID_RANGE'
+                };
+            }
+
+            const end = to ? new Date(to) : new Date();
+            start = new Date(end.getTime() - dayCount * DAY_MS);
+        }
+
+        const range = CandleIntervals.range(daily, start, to);
+        if (range.error) {
+            return { error: range.error, code: 'INVALID_RANGE' };
+        }
+
+        const priceSide = side ? String(side).toLowerCase() : 'sell';
+        if (!CANDLE_SIDES.includes(priceSide)) {
+            return {
+                error: `side must be one of: ${CANDLE_SIDES.join(', ')}`,
+                code: 'INVALID_SIDE'
+            };
+        }
+
+        const smaWindow = parseWindow(sma, DEFAULT_SMA_WINDOW, 1, MAX_AVERAGE_WINDOW);
+        const emaPeriod = parseWindow(ema, DEFAULT_EMA_PERIOD, 1, MAX_AVERAGE_WINDOW);
+        if (smaWindow === null || emaPeriod === null) {
+            return {
+                error: `sma and ema must be integers between 1 and ${MAX_AVERAGE_WINDOW}`,
+                code: 'INVALID_WINDOW'
+            };
+        }
+
+        return { from: range.from, to: range.to, side: priceSide, smaWindow, emaPeriod };
+    }
+
+    /**
+     * الانحراف المعياري للعينة
+     * Sample standard deviation (null with fewer than two values)
+     */
+    static standardDeviation(values) {
+        if (values.length < 2) {
+            return null;
+        }
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+
+        return Math.sqrt(variance);
+    }
+
+    /**
+     * المتوسط المتحرك البسيط
+     * Simple moving average of the last `window` values (null if too few)
+     */
+    static simpleMovingAverage(values, window) {
+        if (values.length < window) {
+            return null;
+        }
+
+        return values.slice(-window).reduce((sum, value) => sum + value, 0) / window;
+    }
+
+    /**
+     * المتوسط المتحرك الأسي
+     * Exponential moving average seeded with the SMA of the first
+     * `period` values (null if too few)
+     */
+    static exponentialMovingAverage(values, period) {
+        if (values.length < period) {
+            return null;
+        }
+
+        const alpha = 2 / (period + 1);
+        let average = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+
+        for (const value of values.slice(period)) {
+            average = alpha * value + (1 - alpha) * average;
+        }
+
+        return average;
+    }
+
+    /**
+     * التغير بين سعرين
+     * Absolute and percentage change per side; null if either price is missing
+     */
+    static change(current, previous, decimals) {
+        if (!current || !previous) {
+            return null;
+        }
+
+        const result = {};
+        for (const side of CANDLE_SIDES) {
+            result[side] = {
+                previous: previous[side],
+                absolute: round(current[side] - previous[side], decimals),
+                percent: previous[side] ? round(((current[side] - previous[side]) / previous[side]) * 100, 2) : null
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * إحصائيات كيان واحد
+     * Statistics for one gold type or currency over the parsed query
+     */
+    static async compute(entityType, entity, query) {
+        const source = ENTITIES[entityType];
+        const { decimals } = source;
+
+        // نهاية الفترة لا تتجاوز الآن حتى لا تدخل الأسعار المجدولة
+        const end = new Date(Math.min(query.to.getTime(), Date.now()));
+        const priceAt = async (point) => {
+            const price = await source.asOf(entity.id, point.toISOString());
+            return price ? source.values(price) : null;
+        };
+
+        const summary = await source.summary(entity.id, query.from, query.to);
+        const candles = await source.candles(entity.id, CandleIntervals.resolve('1d'), {
+            side: query.side,
+            from: query.from,
+            to: query.to
+        });
+        const closes = candles.map(candle => candle.close).filter(close => close !== null);
+        const returns = closes.slice(1).map((close, i) => (closes[i] ? (close - closes[i]) / closes[i] : 0));
+
+        const current = await priceAt(end);
+        const changes = {};
+        for (const [code, shift] of Object.entries(COMPARISONS)) {
+            changes[code] = PriceStatistics.change(current, await priceAt(shift(end)), decimals);
+        }
+
+        const { id, ...labels } = entity;
+        const volatility = PriceStatistics.standardDeviation(returns);
+
+        return {
+            ...labels,
+            side: query.side,
+            from: query.from.toISOString(),
+            to: query.to.toISOString(),
+            current,
+            changes,
+            ...summary,
+            stdDev: round(PriceStatistics.standardDeviation(closes), decimals),
+            volatilityPercent: volatility === null ? null : round(volatility * 100, 4),
+            sma: {
+                window: query.smaWindow,
+                value: round(PriceStatistics.simpleMovingAverage(closes, query.smaWindow), decimals)
+            },
+            ema: {
+                period: query.emaPeriod,
+                value: round(PriceStatistics.exponentialMovingAverage(closes, query.emaPeriod), decimals)
+            },
+            dailyCloses: closes.length
+        };
+    }
+
+    /**
+     * إحصائيات نوع ذهب أو عملة
+     * Statistics for one entity by id; returns null if it does not exist
+     * (the base currency has no rates and is treated as missing)
+     */
+    static async forEntity(entityType, entityId, query) {
+        const entities = await ENTITIES[entityType].list(true);
+        const entity = entities.find(item => item.id === parseInt(entityId, 10));
+
+        return entity ? PriceStatistics.compute(entityType, entity, query) : null;
+    }
+
+    /**
+     * إحصائيات جميع الأنواع أو العملات الفعالة
+     * Statistics for every active gold type or non-base currency
+     */
+    static async forAll(entityType, query) {
+        const entities = await ENTITIES[entityType].list(false);
+        const results = [];
+
+        // بالتتابع حتى لا تُستنزف اتصالات قاعدة البيانات
+        for (const entity of entities) {
+            results.push(await PriceStatistics.compute(entityType, entity, query));
+        }
+
+        return results;
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = PriceStatistics;
+module.exports.COMPARISONS = Object.keys(COMPARISONS);
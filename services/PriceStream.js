@@ -0,0 +1,192 @@
+/**
+ * =====================================================
+ * خدمة بث الأسعار المباشر
+ * Live Price Stream Service
+ * =====================================================
+ * الملف: backend/services/PriceStream.js
+ * الغرض: إدارة المشتركين في البث المباشر، بناء اللقطة الأولية،
+ *        ومراقبة بدء الأسعار المجدولة وتغير حالة السوق
+ * =====================================================
+ */
+
+const GoldPrice = require('../models/GoldPrice');
+const CurrencyRate = require('../models/CurrencyRate');
+const StoreSettings = require('../models/StoreSettings');
+const PriceEvents = require('./PriceEvents');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const WATCH_SECONDS = 30;
+const HEARTBEAT_SECONDS = 25;
+const RETRY_MS = 5000;
+const MAX_CLIENTS = Number(process.env.STREAM_MAX_CLIENTS) || 500;
+
+// =====================================================
+// فئة البث المباشر
+// Price Stream Class
+// =====================================================
+class PriceStream {
+    /**
+     * إنشاء خدمة البث
+     * Create stream service
+     */
+    constructor() {
+        this.clients = 0;
+        this.timer = null;
+        this.watching = false;
+        this.lastCheckAt = null;
+        this.marketOpen = null;
+    }
+
+    /**
+     * هل وصل عدد المشتركين للحد الأقصى؟
+     * Whether the subscriber limit is reached
+     */
+    isFull() {
+        return this.clients >= MAX_CLIENTS;
+    }
+
+    /**
+     * الاشتراك في الأحداث
+     * Subscribe a listener; returns the unsubscribe function.
+     * The watcher only runs while someone is listening
+     */
+    subscribe(listener) {
+        PriceEvents.on('event', listener);
+        this.clients += 1;
+
+        if (this.clients === 1) {
+            this.startWatch();
+        }
+
+        let active = true;
+        return () => {
+            if (!active) {
+                return;
+            }
+
+            active = false;
+            PriceEvents.off('event', listener);
+            this.clients -= 1;
+
+            if (this.clients === 0) {
+                this.stopWatch();
+            }
+        };
+    }
+
+    /**
+     * اللقطة الأولية
+     * Current state of the requested topics, sent on connect
+     */
+    async snapshot(topics) {
+        const data = {};
+
+        if (topics.includes('gold')) {
+            data.gold = (await GoldPrice.getAllCurrentPrices()).map(price => price.toJSON());
+        }
+
+        if (topics.includes('currency')) {
+            data.currency = (await CurrencyRate.getAllCurrentRates()).map(rate => rate.toJSON());
+        }
+
+        if (topics.includes('market')) {
+            data.market = { isOpen: await StoreSettings.isMarketOpen() };
+        }
+
+        return data;
+    }
+
+    /**
+     * بدء المراقبة
+     * Start watching for scheduled activations and market transitions
+     */
+    startWatch() {
+        if (this.timer) {
+            return;
+        }
+
+        this.lastCheckAt = new Date().toISOString();
+        this.marketOpen = null;
+        this.timer = setInterval(() => this.watch(), WATCH_SECONDS * 1000);
+        this.timer.unref();
+    }
+
+    /**
+     * إيقاف المراقبة
+     * Stop watching
+     */
+    stopWatch() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        this.marketOpen = null;
+    }
+
+    /**
+     * دورة مراقبة واحدة
+     * One watch tick: scheduled prices have no write when they take effect,
+     * so their activation is detected here
+     */
+    async watch() {
+        if (this.watching) {
+            return;
+        }
+
+        this.watching = true;
+
+        try {
+            const now = new Date().toISOString();
+
+            const prices = await GoldPrice.getActivatedBetween(this.lastCheckAt, now);
+            for (const price of prices) {
+                PriceEvents.publish('gold', { action: 'activated', price: price.toJSON() });
+            }
+
+            const rates = await CurrencyRate.getActivatedBetween(this.lastCheckAt, now);
+            for (const rate of rates) {
+                PriceEvents.publish('currency', { action: 'activated', rate: rate.toJSON() });
+            }
+
+            this.lastCheckAt = now;
+            await this.refreshMarketStatus();
+        } catch (error) {
+            console.error('Price stream watch error:', error);
+        } finally {
+            this.watching = false;
+        }
+    }
+
+    /**
+     * تحديث حالة السوق
+     * Publish a market event when the open/closed state changes
+     * (or always, with the new settings, after an admin edits them)
+     */
+    async refreshMarketStatus(settingsChanged = false) {
+        const isOpen = await StoreSettings.isMarketOpen();
+        const changed = this.marketOpen !== null && isOpen !== this.marketOpen;
+
+        if (changed || settingsChanged) {
+            PriceEvents.publish('market', {
+                action: settingsChanged ? 'updated' : (isOpen ? 'opened' : 'closed'),
+                isOpen,
+                ...(settingsChanged ? { settings: await StoreSettings.getMarketSettings() } : {})
+            });
+        }
+
+        this.marketOpen = isOpen;
+        return isOpen;
+    }
+}
+
+// =====================================================
+// تصدير نسخة واحدة مشتركة
+// Export shared instance
+// =====================================================
+module.exports = new PriceStream();
+module.exports.HEARTBEAT_SECONDS = HEARTBEAT_SECONDS;
+module.exports.RETRY_MS = RETRY_MS;
@@ -0,0 +1,152 @@
+/**
+ * =====================================================
+ * تقييم التنبيهات عند بدء الأسعار المجدولة
+ * Scheduled Price Alert Watcher
+ * =====================================================
+ * الملف: backend/services/ScheduledAlertWatcher.js
+ * الغرض: الأسعار المجدولة لا تُكتب عند بدئها، لذا تُرصد هنا
+ *        دورياً وتُقيّم تنبيهات المستخدمين عليها مقارنة بالسعر السابق
+ * =====================================================
+ */
+
+const db = require('../config/database');
+const GoldPrice = require('../models/GoldPrice');
+const CurrencyRate = require('../models/CurrencyRate');
+const PriceAlertService = require('./PriceAlertService');
+
+// =====================================================
+// الإعدادات
+// Configuration
+// =====================================================
+const DEFAULT_TICK_SECONDS = 30;
+
+// عند التشغيل تُراجع الأسعار التي بدأت خلال هذه المدة (مفتاح منع التكرار
+// في صندوق الإشعارات يمنع إرسال التنبيه نفسه مرتين)
+const STARTUP_LOOKBACK_MINUTES = 15;
+
+// مصادر الأسعار المجدولة
+const SOURCES = [
+    {
+        entityType: 'GOLD_TYPE',
+        Model: GoldPrice,
+        toAlertPrice: (price) => ({
+            entityId: price.goldTypeId,
+            label: price.goldTypeNameEn,
+            buy: price.buyPrice,
+            sell: price.sellPrice
+        })
+    },
+    {
+        entityType: 'CURRENCY',
+        Model: CurrencyRate,
+        toAlertPrice: (rate) => ({
+            entityId: rate.currencyId,
+            label: rate.currencyCode,
+            buy: rate.buyRate,
+            sell: rate.sellRate
+        })
+    }
+];
+
+// =====================================================
+// فئة مراقبة التنبيهات المجدولة
+// Scheduled Alert Watcher Class
+// =====================================================
+class ScheduledAlertWatcher {
+    /**
+     * إنشاء المراقب
+     * Create watcher
+     */
+    constructor() {
+        this.timer = null;
+        this.ticking = false;
+        this.lastCheckAt = null;
+    }
+
+    /**
+     * بدء المراقبة الدورية
+     * Start periodic checks
+     */
+    start(tickSeconds = Number(process.env.SCHEDULED_ALERTS_TICK_SECONDS) || DEFAULT_TICK_SECONDS) {
+        if (this.timer) {
+            return;
+        }
+
+        this.lastCheckAt = new Date(Date.now() - STARTUP_LOOKBACK_MINUTES * 60 * 1000).toISOString();
+        this.timer = setInterval(() => this.tick(), tickSeconds * 1000);
+        this.timer.unref();
+
+        console.log(`Scheduled price alert watcher started (tick ${tickSeconds}s).`);
+    }
+
+    /**
+     * إيقاف المراقبة
+     * Stop checks
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * دورة مراقبة واحدة
+     * One tick: evaluate alerts for every scheduled price that took effect
+     * since the last successful tick. On failure the window is retried
+     */
+    async tick() {
+        if (this.ticking) {
+            return 0;
+        }
+
+        this.ticking = true;
+
+        try {
+            const now = new Date().toISOString();
+            const from = this.lastCheckAt || now;
+            let evaluated = 0;
+
+            for (const source of SOURCES) {
+                const activated = await source.Model.getActivatedBetween(from, now);
+
+                for (const price of activated) {
+                    await this.evaluate(source, price);
+                    evaluated += 1;
+                }
+            }
+
+            this.lastCheckAt = now;
+            return evaluated;
+        } catch (error) {
+            console.error('Scheduled price alert watcher error:', error);
+            return 0;
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * تقييم تنبيهات سعر بدأ للتو
+     * Evaluate the alert rules for one activated price against the one before it
+     */
+    async evaluate(source, price) {
+        const previous = await source.Model.findPrevious(price.id);
+        const current = source.toAlertPrice(price);
+        const before = previous ? source.toAlertPrice(previous) : null;
+
+        return db.transaction(tx => PriceAlertService.evaluate(source.entityType, current.entityId, {
+            priceId: price.id,
+            label: current.label,
+            buy: current.buy,
+            sell: current.sell,
+            effectiveFrom: price.effectiveFrom
+        }, before && { buy: before.buy, sell: before.sell }, tx));
+    }
+}
+
+// =====================================================
+// تصدير نسخة واحدة مشتركة
+// Export shared instance
+// =====================================================
+module.exports = new ScheduledAlertWatcher();
@@ -0,0 +1,167 @@
+/**
+ * =====================================================
+ * مصدر أسعار ملفات CSV
+ * CSV Drop-Directory Price Feed
+ * =====================================================
+ * الملف: backend/services/priceFeeds/CsvDropFeed.js
+ * الغرض: قراءة ملفات CSV الموضوعة في مجلد ونقلها بعد المعالجة
+ *
+ * صيغة الملف (السطر الأول عناوين):
+ *   type,code,buy,sell
+ *   gold_spot,XAU,2350.40,
+ *   gold_24k,,245.10,
+ *   currency,EUR,1.08,1.09
+ *
+ * الملفات الناجحة تنقل إلى processed/ والفاشلة إلى failed/
+ * =====================================================
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeReading } = require('./reading');
+
+const REQUIRED_COLUMNS = ['type', 'code', 'buy', 'sell'];
+
+// =====================================================
+// فئة مصدر CSV
+// CSV Drop Feed Class
+// =====================================================
+class CsvDropFeed {
+    /**
+     * إنشاء المصدر
+     * config: { directory }
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.directory = config.directory;
+        this.pendingFiles = [];
+    }
+
+    /**
+     * التحقق من صحة الإعدادات
+     * Validate provider-specific configuration
+     */
+    static validate(config) {
+        const errors = [];
+
+        if (!config.directory || typeof config.directory !== 'string' || !path.isAbsolute(config.directory)) {
+            errors.push({
+                field: 'directory',
+                message: 'An absolute directory path is required',
+                code: 'DIRECTORY_INVALID'
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * تحليل محتوى ملف CSV
+     * Parse CSV content into a raw reading
+     */
+    static parse(content, fileName) {
+        const lines = content
+            .replace(/^\uFEFF/, '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+
+        if (lines.length < 2) {
+            throw new Error(`${fileName}: no data rows`);
+        }
+
+        const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+        const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`${fileName}: missing columns ${missing.join(', ')}`);
+        }
+
+        const raw = { currencies: [] };
+
+        lines.slice(1).forEach((line, index) => {
+            const cells = line.split(',').map(cell => cell.trim());
+            const row = Object.fromEntries(header.map((column, i) => [column, cells[i] || '']));
+
+            switch (row.type.toLowerCase()) {
+                case 'gold_spot':
+                    raw.spotPriceUsdPerOunce = row.buy;
+                    break;
+                case 'gold_24k':
+                    raw.basePrice24k = row.buy;
+                    break;
+                case 'currency':
+                    raw.currencies.push({ code: row.code, buy: row.buy, sell: row.sell || row.buy });
+                    break;
+                default:
+                    throw new Error(`${fileName}: unknown row type "${row.type}" on line ${index + 2}`);
+            }
+        });
+
+        return raw;
+    }
+
+    /**
+     * جلب القراءة من الملفات المعلقة
+     * Read all pending files (oldest name first, later rows win)
+     */
+    async fetch() {
+        const entries = await fs.readdir(this.directory, { withFileTypes: true });
+        const files = entries
+            .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.csv'))
+            .map(entry => entry.name)
+            .sort();
+
+        this.pendingFiles = files;
+
+        if (files.length === 0) {
+            return null;
+        }
+
+        const merged = { currencies: {} };
+
+        for (const file of files) {
+            const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+            const raw = CsvDropFeed.parse(content, file);
+
+            if (raw.spotPriceUsdPerOunce) {
+                merged.spotPriceUsdPerOunce = raw.spotPriceUsdPerOunce;
+                delete merged.basePrice24k;
+            }
+            if (raw.basePrice24k) {
+                merged.basePrice24k = raw.basePrice24k;
+                delete merged.spotPriceUsdPerOunce;
+            }
+            for (const currency of raw.currencies) {
+                merged.currencies[String(currency.code).toUpperCase()] = currency;
+            }
+        }
+
+        return normalizeReading(merged);
+    }
+
+    /**
+     * نقل الملفات بعد المعالجة
+     * Move the files of the last fetch to processed/ or failed/
+     */
+    async acknowledge(success) {
+        const target = path.join(this.directory, success ? 'processed' : 'failed');
+        await fs.mkdir(target, { recursive: true });
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        for (const file of this.pendingFiles) {
+            await fs.rename(
+                path.join(this.directory, file),
+                path.join(target, `${stamp}_${file}`)
+            );
+        }
+
+        this.pendingFiles = [];
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = CsvDropFeed;
@@ -0,0 +1,87 @@
+/**
+ * =====================================================
+ * مصدر أسعار HTTP JSON
+ * HTTP JSON Price Feed
+ * =====================================================
+ * الملف: backend/services/priceFeeds/HttpJsonFeed.js
+ * الغرض: جلب الأسعار من نقطة HTTP تعيد JSON
+ *        وتحديد الحقول عبر مسارات نقطية في الإعدادات
+ * =====================================================
+ */
+
+const { getPath, normalizeReading } = require('./reading');
+
+// =====================================================
+// فئة مصدر HTTP JSON
+// HTTP JSON Feed Class
+// =====================================================
+class HttpJsonFeed {
+    /**
+     * إنشاء المصدر
+     * config: { url, headers, timeoutMs, fields: { spotPriceUsdPerOunce, basePrice24k, currencies } }
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.url = config.url;
+        this.headers = config.headers || {};
+        this.timeoutMs = config.timeoutMs || 10000;
+        this.fields = config.fields || {};
+    }
+
+    /**
+     * التحقق من صحة الإعدادات
+     * Validate provider-specific configuration
+     */
+    static validate(config) {
+        const errors = [];
+
+        try {
+            const url = new URL(config.url);
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error('protocol');
+            }
+        } catch {
+            errors.push({ field: 'url', message: 'A valid http(s) URL is required', code: 'URL_INVALID' });
+        }
+
+        const fields = config.fields || {};
+        if (!fields.spotPriceUsdPerOunce && !fields.basePrice24k && !fields.currencies) {
+            errors.push({
+                field: 'fields',
+                message: 'At least one of fields.spotPriceUsdPerOunce, fields.basePrice24k or fields.currencies is required',
+                code: 'FIELDS_REQUIRED'
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * جلب القراءة
+     * Fetch and normalize a reading
+     */
+    async fetch() {
+        const response = await fetch(this.url, {
+            headers: { Accept: 'application/json', ...this.headers },
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Feed ${this.id} responded with HTTP ${response.status}`);
+        }
+
+        const body = await response.json();
+
+        return normalizeReading({
+            spotPriceUsdPerOunce: getPath(body, this.fields.spotPriceUsdPerOunce),
+            basePrice24k: getPath(body, this.fields.basePrice24k),
+            currencies: getPath(body, this.fields.currencies)
+        });
+    }
+}
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = HttpJsonFeed;
@@ -0,0 +1,55 @@
+/**
+ * =====================================================
+ * مصدر الأسعار اليدوي
+ * Manual Price Feed
+ * =====================================================
+ * الملف: backend/services/priceFeeds/ManualFeed.js
+ * الغرض: قراءة يرسلها المدير عبر الواجهة بنفس مسار الاستيراد
+ *        (لا تتم جدولته، يعمل فقط عند التشغيل اليدوي)
+ * =====================================================
+ */
+
+const { normalizeReading } = require('./reading');
+
+// =====================================================
+// فئة المصدر اليدوي
+// Manual Feed Class
+// =====================================================
+class ManualFeed {
+    /**
+     * إنشاء المصدر
+     * Create manual feed
+     */
+    constructor(config) {
+        this.id = config.id;
+    }
+
+    /**
+     * لا توجد إعدادات خاصة
+     * No provider-specific configuration
+     */
+    static validate() {
+        return [];
+    }
+
+    /**
+     * توحيد القراءة المرسلة
+     * Normalize the reading supplied with the run request
+     */
+    async fetch(input) {
+        if (!input) {
+            throw new Error(`Feed ${this.id} is manual and needs a reading in the request body`);
+        }
+
+        return normalizeReading(input);
+    }
+}
+
+// المصدر اليدوي لا يدخل في الاستطلاع الدوري
+ManualFeed.scheduled = false;
+
+// =====================================================
+// تصدير الفئة
+// Export class
+// =====================================================
+module.exports = ManualFeed;
@@ -0,0 +1,121 @@
+/**
+ * =====================================================
+ * سجل مصادر الأسعار
+ * Price Feed Registry
+ * =====================================================
+ * الملف: backend/services/priceFeeds/index.js
+ * الغرض: ربط أنواع المصادر بفئاتها والتحقق من إعداداتها
+ *
+ * إعداد المصدر (ضمن إعداد price_feeds):
+ *   { id, provider: 'http' | 'csv' | 'manual', enabled,
+ *     intervalSeconds, marketHoursOnly, ...إعدادات المزود }
+ * =====================================================
+ */
+
+const HttpJsonFeed = require('./HttpJsonFeed');
+const CsvDropFeed = require('./CsvDropFeed');
+const ManualFeed = require('./ManualFeed');
+
+// =====================================================
+// المزودون المدعومون
+// Supported providers
+// =====================================================
+const PROVIDERS = {
+    http: HttpJsonFeed,
+    csv: CsvDropFeed,
+    manual: ManualFeed
+};
+
+const MIN_INTERVAL_SECONDS = 10;
+const DEFAULT_INTERVAL_SECONDS = 300;
+
+/**
+ * توحيد إعداد المصدر بالقيم الافتراضية
+ * Apply defaults to a feed configuration
+ */
+const normalizeFeedConfig = (config) => ({
+    ...config,
+    enabled: config.enabled !== false,
+    intervalSeconds: config.intervalSeconds !== undefined
+        ? Number(config.intervalSeconds)
+        : DEFAULT_INTERVAL_SECONDS,
+    marketHoursOnly: config.marketHoursOnly !== false
+});
+
+/**
+ * التحقق من إعدادات المصادر
+ * Validate a list of feed configurations
+ */
+const validateFeedConfigs = (configs) => {
+    const errors = [];
+
+    if (!Array.isArray(configs)) {
+        return [{ field: 'feeds', message: 'Feeds must be an array', code: 'FEEDS_INVALID' }];
+    }
+
+    const seen = new Set();
+
+    configs.forEach((raw, index) => {
+        const config = normalizeFeedConfig(raw || {});
+        const prefix = `feeds[${index}]`;
+
+        if (!config.id || !/^[a-z0-9_-]{1,50}$/i.test(config.id)) {
+            errors.push({
+                field: `${prefix}.id`,
+                message: 'ID must be 1-50 letters, digits, dashes or underscores',
+                code: 'FEED_ID_INVALID'
+            });
+        } else if (seen.has(config.id)) {
+            errors.push({ field: `${prefix}.id`, message: 'Duplicate feed ID', code: 'FEED_ID_DUPLICATE' });
+        }
+        seen.add(config.id);
+
+        const Provider = PROVIDERS[config.provider];
+        if (!Provider) {
+            errors.push({
+                field: `${prefix}.provider`,
+                message: `Provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`,
+                code: 'PROVIDER_INVALID'
+            });
+            return;
+        }
+
+        if (!Number.isInteger(config.intervalSeconds) || config.intervalSeconds < MIN_INTERVAL_SECONDS) {
+            errors.push({
+                field: `${prefix}.intervalSeconds`,
+                message: `Interval must be an integer of at least ${MIN_INTERVAL_SECONDS} seconds`,
+                code: 'INTERVAL_INVALID'
+            });
+        }
+
+        for (const error of Provider.validate(config)) {
+            errors.push({ ...error, field: `${prefix}.${error.field}` });
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * إنشاء كائن المصدر من إعداده
+ * Instantiate the provider for a feed configuration
+ */
+const createFeed = (config) => {
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) {
+        throw new Error(`Unsupported price feed provider: ${config.provider}`);
+    }
+
+    return new Provider(config);
+};
+
+// =====================================================
+// تصدير السجل
+// Export registry
+// =====================================================
+module.exports = {
+    PROVIDERS,
+    normalizeFeedConfig,
+    validateFeedConfigs,
+    createFeed
+};
@@ -0,0 +1,113 @@
+/**
+ * =====================================================
+ * توحيد قراءات مصادر الأسعار
+ * Price Feed Reading Normalization
+ * =====================================================
+ * الملف: backend/services/priceFeeds/reading.js
+ * الغرض: تحويل ما يعيده أي مصدر إلى شكل موحد:
+ *        { gold: { spotPriceUsdPerOunce } | { basePrice24k } | null,
+ *          currencies: [{ code, buyRate, sellRate }] }
+ * =====================================================
+ */
+
+// =====================================================
+// دوال مساعدة
+// Helpers
+// =====================================================
+
+/**
+ * قراءة قيمة من كائن بمسار نقطي (مثال: data.rates.0.price)
+ * Read a value from an object by dotted path
+ */
+const getPath = (source, path) => {
+    if (!path) {
+        return undefined;
+    }
+
+    return String(path).split('.').reduce(
+        (value, key) => (value === undefined || value === null ? undefined : value[key]),
+        source
+    );
+};
+
+/**
+ * تحويل قيمة إلى رقم موجب
+ * Parse a strictly positive number, or throw
+ */
+const toPositiveNumber = (value, label) => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+
+    if (typeof number !== 'number' || !isFinite(number) || number <= 0) {
+        throw new Error(`Feed reading has invalid ${label}: ${value}`);
+    }
+
+    return number;
+};
+
+/**
+ * توحيد قائمة العملات
+ * Normalize currencies given as an array or as { CODE: mid | { buy, sell } }
+ */
+const normalizeCurrencies = (currencies) => {
+    if (currencies === undefined || currencies === null) {
+        return [];
+    }
+
+    const entries = Array.isArray(currencies)
+        ? currencies.map(item => [item.code, item])
+        : Object.entries(currencies);
+
+    return entries.map(([code, value]) => {
+        if (!code || typeof code !== 'string') {
+            throw new Error('Feed reading has a currency without a code');
+        }
+
+        const upper = code.trim().toUpperCase();
+
+        // قيمة واحدة تعني سعراً وسطياً للشراء والبيع
+        if (typeof value === 'number' || typeof value === 'string') {
+            const mid = toPositiveNumber(value, `${upper} rate`);
+            return { code: upper, buyRate: mid, sellRate: mid };
+        }
+
+        const buy = value.buyRate !== undefined ? value.buyRate : value.buy;
+        const sell = value.sellRate !== undefined ? value.sellRate : value.sell;
+
+        return {
+            code: upper,
+            buyRate: toPositiveNumber(buy, `${upper} buy rate`),
+            sellRate: toPositiveNumber(sell, `${upper} sell rate`)
+        };
+    });
+};
+
+/**
+ * توحيد القراءة
+ * Normalize a raw reading; throws if it carries no usable price
+ */
+const normalizeReading = (raw = {}) => {
+    let gold = null;
+
+    if (raw.spotPriceUsdPerOunce !== undefined && raw.spotPriceUsdPerOunce !== null) {
+        gold = { spotPriceUsdPerOunce: toPositiveNumber(raw.spotPriceUsdPerOunce, 'spot price') };
+    } else if (raw.basePrice24k !== undefined && raw.basePrice24k !== null) {
+        gold = { basePrice24k: toPositiveNumber(raw.basePrice24k, '24K base price') };
+    }
+
+    const currencies = normalizeCurrencies(raw.currencies);
+
+    if (!gold && currencies.length === 0) {
+        throw new Error('Feed reading contains neither a gold price nor currency rates');
+    }
+
+    return { gold, currencies };
+};
+
+// =====================================================
+// تصدير الدوال
+// Export helpers
+// =====================================================
+module.exports = {
+    getPath,
+    normalizeReading
+};
@@ -0,0 +1,64 @@
+/**
+ * =====================================================
+ * اختبارات فترات الشموع (OHLC)
+ * Candle Interval Tests
+ * =====================================================
+ * الملف: backend/tests/config/candles.test.js
+ * الغرض: التحقق من تحليل معاملات طلب الشموع (الفترة والجانب
+ *        والنطاق) والحد الأقصى لعدد الشموع
+ * =====================================================
+ */
+
+const { CandleIntervals, MAX_BUCKETS } = require('../../config/candles');
+
+describe('CandleIntervals.parseQuery', () => {
+    test('defaults to daily sell candles over the last 30 days', () => {
+        const before = Date.now();
+        const query = CandleIntervals.parseQuery();
+
+        expect(query.interval.code).toBe('1d');
+        expect(query.side).toBe('sell');
+        expect(query.to.getTime()).toBeGreaterThanOrEqual(before);
+        expect(query.to - query.from).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    test('accepts interval aliases and an explicit range', () => {
+        const query = CandleIntervals.parseQuery({
+            interval: 'Week',
+            side: 'BUY',
+            from: '2026-01-01T00:00:00Z',
+            to: '2026-03-01T00:00:00Z'
+        });
+
+        expect(query).toEqual({
+            interval: expect.objectContaining({ code: '1w', truncate: 'week' }),
+            side: 'buy',
+            from: new Date('2026-01-01T00:00:00Z'),
+            to: new Date('2026-03-01T00:00:00Z')
+        });
+    });
+
+    test('keeps the case-sensitive month code apart from minutes', () => {
+        expect(CandleIntervals.parseQuery({ interval: '1M' }).interval.code).toBe('1M');
+        expect(CandleIntervals.parseQuery({ interval: '1m' }).code).toBe('INVALID_INTERVAL');
+    });
+
+    test('rejects invalid sides and ranges with a code', () => {
+        expect(CandleIntervals.parseQuery({ side: 'mid' }).code).toBe('INVALID_SIDE');
+        expect(CandleIntervals.parseQuery({ from: 'yesterday' }).code).toBe('INVALID_RANGE');
+        expect(CandleIntervals.parseQuery({ from: '2026-02-01', to: '2026-01-01' }).error).toBe('from must be before to');
+    });
+
+    test('caps the number of candles per request', () => {
+        const query = CandleIntervals.parseQuery({
+            interval: '1h',
+            from: '2026-01-01T00:00:00Z',
+            to: '2026-03-01T00:00:00Z'
+        });
+
+        expect(query).toEqual({
+            error: `Range too large: at most ${MAX_BUCKETS} 1h candles per request`,
+            code: 'INVALID_RANGE'
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * =====================================================
+ * اختبارات طبقة الوصول إلى قاعدة البيانات
+ * Database Access Layer Tests
+ * =====================================================
+ * الملف: backend/tests/config/database.test.js
+ * الغرض: التحقق من تحويل صيغة SQLite إلى PostgreSQL ومن دوال
+ *        get/all/run والمعاملات والدوال المؤجلة بعد الاعتماد
+ * =====================================================
+ */
+
+const mockClient = {
+    query: jest.fn(),
+    release: jest.fn()
+};
+const mockPool = {
+    on: jest.fn(),
+    query: jest.fn(),
+    connect: jest.fn(async () => mockClient)
+};
+
+jest.mock('pg', () => ({
+    Pool: jest.fn(() => mockPool),
+    types: { setTypeParser: jest.fn() }
+}));
+
+const db = require('../../config/database');
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockPool.query.mockResolvedValue({ rows: [{ id: 5 }], rowCount: 1 });
+    mockClient.query.mockResolvedValue({ rows: [], rowCount: 0 });
+});
+
+afterEach(() => console.error.mockRestore());
+
+describe('database.translate', () => {
+    test('numbers ? placeholders but leaves quoted question marks alone', () => {
+        expect(db.translate("SELECT * FROM t WHERE a = ? AND b = '?' AND c = ?"))
+            .toBe("SELECT * FROM t WHERE a = $1 AND b = '?' AND c = $2");
+    });
+
+    test('maps SQLite time helpers to PostgreSQL', () => {
+        expect(db.translate("SELECT datetime('now'), date('now'), datetime('now', '+1 hour'), date('now', '-30 days')"))
+            .toBe("SELECT CURRENT_TIMESTAMP, CURRENT_DATE, (CURRENT_TIMESTAMP + INTERVAL '+1 hour'), (CURRENT_DATE + INTERVAL '-30 days')");
+    });
+});
+
+describe('database get/all/run', () => {
+    test('get returns the first row and all every row', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }, { id: 2 }], rowCount: 2 });
+
+        expect(await db.get('SELECT * FROM users WHERE id = ?', [1])).toEqual({ id: 1 });
+        expect(await db.all('SELECT * FROM users')).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(mockPool.query).toHaveBeenCalledWith('SELECT * FROM users WHERE id = $1', [1]);
+    });
+
+    test('run returns the inserted id through RETURNING', async () => {
+        const result = await db.run('INSERT INTO users (username) VALUES (?);', ['owner']);
+
+        expect(mockPool.query).toHaveBeenCalledWith('INSERT INTO users (username) VALUES ($1) RETURNING *', ['owner']);
+        expect(result).toEqual({ id: 5, changes: 1, rows: [{ id: 5 }] });
+    });
+
+    test('run reports affected rows of an update', async () => {
+        mockPool.query.mockResolvedValue({ rows: [], rowCount: 3 });
+
+        expect(await db.run('UPDATE users SET is_active = false')).toEqual({ id: null, changes: 3, rows: [] });
+    });
+});
+
+describe('database.transaction', () => {
+    const statements = () => mockClient.query.mock.calls.map(([sql]) => sql);
+
+    test('commits, then runs the deferred callbacks', async () => {
+        // الاستعلامات المنفذة لحظة استدعاء الدالة المؤجلة
+        let seen = null;
+        const published = jest.fn(() => { seen = statements(); });
+
+        const result = await db.transaction(async (tx) => {
+            await tx.run('UPDATE users SET is_active = ? WHERE id = ?', [false, 1]);
+            tx.afterCommit(published);
+            expect(published).not.toHaveBeenCalled();
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(statements()).toEqual(['BEGIN', 'UPDATE users SET is_active = $1 WHERE id = $2', 'COMMIT']);
+        expect(published).toHaveBeenCalledTimes(1);
+        expect(seen).toContain('COMMIT');
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('rolls back and drops the deferred callbacks when the callback throws', async () => {
+        const published = jest.fn();
+
+        await expect(db.transaction(async (tx) => {
+            tx.afterCommit(published);
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        expect(statements()).toEqual(['BEGIN', 'ROLLBACK']);
+        expect(published).not.toHaveBeenCalled();
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('a nested transaction joins the running one', async () => {
+        await db.transaction(tx => tx.transaction(inner => inner.get('SELECT 1')));
+
+        expect(mockPool.connect).toHaveBeenCalledTimes(1);
+        expect(statements()).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+    });
+
+    test('a failing deferred callback does not undo the commit', async () => {
+        const result = await db.transaction(async (tx) => {
+            tx.afterCommit(() => { throw new Error('listener failed'); });
+            return 'kept';
+        });
+
+        expect(result).toBe('kept');
+        expect(console.error).toHaveBeenCalledWith('After-commit callback error:', expect.any(Error));
+    });
+});
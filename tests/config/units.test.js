@@ -0,0 +1,50 @@
+/**
+ * =====================================================
+ * اختبارات سجل وحدات الوزن
+ * Weight Units Registry Tests
+ * =====================================================
+ * الملف: backend/tests/config/units.test.js
+ * الغرض: التحقق من تحديد الوحدات وأسمائها البديلة وتحويل سعر
+ *        الغرام إلى سعر الوحدة وبالعكس
+ * =====================================================
+ */
+
+const { WeightUnits, DEFAULT_UNIT } = require('../../config/units');
+
+describe('WeightUnits.resolve', () => {
+    test('defaults to the gram and accepts aliases in any case', () => {
+        expect(WeightUnits.resolve(undefined)).toBe(DEFAULT_UNIT);
+        expect(WeightUnits.resolve('')).toBe('gram');
+        expect(WeightUnits.resolve(' OZ ')).toBe('ounce');
+        expect(WeightUnits.resolve('mitqal')).toBe('mithqal');
+        expect(WeightUnits.resolve('Baht')).toBe('baht');
+    });
+
+    test('rejects unknown units', () => {
+        expect(WeightUnits.resolve('pound')).toBeNull();
+        expect(WeightUnits.isValid('pound')).toBe(false);
+        expect(() => WeightUnits.gramsPer('pound')).toThrow('Unsupported weight unit: pound');
+    });
+});
+
+describe('WeightUnits price conversion', () => {
+    test.each([
+        ['gram', 250],
+        ['kilogram', 250000],
+        ['ounce', 7775.87],
+        ['tola', 2915.95],
+        ['mithqal', 1062.5],
+        ['baht', 3811]
+    ])('prices one %s from the per-gram price', (unit, expected) => {
+        expect(WeightUnits.fromPerGram(250, unit)).toBe(expected);
+    });
+
+    test('round-trips a per-unit price back to the gram', () => {
+        expect(WeightUnits.toPerGram(WeightUnits.fromPerGram(250, 'tola', 6), 'tola')).toBeCloseTo(250, 6);
+    });
+
+    test('lists every supported unit once', () => {
+        expect(WeightUnits.list().map(unit => unit.code))
+            .toEqual(['gram', 'kilogram', 'ounce', 'tola', 'mithqal', 'baht']);
+    });
+});
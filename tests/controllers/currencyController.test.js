@@ -0,0 +1,98 @@
+/**
+ * =====================================================
+ * اختبارات متحكم أسعار العملات
+ * Currency Rates Controller Tests
+ * =====================================================
+ * الملف: backend/tests/controllers/currencyController.test.js
+ * الغرض: التحقق من أخطاء الصفوف في التحديث الجماعي للأسعار
+ * =====================================================
+ */
+
+jest.mock('../../models/CurrencyRate', () => ({
+    getCurrencies: jest.fn(),
+    bulkCreate: jest.fn()
+}));
+
+const CurrencyRate = require('../../models/CurrencyRate');
+const CurrencyController = require('../../controllers/currencyController');
+
+// استجابة وهمية تحفظ الحالة والجسم
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const bulkUpdate = async (rates) => {
+    const res = mockResponse();
+    await CurrencyController.bulkUpdate({ body: { rates }, session: { userId: 1, role: 'admin' } }, res);
+    return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+const rowFailure = (message, currencyId) => Object.assign(new Error(message), { currencyId });
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    CurrencyRate.getCurrencies.mockResolvedValue([{ id: 2, code: 'USD' }, { id: 3, code: 'EUR' }]);
+    CurrencyRate.bulkCreate.mockImplementation(async rates => rates.map(rate => ({ toJSON: () => rate })));
+});
+
+afterEach(() => console.error.mockRestore());
+
+describe('CurrencyController.bulkUpdate', () => {
+    test('reports unknown currencies per row and publishes the rest', async () => {
+        const { status, body } = await bulkUpdate([
+            { currencyId: 2, buyRate: 3.74, sellRate: 3.76 },
+            { currencyId: 99, buyRate: 1, sellRate: 1.1 },
+            { currencyId: 3, buyRate: -1, sellRate: 4.1 }
+        ]);
+
+        expect(status).toBe(200);
+        expect(CurrencyRate.bulkCreate).toHaveBeenCalledWith([expect.objectContaining({ currencyId: 2 })], 1);
+        expect(body.data.errors).toEqual([
+            { currencyId: 99, error: 'Currency not found', code: 'NOT_FOUND' },
+            { currencyId: 3, error: 'Rates must be positive numbers', code: 'INVALID_RATES' }
+        ]);
+        expect(body.data.successCount).toBe(1);
+    });
+
+    test('answers 400 with the row errors when no row is valid', async () => {
+        const { status, body } = await bulkUpdate([{ currencyId: 99, buyRate: 1, sellRate: 1.1 }]);
+
+        expect(status).toBe(400);
+        expect(body.data.errors).toHaveLength(1);
+        expect(CurrencyRate.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('names the row whose schedule conflict aborted the batch', async () => {
+        CurrencyRate.bulkCreate.mockRejectedValue(rowFailure('A rate is already scheduled at this time', 3));
+
+        const { status, body } = await bulkUpdate([{ currencyId: 3, buyRate: 4, sellRate: 4.1 }]);
+
+        expect(status).toBe(409);
+        expect(body).toMatchObject({ code: 'SCHEDULE_CONFLICT', currencyId: 3 });
+    });
+
+    test('names the row rejected by the sanity guard', async () => {
+        const violations = [{ field: 'buyRate', code: 'MAX_CHANGE_EXCEEDED' }];
+        CurrencyRate.bulkCreate.mockRejectedValue(
+            rowFailure(`Price sanity check failed: ${JSON.stringify(violations)}`, 2)
+        );
+
+        const { status, body } = await bulkUpdate([{ currencyId: 2, buyRate: 9, sellRate: 9.1 }]);
+
+        expect(status).toBe(422);
+        expect(body).toMatchObject({ code: 'PRICE_SANITY_FAILED', currencyId: 2, violations });
+    });
+
+    test('keeps unexpected failures a server error', async () => {
+        CurrencyRate.bulkCreate.mockRejectedValue(new Error('connection reset'));
+
+        const { status } = await bulkUpdate([{ currencyId: 2, buyRate: 3.74, sellRate: 3.76 }]);
+
+        expect(status).toBe(500);
+    });
+});
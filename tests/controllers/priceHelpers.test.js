@@ -0,0 +1,109 @@
+/**
+ * =====================================================
+ * اختبارات الدوال المساعدة لمتحكمات الأسعار
+ * Shared Price Controller Helper Tests
+ * =====================================================
+ * الملف: backend/tests/controllers/priceHelpers.test.js
+ * الغرض: التحقق من تحليل أوقات الجدولة والاستعلام التاريخي
+ *        وردود حماية الأسعار وطلبات الاعتماد
+ * =====================================================
+ */
+
+jest.mock('../../models/PriceChangeRequest', () => ({
+    isRequiredFor: jest.fn(),
+    create: jest.fn()
+}));
+
+const PriceChangeRequest = require('../../models/PriceChangeRequest');
+const {
+    parseEffectiveFrom,
+    parseAsOf,
+    rejectForbiddenForce,
+    sendSanityError,
+    submitForApproval
+} = require('../../controllers/priceHelpers');
+
+// استجابة وهمية تحفظ الحالة والجسم
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('parseEffectiveFrom', () => {
+    test('treats a missing value as immediate', () => {
+        expect(parseEffectiveFrom(undefined)).toEqual({ value: null });
+        expect(parseEffectiveFrom('')).toEqual({ value: null });
+    });
+
+    test('normalizes a future instant to ISO 8601', () => {
+        const date = inOneHour();
+        expect(parseEffectiveFrom(date.toISOString())).toEqual({ value: date.toISOString() });
+    });
+
+    test('rejects past and invalid instants', () => {
+        expect(parseEffectiveFrom('2020-01-01T00:00:00Z').error).toMatch('in the future');
+        expect(parseEffectiveFrom('tomorrow').error).toMatch('valid ISO 8601');
+    });
+});
+
+describe('parseAsOf', () => {
+    test('accepts a past instant and rejects a future one', () => {
+        expect(parseAsOf('2026-01-01T00:00:00Z')).toEqual({ value: '2026-01-01T00:00:00.000Z' });
+        expect(parseAsOf(inOneHour().toISOString()).error).toMatch('cannot be in the future');
+    });
+});
+
+describe('rejectForbiddenForce', () => {
+    test('only admins may force past the sanity guard', () => {
+        const res = mockResponse();
+
+        expect(rejectForbiddenForce({ body: { force: true }, session: { role: 'admin' } }, res)).toBe(false);
+        expect(rejectForbiddenForce({ body: { force: true }, session: { role: 'manager' } }, res)).toBe(true);
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+});
+
+describe('sendSanityError', () => {
+    test('answers 422 with the violations of a guard error only', () => {
+        const res = mockResponse();
+        const violations = [{ field: 'buyPrice', code: 'MAX_CHANGE_EXCEEDED' }];
+
+        expect(sendSanityError(res, new Error('Currency not found'))).toBe(false);
+        expect(sendSanityError(res, new Error(`Price sanity check failed: ${JSON.stringify(violations)}`))).toBe(true);
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.json.mock.calls[0][0].violations).toEqual(violations);
+    });
+});
+
+describe('submitForApproval', () => {
+    test('creates a pending request and answers 202 when approval is required', async () => {
+        const res = mockResponse();
+        PriceChangeRequest.isRequiredFor.mockResolvedValue(true);
+        PriceChangeRequest.create.mockResolvedValue({ toJSON: () => ({ id: 5, status: 'PENDING' }) });
+
+        const sent = await submitForApproval(
+            { session: { role: 'manager', userId: 3 } },
+            res,
+            { entityType: 'CURRENCY', entityId: 2, action: 'CREATE', payload: {} },
+            'Rate change submitted for approval'
+        );
+
+        expect(sent).toBe(true);
+        expect(PriceChangeRequest.create).toHaveBeenCalledWith(expect.objectContaining({ entityType: 'CURRENCY' }), 3);
+        expect(res.status).toHaveBeenCalledWith(202);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ message: 'Rate change submitted for approval', code: 'PENDING_APPROVAL' });
+    });
+
+    test('lets the change through when approval is not required', async () => {
+        PriceChangeRequest.isRequiredFor.mockResolvedValue(false);
+
+        expect(await submitForApproval({ session: { role: 'admin' } }, mockResponse(), {})).toBe(false);
+        expect(PriceChangeRequest.create).not.toHaveBeenCalled();
+    });
+});
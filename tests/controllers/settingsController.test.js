@@ -0,0 +1,105 @@
+/**
+ * =====================================================
+ * اختبارات متحكم الإعدادات
+ * Settings Controller Tests
+ * =====================================================
+ * الملف: backend/tests/controllers/settingsController.test.js
+ * الغرض: التحقق من حفظ إعدادات السوق وسياسات الهوامش
+ * =====================================================
+ */
+
+jest.mock('../../models/StoreSettings', () => ({
+    set: jest.fn(),
+    getMarketSettings: jest.fn()
+}));
+jest.mock('../../services/PriceStream', () => ({
+    refreshMarketStatus: jest.fn()
+}));
+jest.mock('../../models/GoldType', () => ({
+    findById: jest.fn()
+}));
+jest.mock('../../models/Currency', () => ({
+    findById: jest.fn()
+}));
+
+const StoreSettings = require('../../models/StoreSettings');
+const PriceStream = require('../../services/PriceStream');
+const GoldType = require('../../models/GoldType');
+const Currency = require('../../models/Currency');
+const MarginPolicy = require('../../models/MarginPolicy');
+const SettingsController = require('../../controllers/settingsController');
+
+// استجابة وهمية تحفظ الحالة والجسم
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => console.error.mockRestore());
+
+describe('SettingsController.updateMarketSettings', () => {
+    test('answers once the settings are saved, without waiting for the broadcast', async () => {
+        const res = mockResponse();
+        StoreSettings.getMarketSettings.mockResolvedValue({ openTime: '09:00' });
+        PriceStream.refreshMarketStatus.mockReturnValue(new Promise(() => {}));
+
+        await SettingsController.updateMarketSettings({ body: { openTime: '09:00' }, session: { userId: 1 } }, res);
+
+        expect(StoreSettings.set).toHaveBeenCalledWith('market_open_time', '09:00', 'string', 1);
+        expect(PriceStream.refreshMarketStatus).toHaveBeenCalledWith(true);
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('logs a failed broadcast instead of failing the request', async () => {
+        const res = mockResponse();
+        StoreSettings.getMarketSettings.mockResolvedValue({});
+        PriceStream.refreshMarketStatus.mockRejectedValue(new Error('database unavailable'));
+
+        await SettingsController.updateMarketSettings({ body: { timezone: 'Asia/Riyadh' }, session: {} }, res);
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(console.error).toHaveBeenCalledWith('Market status broadcast error:', expect.any(Error));
+    });
+});
+
+describe('SettingsController.setMarginPolicy', () => {
+    const setMarginPolicy = async (body) => {
+        const res = mockResponse();
+        await SettingsController.setMarginPolicy({ body, session: { userId: 1 } }, res);
+        return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(MarginPolicy, 'upsert').mockImplementation(async data => ({ toJSON: () => data }));
+    });
+
+    afterEach(() => MarginPolicy.upsert.mockRestore());
+
+    test('saves a policy for an existing gold type', async () => {
+        GoldType.findById.mockResolvedValue({ id: 2 });
+
+        const { status } = await setMarginPolicy({ entityType: 'GOLD_TYPE', entityId: 2, marginBuy: 0.01, marginSell: 0.02 });
+
+        expect(status).toBe(200);
+        expect(GoldType.findById).toHaveBeenCalledWith(2);
+        expect(MarginPolicy.upsert).toHaveBeenCalled();
+    });
+
+    test('answers 404 for a missing currency without saving', async () => {
+        Currency.findById.mockResolvedValue(null);
+
+        const { status, body } = await setMarginPolicy({ entityType: 'CURRENCY', entityId: 99, marginBuy: 0.01, marginSell: 0.02 });
+
+        expect(status).toBe(404);
+        expect(body.code).toBe('CURRENCY_NOT_FOUND');
+        expect(MarginPolicy.upsert).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * =====================================================
+ * اختبارات مشغل ترحيلات قاعدة البيانات
+ * Database Migration Runner Tests
+ * =====================================================
+ * الملف: backend/tests/database/migrator.test.js
+ * الغرض: التحقق من قراءة ملفات الترحيل وتطبيق المعلق منها والتراجع
+ *        عنها تحت القفل الاستشاري، والتراجع عن الملف الفاشل
+ * =====================================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockClient = {
+    query: jest.fn(),
+    release: jest.fn()
+};
+
+jest.mock('../../config/database', () => ({
+    pool: { connect: jest.fn(async () => mockClient) }
+}));
+
+const Migrator = require('../../database/migrator');
+
+const loadMigrations = Migrator.loadMigrations;
+
+// =====================================================
+// مجلد ترحيلات مؤقت
+// Temporary migrations directory
+// =====================================================
+let directory;
+
+const writeMigrations = (files) => {
+    for (const [name, sql] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, name), sql);
+    }
+};
+
+// الاستعلامات المنفذة على الاتصال بالترتيب (مع ضغط المسافات)
+const queries = () => mockClient.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+
+// صفوف جدول schema_migrations الوهمي
+let applied;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigrations({
+        '0001_initial_schema.up.sql': 'CREATE TABLE a (id INT);',
+        '0001_initial_schema.down.sql': 'DROP TABLE a;',
+        '0002_add_b.up.sql': 'CREATE TABLE b (id INT);',
+        '0002_add_b.down.sql': 'DROP TABLE b;',
+        'README.md': 'not a migration'
+    });
+
+    applied = [{ version: '0001', name: 'initial_schema', applied_at: '2026-01-01T00:00:00Z' }];
+    mockClient.query.mockImplementation(async (sql) => (
+        sql.startsWith('SELECT version') ? { rows: applied } : { rows: [] }
+    ));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('Migrator.loadMigrations', () => {
+    test('pairs up and down files and orders them by version', () => {
+        writeMigrations({ '0010_later.up.sql': 'SELECT 1;' });
+
+        expect(loadMigrations(directory)).toEqual([
+            {
+                version: '0001',
+                name: 'initial_schema',
+                up: path.join(directory, '0001_initial_schema.up.sql'),
+                down: path.join(directory, '0001_initial_schema.down.sql')
+            },
+            {
+                version: '0002',
+                name: 'add_b',
+                up: path.join(directory, '0002_add_b.up.sql'),
+                down: path.join(directory, '0002_add_b.down.sql')
+            },
+            { version: '0010', name: 'later', up: path.join(directory, '0010_later.up.sql'), down: null }
+        ]);
+    });
+
+    test('rejects a version without an up file', () => {
+        writeMigrations({ '0003_orphan.down.sql': 'SELECT 1;' });
+
+        expect(() => loadMigrations(directory)).toThrow('Migration 0003_orphan is missing its up file');
+    });
+
+    test('rejects a version whose files have different names', () => {
+        writeMigrations({ '0003_orphan.down.sql': 'SELECT 1;', '0003_other.up.sql': 'SELECT 1;' });
+
+        expect(() => loadMigrations(directory)).toThrow('Migration 0003 has mismatched file names');
+    });
+
+    test('every shipped migration starts at 0001 and can be rolled back', () => {
+        const migrations = loadMigrations();
+
+        expect(migrations[0]).toMatchObject({ version: '0001', name: 'initial_schema' });
+        expect(migrations.filter(migration => !migration.down)).toEqual([]);
+    });
+});
+
+describe('Migrator.migrate and rollback', () => {
+    beforeEach(() => {
+        jest.spyOn(Migrator, 'loadMigrations').mockImplementation(() => loadMigrations(directory));
+    });
+
+    test('applies only pending migrations, each in its own transaction, under the advisory lock', async () => {
+        expect(await Migrator.migrate()).toEqual(['0002_add_b']);
+
+        const executed = queries();
+        expect(executed[0]).toBe('SELECT pg_advisory_lock($1)');
+        expect(executed[1]).toMatch(/^CREATE TABLE IF NOT EXISTS schema_migrations/);
+        expect(executed.slice(3)).toEqual([
+            'BEGIN',
+            'CREATE TABLE b (id INT);',
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            'COMMIT',
+            'SELECT pg_advisory_unlock($1)'
+        ]);
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO'), ['0002', 'add_b']);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('does nothing when every migration is applied', async () => {
+        applied.push({ version: '0002', name: 'add_b', applied_at: '2026-01-02T00:00:00Z' });
+
+        expect(await Migrator.migrate()).toEqual([]);
+        expect(queries()).not.toContain('BEGIN');
+    });
+
+    test('rolls back a failing migration and still releases the lock', async () => {
+        mockClient.query.mockImplementation(async (sql) => {
+            if (sql.startsWith('CREATE TABLE b')) throw new Error('relation "b" already exists');
+            return sql.startsWith('SELECT version') ? { rows: applied } : { rows: [] };
+        });
+
+        await expect(Migrator.migrate())
+            .rejects.toThrow('Migration 0002_add_b (up) failed: relation "b" already exists');
+
+        const executed = queries();
+        expect(executed).toContain('ROLLBACK');
+        expect(executed).not.toContain('COMMIT');
+        expect(executed[executed.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('rolls back the most recent migrations first', async () => {
+        applied.push({ version: '0002', name: 'add_b', applied_at: '2026-01-02T00:00:00Z' });
+
+        expect(await Migrator.rollback(2)).toEqual(['0002_add_b', '0001_initial_schema']);
+
+        const executed = queries();
+        expect(executed.indexOf('DROP TABLE b;')).toBeLessThan(executed.indexOf('DROP TABLE a;'));
+        expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM schema_migrations'), ['0001']);
+    });
+
+    test('refuses to roll back a migration without a down file', async () => {
+        fs.unlinkSync(path.join(directory, '0001_initial_schema.down.sql'));
+
+        await expect(Migrator.rollback()).rejects.toThrow('Migration 0001_initial_schema has no down file');
+        expect(queries()).not.toContain('BEGIN');
+    });
+
+    test('reports applied and pending migrations', async () => {
+        expect(await Migrator.status()).toEqual([
+            { version: '0001', name: 'initial_schema', applied: true, appliedAt: '2026-01-01T00:00:00Z' },
+            { version: '0002', name: 'add_b', applied: false, appliedAt: null }
+        ]);
+    });
+});
@@ -0,0 +1,299 @@
+/**
+ * =====================================================
+ * اختبارات نموذج أسعار العملات
+ * Currency Rate Model Tests
+ * =====================================================
+ * الملف: backend/tests/models/CurrencyRate.test.js
+ * الغرض: التحقق من فتح فترة للسعر الجديد أو المجدول في الجدول
+ *        الزمني دون تداخل، ومن الأسعار النهائية والتحويل وسجل التدقيق
+ *        والاستعلام في لحظة معينة والأسعار المتقاطعة
+ * =====================================================
+ */
+
+const mockTx = {
+    get: jest.fn(),
+    run: jest.fn(),
+    afterCommit: jest.fn()
+};
+
+jest.mock('../../config/database', () => ({
+    run: jest.fn(),
+    transaction: jest.fn(callback => callback(mockTx))
+}));
+jest.mock('../../models/MarginPolicy', () => ({
+    resolve: jest.fn()
+}));
+jest.mock('../../services/PriceGuard', () => ({
+    enforce: jest.fn()
+}));
+jest.mock('../../services/PriceAlertService', () => ({
+    evaluate: jest.fn()
+}));
+jest.mock('../../services/PriceEvents', () => ({
+    publish: jest.fn()
+}));
+
+const db = require('../../config/database');
+const PriceGuard = require('../../services/PriceGuard');
+const PriceAlertService = require('../../services/PriceAlertService');
+const CurrencyRate = require('../../models/CurrencyRate');
+
+const SCHEDULED_AT = '2026-11-01T06:00:00.000Z';
+const NEXT_SCHEDULED = '2026-11-05T06:00:00.000Z';
+
+// الجدول الزمني الوهمي: تعارض في نفس اللحظة، السعر الذي يغطيها، وأقرب سعر مجدول بعدها
+let timeline;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    timeline = { clash: null, covering: { id: 10, effective_until: NEXT_SCHEDULED }, next: null };
+    mockTx.get.mockImplementation(async (sql) => {
+        if (sql.includes('effective_from = CAST')) return timeline.clash;
+        if (sql.includes('ORDER BY effective_from DESC')) return timeline.covering;
+        if (sql.includes('MIN(effective_from)')) return { next_from: timeline.next };
+        return null;
+    });
+    mockTx.run.mockResolvedValue({ id: 11, changes: 1 });
+});
+
+describe('CurrencyRate.openSlot', () => {
+    test('closes the covering rate at the scheduled start and inherits its end', async () => {
+        const effectiveUntil = await CurrencyRate.openSlot(2, SCHEDULED_AT, mockTx);
+
+        expect(effectiveUntil).toBe(NEXT_SCHEDULED);
+        expect(mockTx.run).toHaveBeenCalledWith(
+            'UPDATE currency_rates SET effective_until = CAST(? AS TIMESTAMPTZ) WHERE id = ?',
+            [SCHEDULED_AT, 10]
+        );
+    });
+
+    test('closes the current rate now for an immediate rate', async () => {
+        timeline.covering = { id: 10, effective_until: null };
+
+        expect(await CurrencyRate.openSlot(2, null, mockTx)).toBeNull();
+        expect(mockTx.run).toHaveBeenCalledWith(
+            "UPDATE currency_rates SET effective_until = datetime('now') WHERE id = ?",
+            [10]
+        );
+    });
+
+    test('ends a rate placed before the whole timeline at the first scheduled start', async () => {
+        timeline.covering = null;
+        timeline.next = NEXT_SCHEDULED;
+
+        expect(await CurrencyRate.openSlot(2, SCHEDULED_AT, mockTx)).toBe(NEXT_SCHEDULED);
+        expect(mockTx.run).not.toHaveBeenCalled();
+    });
+
+    test('rejects a second rate at the same scheduled start', async () => {
+        timeline.clash = { id: 12 };
+
+        await expect(CurrencyRate.openSlot(2, SCHEDULED_AT, mockTx)).rejects.toThrow('A rate is already scheduled at this time');
+        expect(mockTx.run).not.toHaveBeenCalled();
+    });
+});
+
+describe('CurrencyRate.create with effectiveFrom', () => {
+    const scheduled = new CurrencyRate({ id: 11, currency_id: 2, currency_code: 'USD', buy_rate: 3.74, sell_rate: 3.76 });
+
+    beforeEach(() => {
+        jest.spyOn(CurrencyRate, 'lockCurrency').mockResolvedValue({ id: 2 });
+        jest.spyOn(CurrencyRate, 'getCurrentRate').mockResolvedValue(
+            new CurrencyRate({ id: 10, currency_id: 2, buy_rate: 3.7, sell_rate: 3.72 })
+        );
+        jest.spyOn(CurrencyRate, 'findById').mockResolvedValue(scheduled);
+        jest.spyOn(CurrencyRate, 'logChange').mockResolvedValue();
+        PriceGuard.enforce.mockResolvedValue([]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const create = () => CurrencyRate.create({
+        currencyId: 2,
+        buyRate: 3.74,
+        sellRate: 3.76,
+        marginBuy: 0,
+        marginSell: 0,
+        effectiveFrom: SCHEDULED_AT
+    }, 1);
+
+    test('inserts the rate into its slot and logs it as scheduled', async () => {
+        await create();
+
+        const [sql, params] = mockTx.run.mock.calls.find(([statement]) => statement.includes('INSERT INTO currency_rates'));
+        expect(sql).toContain('CAST(? AS TIMESTAMPTZ)');
+        expect(params.slice(-2)).toEqual([SCHEDULED_AT, NEXT_SCHEDULED]);
+        expect(CurrencyRate.logChange).toHaveBeenCalledWith(11, 'SCHEDULE', 1, expect.any(Object), mockTx);
+    });
+
+    test('guards against the current rate but leaves alerts to the scheduled watcher', async () => {
+        await create();
+
+        expect(PriceGuard.enforce).toHaveBeenCalledWith('CURRENCY', { buy: 3.74, sell: 3.76 }, { buy: 3.7, sell: 3.72 }, false);
+        expect(PriceAlertService.evaluate).not.toHaveBeenCalled();
+    });
+});
+
+describe('CurrencyRate final rates', () => {
+    const usd = new CurrencyRate({ id: 10, currency_id: 2, buy_rate: 3.7, sell_rate: 3.8, margin_buy: 0.01, margin_sell: 0.01 });
+
+    test('applies the stored margin on top of each side', () => {
+        expect(usd.getFinalRate('buy')).toBeCloseTo(3.737, 6);
+        expect(usd.getFinalRate('sell')).toBeCloseTo(3.762, 6);
+        expect(usd.getMidRate()).toBeCloseTo(3.7495, 6);
+    });
+
+    test('converts through the final rates', () => {
+        expect(usd.convertFromBase(100, 'buy')).toBeCloseTo(373.7, 6);
+        expect(usd.convertToBase(3.762, 'sell')).toBeCloseTo(1, 6);
+    });
+});
+
+describe('CurrencyRate.logChange', () => {
+    const auditError = new Error('audit_log insert failed');
+
+    beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+    afterEach(() => console.error.mockRestore());
+
+    test('fails the transaction when the audit row cannot be written', async () => {
+        mockTx.run.mockRejectedValue(auditError);
+
+        await expect(CurrencyRate.logChange(11, 'UPDATE', 1, {}, mockTx)).rejects.toThrow(auditError);
+    });
+
+    test('only logs the error outside a transaction', async () => {
+        db.run.mockRejectedValue(auditError);
+
+        await expect(CurrencyRate.logChange(11, 'DELETE', 1, {})).resolves.toBeUndefined();
+        expect(console.error).toHaveBeenCalledWith('Error logging currency rate change:', auditError);
+    });
+});
+
+describe('CurrencyRate.create with force', () => {
+    const violations = [{ code: 'PRICE_JUMP', side: 'buy' }];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(CurrencyRate, 'lockCurrency').mockResolvedValue({ id: 2 });
+        jest.spyOn(CurrencyRate, 'getCurrentRate').mockResolvedValue(
+            new CurrencyRate({ id: 10, currency_id: 2, buy_rate: 3.7, sell_rate: 3.72 })
+        );
+        jest.spyOn(CurrencyRate, 'openSlot').mockResolvedValue(null);
+        jest.spyOn(CurrencyRate, 'findById').mockResolvedValue(new CurrencyRate({ id: 11, currency_id: 2 }));
+        PriceGuard.enforce.mockResolvedValue(violations);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const create = () => CurrencyRate.create({
+        currencyId: 2,
+        buyRate: 37,
+        sellRate: 37.2,
+        marginBuy: 0,
+        marginSell: 0,
+        force: true
+    }, 1);
+
+    test('records the override in the audit row of the same transaction', async () => {
+        await create();
+
+        const [, params] = mockTx.run.mock.calls.find(([sql]) => sql.includes('INSERT INTO audit_log'));
+        expect(JSON.parse(params[3]).sanityOverride).toEqual(violations);
+    });
+
+    test('fails the forced change when its audit row cannot be written', async () => {
+        mockTx.run.mockImplementation(async (sql) => {
+            if (sql.includes('INSERT INTO audit_log')) throw new Error('audit_log insert failed');
+            return { id: 11, changes: 1 };
+        });
+
+        await expect(create()).rejects.toThrow('audit_log insert failed');
+        expect(mockTx.afterCommit).not.toHaveBeenCalled();
+    });
+});
+
+describe('CurrencyRate.getCrossRateMatrix', () => {
+    beforeEach(() => {
+        jest.spyOn(CurrencyRate, 'getAllCurrentRates').mockResolvedValue([
+            new CurrencyRate({ currency_code: 'SAR', is_base: true }),
+            new CurrencyRate({ id: 10, currency_code: 'USD', buy_rate: 0.25, sell_rate: 0.2, margin_buy: 0, margin_sell: 0 }),
+            new CurrencyRate({ id: 11, currency_code: 'EUR', buy_rate: 0.5, sell_rate: 0.25, margin_buy: 0, margin_sell: 0 }),
+            new CurrencyRate({ currency_code: 'GBP' })
+        ]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('derives every pair from the base-currency rates', async () => {
+        const matrix = await CurrencyRate.getCrossRateMatrix();
+
+        expect(matrix.base).toBe('SAR');
+        expect(matrix.buy).toEqual({
+            SAR: { SAR: 1, USD: 0.25, EUR: 0.5 },
+            USD: { SAR: 4, USD: 1, EUR: 2 },
+            EUR: { SAR: 2, USD: 0.5, EUR: 1 }
+        });
+        expect(matrix.sell.USD).toEqual({ SAR: 5, USD: 1, EUR: 1.25 });
+    });
+
+    test('lists currencies without a current rate as unavailable', async () => {
+        const matrix = await CurrencyRate.getCrossRateMatrix('2026-10-01T00:00:00.000Z');
+
+        expect(CurrencyRate.getAllCurrentRates).toHaveBeenCalledWith('2026-10-01T00:00:00.000Z');
+        expect(matrix.currencies.map(currency => currency.code)).toEqual(['SAR', 'USD', 'EUR']);
+        expect(matrix.unavailable).toEqual(['GBP']);
+        expect(matrix.asOf).toBe('2026-10-01T00:00:00.000Z');
+    });
+});
+
+describe('CurrencyRate.getRateAsOf', () => {
+    const AS_OF = '2026-09-15T12:00:00.000Z';
+
+    test('looks up the rate whose window contains the given instant', async () => {
+        mockTx.get.mockResolvedValueOnce({ id: 9, currency_id: 2, buy_rate: 3.74, effective_until: NEXT_SCHEDULED });
+
+        const rate = await CurrencyRate.getRateAsOf(2, AS_OF, mockTx);
+        const [sql, params] = mockTx.get.mock.calls[0];
+
+        expect(rate).toBeInstanceOf(CurrencyRate);
+        expect(rate.id).toBe(9);
+        expect(sql).toContain('cr.effective_from <= CAST(? AS TIMESTAMPTZ)');
+        expect(sql).toContain('cr.effective_until > CAST(? AS TIMESTAMPTZ)');
+        expect(params).toEqual([2, AS_OF, AS_OF]);
+    });
+
+    test('uses the current time without asOf and returns null when nothing was in effect', async () => {
+        mockTx.get.mockResolvedValueOnce(undefined);
+
+        expect(await CurrencyRate.getRateAsOf(2, null, mockTx)).toBeNull();
+
+        const [sql, params] = mockTx.get.mock.calls[0];
+        expect(sql).toContain("cr.effective_from <= datetime('now')");
+        expect(params).toEqual([2]);
+    });
+});
+
+describe('CurrencyRate.getQuoteRates', () => {
+    beforeEach(() => {
+        jest.spyOn(CurrencyRate, 'getAllCurrentRates').mockResolvedValue([
+            new CurrencyRate({ currency_code: 'SAR', is_base: true }),
+            new CurrencyRate({ id: 10, currency_code: 'USD', buy_rate: 0.26, sell_rate: 0.28 }),
+            new CurrencyRate({ currency_code: 'GBP' })
+        ]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('quotes every active currency per unit of the source currency', async () => {
+        const quotes = await CurrencyRate.getQuoteRates('sar');
+
+        expect(quotes.map(quote => [quote.code, quote.rate])).toEqual([['SAR', 1], ['USD', 0.27], ['GBP', null]]);
+    });
+
+    test('has no rates when the source currency is unknown', async () => {
+        const quotes = await CurrencyRate.getQuoteRates('JPY');
+
+        expect(quotes.every(quote => quote.rate === null)).toBe(true);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * =====================================================
+ * اختبارات نموذج أسعار الذهب
+ * Gold Price Model Tests
+ * =====================================================
+ * الملف: backend/tests/models/GoldPrice.test.js
+ * الغرض: التحقق من اشتقاق أسعار جميع الأنواع الفعالة من السعر العالمي
+ *        (دولار للأونصة) وسعر صرف عملة العرض وسياسة الهوامش، ومن
+ *        استرجاع سعر سابق أو دفعة أسعار كاملة، وتحويل السعر إلى عملة أخرى
+ * =====================================================
+ */
+
+const mockTx = {
+    all: jest.fn(),
+    run: jest.fn(),
+    afterCommit: jest.fn()
+};
+
+jest.mock('../../config/database', () => ({
+    transaction: jest.fn(callback => callback(mockTx))
+}));
+jest.mock('../../models/CurrencyRate', () => ({
+    getCrossRate: jest.fn()
+}));
+jest.mock('../../models/StoreSettings', () => ({
+    getDisplayCurrency: jest.fn()
+}));
+jest.mock('../../models/MarginPolicy', () => ({
+    resolve: jest.fn()
+}));
+jest.mock('../../services/PriceAlertService', () => ({}));
+jest.mock('../../services/PriceGuard', () => ({}));
+jest.mock('../../services/PriceEvents', () => ({}));
+
+const CurrencyRate = require('../../models/CurrencyRate');
+const StoreSettings = require('../../models/StoreSettings');
+const MarginPolicy = require('../../models/MarginPolicy');
+const GoldPrice = require('../../models/GoldPrice');
+
+// هامش 1% على الشراء والبيع
+const onePercent = {
+    apply: base => ({ buyPrice: base * 0.99, sellPrice: base * 1.01, marginBuy: 0.01, marginSell: 0.01 })
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockTx.all.mockResolvedValue([
+        { id: 2, karat: 21, purity: 0.875, display_order: 2 },
+        { id: 1, karat: 24, purity: 1, display_order: 1 }
+    ]);
+    StoreSettings.getDisplayCurrency.mockResolvedValue('SAR');
+    CurrencyRate.getCrossRate.mockResolvedValue(3.75);
+    MarginPolicy.resolve.mockResolvedValue(onePercent);
+
+    jest.spyOn(GoldPrice, 'create').mockImplementation(async (data) => new GoldPrice({
+        gold_type_id: data.goldTypeId,
+        karat: data.goldTypeId === 1 ? 24 : 21,
+        purity: data.goldTypeId === 1 ? 1 : 0.875,
+        buy_price: data.buyPrice,
+        sell_price: data.sellPrice,
+        margin_buy: data.marginBuy,
+        margin_sell: data.marginSell
+    }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GoldPrice.autoUpdateFromSpot', () => {
+    test('converts USD per troy ounce into a local per-gram base price', async () => {
+        const result = await GoldPrice.autoUpdateFromSpot(2400, 7);
+
+        // 2400 * 3.75 / 31.1034768
+        expect(CurrencyRate.getCrossRate).toHaveBeenCalledWith('USD', 'SAR', expect.anything());
+        expect(result).toMatchObject({
+            spot: { price: 2400, currency: 'USD', unit: 'ounce' },
+            currency: 'SAR',
+            fxRate: 3.75,
+            gramsPerOunce: 31.1034768,
+            basePricePerGram: 289.3567
+        });
+    });
+
+    test('publishes every active type by display order with its margin policy applied', async () => {
+        const result = await GoldPrice.autoUpdateFromSpot(2400, 7);
+
+        expect(GoldPrice.create.mock.calls).toEqual([
+            [{ goldTypeId: 1, buyPrice: 286.46, sellPrice: 292.25, marginBuy: 0.01, marginSell: 0.01, isManual: false, force: false }, 7, mockTx],
+            [{ goldTypeId: 2, buyPrice: 250.66, sellPrice: 255.72, marginBuy: 0.01, marginSell: 0.01, isManual: false, force: false }, 7, mockTx]
+        ]);
+        expect(MarginPolicy.resolve).toHaveBeenCalledWith('GOLD_TYPE', 2, mockTx);
+        expect(result.breakdown.map(line => [line.karat, line.pricePerGram])).toEqual([[24, 289.36], [21, 253.19]]);
+    });
+
+    test('refuses a margin policy that makes the buy price non-positive', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        MarginPolicy.resolve.mockResolvedValue({
+            apply: () => ({ buyPrice: 0, sellPrice: 10, marginBuy: 1, marginSell: 0 })
+        });
+
+        await expect(GoldPrice.autoUpdateFromSpot(2400, 7))
+            .rejects.toThrow('Margin policy for gold type 1 yields a non-positive buy price');
+        expect(GoldPrice.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('GoldPrice.revert', () => {
+    // سعر سابق لعيار 21 ودفعته المنشورة معه (عيار 24)
+    const old21 = new GoldPrice({ id: 40, gold_type_id: 2, buy_price: 240, sell_price: 250, margin_buy: 0.01, margin_sell: 0.01 });
+    const batchRows = [
+        { id: 39, gold_type_id: 1, buy_price: 275, sell_price: 285, margin_buy: 0.01, margin_sell: 0.01 },
+        { id: 40, gold_type_id: 2, buy_price: 240, sell_price: 250, margin_buy: 0.01, margin_sell: 0.01 }
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(GoldPrice, 'findById').mockResolvedValue(old21);
+        jest.spyOn(GoldPrice, 'getCurrentPrice').mockResolvedValue(new GoldPrice({ id: 50 }));
+        GoldPrice.create.mockImplementation(async (data) => new GoldPrice({ id: 60 + data.goldTypeId, gold_type_id: data.goldTypeId }));
+        mockTx.all.mockResolvedValue(batchRows);
+        mockTx.run.mockResolvedValue({ changes: 1 });
+    });
+
+    test('re-publishes the old price as a forced manual price and logs the reason', async () => {
+        const reverted = await GoldPrice.revert(40, 'typo in 21K', 7);
+
+        expect(reverted.map(price => price.id)).toEqual([62]);
+        expect(GoldPrice.create).toHaveBeenCalledWith({
+            goldTypeId: 2,
+            buyPrice: 240,
+            sellPrice: 250,
+            marginBuy: 0.01,
+            marginSell: 0.01,
+            isManual: true,
+            force: true,
+            revertedFrom: 40
+        }, 7, mockTx);
+
+        const [, params] = mockTx.run.mock.calls.find(([sql]) => sql.includes('audit_log'));
+        expect(params.slice(0, 3)).toEqual([7, 'REVERT', 62]);
+        expect(JSON.parse(params[3])).toEqual({ revertedFrom: 40, reason: 'typo in 21K', batch: false });
+    });
+
+    test('restores every price of the batch except those still current', async () => {
+        GoldPrice.getCurrentPrice.mockImplementation(async (goldTypeId) => new GoldPrice({ id: goldTypeId === 1 ? 39 : 50 }));
+
+        const reverted = await GoldPrice.revert(40, 'bad feed', 7, { batch: true });
+
+        expect(reverted.map(price => price.goldTypeId)).toEqual([2]);
+        expect(mockTx.all).toHaveBeenCalledWith(expect.stringContaining('WHERE effective_from = (SELECT effective_from'), [40]);
+    });
+
+    test('refuses scheduled and already current prices', async () => {
+        GoldPrice.findById.mockResolvedValueOnce(new GoldPrice({ id: 41, is_pending: true }));
+        await expect(GoldPrice.revert(41, 'x', 7)).rejects.toThrow('Cannot revert to a scheduled price');
+
+        GoldPrice.getCurrentPrice.mockResolvedValue(old21);
+        await expect(GoldPrice.revert(40, 'x', 7)).rejects.toThrow('Price is already current');
+        expect(GoldPrice.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('GoldPrice.inCurrency', () => {
+    const price = new GoldPrice({ id: 70, gold_type_id: 2, buy_price: 240, sell_price: 250 });
+
+    test('converts both sides without rounding and leaves the original untouched', () => {
+        const usd = price.inCurrency('USD', 1 / 3.75);
+
+        expect(usd).toBeInstanceOf(GoldPrice);
+        expect(usd.currency).toBe('USD');
+        expect(usd.buyPrice).toBeCloseTo(64, 10);
+        expect(usd.sellPrice).toBeCloseTo(66.666667, 6);
+        expect(price.sellPrice).toBe(250);
+    });
+
+    test('chains with inUnit, which rounds the result', () => {
+        const perOunce = price.inCurrency('USD', 1 / 3.75).inUnit('ounce');
+
+        expect(perOunce.sellPrice).toBe(2073.57);
+        expect(perOunce.unit).toBe('ounce');
+    });
+});
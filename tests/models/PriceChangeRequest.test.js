@@ -0,0 +1,149 @@
+/**
+ * =====================================================
+ * اختبارات نموذج طلبات تغيير الأسعار
+ * Price Change Request Model Tests
+ * =====================================================
+ * الملف: backend/tests/models/PriceChangeRequest.test.js
+ * الغرض: التحقق من مبدأ الأربع أعين: إنشاء الطلبات وانتهاء صلاحيتها
+ *        ومنع المراجعة الذاتية ونشر التغيير المعتمد
+ * =====================================================
+ */
+
+const mockTx = {
+    get: jest.fn(),
+    run: jest.fn()
+};
+
+jest.mock('../../config/database', () => ({
+    transaction: jest.fn(callback => callback(mockTx)),
+    get: jest.fn(),
+    run: jest.fn()
+}));
+jest.mock('../../models/StoreSettings', () => ({
+    getApprovalSettings: jest.fn()
+}));
+jest.mock('../../models/GoldPrice', () => ({
+    getCurrentPrice: jest.fn(),
+    lockGoldType: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+}));
+jest.mock('../../models/CurrencyRate', () => ({
+    getCurrentRate: jest.fn(),
+    lockCurrency: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
+}));
+
+const db = require('../../config/database');
+const StoreSettings = require('../../models/StoreSettings');
+const CurrencyRate = require('../../models/CurrencyRate');
+const PriceChangeRequest = require('../../models/PriceChangeRequest');
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+// طلب معلق لعملة قدمه المستخدم 3 على السعر الساري 10
+const pendingRow = (overrides = {}) => ({
+    id: 5,
+    entity_type: 'CURRENCY',
+    entity_id: 2,
+    action: 'CREATE',
+    base_price_id: 10,
+    payload: JSON.stringify({ buyRate: 3.74, sellRate: 3.76 }),
+    status: 'pending',
+    requested_by: 3,
+    expires_at: inHours(24),
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    StoreSettings.getApprovalSettings.mockResolvedValue({ enabled: true, expiryHours: 24 });
+    db.run.mockResolvedValue({ id: 5, changes: 1 });
+    mockTx.run.mockResolvedValue({ changes: 1 });
+    mockTx.get.mockResolvedValue(pendingRow());
+    CurrencyRate.getCurrentRate.mockResolvedValue({ id: 10 });
+    CurrencyRate.create.mockResolvedValue({ id: 11 });
+});
+
+afterEach(() => console.error.mockRestore());
+
+describe('PriceChangeRequest.isRequiredFor', () => {
+    test('requires approval for non-admins only while enabled', async () => {
+        expect(await PriceChangeRequest.isRequiredFor('manager')).toBe(true);
+        expect(await PriceChangeRequest.isRequiredFor('admin')).toBe(false);
+
+        StoreSettings.getApprovalSettings.mockResolvedValue({ enabled: false, expiryHours: 24 });
+        expect(await PriceChangeRequest.isRequiredFor('manager')).toBe(false);
+    });
+});
+
+describe('PriceChangeRequest.create', () => {
+    const create = (payload) => PriceChangeRequest.create(
+        { entityType: 'CURRENCY', entityId: 2, action: 'CREATE', payload },
+        3
+    );
+
+    beforeEach(() => {
+        db.get.mockResolvedValueOnce({ id: 2 }).mockResolvedValue(pendingRow());
+    });
+
+    test('records the price in effect so approval can detect later changes', async () => {
+        await create({ buyRate: 3.74, sellRate: 3.76 });
+
+        const [sql, params] = db.run.mock.calls[0];
+        expect(sql).toContain('INSERT INTO price_change_requests');
+        expect(params.slice(0, 5)).toEqual(['CURRENCY', 2, 'CREATE', null, 10]);
+    });
+
+    test('expires at the scheduled start when that comes before the expiry window', async () => {
+        const effectiveFrom = inHours(2);
+
+        await create({ buyRate: 3.74, sellRate: 3.76, effectiveFrom });
+
+        expect(db.run.mock.calls[0][1][7]).toBe(effectiveFrom);
+    });
+
+    test('rejects a request for a missing currency', async () => {
+        db.get.mockReset().mockResolvedValue(null);
+
+        await expect(create({})).rejects.toThrow('Currency not found');
+        expect(db.run).not.toHaveBeenCalled();
+    });
+});
+
+describe('PriceChangeRequest.approve', () => {
+    test('publishes the change on behalf of the requester', async () => {
+        const { published } = await PriceChangeRequest.approve(5, 4, 'ok');
+
+        expect(CurrencyRate.lockCurrency).toHaveBeenCalledWith(2, mockTx);
+        expect(CurrencyRate.create).toHaveBeenCalledWith(
+            expect.objectContaining({ currencyId: 2, buyRate: 3.74, approvalRequestId: 5, approvedBy: 4, force: false }),
+            3,
+            mockTx
+        );
+        expect(published).toEqual({ id: 11 });
+    });
+
+    test('refuses a review by the requester', async () => {
+        await expect(PriceChangeRequest.approve(5, 3)).rejects.toThrow('Requester cannot review their own price change');
+        expect(CurrencyRate.create).not.toHaveBeenCalled();
+    });
+
+    test('refuses a request that is no longer pending or has expired', async () => {
+        mockTx.get.mockResolvedValueOnce(pendingRow({ status: 'rejected' }));
+        await expect(PriceChangeRequest.approve(5, 4)).rejects.toThrow('already rejected');
+
+        mockTx.get.mockResolvedValueOnce(pendingRow({ expires_at: inHours(-1) }));
+        await expect(PriceChangeRequest.approve(5, 4)).rejects.toThrow('has expired');
+    });
+
+    test('refuses to publish when the price changed since the request', async () => {
+        CurrencyRate.getCurrentRate.mockResolvedValue({ id: 12 });
+
+        await expect(PriceChangeRequest.approve(5, 4)).rejects.toThrow('Price has changed since the request was made');
+        expect(CurrencyRate.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * =====================================================
+ * اختبارات ترتيب العرض المشترك
+ * Shared Display Order Tests
+ * =====================================================
+ * الملف: backend/tests/models/displayOrder.test.js
+ * الغرض: التحقق من إعادة ترتيب كل نموذج يستخدم reorderRows دون
+ *        قيم ترتيب مكررة (بما فيها الصفوف غير الفعالة)
+ * =====================================================
+ */
+
+const mockTx = {
+    all: jest.fn(),
+    run: jest.fn()
+};
+
+jest.mock('../../config/database', () => ({
+    transaction: jest.fn(callback => callback(mockTx)),
+    all: jest.fn(),
+    run: jest.fn()
+}));
+
+const db = require('../../config/database');
+const GoldType = require('../../models/GoldType');
+const Currency = require('../../models/Currency');
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mockTx.all.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    mockTx.run.mockResolvedValue({ changes: 1 });
+    db.all.mockResolvedValue([]);
+});
+
+afterEach(() => console.error.mockRestore());
+
+describe.each([
+    ['GoldType', GoldType, 'gold_types', 'gold type', 'Gold type'],
+    ['Currency', Currency, 'currencies', 'currency', 'Currency']
+])('%s.reorder', (name, Model, table, noun, label) => {
+    test('assigns consecutive display orders to the full set of ids', async () => {
+        await Model.reorder([3, 1, 2], 7);
+
+        expect(mockTx.all).toHaveBeenCalledWith(`SELECT id FROM ${table} FOR UPDATE`);
+        expect(mockTx.run.mock.calls.map(([, params]) => params)).toEqual([[1, 3], [2, 1], [3, 2]]);
+        expect(db.run).toHaveBeenCalledWith(expect.stringContaining('audit_log'), [7, 'REORDER', null, '{"order":[3,1,2]}']);
+    });
+
+    test('rejects an order that leaves out an inactive row', async () => {
+        // الصف 2 غير فعال لكنه يحتفظ بترتيبه
+        const error = await Model.reorder([3, 1]).catch(e => e);
+
+        expect(error.message).toBe(`Order must include every ${noun}; missing: 2`);
+        expect(error.missingIds).toEqual([2]);
+        expect(mockTx.run).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown ids', async () => {
+        mockTx.run.mockImplementation(async (sql, [, id]) => ({ changes: id === 9 ? 0 : 1 }));
+
+        await expect(Model.reorder([1, 2, 3, 9])).rejects.toThrow(`${label} 9 not found`);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * =====================================================
+ * اختبارات مسارات إلغاء الأسعار المجدولة
+ * Scheduled Price Cancellation Route Tests
+ * =====================================================
+ * الملف: backend/tests/routes/scheduledPrices.test.js
+ * الغرض: التحقق من أن إلغاء سعر مجدول متاح لمسؤول النظام فقط،
+ *        فالمدير لا يغير الجدول الزمني دون اعتماد
+ * =====================================================
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../models/GoldPrice', () => ({
+    cancelScheduled: jest.fn()
+}));
+jest.mock('../../models/CurrencyRate', () => ({
+    cancelScheduled: jest.fn()
+}));
+
+const GoldPrice = require('../../models/GoldPrice');
+const CurrencyRate = require('../../models/CurrencyRate');
+const goldRoutes = require('../../routes/gold');
+const currencyRoutes = require('../../routes/currency');
+
+const CSRF_TOKEN = 'test-csrf-token';
+
+// تطبيق اختبار بجلسة بالدور المطلوب
+const appAs = (role) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.session = { userId: 4, role, csrfToken: CSRF_TOKEN };
+        next();
+    });
+    app.use('/api/gold', goldRoutes);
+    app.use('/api/currency', currencyRoutes);
+    return app;
+};
+
+const scheduled = { toJSON: () => ({ id: 11, isPending: true }) };
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    GoldPrice.cancelScheduled.mockResolvedValue(scheduled);
+    CurrencyRate.cancelScheduled.mockResolvedValue(scheduled);
+});
+
+afterEach(() => console.log.mockRestore());
+
+describe.each([
+    ['/api/gold/scheduled/11', GoldPrice],
+    ['/api/currency/scheduled/11', CurrencyRate]
+])('DELETE %s', (path, Model) => {
+    test('a manager cannot cancel a scheduled price without approval', async () => {
+        const res = await request(appAs('manager')).delete(path).set('X-CSRF-Token', CSRF_TOKEN);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+        expect(Model.cancelScheduled).not.toHaveBeenCalled();
+    });
+
+    test('an admin cancels it directly', async () => {
+        const res = await request(appAs('admin')).delete(path).set('X-CSRF-Token', CSRF_TOKEN);
+
+        expect(res.status).toBe(200);
+        expect(Model.cancelScheduled).toHaveBeenCalledWith('11', 4);
+    });
+});
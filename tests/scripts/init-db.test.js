@@ -0,0 +1,140 @@
+/**
+ * =====================================================
+ * اختبارات تهيئة قاعدة البيانات وإنشاء المدير الأول
+ * Database Init & First Admin Bootstrap Tests
+ * =====================================================
+ * الملف: backend/tests/scripts/init-db.test.js
+ * الغرض: التحقق من إنشاء المدير الأول من متغيرات البيئة بعد الترحيل،
+ *        ورفض كلمات المرور الضعيفة وعدم استبدال مدير موجود، ومن منع
+ *        أي طلب قبل تغيير كلمة المرور الإجباري
+ * =====================================================
+ */
+
+const mockPool = { end: jest.fn() };
+const mockMigrator = { migrate: jest.fn() };
+const mockUser = { hasActiveAdmin: jest.fn(), create: jest.fn() };
+
+jest.mock('../../config/database', () => ({ pool: mockPool }));
+jest.mock('../../database/migrator', () => mockMigrator);
+jest.mock('../../models/User', () => mockUser);
+
+const { validateSession } = require('../../middleware/security');
+
+const ENV_KEYS = ['ADMIN_USERNAME', 'ADMIN_PASSWORD', 'ADMIN_EMAIL', 'ADMIN_FULL_NAME'];
+const savedEnv = {};
+const savedIsTTY = process.stdin.isTTY;
+
+/**
+ * تشغيل السكربت حتى إغلاق الاتصال
+ * Run the script until it closes the pool (and exits on failure)
+ */
+const runInit = () => new Promise((resolve) => {
+    mockPool.end.mockImplementation(async () => setImmediate(resolve));
+    jest.isolateModules(() => require('../../scripts/init-db'));
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+    for (const key of ENV_KEYS) {
+        savedEnv[key] = process.env[key];
+    }
+    Object.assign(process.env, {
+        ADMIN_USERNAME: 'owner',
+        ADMIN_PASSWORD: 'Str0ng!Pass',
+        ADMIN_EMAIL: 'owner@example.com',
+        ADMIN_FULL_NAME: 'Store Owner'
+    });
+    process.stdin.isTTY = false;
+
+    mockMigrator.migrate.mockResolvedValue([]);
+    mockUser.hasActiveAdmin.mockResolvedValue(false);
+    mockUser.create.mockImplementation(async data => ({ id: 1, ...data }));
+});
+
+afterEach(() => {
+    for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) {
+            delete process.env[key];
+        } else {
+            process.env[key] = savedEnv[key];
+        }
+    }
+    process.stdin.isTTY = savedIsTTY;
+    jest.restoreAllMocks();
+});
+
+describe('scripts/init-db', () => {
+    test('migrates, then creates an admin who must change the password', async () => {
+        await runInit();
+
+        expect(mockMigrator.migrate.mock.invocationCallOrder[0])
+            .toBeLessThan(mockUser.create.mock.invocationCallOrder[0]);
+        expect(mockUser.create).toHaveBeenCalledWith({
+            username: 'owner',
+            email: 'owner@example.com',
+            password: 'Str0ng!Pass',
+            full_name: 'Store Owner',
+            role: 'admin',
+            mustChangePassword: true
+        });
+        expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    test('refuses to create a second admin', async () => {
+        mockUser.hasActiveAdmin.mockResolvedValue(true);
+
+        await runInit();
+
+        expect(mockUser.create).not.toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith('❌ Init error:', expect.stringContaining('admin account already exists'));
+        expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    test('rejects a weak password', async () => {
+        process.env.ADMIN_PASSWORD = '123456';
+
+        await runInit();
+
+        expect(mockUser.create).not.toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith('❌ Init error:', expect.stringContaining('Password must be at least 8 characters'));
+        expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    test('requires the credentials in the environment when not run interactively', async () => {
+        delete process.env.ADMIN_PASSWORD;
+
+        await runInit();
+
+        expect(mockUser.create).not.toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith('❌ Init error:', expect.stringContaining('ADMIN_PASSWORD are required'));
+        expect(process.exit).toHaveBeenCalledWith(1);
+    });
+});
+
+describe('validateSession with a pending password change', () => {
+    const check = (url) => {
+        const req = { originalUrl: url, session: { userId: 1, mustChangePassword: true } };
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+
+        return validateSession(req, res, next).then(() => ({ res, next }));
+    };
+
+    test('blocks every other route', async () => {
+        const { res, next } = await check('/api/gold/prices?type=21');
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PASSWORD_CHANGE_REQUIRED' }));
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('allows changing the password', async () => {
+        const { next } = await check('/api/auth/change-password');
+
+        expect(next).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * =====================================================
+ * اختبارات صيغ تصدير الأسعار
+ * Price Feed Formats Tests
+ * =====================================================
+ * الملف: backend/tests/services/FeedFormats.test.js
+ * الغرض: التحقق من اختيار الصيغة من ترويسة Accept أو معامل format
+ *        ومن توليد CSV و XML و Atom مع تهريب النصوص العربية والخاصة
+ * =====================================================
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../models/StoreSettings', () => ({
+    getStoreInfo: jest.fn()
+}));
+
+const StoreSettings = require('../../models/StoreSettings');
+const FeedFormats = require('../../services/FeedFormats');
+
+const columns = [
+    { key: 'name', header: 'name' },
+    { key: 'sellPrice', header: 'sell_price' },
+    { key: 'effectiveFrom', header: 'effective_from' }
+];
+
+const rows = [
+    { id: 1, name: 'عيار 21, "مميز"', sellPrice: 225.5, effectiveFrom: new Date('2026-10-01T06:00:00Z') },
+    { id: 2, name: 'Gold <24K> & bars', sellPrice: 257, effectiveFrom: null }
+];
+
+// تطبيق اختبار بمسار واحد يستخدم الصيغة المتفاوض عليها
+const app = express();
+app.get('/api/gold/prices', async (req, res) => {
+    const format = FeedFormats.negotiate(req, res);
+    if (FeedFormats.sendError(res, format)) return;
+
+    if (format.code === 'json') {
+        return res.json({ success: true, data: rows });
+    }
+
+    return FeedFormats.send(req, res, format.code, {
+        name: 'gold-prices',
+        itemName: 'price',
+        title: 'Gold prices',
+        columns,
+        rows,
+        entry: row => (row.effectiveFrom
+            ? { id: `price-${row.id}`, title: row.name, updated: row.effectiveFrom, summary: `Sell ${row.sellPrice}` }
+            : null)
+    });
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    StoreSettings.getStoreInfo.mockResolvedValue({ name: 'متجر الأميرة', nameEn: 'Princess Gold' });
+});
+
+describe('FeedFormats.negotiate', () => {
+    test('defaults to JSON and follows the Accept header', async () => {
+        const json = await request(app).get('/api/gold/prices');
+        const csv = await request(app).get('/api/gold/prices').set('Accept', 'text/csv');
+
+        expect(json.headers['content-type']).toMatch('application/json');
+        expect(json.headers.vary).toMatch('Accept');
+        expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+    });
+
+    test('lets ?format= override the Accept header', async () => {
+        const res = await request(app).get('/api/gold/prices?format=XML').set('Accept', 'text/csv');
+
+        expect(res.headers['content-type']).toBe('application/xml; charset=utf-8');
+    });
+
+    test('rejects unknown formats and unacceptable types', async () => {
+        const invalid = await request(app).get('/api/gold/prices?format=yaml');
+        const unacceptable = await request(app).get('/api/gold/prices').set('Accept', 'image/png');
+
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toMatchObject({ code: 'INVALID_FORMAT', supportedFormats: ['json', 'csv', 'xml', 'atom'] });
+        expect(unacceptable.status).toBe(406);
+        expect(unacceptable.body.code).toBe('NOT_ACCEPTABLE');
+    });
+});
+
+describe('FeedFormats rendering', () => {
+    test('CSV starts with a BOM, quotes special cells and uses CRLF', async () => {
+        const res = await request(app).get('/api/gold/prices?format=csv');
+
+        expect(res.headers['content-disposition']).toBe('inline; filename="gold-prices.csv"');
+        expect(res.text).toBe(
+            '\uFEFFname,sell_price,effective_from\r\n' +
+            '"عيار 21, ""مميز""",225.5,2026-10-01T06:00:00.000Z\r\n' +
+            'Gold <24K> & bars,257,\r\n'
+        );
+    });
+
+    test('XML escapes markup in values', async () => {
+        const res = await request(app).get('/api/gold/prices?format=xml');
+
+        expect(res.text).toContain('<gold-prices>\n  <price>\n    <name>عيار 21, &quot;مميز&quot;</name>');
+        expect(res.text).toContain('<name>Gold &lt;24K&gt; &amp; bars</name>');
+        expect(res.text).toContain('<effective_from></effective_from>');
+    });
+
+    test('Atom lists dated rows and uses the latest entry as the feed update time', async () => {
+        const res = await request(app).get('/api/gold/prices?format=atom');
+
+        expect(res.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+        expect(res.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+        expect(res.text).toContain('<author><name>متجر الأميرة / Princess Gold</name></author>');
+        expect(res.text).toContain('  <updated>2026-10-01T06:00:00.000Z</updated>');
+        expect(res.text.match(/<entry>/g)).toHaveLength(1);
+    });
+});
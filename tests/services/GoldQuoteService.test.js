@@ -0,0 +1,114 @@
+/**
+ * =====================================================
+ * اختبارات خدمة عروض أسعار الذهب
+ * Gold Quote Service Tests
+ * =====================================================
+ * الملف: backend/tests/services/GoldQuoteService.test.js
+ * الغرض: التحقق من حساب عروض شراء الذهب المستعمل وعروض البيع
+ * =====================================================
+ */
+
+const GoldQuoteService = require('../../services/GoldQuoteService');
+const GoldPrice = require('../../models/GoldPrice');
+
+// سعر عيار 24 المعلن (الهامش مضمّن في السعر المخزن)
+const price24k = new GoldPrice({
+    gold_type_id: 1,
+    karat: 24,
+    purity: 0.999,
+    buy_price: 250,
+    sell_price: 260,
+    margin_buy: 0.02,
+    margin_sell: 0.02
+});
+
+describe('GoldQuoteService.buybackQuote', () => {
+    const quote = (items, meltingLoss = 0) => GoldQuoteService.buybackQuote(
+        GoldQuoteService.parseBuybackItems(items),
+        price24k,
+        { meltingLoss, decimals: 2 }
+    );
+
+    test('pays at the posted 24K buy price without re-applying the margin', () => {
+        const result = quote([{ grossWeight: 10, unit: 'gram', purity: 0.999 }]);
+
+        expect(result.pricing.buyPrice24k).toBe(250);
+        expect(result.pricing.pricePerFineGram).toBe(250.25);
+        expect(result.totals.payout).toBe(2500);
+    });
+
+    test('never pays more per gram than the posted 24K buy price', () => {
+        const result = quote([{ grossWeight: 1, unit: 'gram', purity: 0.999 }]);
+
+        expect(result.totals.payout).toBeLessThanOrEqual(price24k.buyPrice);
+    });
+
+    test('deducts stones and melting loss from the fine gold', () => {
+        const result = quote([{ grossWeight: 12, stoneWeight: 2, unit: 'gram', karat: 18 }], 0.01);
+        const [line] = result.lines;
+
+        expect(line.netWeightGrams).toBe(10);
+        expect(line.fineGoldGrams).toBe(7.5);
+        expect(line.meltingLossGrams).toBe(0.075);
+        expect(line.payableFineGoldGrams).toBe(7.425);
+        expect(line.payout).toBe(Math.round(7.425 * (250 / 0.999) * 100) / 100);
+    });
+
+    test('rejects items without a purity or karat', () => {
+        const errors = GoldQuoteService.validateBuybackItems(
+            GoldQuoteService.parseBuybackItems([{ grossWeight: 5, unit: 'gram' }])
+        );
+
+        expect(errors.map(error => error.code)).toContain('PURITY_REQUIRED');
+    });
+});
+
+describe('GoldQuoteService.saleQuote', () => {
+    const price21k = new GoldPrice({
+        gold_type_id: 2,
+        karat: 21,
+        purity: 0.875,
+        buy_price: 215,
+        sell_price: 225,
+        margin_buy: 0.02,
+        margin_sell: 0.02
+    });
+
+    const quote = (items, tax = { enabled: false, rate: 0, scope: 'total' }) => GoldQuoteService.saleQuote(
+        GoldQuoteService.parseSaleItems(items),
+        new Map([[2, price21k]]),
+        { tax, decimals: 2 }
+    );
+
+    test('prices gold at the final sell price of the gold type', () => {
+        const result = quote([{ goldTypeId: 2, weight: 10, unit: 'gram' }]);
+
+        // 225 - 2% = 220.5
+        expect(result.lines[0].pricePerGram).toBe(price21k.getFinalPrice('sell'));
+        expect(result.lines[0].pricePerGram).toBe(220.5);
+        expect(result.totals.goldValue).toBe(2205);
+    });
+
+    test('adds per-gram making charges, stones and VAT on the total', () => {
+        const result = quote(
+            [{ goldTypeId: 2, weight: 10, unit: 'gram', makingCharge: { type: 'per_gram', amount: 15 }, stonesValue: 100 }],
+            { enabled: true, rate: 0.15, scope: 'total' }
+        );
+
+        expect(result.totals.makingCharges).toBe(150);
+        expect(result.totals.subtotal).toBe(2455);
+        expect(result.totals.vat).toBe(368.25);
+        expect(result.totals.grandTotal).toBe(2823.25);
+    });
+
+    test('taxes only making charges and stones when the scope is making_charge', () => {
+        const result = quote(
+            [{ goldTypeId: 2, weight: 10, unit: 'gram', makingCharge: { type: 'per_piece', amount: 200 } }],
+            { enabled: true, rate: 0.15, scope: 'making_charge' }
+        );
+
+        expect(result.totals.taxable).toBe(200);
+        expect(result.totals.vat).toBe(30);
+        expect(result.totals.grandTotal).toBe(2435);
+    });
+});
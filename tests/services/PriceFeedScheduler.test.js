@@ -0,0 +1,236 @@
+/**
+ * =====================================================
+ * اختبارات جدولة مصادر الأسعار
+ * Price Feed Scheduler Tests
+ * =====================================================
+ * الملف: backend/tests/services/PriceFeedScheduler.test.js
+ * الغرض: تشغيل مصدر HTTP JSON مقابل خادم HTTP محلي وهمي والتحقق
+ *        من النشر وتخطي القراءات المكررة والفشل والإقرار وساعات السوق
+ * =====================================================
+ */
+
+const http = require('http');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const mockTx = { tx: true };
+
+jest.mock('../../config/database', () => ({
+    transaction: jest.fn(callback => callback(mockTx))
+}));
+jest.mock('../../models/GoldPrice', () => ({
+    autoUpdate: jest.fn(),
+    autoUpdateFromSpot: jest.fn()
+}));
+jest.mock('../../models/CurrencyRate', () => ({
+    getCurrencies: jest.fn(),
+    bulkCreate: jest.fn()
+}));
+jest.mock('../../models/StoreSettings', () => ({
+    get: jest.fn(),
+    isMarketOpen: jest.fn()
+}));
+jest.mock('../../models/User', () => ({
+    findByUsername: jest.fn()
+}));
+
+const db = require('../../config/database');
+const GoldPrice = require('../../models/GoldPrice');
+const CurrencyRate = require('../../models/CurrencyRate');
+const StoreSettings = require('../../models/StoreSettings');
+const User = require('../../models/User');
+const scheduler = require('../../services/PriceFeedScheduler');
+
+// =====================================================
+// خادم المصدر الوهمي
+// Local stub feed server
+// =====================================================
+let server;
+let baseUrl;
+let stub;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        stub.requests += 1;
+        res.writeHead(stub.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(stub.body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    stub = {
+        status: 200,
+        requests: 0,
+        body: { gold: { spot: 2400 }, rates: { EUR: { buy: 4.05, sell: 4.1 }, SAR: 1 } }
+    };
+
+    User.findByUsername.mockResolvedValue({ id: 99 });
+    CurrencyRate.getCurrencies.mockResolvedValue([
+        { id: 1, code: 'SAR', is_base: true },
+        { id: 2, code: 'EUR', is_base: false }
+    ]);
+    CurrencyRate.bulkCreate.mockImplementation(async rates => rates);
+    GoldPrice.autoUpdateFromSpot.mockResolvedValue({ prices: [{}, {}, {}] });
+});
+
+// مجدول جديد لكل اختبار حتى لا تتشارك الحالة
+const newScheduler = () => new scheduler.constructor();
+
+const httpFeed = (overrides = {}) => ({
+    id: 'stub',
+    provider: 'http',
+    url: `${baseUrl}/prices`,
+    intervalSeconds: 60,
+    marketHoursOnly: true,
+    enabled: true,
+    fields: { spotPriceUsdPerOunce: 'gold.spot', currencies: 'rates' },
+    ...overrides
+});
+
+describe('PriceFeedScheduler.runFeed with HttpJsonFeed', () => {
+    test('ingests currency rates before gold and skips the base currency', async () => {
+        const result = await newScheduler().runFeed(httpFeed());
+
+        expect(stub.requests).toBe(1);
+        expect(result).toEqual({ status: 'ingested', currencies: 1, goldPrices: 3, skipped: ['SAR'] });
+        expect(CurrencyRate.bulkCreate).toHaveBeenCalledWith(
+            [{ currencyId: 2, buyRate: 4.05, sellRate: 4.1, isManual: false }],
+            99,
+            mockTx
+        );
+        expect(GoldPrice.autoUpdateFromSpot).toHaveBeenCalledWith(2400, 99, false, mockTx);
+        expect(CurrencyRate.bulkCreate.mock.invocationCallOrder[0])
+            .toBeLessThan(GoldPrice.autoUpdateFromSpot.mock.invocationCallOrder[0]);
+    });
+
+    test('fails the whole reading when gold fails after the currency rates', async () => {
+        GoldPrice.autoUpdateFromSpot.mockRejectedValue(new Error('Price sanity check failed: []'));
+        const instance = newScheduler();
+
+        await expect(instance.runFeed(httpFeed())).rejects.toThrow('Price sanity check failed');
+
+        // الأسعار في معاملة واحدة فتُلغى أسعار العملات مع الذهب، ولا تُعتبر القراءة منشورة
+        expect(db.transaction).toHaveBeenCalledTimes(1);
+        expect(CurrencyRate.bulkCreate.mock.calls[0][2]).toBe(mockTx);
+
+        GoldPrice.autoUpdateFromSpot.mockResolvedValue({ prices: [{}, {}, {}] });
+        expect((await instance.runFeed(httpFeed())).status).toBe('ingested');
+    });
+
+    test('skips an unchanged reading unless forced', async () => {
+        const instance = newScheduler();
+        const config = httpFeed();
+
+        await instance.runFeed(config);
+        const second = await instance.runFeed(config);
+
+        expect(second).toEqual({ status: 'unchanged' });
+        expect(CurrencyRate.bulkCreate).toHaveBeenCalledTimes(1);
+
+        const forced = await instance.runFeed(config, { force: true });
+        expect(forced.status).toBe('ingested');
+        expect(CurrencyRate.bulkCreate).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not ingest on a dry run', async () => {
+        const result = await newScheduler().runFeed(httpFeed(), { dryRun: true });
+
+        expect(result.status).toBe('dry-run');
+        expect(result.reading.gold).toEqual({ spotPriceUsdPerOunce: 2400 });
+        expect(CurrencyRate.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('records a failed run when the feed answers with an HTTP error', async () => {
+        stub.status = 503;
+        const instance = newScheduler();
+
+        await expect(instance.runFeed(httpFeed())).rejects.toThrow('HTTP 503');
+
+        const state = instance.getState('stub');
+        expect(state.lastError).toMatch('HTTP 503');
+        expect(state.lastResult).toEqual({ status: 'failed' });
+        expect(state.running).toBe(false);
+        expect(state.nextRunAt).toBeGreaterThan(Date.now());
+        expect(CurrencyRate.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('rejects a reading without usable prices', async () => {
+        stub.body = { unrelated: true };
+
+        await expect(newScheduler().runFeed(httpFeed())).rejects.toThrow('neither a gold price nor currency rates');
+    });
+});
+
+describe('PriceFeedScheduler.runFeed acknowledgement', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'price-feed-'));
+        await fs.writeFile(path.join(directory, 'rates.csv'), 'type,code,buy,sell\ncurrency,EUR,4.05,4.10\n');
+    });
+
+    afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+    const csvFeed = () => ({ id: 'drop', provider: 'csv', directory, intervalSeconds: 60, enabled: true });
+
+    test('moves ingested files to processed/', async () => {
+        const result = await newScheduler().runFeed(csvFeed());
+
+        expect(result.status).toBe('ingested');
+        expect(await fs.readdir(path.join(directory, 'processed'))).toHaveLength(1);
+        expect((await fs.readdir(directory)).filter(name => name.endsWith('.csv'))).toHaveLength(0);
+    });
+
+    test('moves files to failed/ when ingestion fails', async () => {
+        CurrencyRate.bulkCreate.mockRejectedValue(new Error('Price sanity check failed: []'));
+
+        await expect(newScheduler().runFeed(csvFeed())).rejects.toThrow('Price sanity check failed');
+        expect(await fs.readdir(path.join(directory, 'failed'))).toHaveLength(1);
+    });
+});
+
+describe('PriceFeedScheduler.tick', () => {
+    test('runs market-hours feeds only while the market is open', async () => {
+        const instance = newScheduler();
+        StoreSettings.get.mockResolvedValue([
+            httpFeed({ id: 'market', marketHoursOnly: true }),
+            httpFeed({ id: 'always', marketHoursOnly: false })
+        ]);
+        StoreSettings.isMarketOpen.mockResolvedValue(false);
+
+        await instance.tick();
+
+        expect(instance.getState('always').lastResult.status).toBe('ingested');
+        expect(instance.getState('market').lastRunAt).toBeNull();
+        expect(stub.requests).toBe(1);
+
+        StoreSettings.isMarketOpen.mockResolvedValue(true);
+        await instance.tick();
+
+        // "always" is not due again until its interval passes
+        expect(instance.getState('market').lastResult.status).toBe('ingested');
+        expect(stub.requests).toBe(2);
+    });
+
+    test('ignores disabled feeds and manual providers', async () => {
+        const instance = newScheduler();
+        StoreSettings.get.mockResolvedValue([
+            httpFeed({ id: 'off', enabled: false }),
+            { id: 'manual', provider: 'manual', enabled: true }
+        ]);
+        StoreSettings.isMarketOpen.mockResolvedValue(true);
+
+        await instance.tick();
+
+        expect(stub.requests).toBe(0);
+        expect(StoreSettings.isMarketOpen).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * =====================================================
+ * اختبارات حماية الأسعار
+ * Price Sanity Guard Tests
+ * =====================================================
+ * الملف: backend/tests/services/PriceGuard.test.js
+ * الغرض: التحقق من رفض القفزات غير الطبيعية وسعر بيع أقل من الشراء
+ *        والسماح بالتجاوز عند طلبه
+ * =====================================================
+ */
+
+jest.mock('../../models/StoreSettings', () => ({
+    getPriceGuardSettings: jest.fn()
+}));
+
+const StoreSettings = require('../../models/StoreSettings');
+const PriceGuard = require('../../services/PriceGuard');
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    StoreSettings.getPriceGuardSettings.mockResolvedValue({
+        enabled: true,
+        gold: { maxChange: 0.05 },
+        currency: { maxChange: 0.02 }
+    });
+});
+
+describe('PriceGuard.check', () => {
+    test('accepts a change within the allowed percentage', () => {
+        expect(PriceGuard.check({ buy: 104, sell: 105 }, { buy: 100, sell: 101 }, 0.05)).toEqual([]);
+    });
+
+    test('flags only the side that moves too far', () => {
+        const violations = PriceGuard.check({ buy: 110, sell: 112 }, { buy: 100, sell: 112 }, 0.05);
+
+        expect(violations).toEqual([expect.objectContaining({
+            code: 'MAX_CHANGE_EXCEEDED',
+            side: 'buy',
+            changePercent: 10,
+            maxChangePercent: 5
+        })]);
+    });
+
+    test('flags a sell price below the buy price even without a current price', () => {
+        expect(PriceGuard.check({ buy: 101, sell: 100 }, null, 0.05).map(v => v.code)).toEqual(['SELL_BELOW_BUY']);
+    });
+});
+
+describe('PriceGuard.enforce', () => {
+    const jump = { buy: 4, sell: 4.1 };
+    const current = { buy: 3.74, sell: 3.76 };
+
+    test('throws a guard error that carries the violations', async () => {
+        const error = await PriceGuard.enforce('CURRENCY', jump, current).catch(e => e);
+
+        expect(PriceGuard.violationsFrom(error)).toHaveLength(2);
+    });
+
+    test('uses the gold threshold for gold types', async () => {
+        await expect(PriceGuard.enforce('GOLD_TYPE', { buy: 104, sell: 105 }, { buy: 100, sell: 101 })).resolves.toEqual([]);
+        await expect(PriceGuard.enforce('CURRENCY', { buy: 104, sell: 105 }, { buy: 100, sell: 101 })).rejects.toThrow();
+    });
+
+    test('returns the overridden violations when forced', async () => {
+        const overridden = await PriceGuard.enforce('CURRENCY', jump, current, true);
+
+        expect(overridden.map(v => v.side)).toEqual(['buy', 'sell']);
+    });
+
+    test('does nothing when the guard is disabled', async () => {
+        StoreSettings.getPriceGuardSettings.mockResolvedValue({ enabled: false });
+
+        await expect(PriceGuard.enforce('CURRENCY', jump, current)).resolves.toEqual([]);
+    });
+});
+
+describe('PriceGuard.violationsFrom', () => {
+    test('ignores errors that did not come from the guard', () => {
+        expect(PriceGuard.violationsFrom(new Error('Currency not found'))).toBeNull();
+        expect(PriceGuard.violationsFrom(null)).toBeNull();
+    });
+});
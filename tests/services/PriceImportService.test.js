@@ -0,0 +1,150 @@
+/**
+ * =====================================================
+ * اختبارات خدمة استيراد الأسعار التاريخية
+ * Historical Price Import Service Tests
+ * =====================================================
+ * الملف: backend/tests/services/PriceImportService.test.js
+ * الغرض: التحقق من تحليل ملفات CSV والتحقق من الصفوف وربط فترات
+ *        السريان قبل السجل الحالي والتشغيل التجريبي
+ * =====================================================
+ */
+
+const mockTx = { tx: true };
+
+jest.mock('../../config/database', () => ({
+    transaction: jest.fn(callback => callback(mockTx))
+}));
+jest.mock('../../models/GoldType', () => ({
+    findAll: jest.fn()
+}));
+jest.mock('../../models/GoldPrice', () => ({
+    getFirstEffectiveFrom: jest.fn(),
+    lockGoldType: jest.fn(),
+    insertHistorical: jest.fn(),
+    logChange: jest.fn()
+}));
+jest.mock('../../models/CurrencyRate', () => ({
+    getCurrencies: jest.fn(),
+    getFirstEffectiveFrom: jest.fn(),
+    lockCurrency: jest.fn(),
+    insertHistorical: jest.fn(),
+    logChange: jest.fn()
+}));
+
+const GoldType = require('../../models/GoldType');
+const GoldPrice = require('../../models/GoldPrice');
+const CurrencyRate = require('../../models/CurrencyRate');
+const PriceImportService = require('../../services/PriceImportService');
+
+const FIRST_STORED = '2026-01-01T00:00:00.000Z';
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    GoldType.findAll.mockResolvedValue([
+        { id: 1, nameAr: 'عيار 24', nameEn: '24K', karat: 24 },
+        { id: 2, nameAr: 'عيار 21', nameEn: '21K', karat: 21 }
+    ]);
+    CurrencyRate.getCurrencies.mockResolvedValue([
+        { id: 1, code: 'SAR', is_base: true },
+        { id: 2, code: 'USD', is_base: false }
+    ]);
+    GoldPrice.getFirstEffectiveFrom.mockResolvedValue(null);
+    // pg يعيد TIMESTAMPTZ ككائن Date
+    CurrencyRate.getFirstEffectiveFrom.mockResolvedValue(new Date(FIRST_STORED));
+    CurrencyRate.insertHistorical.mockImplementation(async rows => rows.length);
+    GoldPrice.insertHistorical.mockImplementation(async rows => rows.length);
+});
+
+describe('PriceImportService.importCsv', () => {
+    test('reads Arabic Excel exports (semicolons, Arabic headers, DD/MM/YYYY) on a dry run', async () => {
+        const csv = '\uFEFFالعملة;شراء;بيع;التاريخ\r\nUSD;3.74;3.76;01/12/2025\r\n"USD";3.75;3.77;15/12/2025 09:30\r\n';
+
+        const report = await PriceImportService.importCsv(csv, 1, { dryRun: true });
+
+        expect(report).toMatchObject({ delimiter: ';', totalRows: 2, validRows: 2, errors: [], imported: 0 });
+        expect(report.entities).toEqual([{
+            entityType: 'CURRENCY',
+            entityId: 2,
+            label: 'USD',
+            rows: 2,
+            from: '2025-12-01T00:00:00.000Z',
+            until: FIRST_STORED
+        }]);
+        expect(CurrencyRate.insertHistorical).not.toHaveBeenCalled();
+    });
+
+    test('chains sorted rows up to the earliest stored price', async () => {
+        const csv = [
+            'currency,buy,sell,effective_from',
+            'USD,3.75,3.77,2025-12-15T00:00:00Z',
+            'USD,3.74,3.76,2025-12-01T00:00:00Z'
+        ].join('\n');
+
+        const report = await PriceImportService.importCsv(csv, 7);
+        const [rows, importedBy, tx] = CurrencyRate.insertHistorical.mock.calls[0];
+
+        expect(report.imported).toBe(2);
+        expect(importedBy).toBe(7);
+        expect(tx).toBe(mockTx);
+        expect(rows.map(row => [row.line, row.effectiveUntil.toISOString()])).toEqual([
+            [3, '2025-12-15T00:00:00.000Z'],
+            [2, FIRST_STORED]
+        ]);
+        expect(CurrencyRate.logChange).toHaveBeenCalledWith(null, 'IMPORT', 7, expect.objectContaining({ rows: 2 }), mockTx);
+    });
+
+    test('reports every invalid row and imports nothing', async () => {
+        const csv = [
+            'currency,karat,buy,sell,effective_from',
+            'EUR,,4.05,4.10,2025-12-01',
+            'SAR,,1,1,2025-12-01',
+            'USD,,3.76,3.74,2025-12-01',
+            ',18,180,190,2999-01-01',
+            'USD,,3.74,3.76,2026-02-01'
+        ].join('\n');
+
+        const report = await PriceImportService.importCsv(csv, 1);
+
+        expect(report.errors.map(error => [error.line, error.field])).toEqual([
+            [2, 'currency'],
+            [3, 'currency'],
+            [4, 'sell'],
+            [5, 'karat'],
+            [5, 'effective_from'],
+            [6, 'effective_from']
+        ]);
+        expect(report.errors[5].message).toMatch('Overlaps stored prices of USD');
+        expect(report.imported).toBe(0);
+        expect(CurrencyRate.insertHistorical).not.toHaveBeenCalled();
+    });
+
+    test('closes the last row at the import time when the gold type has no stored prices', async () => {
+        const before = Date.now();
+        const report = await PriceImportService.importCsv('karat,buy,sell,date\n21,215,225,2025-12-01\n', 1);
+        const [[row]] = GoldPrice.insertHistorical.mock.calls[0];
+
+        expect(report.imported).toBe(1);
+        expect(report.warnings[0].message).toMatch('21K has no stored prices');
+        // لا يصبح الصف المستورد سعراً حالياً
+        expect(row.effectiveUntil).toBeInstanceOf(Date);
+        expect(row.effectiveUntil.getTime()).toBeGreaterThanOrEqual(before);
+        expect(row.effectiveUntil.getTime()).toBeLessThanOrEqual(Date.now());
+        expect(report.entities[0].until).toBe(row.effectiveUntil.toISOString());
+    });
+
+    test('rejects files without the required columns', async () => {
+        const report = await PriceImportService.importCsv('currency,buy\nUSD,3.74\n', 1);
+
+        expect(report.errors).toEqual([{ line: 1, field: null, message: 'Missing required column(s): sell, effective_from' }]);
+    });
+
+    test('aborts when prices were published between validation and import', async () => {
+        CurrencyRate.getFirstEffectiveFrom
+            .mockResolvedValueOnce(new Date(FIRST_STORED))
+            .mockResolvedValueOnce(new Date('2025-12-20T00:00:00.000Z'));
+
+        await expect(PriceImportService.importCsv('currency,buy,sell,date\nUSD,3.74,3.76,2025-12-01\n', 1))
+            .rejects.toThrow('Prices of USD changed during import; run it again');
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * =====================================================
+ * اختبارات إحصائيات الأسعار المتقدمة
+ * Advanced Price Statistics Tests
+ * =====================================================
+ * الملف: backend/tests/services/PriceStatistics.test.js
+ * الغرض: التحقق من تحليل معاملات الطلب والحسابات (الانحراف المعياري
+ *        والمتوسطات المتحركة والتغير) وتجميعها لكل نوع أو عملة
+ * =====================================================
+ */
+
+jest.mock('../../models/GoldPrice', () => ({
+    getPriceAsOf: jest.fn(),
+    getStatistics: jest.fn(),
+    getCandles: jest.fn()
+}));
+jest.mock('../../models/GoldType', () => ({
+    findAll: jest.fn()
+}));
+jest.mock('../../models/CurrencyRate', () => ({
+    getCurrencies: jest.fn(),
+    getRateAsOf: jest.fn(),
+    getStatistics: jest.fn(),
+    getCandles: jest.fn()
+}));
+
+const GoldPrice = require('../../models/GoldPrice');
+const GoldType = require('../../models/GoldType');
+const CurrencyRate = require('../../models/CurrencyRate');
+const PriceStatistics = require('../../services/PriceStatistics');
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('PriceStatistics.parseQuery', () => {
+    test('applies the defaults', () => {
+        const query = PriceStatistics.parseQuery({ from: '2026-09-01T00:00:00Z', to: '2026-10-01T00:00:00Z' });
+
+        expect(query).toEqual({
+            from: new Date('2026-09-01T00:00:00Z'),
+            to: new Date('2026-10-01T00:00:00Z'),
+            side: 'sell',
+            smaWindow: 7,
+            emaPeriod: 14
+        });
+    });
+
+    test('derives the start from the legacy days parameter', () => {
+        const query = PriceStatistics.parseQuery({ days: '30', to: '2026-10-01T00:00:00Z' });
+
+        expect(query.from).toEqual(new Date('2026-09-01T00:00:00Z'));
+    });
+
+    test('rejects invalid parameters with a code', () => {
+        expect(PriceStatistics.parseQuery({ days: '0' }).code).toBe('INVALID_RANGE');
+        expect(PriceStatistics.parseQuery({ from: '2026-10-02', to: '2026-10-01' }).code).toBe('INVALID_RANGE');
+        expect(PriceStatistics.parseQuery({ side: 'mid' }).code).toBe('INVALID_SIDE');
+        expect(PriceStatistics.parseQuery({ sma: '2.5' }).code).toBe('INVALID_WINDOW');
+        expect(PriceStatistics.parseQuery({ ema: '201' }).code).toBe('INVALID_WINDOW');
+    });
+});
+
+describe('PriceStatistics calculations', () => {
+    test('standard deviation uses the sample formula', () => {
+        expect(PriceStatistics.standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(2.138, 3);
+        expect(PriceStatistics.standardDeviation([5])).toBeNull();
+    });
+
+    test('simple moving average covers the last window values', () => {
+        expect(PriceStatistics.simpleMovingAverage([1, 2, 3, 4, 5], 3)).toBe(4);
+        expect(PriceStatistics.simpleMovingAverage([1, 2], 3)).toBeNull();
+    });
+
+    test('exponential moving average is seeded with the first period SMA', () => {
+        // SMA(1, 2, 3) = 2, then 0.5 * 4 + 0.5 * 2 = 3, then 0.5 * 5 + 0.5 * 3 = 4
+        expect(PriceStatistics.exponentialMovingAverage([1, 2, 3, 4, 5], 3)).toBe(4);
+        expect(PriceStatistics.exponentialMovingAverage([1, 2], 3)).toBeNull();
+    });
+
+    test('change reports absolute and percentage moves per side', () => {
+        expect(PriceStatistics.change({ buy: 110, sell: 121 }, { buy: 100, sell: 110 }, 2)).toEqual({
+            buy: { previous: 100, absolute: 10, percent: 10 },
+            sell: { previous: 110, absolute: 11, percent: 10 }
+        });
+        expect(PriceStatistics.change({ buy: 1, sell: 1 }, null, 2)).toBeNull();
+    });
+});
+
+describe('PriceStatistics.compute', () => {
+    const query = PriceStatistics.parseQuery({
+        from: '2026-09-01T00:00:00Z',
+        to: '2026-10-01T00:00:00Z',
+        sma: '3',
+        ema: '3'
+    });
+
+    beforeEach(() => {
+        GoldType.findAll.mockResolvedValue([{ id: 2, nameAr: 'عيار 21', nameEn: '21K', karat: 21 }]);
+        GoldPrice.getStatistics.mockResolvedValue({ minSell: 100, maxSell: 121, avgSpread: 1 });
+        GoldPrice.getCandles.mockResolvedValue([{ close: 100 }, { close: 110 }, { close: null }, { close: 121 }]);
+        GoldPrice.getPriceAsOf.mockImplementation(async (id, point) => {
+            if (point === '2026-10-01T00:00:00.000Z') return { buyPrice: 120, sellPrice: 121 };
+            if (point === '2026-09-30T00:00:00.000Z') return { buyPrice: 109, sellPrice: 110 };
+            return null;
+        });
+    });
+
+    test('combines the stored summary with the daily close statistics', async () => {
+        const stats = await PriceStatistics.forEntity('gold', '2', query);
+
+        expect(GoldPrice.getCandles).toHaveBeenCalledWith(2, expect.objectContaining({ code: '1d' }), {
+            side: 'sell',
+            from: query.from,
+            to: query.to
+        });
+        expect(stats).toMatchObject({
+            goldTypeId: 2,
+            nameEn: '21K',
+            current: { buy: 120, sell: 121 },
+            minSell: 100,
+            dailyCloses: 3,
+            volatilityPercent: 0,
+            sma: { window: 3, value: 110.33 },
+            ema: { period: 3, value: 110.33 }
+        });
+        expect(stats.stdDev).toBeCloseTo(10.5, 1);
+        expect(stats.changes['1d'].sell).toEqual({ previous: 110, absolute: 11, percent: 10 });
+        expect(stats.changes['1w']).toBeNull();
+    });
+
+    test('treats unknown ids and the base currency as missing', async () => {
+        CurrencyRate.getCurrencies.mockResolvedValue([
+            { id: 1, code: 'SAR', is_base: true },
+            { id: 2, code: 'USD', is_base: false }
+        ]);
+
+        expect(await PriceStatistics.forEntity('gold', 99, query)).toBeNull();
+        expect(await PriceStatistics.forEntity('currency', 1, query)).toBeNull();
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * =====================================================
+ * اختبارات تقييم التنبيهات عند بدء الأسعار المجدولة
+ * Scheduled Price Alert Watcher Tests
+ * =====================================================
+ * الملف: backend/tests/services/ScheduledAlertWatcher.test.js
+ * الغرض: التحقق من تقييم التنبيهات للأسعار المجدولة عند بدئها
+ *        مقارنة بالسعر السابق، دون الحاجة لمشتركين في البث المباشر
+ * =====================================================
+ */
+
+jest.mock('../../config/database', () => ({
+    transaction: jest.fn(callback => callback({ tx: true }))
+}));
+jest.mock('../../models/GoldPrice', () => ({
+    getActivatedBetween: jest.fn(),
+    findPrevious: jest.fn()
+}));
+jest.mock('../../models/CurrencyRate', () => ({
+    getActivatedBetween: jest.fn(),
+    findPrevious: jest.fn()
+}));
+jest.mock('../../services/PriceAlertService', () => ({
+    evaluate: jest.fn()
+}));
+
+const GoldPrice = require('../../models/GoldPrice');
+const CurrencyRate = require('../../models/CurrencyRate');
+const PriceAlertService = require('../../services/PriceAlertService');
+const watcher = require('../../services/ScheduledAlertWatcher');
+
+const scheduledGold = {
+    id: 41,
+    goldTypeId: 3,
+    goldTypeNameEn: '21K',
+    buyPrice: 230,
+    sellPrice: 240,
+    effectiveFrom: '2026-10-19T09:00:00.000Z'
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    watcher.lastCheckAt = '2026-10-19T08:59:00.000Z';
+
+    GoldPrice.getActivatedBetween.mockResolvedValue([scheduledGold]);
+    GoldPrice.findPrevious.mockResolvedValue({ ...scheduledGold, id: 40, buyPrice: 220, sellPrice: 229 });
+    CurrencyRate.getActivatedBetween.mockResolvedValue([]);
+    PriceAlertService.evaluate.mockResolvedValue([]);
+});
+
+describe('ScheduledAlertWatcher.tick', () => {
+    test('evaluates alerts for an activated scheduled price against the previous one', async () => {
+        const evaluated = await watcher.tick();
+
+        expect(evaluated).toBe(1);
+        expect(GoldPrice.findPrevious).toHaveBeenCalledWith(41);
+        expect(PriceAlertService.evaluate).toHaveBeenCalledWith(
+            'GOLD_TYPE',
+            3,
+            { priceId: 41, label: '21K', buy: 230, sell: 240, effectiveFrom: scheduledGold.effectiveFrom },
+            { buy: 220, sell: 229 },
+            { tx: true }
+        );
+    });
+
+    test('evaluates currency rates without a previous rate as first prices', async () => {
+        GoldPrice.getActivatedBetween.mockResolvedValue([]);
+        CurrencyRate.getActivatedBetween.mockResolvedValue([
+            { id: 7, currencyId: 2, currencyCode: 'USD', buyRate: 3.74, sellRate: 3.76, effectiveFrom: 'x' }
+        ]);
+        CurrencyRate.findPrevious.mockResolvedValue(null);
+
+        await watcher.tick();
+
+        expect(PriceAlertService.evaluate).toHaveBeenCalledWith(
+            'CURRENCY', 2, expect.objectContaining({ priceId: 7, label: 'USD' }), null, { tx: true }
+        );
+    });
+
+    test('advances the window after a successful tick', async () => {
+        await watcher.tick();
+        const [from, to] = GoldPrice.getActivatedBetween.mock.calls[0];
+
+        expect(from).toBe('2026-10-19T08:59:00.000Z');
+        expect(watcher.lastCheckAt).toBe(to);
+    });
+
+    test('retries the same window after a failure', async () => {
+        GoldPrice.findPrevious.mockRejectedValueOnce(new Error('connection reset'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await watcher.tick();
+        expect(watcher.lastCheckAt).toBe('2026-10-19T08:59:00.000Z');
+
+        await watcher.tick();
+        expect(PriceAlertService.evaluate).toHaveBeenCalledTimes(1);
+        expect(GoldPrice.getActivatedBetween.mock.calls[1][0]).toBe('2026-10-19T08:59:00.000Z');
+
+        console.error.mockRestore();
+    });
+});